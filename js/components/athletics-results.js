@@ -0,0 +1,157 @@
+// ===== ATHLETICS RESULTS VIEW =====
+// Results tables (heats and finals, placings, marks, record and PB flags) for a past
+// athletics event, rendered inside the event detail view on events.html.
+import { $, $$, escapeHTML, fetchJson } from './utils/helpers.js';
+import { DATA_SOURCES, RECORDS_PAGE } from './utils/constants.js';
+import { analyseResults, formatMark, RESULT_STATUSES } from './utils/athletics.js';
+import SortableTable from './sortable-table.js';
+
+class AthleticsResults {
+    constructor() {
+        this.container = null;
+        this.meet = null;
+    }
+    
+    // Show the results for an event in the given section
+    async mount(container, eventData) {
+        this.container = container;
+        this.meet = null;
+        if (!container) return;
+        
+        container.hidden = true;
+        const meets = await this.loadMeets();
+        
+        // The detail view may have moved on to another event while this was loading
+        if (!meets || this.container !== container || !container.isConnected) return;
+        
+        this.meet = meets.find(meet => meet.eventId === eventData.id) || null;
+        this.render();
+        this.bindEvents();
+        container.hidden = false;
+    }
+    
+    async loadMeets() {
+        try {
+            const data = await fetchJson(DATA_SOURCES.ATHLETICS_RESULTS);
+            return analyseResults(data.meets || []).meets;
+        } catch (error) {
+            console.error('Failed to load athletics results:', error);
+            return null;
+        }
+    }
+    
+    bindEvents() {
+        const filter = $('.athletics-results__filter', this.container);
+        if (filter) {
+            filter.addEventListener('change', () => this.filterDisciplines(filter.value));
+        }
+        
+        $$('.results-table', this.container).forEach(table => new SortableTable(table));
+    }
+    
+    render() {
+        if (!this.meet) {
+            this.container.innerHTML = `
+                <h3>Results</h3>
+                <p>Results for this meet haven't been published yet.</p>
+                ${this.renderRecordsLink()}`;
+            return;
+        }
+        
+        const disciplines = this.meet.disciplines;
+        const results = disciplines.flatMap(discipline => discipline.rounds.flatMap(round => round.results));
+        const recordCount = results.filter(result => result.isRecord).length;
+        const personalBestCount = results.filter(result => result.isPersonalBest).length;
+        
+        this.container.innerHTML = `
+            <div class="athletics-results__header">
+                <h3>Results</h3>
+                <label class="athletics-results__filter-label">
+                    <span class="sr-only">Show results for</span>
+                    <select class="athletics-results__filter">
+                        <option value="">All disciplines</option>
+                        ${disciplines.map(discipline => `
+                            <option value="${escapeHTML(discipline.key)}">${escapeHTML(this.getDisciplineName(discipline))}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+            <p class="athletics-results__summary">
+                ${disciplines.length} ${disciplines.length === 1 ? 'discipline' : 'disciplines'}
+                ${recordCount > 0 ? ` &middot; <span class="result-flag result-flag--record">DR</span> ${recordCount} new district ${recordCount === 1 ? 'record' : 'records'}` : ''}
+                ${personalBestCount > 0 ? ` &middot; <span class="result-flag result-flag--pb">PB</span> ${personalBestCount} personal ${personalBestCount === 1 ? 'best' : 'bests'}` : ''}
+            </p>
+            ${disciplines.map(discipline => this.renderDiscipline(discipline)).join('')}
+            ${this.renderRecordsLink()}`;
+    }
+    
+    renderRecordsLink() {
+        return `
+            <a class="athletics-results__records-link" href="${RECORDS_PAGE}">
+                <i class="fas fa-medal"></i> All-time district records
+            </a>`;
+    }
+    
+    getDisciplineName(discipline) {
+        return discipline.category ? `${discipline.name} · ${discipline.category}` : discipline.name;
+    }
+    
+    renderDiscipline(discipline) {
+        return `
+            <div class="athletics-discipline" data-discipline="${escapeHTML(discipline.key)}">
+                <h4 class="athletics-discipline__title">${escapeHTML(this.getDisciplineName(discipline))}</h4>
+                ${discipline.rounds.map(round => `
+                    <h5 class="athletics-discipline__round">${escapeHTML(round.name)}</h5>
+                    ${this.renderTable(discipline, round)}
+                `).join('')}
+            </div>`;
+    }
+    
+    renderTable(discipline, round) {
+        return `
+            <div class="results-table__wrapper">
+                <table class="results-table">
+                    <caption class="sr-only">${escapeHTML(`${this.getDisciplineName(discipline)}, ${round.name}`)}</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col" data-sort="number" aria-sort="ascending">Place</th>
+                            <th scope="col" data-sort="text">Athlete</th>
+                            <th scope="col" data-sort="text">School</th>
+                            <th scope="col" data-sort="number">Mark</th>
+                            <th scope="col">Notes</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${round.results.map(result => this.renderResult(result, discipline)).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+    
+    renderResult(result, discipline) {
+        const status = RESULT_STATUSES[String(result.mark).trim().toUpperCase()];
+        const flags = [
+            result.isRecord ? '<span class="result-flag result-flag--record" title="New district record">DR</span>' : '',
+            result.isPersonalBest ? '<span class="result-flag result-flag--pb" title="Personal best">PB</span>' : ''
+        ].join(' ');
+        
+        return `
+            <tr class="results-table__row${result.isRecord ? ' results-table__row--record' : ''}">
+                <td data-sort-value="${result.place ?? ''}">${result.place ?? '&ndash;'}</td>
+                <td>${escapeHTML(result.athlete || result.school)}</td>
+                <td>${escapeHTML(result.athlete ? result.school : '')}</td>
+                <td data-sort-value="${result.value ?? ''}">
+                    ${status ? `<abbr title="${status}">${escapeHTML(formatMark(result.mark, discipline.markType))}</abbr>` : escapeHTML(formatMark(result.mark, discipline.markType))}
+                </td>
+                <td>${flags}</td>
+            </tr>`;
+    }
+    
+    filterDisciplines(key) {
+        $$('.athletics-discipline', this.container).forEach(block => {
+            block.hidden = Boolean(key) && block.getAttribute('data-discipline') !== key;
+        });
+    }
+}
+
+export default AthleticsResults;
@@ -0,0 +1,684 @@
+// ===== EVENT CHECK-IN =====
+// Organizer tool on checkin.html. While online it downloads an event's roster and the key that
+// verifies ticket signatures; after that, tickets are checked against the copy on the device
+// (camera, photo or typed code) with no connection needed. Check-ins queue on the device and
+// are sent to the registrations API whenever it can be reached.
+import {
+    $,
+    RequestError,
+    escapeHTML,
+    fetchJson,
+    getUrlParams,
+    loadImage,
+    session,
+    setLoadingState,
+    setUrlParams,
+    showNotification,
+    storage
+} from './utils/helpers.js';
+import {
+    API_ENDPOINTS,
+    CHECK_IN_STATUS,
+    DATA_SOURCES,
+    ERROR_MESSAGES,
+    EVENT_STATUS,
+    REGISTRATION_STATUS,
+    SESSION_KEYS,
+    STORAGE_KEYS
+} from './utils/constants.js';
+import { compareByStart, compareByStartDesc, formatDateRange, getEventStatus } from './utils/event-dates.js';
+import { expandEvents } from './utils/recurrence.js';
+import { CHECK_IN_BATCH_SIZE } from './utils/registrations.js';
+import { TicketError, TICKET_ERRORS, importPublicKey, isTicketCode, verifyTicketCode } from './utils/tickets.js';
+import { QrReadError, readQrCode } from './utils/qr-reader.js';
+
+const SCAN_INTERVAL_MS = 250;
+// A code held in front of the camera is only checked in once
+const RESCAN_DELAY_MS = 3000;
+const SYNC_RETRY_MS = 60 * 1000;
+// Photos are scaled down before the built-in reader looks for a code
+const MAX_IMAGE_SIZE = 1200;
+
+const RESULT_ICONS = {
+    success: 'fa-check-circle',
+    warning: 'fa-exclamation-triangle',
+    error: 'fa-times-circle'
+};
+
+const TICKET_ERROR_TITLES = {
+    [TICKET_ERRORS.UNSUPPORTED]: 'Tickets can\'t be checked here',
+    [TICKET_ERRORS.MALFORMED]: 'Unreadable ticket',
+    [TICKET_ERRORS.INVALID_SIGNATURE]: 'Invalid ticket'
+};
+
+const formatClock = (isoDate) => new Date(isoDate).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+class CheckIn {
+    constructor(container = $('#check-in')) {
+        this.container = container;
+        this.rosters = storage.get(STORAGE_KEYS.CHECK_IN_ROSTERS) || {};
+        this.queue = storage.get(STORAGE_KEYS.CHECK_IN_QUEUE) || [];
+        this.eventTitles = new Map();
+        this.roster = null;
+        this.publicKey = null;
+        this.detector = null;
+        this.canvas = null;
+        this.stream = null;
+        this.scanTimer = null;
+        this.syncTimer = null;
+        this.lastScan = { code: '', time: 0 };
+        this.isSyncing = false;
+        this.syncError = null;
+        this.unmatchedCount = 0;
+        this.handleOnline = () => this.sync();
+        this.handlePageHide = () => this.stopCamera();
+        
+        if (this.container) {
+            this.init();
+        }
+    }
+    
+    init() {
+        this.eventSelect = $('#check-in-event', this.container);
+        this.tokenInput = $('#check-in-token', this.container);
+        this.rosterForm = $('.check-in__roster-form', this.container);
+        this.downloadButton = $('.check-in__download', this.container);
+        this.rosterStatus = $('.check-in__roster-status', this.container);
+        this.forgetButton = $('.check-in__forget', this.container);
+        this.scanner = $('.check-in__scanner', this.container);
+        this.count = $('.check-in__count', this.container);
+        this.video = $('.check-in__video', this.container);
+        this.cameraButton = $('.check-in__camera-toggle', this.container);
+        this.fileInput = $('.check-in__file input', this.container);
+        this.manualForm = $('.check-in__manual-form', this.container);
+        this.result = $('.check-in__result', this.container);
+        this.syncStatus = $('.check-in__sync-status', this.container);
+        this.syncButton = $('.check-in__sync-button', this.container);
+        
+        this.tokenInput.value = session.get(SESSION_KEYS.ORGANIZER_TOKEN) || '';
+        
+        this.bindEvents();
+        this.loadEvents();
+        
+        // 'online' events aren't reliable on patchy networks, so retry every so often too
+        this.syncTimer = setInterval(() => this.sync(), SYNC_RETRY_MS);
+        this.sync();
+    }
+    
+    bindEvents() {
+        this.eventSelect.addEventListener('change', () => {
+            setUrlParams({ event: this.eventSelect.value }, true);
+            this.selectEvent(this.eventSelect.value);
+        });
+        
+        this.tokenInput.addEventListener('change', () => {
+            const token = this.tokenInput.value.trim();
+            if (token) {
+                session.set(SESSION_KEYS.ORGANIZER_TOKEN, token);
+                this.sync();
+            } else {
+                session.remove(SESSION_KEYS.ORGANIZER_TOKEN);
+            }
+        });
+        
+        this.rosterForm.addEventListener('submit', (e) => this.downloadRoster(e));
+        this.forgetButton.addEventListener('click', () => this.forgetRoster());
+        this.cameraButton.addEventListener('click', () => this.toggleCamera());
+        this.fileInput.addEventListener('change', () => this.scanFile(this.fileInput.files[0]));
+        this.syncButton.addEventListener('click', () => this.sync());
+        
+        this.manualForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = this.manualForm.elements.code;
+            this.checkInCode(input.value);
+            input.value = '';
+            input.focus();
+        });
+        
+        window.addEventListener('online', this.handleOnline);
+        window.addEventListener('pagehide', this.handlePageHide);
+    }
+    
+    async loadEvents() {
+        let events = [];
+        
+        try {
+            const data = await fetchJson(DATA_SOURCES.EVENTS);
+            events = expandEvents(data.events || []);
+        } catch (error) {
+            console.error('Failed to load events for check-in:', error);
+        }
+        
+        events.forEach(eventData => this.eventTitles.set(eventData.id, eventData.title));
+        
+        // Events with a roster on this device are listed even when the events list can't load
+        const offlineOnly = Object.values(this.rosters)
+            .filter(roster => !this.eventTitles.has(roster.eventId))
+            .map(roster => ({ id: roster.eventId, title: roster.title }));
+        offlineOnly.forEach(eventData => this.eventTitles.set(eventData.id, eventData.title));
+        
+        this.renderEventOptions(events, offlineOnly);
+    }
+    
+    // Today's and upcoming events first, then past ones, most recent first
+    renderEventOptions(events, offlineOnly) {
+        const current = events.filter(eventData => getEventStatus(eventData) !== EVENT_STATUS.PAST).sort(compareByStart);
+        const past = events.filter(eventData => getEventStatus(eventData) === EVENT_STATUS.PAST).sort(compareByStartDesc);
+        const ordered = [...offlineOnly, ...current, ...past];
+        
+        const option = (eventData) => {
+            const label = [eventData.title, eventData.start ? formatDateRange(eventData.start, eventData.end) : '']
+                .filter(Boolean)
+                .join(' · ');
+            return `<option value="${escapeHTML(eventData.id)}">${escapeHTML(label)}</option>`;
+        };
+        const group = (label, items) => (items.length > 0
+            ? `<optgroup label="${label}">${items.map(option).join('')}</optgroup>`
+            : '');
+        
+        this.eventSelect.innerHTML = `
+            <option value="">Choose an event</option>
+            ${group('Saved on this device', offlineOnly)}
+            ${group('Today and upcoming', current)}
+            ${group('Past', past)}`;
+        
+        const ids = ordered.map(eventData => eventData.id);
+        const { event: requested } = getUrlParams();
+        const selected = ids.includes(requested) ? requested : ids.find(id => this.rosters[id]) || '';
+        
+        this.eventSelect.value = selected;
+        this.selectEvent(selected);
+    }
+    
+    selectEvent(eventId) {
+        this.stopCamera();
+        this.roster = this.rosters[eventId] || null;
+        this.publicKey = null;
+        this.lastScan = { code: '', time: 0 };
+        this.clearResult();
+        
+        this.scanner.hidden = !this.roster;
+        this.forgetButton.hidden = !this.roster;
+        this.renderRosterStatus(eventId);
+        this.renderCount();
+        this.renderSyncStatus();
+    }
+    
+    async downloadRoster(e) {
+        e.preventDefault();
+        
+        const eventId = this.eventSelect.value;
+        const token = this.tokenInput.value.trim();
+        
+        if (!eventId || !token) {
+            showNotification('Choose an event and enter the organizer token first.', 'warning');
+            return;
+        }
+        
+        session.set(SESSION_KEYS.ORGANIZER_TOKEN, token);
+        setLoadingState(this.downloadButton, true);
+        
+        try {
+            const roster = this.mergeLocalCheckIns(await fetchJson(`${API_ENDPOINTS.REGISTRATIONS}/check-in-roster?event=${encodeURIComponent(eventId)}`, {
+                headers: { Authorization: `Bearer ${token}` }
+            }));
+            
+            this.saveRoster(roster);
+            this.eventTitles.set(roster.eventId, roster.title);
+            this.selectEvent(eventId);
+            showNotification(`Roster downloaded: ${plural(roster.registrations.length, 'registration')}.`, 'success');
+        } catch (error) {
+            console.error('Failed to download roster:', error);
+            showNotification(this.getErrorMessage(error), 'error');
+        } finally {
+            setLoadingState(this.downloadButton, false);
+        }
+    }
+    
+    // A fresh roster keeps check-ins made on this device, including ticket holders who
+    // registered after the last download, until the server has them too
+    mergeLocalCheckIns(roster) {
+        const previous = this.rosters[roster.eventId];
+        if (!previous) return roster;
+        
+        const local = new Map(previous.registrations
+            .filter(registration => registration.checkedInAt)
+            .map(registration => [registration.reference, registration]));
+        
+        roster.registrations.forEach(registration => {
+            const localCopy = local.get(registration.reference);
+            if (localCopy && (!registration.checkedInAt || localCopy.checkedInAt < registration.checkedInAt)) {
+                registration.checkedInAt = localCopy.checkedInAt;
+            }
+            local.delete(registration.reference);
+        });
+        
+        local.forEach(registration => roster.registrations.push(registration));
+        return roster;
+    }
+    
+    forgetRoster() {
+        const { eventId, title } = this.roster;
+        const unsent = this.queue.filter(item => item.eventId === eventId).length;
+        const message = unsent > 0
+            ? `${plural(unsent, 'check-in')} for ${title} haven't been sent yet and will be lost. Remove the roster anyway?`
+            : `Remove the roster for ${title} from this device?`;
+        
+        if (!window.confirm(message)) return;
+        
+        delete this.rosters[eventId];
+        storage.set(STORAGE_KEYS.CHECK_IN_ROSTERS, this.rosters);
+        this.queue = this.queue.filter(item => item.eventId !== eventId);
+        this.saveQueue();
+        this.selectEvent(eventId);
+    }
+    
+    saveRoster(roster) {
+        this.rosters[roster.eventId] = roster;
+        storage.set(STORAGE_KEYS.CHECK_IN_ROSTERS, this.rosters);
+    }
+    
+    saveQueue() {
+        storage.set(STORAGE_KEYS.CHECK_IN_QUEUE, this.queue);
+    }
+    
+    getErrorMessage(error) {
+        // Anything other than an error response means the request never reached the server
+        if (!(error instanceof RequestError)) {
+            return ERROR_MESSAGES.NETWORK_ERROR;
+        }
+        
+        switch (error.status) {
+            case 401:
+                return 'The organizer token was not accepted.';
+            case 404:
+                return 'This event was not found on the server.';
+            case 503:
+                return 'Check-in is turned off on the server. Ask the site administrator to set an organizer token.';
+            default:
+                return ERROR_MESSAGES.SERVER_ERROR;
+        }
+    }
+    
+    // ===== Checking tickets =====
+    
+    getPublicKey() {
+        if (!this.publicKey) {
+            this.publicKey = importPublicKey(this.roster.publicKey);
+        }
+        return this.publicKey;
+    }
+    
+    // Check in a scanned ticket code or a typed reference number
+    async checkInCode(text) {
+        const code = String(text).trim();
+        if (!code || !this.roster) return;
+        
+        let reference = code.toUpperCase();
+        let hasTicket = false;
+        
+        if (isTicketCode(code)) {
+            try {
+                const ticket = await verifyTicketCode(code, await this.getPublicKey());
+                
+                if (ticket.eventId !== this.roster.eventId) {
+                    const otherEvent = this.eventTitles.get(ticket.eventId) || 'a different event';
+                    this.showResult('error', 'Wrong event', `This ticket is for ${otherEvent}.`);
+                    return;
+                }
+                
+                reference = ticket.reference;
+                hasTicket = true;
+            } catch (error) {
+                if (!(error instanceof TicketError)) throw error;
+                this.showResult('error', TICKET_ERROR_TITLES[error.code], error.message);
+                return;
+            }
+        }
+        
+        const registration = this.roster.registrations.find(item => item.reference === reference);
+        
+        if (!registration) {
+            if (!hasTicket) {
+                this.showResult('error', 'Not found', `No registration with reference ${reference} is on this roster.`);
+                return;
+            }
+            
+            // Signed tickets are genuine even if the roster was downloaded before they were issued
+            this.record({ reference, status: null, checkedInAt: null });
+            this.showResult('warning', `Checked in: ${reference}`,
+                'Valid ticket, but not on this device\'s roster yet. Download the roster again when you have a connection to see their details.');
+            return;
+        }
+        
+        const name = this.getName(registration);
+        
+        if (registration.checkedInAt) {
+            this.showResult('warning', 'Already checked in', `${name} was checked in at ${formatClock(registration.checkedInAt)}.`);
+            return;
+        }
+        
+        if (registration.status === REGISTRATION_STATUS.WAITLISTED) {
+            this.showResult('warning', 'On the waitlist', `${name} doesn't have a confirmed place at this event.`, {
+                label: 'Admit Anyway',
+                onClick: () => {
+                    this.record(registration);
+                    this.showResult('success', `Welcome, ${name}`, `Admitted from the waitlist · ${registration.reference}`);
+                }
+            });
+            return;
+        }
+        
+        this.record(registration);
+        this.showResult('success', `Welcome, ${name}`, [registration.school, registration.grade && `Grade ${registration.grade}`, registration.reference]
+            .filter(Boolean)
+            .join(' · '));
+    }
+    
+    getName(registration) {
+        return [registration.firstName, registration.lastName].filter(Boolean).join(' ') || registration.reference;
+    }
+    
+    record(registration) {
+        const checkedInAt = new Date().toISOString();
+        
+        registration.checkedInAt = checkedInAt;
+        if (!this.roster.registrations.includes(registration)) {
+            this.roster.registrations.push(registration);
+        }
+        this.queue.push({ eventId: this.roster.eventId, reference: registration.reference, checkedInAt });
+        
+        this.saveRoster(this.roster);
+        this.saveQueue();
+        this.renderCount();
+        this.sync();
+    }
+    
+    // ===== Scanning =====
+    
+    async toggleCamera() {
+        if (this.stream) {
+            this.stopCamera();
+        } else {
+            await this.startCamera();
+        }
+    }
+    
+    async startCamera() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            showNotification('The camera isn\'t available in this browser. Scan a photo or type the reference instead.', 'warning');
+            return;
+        }
+        
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' }, audio: false });
+        } catch (error) {
+            console.error('Failed to start camera:', error);
+            showNotification('The camera could not be started. Check that this page may use the camera.', 'error');
+            return;
+        }
+        
+        this.video.srcObject = this.stream;
+        this.video.hidden = false;
+        await this.video.play();
+        this.cameraButton.innerHTML = '<i class="fas fa-stop"></i> Stop Camera';
+        this.scanFrame();
+    }
+    
+    stopCamera() {
+        clearTimeout(this.scanTimer);
+        this.scanTimer = null;
+        
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        
+        if (this.video) {
+            this.video.srcObject = null;
+            this.video.hidden = true;
+            this.cameraButton.innerHTML = '<i class="fas fa-camera"></i> Start Camera';
+        }
+    }
+    
+    async scanFrame() {
+        if (!this.stream) return;
+        
+        // HAVE_CURRENT_DATA: the video has a frame to look at
+        if (this.video.readyState >= 2) {
+            try {
+                const code = await this.detect(this.video, this.video.videoWidth, this.video.videoHeight);
+                const now = Date.now();
+                const isRepeat = code === this.lastScan.code && now - this.lastScan.time < RESCAN_DELAY_MS;
+                
+                if (code) {
+                    this.lastScan = { code, time: now };
+                }
+                if (code && !isRepeat) {
+                    await this.checkInCode(code);
+                }
+            } catch (error) {
+                console.error('Failed to scan camera frame:', error);
+            }
+        }
+        
+        if (this.stream) {
+            this.scanTimer = setTimeout(() => this.scanFrame(), SCAN_INTERVAL_MS);
+        }
+    }
+    
+    async scanFile(file) {
+        if (!file) return;
+        
+        const url = URL.createObjectURL(file);
+        
+        try {
+            const image = await new Promise((resolve, reject) => {
+                const img = loadImage(url, () => resolve(img), reject);
+            });
+            const code = await this.detect(image, image.naturalWidth, image.naturalHeight);
+            
+            if (code) {
+                await this.checkInCode(code);
+            } else {
+                this.showResult('error', 'No code found', 'No QR code could be read from that photo. Try a sharper picture taken straight on.');
+            }
+        } catch (error) {
+            console.error('Failed to scan image:', error);
+            this.showResult('error', 'Unreadable image', 'That file could not be opened as an image.');
+        } finally {
+            URL.revokeObjectURL(url);
+            this.fileInput.value = '';
+        }
+    }
+    
+    // The browser's own barcode detector, where it supports QR codes
+    getDetector() {
+        if (!this.detector) {
+            this.detector = (async () => {
+                if (!('BarcodeDetector' in window)) return null;
+                
+                try {
+                    const formats = await window.BarcodeDetector.getSupportedFormats();
+                    return formats.includes('qr_code') ? new window.BarcodeDetector({ formats: ['qr_code'] }) : null;
+                } catch (error) {
+                    return null;
+                }
+            })();
+        }
+        return this.detector;
+    }
+    
+    // Text of the QR code in a video frame or image, or null if there isn't a readable one
+    async detect(source, width, height) {
+        const detector = await this.getDetector();
+        
+        if (detector) {
+            const codes = await detector.detect(source);
+            return codes.length > 0 ? codes[0].rawValue : null;
+        }
+        
+        const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(width, height));
+        this.canvas = this.canvas || document.createElement('canvas');
+        this.canvas.width = Math.round(width * scale);
+        this.canvas.height = Math.round(height * scale);
+        
+        const context = this.canvas.getContext('2d', { willReadFrequently: true });
+        context.drawImage(source, 0, 0, this.canvas.width, this.canvas.height);
+        
+        try {
+            return readQrCode(context.getImageData(0, 0, this.canvas.width, this.canvas.height));
+        } catch (error) {
+            if (error instanceof QrReadError) return null;
+            throw error;
+        }
+    }
+    
+    // ===== Syncing =====
+    
+    // Send queued check-ins in batches. Each batch leaves the queue once the server has
+    // answered for it, so an interrupted sync picks up where it stopped.
+    async sync() {
+        if (this.isSyncing || this.queue.length === 0) {
+            this.renderSyncStatus();
+            return;
+        }
+        
+        const token = session.get(SESSION_KEYS.ORGANIZER_TOKEN);
+        if (!token) {
+            this.syncError = 'Enter the organizer token above to send check-ins.';
+            this.renderSyncStatus();
+            return;
+        }
+        
+        this.isSyncing = true;
+        this.renderSyncStatus();
+        
+        try {
+            while (this.queue.length > 0) {
+                const batch = this.queue.slice(0, CHECK_IN_BATCH_SIZE);
+                const { results } = await fetchJson(`${API_ENDPOINTS.REGISTRATIONS}/check-ins`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        Authorization: `Bearer ${token}`
+                    },
+                    body: JSON.stringify({ checkIns: batch })
+                });
+                
+                this.applySyncResults(results);
+                // Check-ins made while the batch was on its way stay queued
+                this.queue = this.queue.filter(item => !batch.includes(item));
+                this.saveQueue();
+            }
+            
+            this.syncError = null;
+        } catch (error) {
+            console.error('Failed to sync check-ins:', error);
+            this.syncError = error instanceof RequestError && error.status === 401
+                ? 'The organizer token was not accepted. Check-ins are waiting on this device.'
+                : 'Check-ins are saved on this device and will be sent when the connection returns.';
+        } finally {
+            this.isSyncing = false;
+            this.renderSyncStatus();
+        }
+    }
+    
+    // The server keeps the earliest check-in from any device, so take its times
+    applySyncResults(results) {
+        results.forEach(result => {
+            if (result.status === CHECK_IN_STATUS.NOT_FOUND) {
+                this.unmatchedCount++;
+                return;
+            }
+            
+            const roster = this.rosters[result.eventId];
+            const registration = roster && roster.registrations.find(item => item.reference === result.reference);
+            if (registration) {
+                registration.checkedInAt = result.checkedInAt;
+            }
+        });
+        
+        storage.set(STORAGE_KEYS.CHECK_IN_ROSTERS, this.rosters);
+        this.renderCount();
+    }
+    
+    // ===== Rendering =====
+    
+    renderRosterStatus(eventId) {
+        if (!eventId) {
+            this.rosterStatus.textContent = '';
+        } else if (this.roster) {
+            this.rosterStatus.textContent = `Roster saved on this device: ${plural(this.roster.registrations.length, 'registration')}, downloaded ${new Date(this.roster.generatedAt).toLocaleString()}.`;
+        } else {
+            this.rosterStatus.textContent = 'No roster for this event on this device yet.';
+        }
+    }
+    
+    renderCount() {
+        if (!this.roster) {
+            this.count.textContent = '';
+            return;
+        }
+        
+        const confirmed = this.roster.registrations.filter(registration => registration.status === REGISTRATION_STATUS.CONFIRMED);
+        const arrived = confirmed.filter(registration => registration.checkedInAt).length;
+        const others = this.roster.registrations
+            .filter(registration => registration.status !== REGISTRATION_STATUS.CONFIRMED && registration.checkedInAt)
+            .length;
+        
+        this.count.textContent = `${arrived} of ${confirmed.length} confirmed participants checked in`
+            + (others > 0 ? `, plus ${plural(others, 'other')} admitted` : '');
+    }
+    
+    renderSyncStatus() {
+        const pending = this.queue.length;
+        let message;
+        
+        if (this.isSyncing) {
+            message = `Sending ${plural(pending, 'check-in')}…`;
+        } else if (pending === 0) {
+            message = 'All check-ins have been sent.';
+        } else {
+            message = `${plural(pending, 'check-in')} waiting to be sent. ${this.syncError || ''}`;
+        }
+        
+        if (this.unmatchedCount > 0) {
+            message += ` ${plural(this.unmatchedCount, 'check-in')} did not match a registration on the server.`;
+        }
+        
+        this.syncStatus.textContent = message.trim();
+        this.syncButton.disabled = this.isSyncing || pending === 0;
+    }
+    
+    showResult(type, title, detail = '', action = null) {
+        this.result.className = `check-in__result check-in__result--${type}`;
+        this.result.innerHTML = `
+            <i class="fas ${RESULT_ICONS[type]} check-in__result-icon" aria-hidden="true"></i>
+            <div class="check-in__result-body">
+                <p class="check-in__result-title">${escapeHTML(title)}</p>
+                ${detail ? `<p class="check-in__result-detail">${escapeHTML(detail)}</p>` : ''}
+                ${action ? `<button class="btn btn--primary check-in__result-action" type="button">${escapeHTML(action.label)}</button>` : ''}
+            </div>`;
+        
+        if (action) {
+            $('.check-in__result-action', this.result).addEventListener('click', action.onClick, { once: true });
+        }
+    }
+    
+    clearResult() {
+        this.result.className = 'check-in__result';
+        this.result.innerHTML = '';
+    }
+    
+    destroy() {
+        this.stopCamera();
+        clearInterval(this.syncTimer);
+        window.removeEventListener('online', this.handleOnline);
+        window.removeEventListener('pagehide', this.handlePageHide);
+    }
+}
+
+export default CheckIn;
@@ -0,0 +1,282 @@
+// ===== ACADEMIC COMPETITION RESULTS VIEW =====
+// School rankings, quiz scoreboards, debate standings and ballots, and spelling-bee
+// eliminations for an academics event, rendered inside the event detail view on events.html.
+import { $$, escapeHTML } from './utils/helpers.js';
+import { EVENT_STATUS } from './utils/constants.js';
+import { COMPETITION_TYPES, DEBATE_SIDES } from './utils/competitions.js';
+import SortableTable from './sortable-table.js';
+
+const TYPE_LABELS = {
+    [COMPETITION_TYPES.QUIZ]: 'Quiz',
+    [COMPETITION_TYPES.DEBATE]: 'Debate',
+    [COMPETITION_TYPES.SPELLING_BEE]: 'Spelling bee'
+};
+
+const SIDE_LABELS = {
+    [DEBATE_SIDES.PROPOSITION]: 'Proposition',
+    [DEBATE_SIDES.OPPOSITION]: 'Opposition'
+};
+
+const formatSpeaks = (value) => (Math.round(value * 10) / 10).toFixed(1);
+
+class CompetitionResults {
+    constructor() {
+        this.container = null;
+    }
+    
+    // Show an event's published competitions (from getResultsByEvent) in the given section.
+    // Events without any stay hidden until they've finished, then say results are on the way.
+    mount(container, eventData, results) {
+        this.container = container;
+        if (!container) return;
+        
+        if (!results && eventData.status !== EVENT_STATUS.PAST) {
+            container.hidden = true;
+            container.innerHTML = '';
+            return;
+        }
+        
+        this.render(results);
+        $$('.results-table', container).forEach(table => new SortableTable(table));
+        container.hidden = false;
+    }
+    
+    render(results) {
+        if (!results) {
+            this.container.innerHTML = `
+                <h3>Results</h3>
+                <p>Results for this competition haven't been published yet.</p>`;
+            return;
+        }
+        
+        this.container.innerHTML = `
+            <h3>Results</h3>
+            ${this.renderSchools(results.schools)}
+            ${results.competitions.map(competition => this.renderCompetition(competition)).join('')}`;
+    }
+    
+    renderSchools(schools) {
+        if (schools.length === 0) return '';
+        
+        return `
+            <div class="competition-results__schools">
+                <h4 class="competition-results__title">School rankings</h4>
+                <div class="results-table__wrapper">
+                    <table class="results-table">
+                        <caption class="sr-only">School rankings across all finished competitions</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col" data-sort="number" aria-sort="ascending">Place</th>
+                                <th scope="col" data-sort="text">School</th>
+                                <th scope="col" data-sort="number">Points</th>
+                                <th scope="col" data-sort="number"><abbr title="First places">1st</abbr></th>
+                                <th scope="col" data-sort="number"><abbr title="Second places">2nd</abbr></th>
+                                <th scope="col" data-sort="number"><abbr title="Third places">3rd</abbr></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${schools.map(school => `
+                                <tr class="results-table__row${school.place === 1 ? ' results-table__row--winner' : ''}">
+                                    <td>${school.place}</td>
+                                    <td>${escapeHTML(school.school)}</td>
+                                    <td>${school.points}</td>
+                                    ${school.medals.map(count => `<td>${count}</td>`).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <p class="competition-results__note">Schools earn points for every placing in a finished competition.</p>
+            </div>`;
+    }
+    
+    renderCompetition(competition) {
+        const body = {
+            [COMPETITION_TYPES.QUIZ]: () => this.renderQuiz(competition),
+            [COMPETITION_TYPES.DEBATE]: () => this.renderDebate(competition),
+            [COMPETITION_TYPES.SPELLING_BEE]: () => this.renderSpellingBee(competition)
+        }[competition.type]();
+        
+        return `
+            <div class="competition" data-competition="${escapeHTML(competition.id)}">
+                <div class="competition__header">
+                    <h4 class="competition-results__title">${escapeHTML(competition.name || TYPE_LABELS[competition.type])}</h4>
+                    <span class="competition__type">${TYPE_LABELS[competition.type]}</span>
+                    <span class="competition__status${competition.complete ? ' competition__status--final' : ''}">
+                        ${competition.complete ? 'Final' : 'In progress'}
+                    </span>
+                </div>
+                ${competition.winners.length > 0 ? `
+                    <p class="competition__winner">
+                        <i class="fas fa-trophy"></i>
+                        ${competition.winners.map(winner => escapeHTML(this.getEntrantName(winner))).join(' &amp; ')}
+                    </p>` : ''}
+                ${body}
+            </div>`;
+    }
+    
+    // "Speller (School)" for individual entrants; teams are named after their school
+    getEntrantName(entrant) {
+        return entrant.school && entrant.school !== entrant.name ? `${entrant.name} (${entrant.school})` : entrant.name;
+    }
+    
+    renderQuiz(competition) {
+        return `
+            <div class="results-table__wrapper">
+                <table class="results-table">
+                    <caption class="sr-only">${escapeHTML(competition.name)} scores by round</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col" data-sort="number" aria-sort="ascending">Place</th>
+                            <th scope="col" data-sort="text">Team</th>
+                            ${competition.rounds.map(round => `<th scope="col" data-sort="number">${escapeHTML(round)}</th>`).join('')}
+                            <th scope="col" data-sort="number">Total</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${competition.standings.map(row => `
+                            <tr class="results-table__row">
+                                <td>${row.place}</td>
+                                <td>${escapeHTML(this.getEntrantName(row))}</td>
+                                ${row.roundScores.map(score => `<td data-sort-value="${score ?? ''}">${score ?? '&ndash;'}</td>`).join('')}
+                                <td><strong>${row.total}</strong></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>`;
+    }
+    
+    renderDebate(competition) {
+        return `
+            <div class="results-table__wrapper">
+                <table class="results-table">
+                    <caption class="sr-only">${escapeHTML(competition.name)} standings</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col" data-sort="number" aria-sort="ascending">Place</th>
+                            <th scope="col" data-sort="text">Team</th>
+                            <th scope="col" data-sort="number">Wins</th>
+                            <th scope="col" data-sort="number">Ballots</th>
+                            <th scope="col" data-sort="number"><abbr title="Speaker points: the panel average for each debate, added up">Speaks</abbr></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${competition.standings.map(row => `
+                            <tr class="results-table__row">
+                                <td>${row.place}</td>
+                                <td>${escapeHTML(this.getEntrantName(row))}</td>
+                                <td>${row.wins}</td>
+                                <td>${row.ballots}</td>
+                                <td data-sort-value="${row.speaks}">${formatSpeaks(row.speaks)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${competition.rounds.map(round => `
+                <details class="competition__round">
+                    <summary>${escapeHTML(round.name)}</summary>
+                    <ul class="debate-list">
+                        ${round.debates.map(debate => this.renderDebateResult(debate)).join('')}
+                    </ul>
+                    ${round.bye ? `<p class="competition__bye">Bye: ${escapeHTML(round.bye)}</p>` : ''}
+                </details>
+            `).join('')}
+            ${competition.nextDraw ? `
+                <div class="competition__draw">
+                    <h5 class="competition__draw-title">Draw for ${escapeHTML(competition.nextDraw.name)}</h5>
+                    <ul class="debate-list">
+                        ${competition.nextDraw.debates.map(debate => `
+                            <li class="debate">
+                                <span class="debate__side">${escapeHTML(debate.proposition)} <small>${SIDE_LABELS.proposition}</small></span>
+                                <span class="debate__versus">vs</span>
+                                <span class="debate__side">${escapeHTML(debate.opposition)} <small>${SIDE_LABELS.opposition}</small></span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${competition.nextDraw.bye ? `<p class="competition__bye">Bye: ${escapeHTML(competition.nextDraw.bye)}</p>` : ''}
+                </div>` : ''}`;
+    }
+    
+    renderDebateResult(debate) {
+        const { result } = debate;
+        const sideClass = (side) => `debate__side${result && result.winner === side ? ' debate__side--winner' : ''}`;
+        
+        return `
+            <li class="debate">
+                <span class="${sideClass(DEBATE_SIDES.PROPOSITION)}">${escapeHTML(debate.proposition)} <small>${SIDE_LABELS.proposition}</small></span>
+                <span class="debate__versus">${result ? `${result.ballots.proposition}&ndash;${result.ballots.opposition}` : 'vs'}</span>
+                <span class="${sideClass(DEBATE_SIDES.OPPOSITION)}">${escapeHTML(debate.opposition)} <small>${SIDE_LABELS.opposition}</small></span>
+                ${debate.motion ? `<p class="debate__motion">${escapeHTML(debate.motion)}</p>` : ''}
+                ${result ? `
+                    <table class="debate__ballots">
+                        <caption class="sr-only">Adjudicator ballots</caption>
+                        <thead>
+                            <tr>
+                                <th scope="col">Adjudicator</th>
+                                <th scope="col">Decision</th>
+                                <th scope="col">Speaks</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${debate.ballots.map(ballot => `
+                                <tr>
+                                    <td>${escapeHTML(ballot.adjudicator || '')}</td>
+                                    <td>${SIDE_LABELS[ballot.winner] || ''}</td>
+                                    <td>${ballot.propositionSpeaks ?? '&ndash;'}&ndash;${ballot.oppositionSpeaks ?? '&ndash;'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>` : ''}
+            </li>`;
+    }
+    
+    renderSpellingBee(competition) {
+        return `
+            <div class="results-table__wrapper">
+                <table class="results-table">
+                    <caption class="sr-only">${escapeHTML(competition.name)} placings</caption>
+                    <thead>
+                        <tr>
+                            <th scope="col" data-sort="number" aria-sort="ascending">Place</th>
+                            <th scope="col" data-sort="text">Speller</th>
+                            <th scope="col" data-sort="text">School</th>
+                            <th scope="col" data-sort="number">Out in</th>
+                            <th scope="col" data-sort="number">Words correct</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${competition.standings.map(row => `
+                            <tr class="results-table__row">
+                                <td>${row.place}</td>
+                                <td>${escapeHTML(row.name)}</td>
+                                <td>${escapeHTML(row.school)}</td>
+                                <td data-sort-value="${row.eliminatedIn ?? ''}">${row.eliminatedRound ? escapeHTML(row.eliminatedRound) : '&ndash;'}</td>
+                                <td>${row.wordsCorrect}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${competition.rounds.map(round => `
+                <details class="competition__round">
+                    <summary>
+                        ${escapeHTML(round.name)}:
+                        ${round.eliminated.length > 0 ? `${round.eliminated.length} out` : 'nobody out'}
+                    </summary>
+                    <ul class="spelling-list">
+                        ${round.attempts.map(attempt => `
+                            <li class="spelling-list__item${attempt.correct ? '' : ' spelling-list__item--missed'}">
+                                ${escapeHTML(attempt.speller)}: <em>${escapeHTML(attempt.word)}</em>
+                                <span class="sr-only">${attempt.correct ? 'spelled correctly' : 'misspelled'}</span>
+                                <i class="fas ${attempt.correct ? 'fa-check' : 'fa-times'}" aria-hidden="true"></i>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </details>
+            `).join('')}`;
+    }
+}
+
+export default CompetitionResults;
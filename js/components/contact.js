@@ -199,10 +199,6 @@ class Contact {
     }
     
     showLocationMap() {
-        // This would open a modal with a map in a real implementation
-        showNotification('Opening location map...', 'info', 2000);
-        
-        // For now, just scroll to map section if it exists
         const mapSection = $('#mapSection');
         if (mapSection) {
             mapSection.scrollIntoView({ behavior: 'smooth' });
@@ -399,12 +395,6 @@ class Contact {
         }
     }
     
-    // Method to initialize map (if added later)
-    initMap() {
-        // This would initialize Google Maps or similar service
-        console.log('Initializing contact map...');
-    }
-    
     // Destroy method for cleanup
     destroy() {
         if (this.contactForm) {
@@ -0,0 +1,150 @@
+// ===== EVENT COUNTDOWN =====
+// Live countdowns for upcoming events: "starts in" days/hours/minutes, then "Happening now"
+// while the event runs and "This event has ended" afterwards. Every countdown on the page is
+// updated by one shared timer that ticks on the minute and stops once none are left.
+import { createElement, escapeHTML } from './utils/helpers.js';
+import { EVENT_STATUS } from './utils/constants.js';
+import { getEventWindow, getEventStatus, getTimeUntil, pad } from './utils/event-dates.js';
+
+const MINUTE_MS = 60 * 1000;
+
+const UNITS = [
+    { key: 'days', label: 'days', singular: 'day' },
+    { key: 'hours', label: 'hrs', singular: 'hour' },
+    { key: 'minutes', label: 'min', singular: 'minute' }
+];
+
+// "3 days, 1 hour and 5 minutes"
+const describeTime = (parts) => {
+    const phrases = UNITS
+        .filter(unit => parts[unit.key] > 0)
+        .map(unit => `${parts[unit.key]} ${parts[unit.key] === 1 ? unit.singular : `${unit.singular}s`}`);
+    
+    if (phrases.length === 0) return 'less than a minute';
+    return phrases.length === 1 ? phrases[0] : `${phrases.slice(0, -1).join(', ')} and ${phrases[phrases.length - 1]}`;
+};
+
+class Countdown {
+    constructor({ onStatusChange } = {}) {
+        this.onStatusChange = onStatusChange;
+        this.items = new Map();
+        this.timer = null;
+        this.isListening = false;
+        this.announcer = null;
+        this.handleVisibilityChange = () => {
+            // Background tabs throttle timers, so catch up as soon as the page is shown again
+            if (!document.hidden) this.tick();
+        };
+    }
+    
+    // Keep an element's countdown to an event up to date
+    add(element, eventData) {
+        const status = getEventStatus(eventData);
+        
+        this.items.set(element, { eventData, status });
+        this.render(element, eventData, status);
+        this.start();
+    }
+    
+    start() {
+        if (this.timer || this.items.size === 0) return;
+        
+        if (!this.isListening) {
+            document.addEventListener('visibilitychange', this.handleVisibilityChange);
+            this.isListening = true;
+        }
+        
+        // Tick just after each whole minute so the countdown changes with the clock.
+        // Event times are whole minutes, so status changes land on a tick too.
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.tick();
+            this.start();
+        }, MINUTE_MS - (Date.now() % MINUTE_MS) + 50);
+    }
+    
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.isListening = false;
+    }
+    
+    tick(now = new Date()) {
+        const changed = [];
+        
+        this.items.forEach((item, element) => {
+            // Cards that were re-rendered or removed drop out of the timer
+            if (!element.isConnected) {
+                this.items.delete(element);
+                return;
+            }
+            
+            const status = getEventStatus(item.eventData, now);
+            if (status !== item.status) {
+                item.status = status;
+                changed.push(item);
+            }
+            
+            this.render(element, item.eventData, status, now);
+        });
+        
+        if (this.items.size === 0) this.stop();
+        if (changed.length === 0) return;
+        
+        this.announce(changed.map(({ eventData, status }) => (status === EVENT_STATUS.ONGOING
+            ? `${eventData.title} is happening now.`
+            : `${eventData.title} has ended.`)).join(' '));
+        
+        if (this.onStatusChange) {
+            this.onStatusChange(changed.map(item => item.eventData));
+        }
+    }
+    
+    render(element, eventData, status, now = new Date()) {
+        element.setAttribute('role', 'timer');
+        element.classList.toggle('event-countdown--live', status === EVENT_STATUS.ONGOING);
+        element.classList.toggle('event-countdown--ended', status === EVENT_STATUS.PAST);
+        
+        if (status === EVENT_STATUS.ONGOING) {
+            element.innerHTML = `
+                <span class="event-countdown__live"><span class="event-countdown__pulse" aria-hidden="true"></span>Happening now</span>`;
+            return;
+        }
+        
+        if (status === EVENT_STATUS.PAST) {
+            element.innerHTML = '<span class="event-countdown__label">This event has ended</span>';
+            return;
+        }
+        
+        const parts = getTimeUntil(getEventWindow(eventData).start, now);
+        
+        // Days are left out in the final 24 hours
+        const units = parts.days > 0 ? UNITS : UNITS.filter(unit => unit.key !== 'days');
+        
+        // The visual segments are hidden from screen readers in favour of a spoken sentence
+        element.innerHTML = `
+            <span class="event-countdown__label" aria-hidden="true">Starts in</span>
+            <span class="event-countdown__segments" aria-hidden="true">
+                ${units.map(unit => `
+                    <span class="event-countdown__segment">
+                        <span class="event-countdown__number">${unit.key === 'days' ? parts.days : pad(parts[unit.key])}</span>
+                        <span class="event-countdown__unit">${unit.label}</span>
+                    </span>
+                `).join('')}
+            </span>
+            <span class="sr-only">${escapeHTML(`Starts in ${describeTime(parts)}`)}</span>`;
+    }
+    
+    // Status changes are read out through one polite live region shared by every countdown
+    announce(message) {
+        if (!this.announcer) {
+            this.announcer = createElement('div', { className: 'sr-only', 'aria-live': 'polite' });
+            document.body.appendChild(this.announcer);
+        }
+        
+        this.announcer.textContent = message;
+    }
+}
+
+export default Countdown;
@@ -0,0 +1,297 @@
+// ===== EVENT DETAIL VIEW =====
+// Renders a single event from data/events.json into the detail section of
+// events.html. The Events component decides when it's shown (events.html?event=<id>).
+import { $, escapeHTML, smoothScrollTo } from './utils/helpers.js';
+import { EVENT_STATUS, EVENT_PAGE } from './utils/constants.js';
+import { formatDateRange, formatTimeRange, formatTime } from './utils/event-dates.js';
+import { renderPicture } from './utils/responsive-images.js';
+
+const STATUS_LABELS = {
+    [EVENT_STATUS.UPCOMING]: 'Upcoming',
+    [EVENT_STATUS.ONGOING]: 'Happening now',
+    [EVENT_STATUS.PAST]: 'Past event'
+};
+
+// How wide the hero image and the photo grid's images show
+const HERO_IMAGE_SIZES = '(min-width: 1200px) 1168px, 100vw';
+const PHOTO_SIZES = '(min-width: 1025px) 200px, (min-width: 400px) 50vw, 100vw';
+
+class EventDetail {
+    constructor(container, { onRegister, onAddToCalendar, onBack } = {}) {
+        this.container = container;
+        this.onRegister = onRegister;
+        this.onAddToCalendar = onAddToCalendar;
+        this.onBack = onBack;
+        this.eventData = null;
+        
+        if (this.container) {
+            this.init();
+        }
+    }
+    
+    init() {
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        // Delegated so the handlers survive re-rendering
+        this.container.addEventListener('click', (e) => {
+            const backLink = e.target.closest('.event-detail__back');
+            if (backLink && this.onBack && !this.isModifiedClick(e)) {
+                e.preventDefault();
+                this.onBack();
+                return;
+            }
+            
+            if (!this.eventData) return;
+            
+            if (e.target.closest('.event-detail__register') && this.onRegister) {
+                this.onRegister(this.eventData);
+            } else if (e.target.closest('.event-detail__calendar') && this.onAddToCalendar) {
+                this.onAddToCalendar(this.eventData);
+            } else if (e.target.closest('.event-detail__volunteer')) {
+                this.scrollToVolunteers();
+            }
+        });
+    }
+    
+    // Let ctrl/cmd/shift/middle clicks open links in a new tab as usual
+    isModifiedClick(e) {
+        return e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey;
+    }
+    
+    render(eventData) {
+        this.eventData = eventData;
+        const isPast = eventData.status === EVENT_STATUS.PAST;
+        const timeRange = formatTimeRange(eventData.start, eventData.end);
+        
+        this.container.innerHTML = `
+            <div class="container">
+                ${this.renderBackLink()}
+                <article class="event-detail__article">
+                    <div class="event-detail__hero">
+                        ${renderPicture({
+                            src: eventData.image,
+                            alt: eventData.imageAlt || eventData.title,
+                            responsive: eventData.imageResponsive
+                        }, { sizes: HERO_IMAGE_SIZES, lazy: false })}
+                        <span class="event-category ${escapeHTML(eventData.program)}">${escapeHTML(eventData.program)}</span>
+                    </div>
+                    <header class="event-detail__header">
+                        <span class="event-detail__status event-detail__status--${eventData.status}">${STATUS_LABELS[eventData.status]}</span>
+                        <h2 class="event-detail__title" tabindex="-1">${escapeHTML(eventData.title)}</h2>
+                        <div class="event-meta">
+                            <div class="meta-item">
+                                <i class="fas fa-calendar"></i>
+                                <span>${formatDateRange(eventData.start, eventData.end)}</span>
+                            </div>
+                            ${timeRange ? this.renderMetaItem('fa-clock', timeRange) : ''}
+                            ${eventData.recurrenceLabel ? this.renderMetaItem('fa-redo', eventData.recurrenceLabel) : ''}
+                            ${eventData.venue ? this.renderMetaItem('fa-map-marker-alt', eventData.venue) : ''}
+                            ${eventData.participants ? this.renderMetaItem('fa-users', eventData.participants) : ''}
+                        </div>
+                    </header>
+                    <div class="event-detail__body">
+                        <div class="event-detail__main">
+                            <section class="event-detail__section">
+                                <h3>About this event</h3>
+                                <p>${escapeHTML(eventData.description)}</p>
+                            </section>
+                            ${this.renderSchedule(eventData.schedule)}
+                            <section class="event-detail__section event-detail__athletics athletics-results" hidden></section>
+                            <section class="event-detail__section event-detail__competitions competition-results" hidden></section>
+                            <section class="event-detail__section event-detail__tournament tournament" aria-labelledby="tournament-title" hidden></section>
+                            ${this.renderRules(eventData.rules)}
+                            <section class="event-detail__section event-detail__volunteers volunteers" aria-labelledby="volunteers-title" hidden></section>
+                            ${this.renderPhotos(eventData.photos)}
+                        </div>
+                        <aside class="event-detail__sidebar">
+                            ${isPast ? this.renderResults(eventData) : this.renderCallToAction(eventData)}
+                            ${this.renderContacts(eventData.contacts)}
+                        </aside>
+                    </div>
+                </article>
+            </div>
+        `;
+    }
+    
+    renderNotFound(eventId) {
+        this.eventData = null;
+        
+        this.container.innerHTML = `
+            <div class="container">
+                ${this.renderBackLink()}
+                <div class="event-detail__missing">
+                    <i class="fas fa-calendar-times"></i>
+                    <h2 class="event-detail__title" tabindex="-1">Event not found</h2>
+                    <p>We couldn't find an event called "${escapeHTML(eventId)}". It may have been renamed or removed.</p>
+                </div>
+            </div>
+        `;
+    }
+    
+    renderBackLink() {
+        return `
+            <a class="event-detail__back" href="${EVENT_PAGE}">
+                <i class="fas fa-arrow-left"></i> All events
+            </a>`;
+    }
+    
+    renderMetaItem(icon, text) {
+        return `
+            <div class="meta-item">
+                <i class="fas ${icon}"></i>
+                <span>${escapeHTML(text)}</span>
+            </div>`;
+    }
+    
+    renderSchedule(schedule = []) {
+        if (schedule.length === 0) return '';
+        
+        // Multi-day events group their schedule by day
+        const days = schedule.reduce((groups, item) => {
+            const key = item.date || '';
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+            return groups;
+        }, new Map());
+        
+        const renderItems = (items) => `
+            <ol class="event-schedule">
+                ${items.map(item => `
+                    <li class="event-schedule__item">
+                        <span class="event-schedule__time">${item.time ? formatTime(item.time) : ''}</span>
+                        <span class="event-schedule__title">${escapeHTML(item.title)}</span>
+                    </li>
+                `).join('')}
+            </ol>`;
+        
+        return `
+            <section class="event-detail__section">
+                <h3>Schedule</h3>
+                ${Array.from(days.entries()).map(([date, items]) => `
+                    ${date ? `<h4 class="event-schedule__day">${formatDateRange(date)}</h4>` : ''}
+                    ${renderItems(items)}
+                `).join('')}
+            </section>`;
+    }
+    
+    renderRules(rules = []) {
+        if (rules.length === 0) return '';
+        
+        return `
+            <section class="event-detail__section">
+                <h3>Rules &amp; eligibility</h3>
+                <ul class="event-detail__rules">
+                    ${rules.map(rule => `<li>${escapeHTML(rule)}</li>`).join('')}
+                </ul>
+            </section>`;
+    }
+    
+    renderPhotos(photos = []) {
+        if (photos.length === 0) return '';
+        
+        return `
+            <section class="event-detail__section">
+                <h3>Photos</h3>
+                <div class="event-detail__photos">
+                    ${photos.map(photo => (photo.type === 'video'
+                        ? this.renderVideo(photo)
+                        : renderPicture(photo, { sizes: PHOTO_SIZES }))).join('')}
+                </div>
+            </section>`;
+    }
+    
+    // Gallery videos play in place; preload="none" keeps them from downloading until played
+    renderVideo(video) {
+        return `
+            <video controls playsinline preload="none"${video.poster ? ` poster="${escapeHTML(video.poster)}"` : ''}
+                aria-label="${escapeHTML(video.alt || video.title || 'Event video')}">
+                ${video.sources.map(source => `<source src="${escapeHTML(source.src)}" type="${escapeHTML(source.type)}">`).join('')}
+                ${video.tracks.map(track => `
+                    <track kind="${track.kind}" src="${escapeHTML(track.src)}" srclang="${escapeHTML(track.srclang)}"
+                        label="${escapeHTML(track.label)}"${track.default ? ' default' : ''}>`).join('')}
+            </video>`;
+    }
+    
+    renderCallToAction(eventData) {
+        return `
+            <div class="event-detail__card event-detail__cta">
+                <h3>Take part</h3>
+                <p>Register a participant for ${escapeHTML(eventData.title)}. You'll get a reference number to bring on the day.</p>
+                <button type="button" class="btn btn--primary btn--full event-detail__register">
+                    ${escapeHTML(eventData.registerLabel || 'Register Now')}
+                </button>
+                <button type="button" class="btn btn--outline btn--full event-detail__calendar">
+                    <i class="fas fa-calendar-plus"></i> Add to Calendar
+                </button>
+                ${(eventData.volunteers || []).length > 0 ? `
+                    <button type="button" class="btn btn--ghost btn--full event-detail__volunteer">
+                        <i class="fas fa-hands-helping"></i> Volunteer
+                    </button>` : ''}
+            </div>`;
+    }
+    
+    renderResults(eventData) {
+        const stats = eventData.stats || [];
+        
+        return `
+            <div class="event-detail__card">
+                <h3>This event has ended</h3>
+                ${stats.length === 0 ? '<p>Thank you to everyone who took part.</p>' : `
+                    <div class="event-stats">
+                        ${stats.map(stat => `
+                            <div class="stat">
+                                <div class="stat-number">${Number(stat.value) || 0}</div>
+                                <div class="stat-label">${escapeHTML(stat.label)}</div>
+                            </div>
+                        `).join('')}
+                    </div>`}
+            </div>`;
+    }
+    
+    renderContacts(contacts = []) {
+        if (contacts.length === 0) return '';
+        
+        return `
+            <div class="event-detail__card">
+                <h3>Contacts</h3>
+                <ul class="event-detail__contacts">
+                    ${contacts.map(contact => `
+                        <li>
+                            <strong>${escapeHTML(contact.name)}</strong>
+                            <span>${escapeHTML(contact.role || '')}</span>
+                            ${contact.phone ? `<a href="tel:${escapeHTML(contact.phone.replace(/[^\d+]/g, ''))}"><i class="fas fa-phone"></i> ${escapeHTML(contact.phone)}</a>` : ''}
+                            ${contact.email ? `<a href="mailto:${escapeHTML(contact.email)}"><i class="fas fa-envelope"></i> ${escapeHTML(contact.email)}</a>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>`;
+    }
+    
+    scrollToVolunteers() {
+        const section = $('.event-detail__volunteers', this.container);
+        if (!section || section.hidden) return;
+        
+        smoothScrollTo(section);
+        $('#volunteers-title', section).focus({ preventScroll: true });
+    }
+    
+    show() {
+        this.container.hidden = false;
+    }
+    
+    hide() {
+        this.container.hidden = true;
+        this.eventData = null;
+    }
+    
+    focus() {
+        const title = $('.event-detail__title', this.container);
+        if (title) {
+            title.focus();
+        }
+    }
+}
+
+export default EventDetail;
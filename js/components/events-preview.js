@@ -0,0 +1,77 @@
+// ===== HOMEPAGE EVENTS PREVIEW =====
+// The next few upcoming or ongoing events from data/events.json, each with a live
+// countdown, linking through to their detail views on events.html.
+import { $, $$, escapeHTML, fetchJson, getEventPath } from './utils/helpers.js';
+import { DATA_SOURCES, EVENT_STATUS } from './utils/constants.js';
+import { MONTH_NAMES, parseDateParts, getEventStatus, compareByStart, formatDateRange } from './utils/event-dates.js';
+import { expandEvents } from './utils/recurrence.js';
+import Countdown from './countdown.js';
+
+class EventsPreview {
+    constructor(container = $('.events-preview'), { limit = 3 } = {}) {
+        this.container = container;
+        this.grid = container ? $('.events-preview__grid', container) : null;
+        this.limit = limit;
+        this.events = [];
+        // Events that finish drop off the preview and the next one moves up
+        this.countdown = new Countdown({ onStatusChange: () => this.render() });
+        
+        if (this.grid) {
+            this.loadEvents();
+        }
+    }
+    
+    async loadEvents() {
+        try {
+            const data = await fetchJson(DATA_SOURCES.EVENTS);
+            this.events = expandEvents(data.events || []);
+            this.render();
+        } catch (error) {
+            console.error('Failed to load events preview:', error);
+            this.renderMessage('Events could not be loaded right now.');
+        }
+    }
+    
+    render() {
+        const upcoming = this.events
+            .filter(eventData => getEventStatus(eventData) !== EVENT_STATUS.PAST)
+            .sort(compareByStart)
+            .slice(0, this.limit);
+        
+        if (upcoming.length === 0) {
+            this.renderMessage('No upcoming events are scheduled right now. Check back soon for the next season.');
+            return;
+        }
+        
+        this.grid.innerHTML = upcoming.map(eventData => this.renderEvent(eventData)).join('');
+        $$('.event-countdown', this.grid).forEach((countdown, index) => this.countdown.add(countdown, upcoming[index]));
+    }
+    
+    renderEvent(eventData) {
+        const { month, day } = parseDateParts(eventData.start);
+        
+        return `
+            <article class="events-preview__card" data-event-id="${escapeHTML(eventData.id)}">
+                <div class="events-preview__date">
+                    <span class="date-day">${String(day).padStart(2, '0')}</span>
+                    <span class="date-month">${MONTH_NAMES[month - 1].slice(0, 3).toUpperCase()}</span>
+                </div>
+                <div class="events-preview__body">
+                    <h3 class="events-preview__title">
+                        <a href="${getEventPath(eventData.id)}">${escapeHTML(eventData.title)}</a>
+                    </h3>
+                    <p class="events-preview__meta">
+                        <i class="fas fa-calendar"></i> ${formatDateRange(eventData.start, eventData.end)}
+                        ${eventData.venue ? `<br><i class="fas fa-map-marker-alt"></i> ${escapeHTML(eventData.venue)}` : ''}
+                    </p>
+                    <div class="event-countdown"></div>
+                </div>
+            </article>`;
+    }
+    
+    renderMessage(message) {
+        this.grid.innerHTML = `<p class="events-preview__message">${escapeHTML(message)}</p>`;
+    }
+}
+
+export default EventsPreview;
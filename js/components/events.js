@@ -1,29 +1,130 @@
 // ===== EVENTS COMPONENT =====
-import { $, $$, debounce, showNotification, isMobile } from './utils/helpers.js';
+import {
+    $,
+    $$,
+    debounce,
+    showNotification,
+    isMobile,
+    escapeHTML,
+    getUrlParams,
+    setUrlParam,
+    removeUrlParam,
+    setUrlParams,
+    downloadFile,
+    fetchJson,
+    getEventPath
+} from './utils/helpers.js';
+import { DATA_SOURCES, EVENT_STATUS, EVENT_DETAIL_PARAM, FEEDS } from './utils/constants.js';
+import {
+    MONTH_NAMES,
+    pad,
+    parseDateParts,
+    getDateKey,
+    getDateKeysInRange,
+    getTodayKey,
+    getMsUntilMidnight,
+    getEventStatus,
+    compareByStart,
+    compareByStartDesc,
+    formatDateRange
+} from './utils/event-dates.js';
+import { buildCalendar, getCalendarFilename } from './utils/ical.js';
+import { getResultsByEvent } from './utils/competitions.js';
+import { normalizeManifest, getEventPhotos } from './utils/gallery-manifest.js';
+import { getResponsiveImage, loadImageManifest, renderPicture } from './utils/responsive-images.js';
+import { expandEvents, findSeriesOccurrence } from './utils/recurrence.js';
+import Registration from './registration.js';
+import EventDetail from './event-detail.js';
+import Tournament from './tournament.js';
+import AthleticsResults from './athletics-results.js';
+import CompetitionResults from './competition-results.js';
+import VolunteerShifts from './volunteer-shifts.js';
+import Countdown from './countdown.js';
+import Gallery from './gallery.js';
+
+const DEFAULT_FILTERS = {
+    status: 'all',
+    program: 'all',
+    venue: '',
+    school: '',
+    month: '',
+    query: ''
+};
+
+// Query string parameter used for each filter facet
+const FILTER_PARAMS = {
+    status: 'status',
+    program: 'program',
+    venue: 'venue',
+    school: 'school',
+    month: 'month',
+    query: 'q'
+};
+
+// How wide card images show (up to three cards across the 1200px container), and photo thumbnails
+const EVENT_CARD_IMAGE_SIZES = '(min-width: 1200px) 370px, (min-width: 769px) 50vw, 100vw';
+const EVENT_THUMB_SIZES = '72px';
 
 class Events {
     constructor() {
         this.filterButtons = $$('.filter-btn');
-        this.eventCards = $$('.event-card');
-        this.calendarDays = $$('.event-day');
+        this.upcomingGrid = $('.upcoming-events .events-grid');
+        this.pastGrid = $('.past-events-grid');
+        this.calendarDaysGrid = $('.calendar-days');
+        this.calendarTitle = $('.calendar-title');
+        this.calendarPrev = $('.calendar-nav--prev');
+        this.calendarNext = $('.calendar-nav--next');
+        this.calendarDayEvents = $('.calendar-day-events');
         this.loadMoreBtn = $('.load-more-btn');
         this.filterToggle = $('#events-filter-toggle');
         this.filterMenu = $('#events-filter');
+        this.facetSelects = $$('.events-facet__select');
+        this.searchInput = $('.events-search');
+        this.clearFiltersBtn = $('.events-facets__clear');
+        this.subscribeLink = $('.calendar-subscribe__link');
+        this.copyFeedBtn = $('.calendar-subscribe__copy');
+        this.listingSections = $$('[data-events-listing]');
+        this.registration = new Registration();
+        this.eventDetail = new EventDetail($('#event-detail'), {
+            onRegister: (eventData) => this.registerForEvent(eventData),
+            onAddToCalendar: (eventData) => this.downloadEventCalendar(eventData),
+            onBack: () => this.closeEventDetail()
+        });
+        this.tournament = new Tournament();
+        this.athleticsResults = new AthleticsResults();
+        this.competitionResults = new CompetitionResults();
+        this.volunteerShifts = new VolunteerShifts();
+        // Only its lightbox is used here, for past events' photos
+        this.gallery = new Gallery();
+        // Moves cards between upcoming, ongoing and past the minute an event starts or ends
+        this.countdown = new Countdown({ onStatusChange: () => this.refreshStatuses() });
+        this.pageTitle = document.title;
         
-        this.currentFilter = 'all';
+        this.filters = this.readFiltersFromUrl();
         this.visibleEvents = 6; // Initial number of events to show
         this.allEvents = [];
+        this.eventsById = new Map();
+        this.eventResults = new Map();
+        this.calendarIndex = new Map();
+        this.calendarMonth = null;
+        this.todayKey = getTodayKey();
+        this.statusTimer = null;
         this.isMobileMenuOpen = false;
         
         this.init();
     }
     
     init() {
+        // Hide the listing straight away when a detail link is opened, so it doesn't flash while loading
+        if (this.getDetailEventId()) {
+            this.toggleListing(false);
+        }
+        
         this.bindEvents();
-        this.initFiltering();
         this.initCalendarInteractions();
-        this.initEventCounters();
+        this.initCalendarSubscription();
         this.initResponsive();
+        this.loadEvents();
     }
     
     bindEvents() {
@@ -37,20 +138,32 @@ class Events {
             button.addEventListener('click', (e) => this.handleFilterClick(e));
         });
         
-        // Close mobile menu when clicking outside
-        document.addEventListener('click', (e) => this.handleOutsideClick(e));
-        
-        // Calendar day clicks
-        this.calendarDays.forEach(day => {
-            day.addEventListener('click', () => this.handleCalendarDayClick(day));
+        // Venue, school and month facets
+        this.facetSelects.forEach(select => {
+            select.addEventListener('change', (e) => this.handleFacetChange(e));
         });
         
-        // Register buttons
-        const registerButtons = $$('.event-actions .btn--primary');
-        registerButtons.forEach(button => {
-            button.addEventListener('click', (e) => this.handleRegisterClick(e));
+        // Search box
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', debounce(() => {
+                this.searchEvents(this.searchInput.value);
+            }, 300));
+        }
+        
+        if (this.clearFiltersBtn) {
+            this.clearFiltersBtn.addEventListener('click', () => this.clearFilters());
+        }
+        
+        // Restore filters when navigating back/forward through filtered views
+        window.addEventListener('popstate', () => {
+            this.filters = this.readFiltersFromUrl();
+            this.applyFilters({ updateUrl: false });
+            this.routeFromUrl();
         });
         
+        // Close mobile menu when clicking outside
+        document.addEventListener('click', (e) => this.handleOutsideClick(e));
+        
         // Load more button
         if (this.loadMoreBtn) {
             this.loadMoreBtn.addEventListener('click', () => this.loadMoreEvents());
@@ -59,35 +172,320 @@ class Events {
         // Handle window resize
         window.addEventListener('resize', debounce(() => this.handleResize(), 250));
         
-        // Initialize event counters animation
-        this.initCounterAnimations();
+        // Background tabs throttle timers, so re-check the date when the page is shown again
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && getTodayKey() !== this.todayKey) {
+                this.refreshStatuses();
+            }
+        });
+    }
+    
+    async loadEvents() {
+        try {
+            const [data, eventResults, eventPhotos, imageManifest] = await Promise.all([
+                fetchJson(DATA_SOURCES.EVENTS),
+                this.loadCompetitionResults(),
+                this.loadEventPhotos(),
+                loadImageManifest()
+            ]);
+            this.eventResults = eventResults;
+            // An event's gallery album takes the place of any `photos` listed with the event
+            const events = (data.events || []).map(eventData => ({
+                ...eventData,
+                imageResponsive: getResponsiveImage(imageManifest, eventData.image),
+                photos: eventPhotos.get(eventData.id) || eventData.photos
+            }));
+            // Recurring events become one card per occurrence
+            this.renderEvents(expandEvents(events));
+        } catch (error) {
+            console.error('Failed to load events:', error);
+            this.showEventsError();
+        }
+    }
+    
+    // Academic competition results are optional: without them the events still show
+    async loadCompetitionResults() {
+        try {
+            const data = await fetchJson(DATA_SOURCES.COMPETITIONS);
+            return getResultsByEvent(data.competitions || []);
+        } catch (error) {
+            console.error('Failed to load competition results:', error);
+            return new Map();
+        }
+    }
+    
+    // Gallery photos by event id, with their resized variants; also optional
+    async loadEventPhotos() {
+        try {
+            const [data, imageManifest] = await Promise.all([fetchJson(DATA_SOURCES.GALLERY), loadImageManifest()]);
+            return getEventPhotos(normalizeManifest(data, imageManifest));
+        } catch (error) {
+            console.error('Failed to load event photos:', error);
+            return new Map();
+        }
+    }
+    
+    renderEvents(events) {
+        events.forEach(eventData => this.appendEvent(eventData));
+        this.classifyEvents();
+        this.populateFacetOptions();
+        
+        // Apply the filters from the URL (all events by default)
+        this.applyFilters({ updateUrl: false });
+        this.refreshCalendar();
+        this.initEventCounters();
+        this.scheduleStatusRefresh();
+        this.routeFromUrl();
+    }
+    
+    classifyEvents(now = new Date()) {
+        // Derive each event's status from its dates and rebuild cards whose status changed
+        this.allEvents = this.allEvents.map(card => {
+            const eventData = this.getEventData(card);
+            const status = getEventStatus(eventData, now);
+            if (card.getAttribute('data-status') === status) return card;
+            
+            eventData.status = status;
+            const updatedCard = this.createEventCard(eventData);
+            this.bindEventCardEvents(updatedCard);
+            card.replaceWith(updatedCard);
+            return updatedCard;
+        });
+        
+        // Upcoming and ongoing events soonest first, past events most recent first
+        const byStart = (compare) => (a, b) => compare(this.getEventData(a), this.getEventData(b));
+        const upcoming = this.allEvents
+            .filter(card => card.getAttribute('data-status') !== EVENT_STATUS.PAST)
+            .sort(byStart(compareByStart));
+        const past = this.allEvents
+            .filter(card => card.getAttribute('data-status') === EVENT_STATUS.PAST)
+            .sort(byStart(compareByStartDesc));
+        
+        if (this.upcomingGrid) {
+            upcoming.forEach(card => this.upcomingGrid.appendChild(card));
+        }
+        
+        if (this.pastGrid) {
+            past.forEach(card => this.pastGrid.appendChild(card));
+        }
+        
+        this.allEvents = [...upcoming, ...past];
+        this.toggleUpcomingPlaceholder(upcoming.length === 0);
+    }
+    
+    toggleUpcomingPlaceholder(show) {
+        if (!this.upcomingGrid) return;
+        
+        let placeholder = $('.events-placeholder', this.upcomingGrid);
+        
+        if (show && !placeholder) {
+            placeholder = document.createElement('p');
+            placeholder.className = 'events-placeholder';
+            placeholder.textContent = 'No upcoming events are scheduled right now. Check back soon for the next season.';
+            this.upcomingGrid.appendChild(placeholder);
+        } else if (!show && placeholder) {
+            placeholder.remove();
+        }
+    }
+    
+    scheduleStatusRefresh() {
+        // Re-run the classification just after midnight in Monrovia
+        clearTimeout(this.statusTimer);
+        this.statusTimer = setTimeout(() => this.refreshStatuses(), getMsUntilMidnight() + 1000);
+    }
+    
+    refreshStatuses() {
+        this.todayKey = getTodayKey();
+        this.classifyEvents();
+        this.filterEvents();
+        this.updateLoadMoreButton();
+        this.renderCalendar();
+        this.initEventCounters();
+        this.scheduleStatusRefresh();
+        
+        // Keep an open detail view's status badge and actions current
+        if (this.getDetailEventId()) {
+            this.routeFromUrl({ focus: false });
+        }
     }
     
-    initFiltering() {
-        // Collect all events
-        this.allEvents = Array.from(this.eventCards);
+    showEventsError() {
+        // Without event data there's no detail to show, so fall back to the listing and its error message
+        this.eventDetail.hide();
+        this.toggleListing(true);
         
-        // Show all events initially
-        this.filterEvents('all');
+        const eventsSection = $('.upcoming-events .container');
+        if (!eventsSection || $('.events-error')) return;
+        
+        const message = document.createElement('div');
+        message.className = 'events-empty events-error';
+        message.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            <h3>Events Unavailable</h3>
+            <p>We couldn't load the events calendar right now. Please refresh the page or try again later.</p>
+        `;
+        eventsSection.appendChild(message);
     }
     
     initCalendarInteractions() {
-        // Add tooltips to calendar event days
-        this.calendarDays.forEach(day => {
-            const eventType = day.getAttribute('data-event');
-            if (eventType) {
-                this.addCalendarTooltip(day, eventType);
+        if (!this.calendarDaysGrid) return;
+        
+        // Start on the current month
+        const today = parseDateParts(getTodayKey());
+        this.calendarMonth = { year: today.year, month: today.month };
+        
+        // Month navigation
+        if (this.calendarPrev) {
+            this.calendarPrev.addEventListener('click', () => this.changeCalendarMonth(-1));
+        }
+        
+        if (this.calendarNext) {
+            this.calendarNext.addEventListener('click', () => this.changeCalendarMonth(1));
+        }
+        
+        // Day clicks (delegated, the grid is re-rendered on every month change)
+        this.calendarDaysGrid.addEventListener('click', (e) => {
+            const day = e.target.closest('.event-day');
+            if (day) {
+                this.handleCalendarDayClick(day);
+            }
+        });
+        
+        this.calendarDaysGrid.addEventListener('keydown', (e) => {
+            const day = e.target.closest('.event-day');
+            if (day && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                this.handleCalendarDayClick(day);
             }
         });
+        
+        // Selected day panel
+        if (this.calendarDayEvents) {
+            this.calendarDayEvents.addEventListener('click', (e) => {
+                if (e.target.closest('.calendar-day-events__close')) {
+                    this.hideCalendarDayEvents();
+                    return;
+                }
+                
+                const viewButton = e.target.closest('[data-event-id]');
+                if (viewButton) {
+                    this.focusEventCard(viewButton.getAttribute('data-event-id'));
+                }
+            });
+        }
+        
+        this.renderCalendar();
     }
     
-    initEventCounters() {
-        // Initialize statistics counters
-        const stats = $$('.stat-number');
-        stats.forEach(stat => {
-            const target = parseInt(stat.textContent);
-            this.animateCounter(stat, target, 15000);
+    refreshCalendar() {
+        // Index events by every day they cover so multi-day events span the grid
+        this.calendarIndex = new Map();
+        
+        this.eventsById.forEach(eventData => {
+            getDateKeysInRange(eventData.start, eventData.end || eventData.start).forEach(dateKey => {
+                if (!this.calendarIndex.has(dateKey)) {
+                    this.calendarIndex.set(dateKey, []);
+                }
+                this.calendarIndex.get(dateKey).push(eventData);
+            });
         });
+        
+        this.renderCalendar();
+    }
+    
+    changeCalendarMonth(offset) {
+        const monthIndex = this.calendarMonth.year * 12 + (this.calendarMonth.month - 1) + offset;
+        this.calendarMonth = {
+            year: Math.floor(monthIndex / 12),
+            month: (monthIndex % 12) + 1
+        };
+        
+        this.hideCalendarDayEvents();
+        this.renderCalendar();
+    }
+    
+    renderCalendar() {
+        if (!this.calendarDaysGrid || !this.calendarMonth) return;
+        
+        const { year, month } = this.calendarMonth;
+        const firstWeekday = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const todayKey = getTodayKey();
+        
+        if (this.calendarTitle) {
+            this.calendarTitle.textContent = `${MONTH_NAMES[month - 1]} ${year}`;
+        }
+        
+        const cells = [];
+        for (let i = 0; i < firstWeekday; i++) {
+            cells.push('<div class="day empty"></div>');
+        }
+        
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateKey = `${year}-${pad(month)}-${pad(day)}`;
+            cells.push(this.createCalendarDay(dateKey, day, todayKey));
+        }
+        
+        this.calendarDaysGrid.innerHTML = cells.join('');
+    }
+    
+    createCalendarDay(dateKey, day, todayKey) {
+        const dayEvents = this.calendarIndex.get(dateKey) || [];
+        const classes = ['day'];
+        const isToday = dateKey === todayKey;
+        
+        if (isToday) {
+            classes.push('today');
+        }
+        
+        if (dayEvents.length === 0) {
+            return `<div class="${classes.join(' ')}" data-date="${dateKey}"${isToday ? ' aria-current="date"' : ''}>${day}</div>`;
+        }
+        
+        classes.push('event-day');
+        
+        // Connect the cells of a multi-day event
+        const multiDayEvent = dayEvents.find(eventData => 
+            eventData.end && getDateKey(eventData.end) !== getDateKey(eventData.start)
+        );
+        if (multiDayEvent) {
+            if (dateKey === getDateKey(multiDayEvent.start)) {
+                classes.push('event-span--start');
+            } else if (dateKey === getDateKey(multiDayEvent.end)) {
+                classes.push('event-span--end');
+            } else {
+                classes.push('event-span--middle');
+            }
+        }
+        
+        const titles = dayEvents.map(eventData => eventData.title).join(', ');
+        const programs = [...new Set(dayEvents.map(eventData => eventData.program))];
+        
+        return `
+            <div class="${classes.join(' ')}" data-date="${dateKey}" role="button" tabindex="0"
+                 title="${escapeHTML(titles)}" aria-label="${escapeHTML(`${formatDateRange(dateKey)}: ${titles}`)}"${isToday ? ' aria-current="date"' : ''}>
+                <span>${day}</span>
+                <div class="event-indicators">
+                    ${programs.map(program => `<div class="event-indicator ${escapeHTML(program)}"></div>`).join('')}
+                </div>
+            </div>
+        `;
+    }
+    
+    initEventCounters() {
+        // Animate statistics counters on past event cards as they scroll into view
+        const counters = $$('.stat-number[data-target]');
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    const target = parseInt(entry.target.getAttribute('data-target'));
+                    this.animateCounter(entry.target, target, 15000);
+                    observer.unobserve(entry.target);
+                }
+            });
+        }, { threshold: 0.6 });
+        
+        counters.forEach(counter => observer.observe(counter));
     }
     
     toggleFilterMenu() {
@@ -140,38 +538,158 @@ class Events {
     
     handleFilterClick(e) {
         const button = e.currentTarget;
-        const filter = button.getAttribute('data-filter');
+        const facet = button.getAttribute('data-facet');
+        const value = button.getAttribute('data-value');
         
-        // Update active filter button
-        this.filterButtons.forEach(btn => btn.classList.remove('active'));
-        button.classList.add('active');
+        if (facet === 'status') {
+            this.filters.status = value;
+        } else {
+            // Program buttons toggle so they can be combined with a status
+            this.filters[facet] = this.filters[facet] === value ? 'all' : value;
+        }
         
-        // Update filter title display
-        this.updateFilterTitleDisplay(button);
+        this.applyFilters();
         
-        // Apply filter
-        this.currentFilter = filter;
-        this.filterEvents(filter);
+        // Close mobile menu after selection
+        this.closeFilterMenu();
         
+        // Scroll to events section
+        this.scrollToEvents();
+    }
+    
+    handleFacetChange(e) {
+        const select = e.currentTarget;
+        this.filters[select.getAttribute('data-facet')] = select.value;
+        this.applyFilters();
+    }
+    
+    clearFilters() {
+        this.filters = { ...DEFAULT_FILTERS };
+        this.applyFilters();
+    }
+    
+    applyFilters({ updateUrl = true, replaceUrl = false } = {}) {
         // Reset visible events count when filtering
         this.visibleEvents = 6;
+        
+        this.filterEvents();
         this.updateLoadMoreButton();
+        this.updateFilterControls();
+        this.updateFilterTitleDisplay();
         
-        // Close mobile menu after selection
-        this.closeFilterMenu();
+        if (updateUrl) {
+            this.syncFiltersToUrl(replaceUrl);
+        }
+    }
+    
+    readFiltersFromUrl() {
+        const params = getUrlParams();
+        const filters = { ...DEFAULT_FILTERS };
         
-        // Scroll to events section
-        this.scrollToEvents();
+        Object.keys(FILTER_PARAMS).forEach(key => {
+            const value = params[FILTER_PARAMS[key]];
+            if (value) {
+                filters[key] = value;
+            }
+        });
+        
+        return filters;
     }
     
-    updateFilterTitleDisplay(filterButton) {
-        const titleElement = document.getElementById('active-filter-title');
-        if (titleElement) {
-            const filterTitle = filterButton.textContent.trim();
-            titleElement.textContent = filterTitle;
+    syncFiltersToUrl(replace = false) {
+        const params = {};
+        
+        Object.keys(FILTER_PARAMS).forEach(key => {
+            const value = this.filters[key];
+            params[FILTER_PARAMS[key]] = value === DEFAULT_FILTERS[key] ? null : value;
+        });
+        
+        setUrlParams(params, replace);
+    }
+    
+    populateFacetOptions() {
+        const events = Array.from(this.eventsById.values());
+        const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+        
+        const options = {
+            venue: unique(events.map(eventData => eventData.venue)).map(venue => [venue, venue]),
+            school: unique(events.flatMap(eventData => eventData.schools || [])).map(school => [school, school]),
+            month: unique(events.flatMap(eventData => this.getEventMonths(eventData))).map(month => {
+                const { year, month: monthNumber } = parseDateParts(`${month}-01`);
+                return [month, `${MONTH_NAMES[monthNumber - 1]} ${year}`];
+            })
+        };
+        
+        this.facetSelects.forEach(select => {
+            const facet = select.getAttribute('data-facet');
+            const facetOptions = options[facet] || [];
+            const defaultOption = select.options[0];
+            
+            select.innerHTML = '';
+            select.appendChild(defaultOption);
+            facetOptions.forEach(([value, label]) => {
+                select.appendChild(new Option(label, value));
+            });
+            
+            // Keep a value from a shared link selectable even if no event matches it any more
+            const current = this.filters[facet];
+            if (current && !facetOptions.some(([value]) => value === current)) {
+                select.appendChild(new Option(current, current));
+            }
+            
+            // Hide facets the event data doesn't provide
+            select.closest('.events-facet').hidden = select.options.length <= 1;
+        });
+    }
+    
+    getEventMonths(eventData) {
+        return [...new Set(
+            getDateKeysInRange(eventData.start, eventData.end || eventData.start).map(dateKey => dateKey.slice(0, 7))
+        )];
+    }
+    
+    updateFilterControls() {
+        this.filterButtons.forEach(button => {
+            const facet = button.getAttribute('data-facet');
+            button.classList.toggle('active', this.filters[facet] === button.getAttribute('data-value'));
+        });
+        
+        this.facetSelects.forEach(select => {
+            select.value = this.filters[select.getAttribute('data-facet')];
+        });
+        
+        if (this.searchInput && this.searchInput.value.trim() !== this.filters.query) {
+            this.searchInput.value = this.filters.query;
         }
     }
     
+    updateFilterTitleDisplay() {
+        const titleElement = document.getElementById('active-filter-title');
+        if (!titleElement) return;
+        
+        const buttonLabel = (facet) => {
+            const button = Array.from(this.filterButtons).find(btn => 
+                btn.getAttribute('data-facet') === facet && btn.getAttribute('data-value') === this.filters[facet]
+            );
+            return button ? button.textContent.trim() : this.filters[facet];
+        };
+        
+        const selectLabel = (facet) => {
+            const select = Array.from(this.facetSelects).find(el => el.getAttribute('data-facet') === facet);
+            return select && select.selectedIndex > 0 ? select.options[select.selectedIndex].text : this.filters[facet];
+        };
+        
+        const parts = [];
+        if (this.filters.status !== 'all') parts.push(buttonLabel('status'));
+        if (this.filters.program !== 'all') parts.push(buttonLabel('program'));
+        ['venue', 'school', 'month'].forEach(facet => {
+            if (this.filters[facet]) parts.push(selectLabel(facet));
+        });
+        if (this.filters.query) parts.push(`"${this.filters.query}"`);
+        
+        titleElement.textContent = parts.length > 0 ? parts.join(' · ') : 'All Events';
+    }
+    
     initResponsive() {
         // Hide filter toggle on desktop, show on mobile
         window.addEventListener('resize', debounce(() => {
@@ -181,24 +699,8 @@ class Events {
         }, 250));
     }
     
-    filterEvents(filter) {
-        let eventsToShow;
-        
-        if (filter === 'all') {
-            eventsToShow = this.allEvents;
-        } else if (filter === 'upcoming') {
-            eventsToShow = this.allEvents.filter(event => 
-                !event.classList.contains('past')
-            );
-        } else if (filter === 'past') {
-            eventsToShow = this.allEvents.filter(event => 
-                event.classList.contains('past')
-            );
-        } else {
-            eventsToShow = this.allEvents.filter(event => 
-                event.getAttribute('data-category') === filter
-            );
-        }
+    filterEvents(filters = this.filters) {
+        const eventsToShow = this.getFilteredEvents(filters);
         
         // Hide all events first
         this.allEvents.forEach(event => {
@@ -247,89 +749,228 @@ class Events {
     }
     
     handleCalendarDayClick(day) {
-        const eventType = day.getAttribute('data-event');
-        if (!eventType) return;
-        
-        // Filter events based on calendar click
-        this.filterButtons.forEach(btn => btn.classList.remove('active'));
-        
-        let filter;
-        switch (eventType) {
-            case 'athletics-competition':
-                filter = 'athletics';
-                break;
-            case 'soccer-tournament':
-                filter = 'soccer';
-                break;
-            default:
-                filter = 'all';
-        }
-        
-        // Find and activate the corresponding filter button
-        const correspondingButton = Array.from(this.filterButtons).find(btn => 
-            btn.getAttribute('data-filter') === filter
-        );
+        const dateKey = day.getAttribute('data-date');
+        const dayEvents = this.calendarIndex.get(dateKey) || [];
+        if (dayEvents.length === 0) return;
+        
+        // Mark the selected day
+        $$('.day.selected', this.calendarDaysGrid).forEach(cell => cell.classList.remove('selected'));
+        day.classList.add('selected');
+        
+        this.showCalendarDayEvents(dateKey, dayEvents);
+        this.trackEvent('calendar_day_click', dateKey);
+    }
+    
+    showCalendarDayEvents(dateKey, dayEvents) {
+        if (!this.calendarDayEvents) return;
         
-        if (correspondingButton) {
-            correspondingButton.classList.add('active');
-            this.currentFilter = filter;
-            this.filterEvents(filter);
-            this.scrollToEvents();
+        this.calendarDayEvents.innerHTML = `
+            <div class="calendar-day-events__header">
+                <h4>Events on ${formatDateRange(dateKey)}</h4>
+                <button class="calendar-day-events__close" type="button" aria-label="Close day events">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <ul class="calendar-day-events__list">
+                ${dayEvents.map(eventData => `
+                    <li class="calendar-day-events__item">
+                        <span class="event-indicator ${escapeHTML(eventData.program)}"></span>
+                        <div class="calendar-day-events__info">
+                            <strong>${escapeHTML(eventData.title)}</strong>
+                            <span>${formatDateRange(eventData.start, eventData.end)}${eventData.venue ? ` &middot; ${escapeHTML(eventData.venue)}` : ''}</span>
+                        </div>
+                        <button class="btn btn--outline btn--small" type="button" data-event-id="${escapeHTML(eventData.id)}">View Event</button>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+        
+        this.calendarDayEvents.hidden = false;
+    }
+    
+    hideCalendarDayEvents() {
+        if (this.calendarDayEvents) {
+            this.calendarDayEvents.hidden = true;
+            this.calendarDayEvents.innerHTML = '';
         }
         
-        // Show notification
-        showNotification(`Showing ${filter} events`, 'info', 3000);
+        if (this.calendarDaysGrid) {
+            $$('.day.selected', this.calendarDaysGrid).forEach(cell => cell.classList.remove('selected'));
+        }
     }
     
-    addCalendarTooltip(day, eventType) {
-        let tooltipText = '';
+    focusEventCard(eventId) {
+        const card = this.allEvents.find(event => event.getAttribute('data-event-id') === eventId);
+        if (!card) return;
+        
+        // Make sure the card is not hidden by the active filters or load-more limit
+        if (card.style.display === 'none') {
+            if (!this.getFilteredEvents().includes(card)) {
+                this.clearFilters();
+            }
+            
+            const position = this.getFilteredEvents().indexOf(card) + 1;
+            if (position > this.visibleEvents) {
+                this.visibleEvents = Math.ceil(position / 6) * 6;
+                this.filterEvents();
+                this.updateLoadMoreButton();
+            }
+        }
         
-        switch (eventType) {
-            case 'athletics-competition':
-                tooltipText = 'Annual Athletics Competition';
-                break;
-            case 'soccer-tournament':
-                tooltipText = 'Inter-School Soccer Tournament';
-                break;
-            default:
-                tooltipText = 'FODASU Event';
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('event-card--highlight');
+        setTimeout(() => card.classList.remove('event-card--highlight'), 2000);
+    }
+    
+    handleRegisterClick(e) {
+        e.preventDefault();
+        this.registerForEvent(this.getEventData(e.currentTarget.closest('.event-card')));
+    }
+    
+    registerForEvent(eventData) {
+        if (eventData.status === EVENT_STATUS.PAST) {
+            showNotification(`Registration for "${eventData.title}" has closed`, 'info', 4000);
+            return;
         }
         
-        day.setAttribute('title', tooltipText);
+        this.registration.open(eventData);
         
-        // Add hover effect
-        day.addEventListener('mouseenter', () => {
-            day.style.backgroundColor = 'var(--primary-color)';
-            day.style.color = 'var(--white)';
+        // Track registration attempt
+        this.trackEvent('event_registration', eventData.title);
+    }
+    
+    handleAddToCalendarClick(e) {
+        this.downloadEventCalendar(this.getEventData(e.currentTarget.closest('.event-card')));
+    }
+    
+    downloadEventCalendar(eventData) {
+        const calendar = buildCalendar([eventData], {
+            name: eventData.title,
+            getUrl: () => this.getEventUrl(eventData)
         });
         
-        day.addEventListener('mouseleave', () => {
-            day.style.backgroundColor = '';
-            day.style.color = '';
-        });
+        downloadFile(getCalendarFilename(eventData), calendar, 'text/calendar;charset=utf-8');
+        this.trackEvent('event_add_to_calendar', eventData.title);
     }
     
-    handleRegisterClick(e) {
+    handleDetailsClick(e) {
+        // Let ctrl/cmd/shift/middle clicks open the detail link in a new tab
+        if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+        
         e.preventDefault();
-        const button = e.currentTarget;
-        const eventCard = button.closest('.event-card');
-        const eventTitle = eventCard.querySelector('h3').textContent;
+        this.openEventDetail(e.currentTarget.closest('.event-card').getAttribute('data-event-id'));
+    }
+    
+    getDetailEventId() {
+        return getUrlParams()[EVENT_DETAIL_PARAM] || null;
+    }
+    
+    openEventDetail(eventId) {
+        setUrlParam(EVENT_DETAIL_PARAM, eventId);
+        this.routeFromUrl();
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+        this.trackEvent('event_details', eventId);
+    }
+    
+    closeEventDetail() {
+        const eventId = this.getDetailEventId();
+        removeUrlParam(EVENT_DETAIL_PARAM);
+        this.routeFromUrl();
         
-        // Show registration modal or redirect to contact page
-        showNotification(`Registration for "${eventTitle}" would open here`, 'info', 4000);
+        // Return to the card the visitor came from
+        if (eventId && this.eventsById.has(eventId)) {
+            this.focusEventCard(eventId);
+        }
+    }
+    
+    // Show the detail view for ?event=<id>, or the listing when there's no event in the URL
+    routeFromUrl({ focus = true } = {}) {
+        const eventId = this.getDetailEventId();
         
-        // In a real implementation, you might:
-        // 1. Open a registration modal
-        // 2. Redirect to a registration form
-        // 3. Show more details about the event
+        if (!eventId) {
+            this.eventDetail.hide();
+            this.toggleListing(true);
+            document.title = this.pageTitle;
+            return;
+        }
         
-        // Track registration attempt
-        this.trackEvent('event_registration', eventTitle);
+        // A link to a whole recurring series opens its next occurrence
+        const eventData = this.eventsById.get(eventId) || findSeriesOccurrence(
+            Array.from(this.eventsById.values()),
+            eventId,
+            (occurrence) => occurrence.status === EVENT_STATUS.PAST
+        );
+        
+        if (eventData) {
+            this.eventDetail.render(eventData);
+            this.tournament.mount($('.event-detail__tournament', this.eventDetail.container), eventData);
+            if (eventData.program === 'athletics' && eventData.status === EVENT_STATUS.PAST) {
+                this.athleticsResults.mount($('.event-detail__athletics', this.eventDetail.container), eventData);
+            }
+            if (eventData.program === 'academics') {
+                this.competitionResults.mount(
+                    $('.event-detail__competitions', this.eventDetail.container),
+                    eventData,
+                    this.eventResults.get(eventData.id)
+                );
+            }
+            if (eventData.status !== EVENT_STATUS.PAST) {
+                this.volunteerShifts.mount($('.event-detail__volunteers', this.eventDetail.container), eventData);
+            }
+            document.title = `${eventData.title} - FODASU Events`;
+        } else {
+            this.eventDetail.renderNotFound(eventId);
+            document.title = this.pageTitle;
+        }
+        
+        this.toggleListing(false);
+        this.eventDetail.show();
+        
+        if (focus) {
+            this.eventDetail.focus();
+        }
+    }
+    
+    toggleListing(show) {
+        this.listingSections.forEach(section => {
+            section.hidden = !show;
+        });
+    }
+    
+    getEventUrl(eventData) {
+        return new URL(getEventPath(eventData.id), window.location.href).href;
+    }
+    
+    getFeedUrl() {
+        return new URL(FEEDS.CALENDAR, window.location.href).href;
+    }
+    
+    initCalendarSubscription() {
+        if (!this.subscribeLink) return;
+        
+        // webcal:// opens the subscribe dialog in calendar apps instead of downloading a copy
+        const feedUrl = this.getFeedUrl();
+        if (/^https?:/.test(feedUrl)) {
+            this.subscribeLink.href = feedUrl.replace(/^https?:/, 'webcal:');
+        }
+        
+        if (this.copyFeedBtn) {
+            this.copyFeedBtn.addEventListener('click', () => this.copyFeedUrl());
+        }
+    }
+    
+    async copyFeedUrl() {
+        try {
+            await navigator.clipboard.writeText(this.getFeedUrl());
+            showNotification('Calendar feed URL copied. Paste it into your calendar app\'s "Add calendar from URL" option.', 'success');
+        } catch (error) {
+            showNotification(`Copy this URL into your calendar app: ${this.getFeedUrl()}`, 'info', 10000);
+        }
     }
     
     loadMoreEvents() {
         this.visibleEvents += 6;
-        this.filterEvents(this.currentFilter);
+        this.filterEvents();
         this.updateLoadMoreButton();
         
         // Smooth scroll to new events
@@ -349,19 +990,42 @@ class Events {
         }
     }
     
-    getFilteredEvents() {
-        switch (this.currentFilter) {
-            case 'all':
-                return this.allEvents;
-            case 'upcoming':
-                return this.allEvents.filter(event => !event.classList.contains('past'));
-            case 'past':
-                return this.allEvents.filter(event => event.classList.contains('past'));
-            default:
-                return this.allEvents.filter(event => 
-                    event.getAttribute('data-category') === this.currentFilter
-                );
+    getFilteredEvents(filters = this.filters) {
+        return this.allEvents.filter(event => this.matchesFilters(this.getEventData(event), filters));
+    }
+    
+    matchesFilters(eventData, filters) {
+        const { status, program, venue, school, month, query } = filters;
+        
+        // Facets combine with AND semantics
+        if (status === EVENT_STATUS.UPCOMING) {
+            // Events that are happening right now are still worth showing as upcoming
+            if (eventData.status === EVENT_STATUS.PAST) return false;
+        } else if (status !== 'all' && eventData.status !== status) {
+            return false;
         }
+        
+        if (program !== 'all' && eventData.program !== program) return false;
+        if (venue && eventData.venue !== venue) return false;
+        if (school && !(eventData.schools || []).includes(school)) return false;
+        if (month && !this.getEventMonths(eventData).includes(month)) return false;
+        if (query && !this.matchesQuery(eventData, query)) return false;
+        
+        return true;
+    }
+    
+    matchesQuery(eventData, query) {
+        const searchTerm = query.toLowerCase();
+        const fields = [
+            eventData.title,
+            eventData.description,
+            eventData.venue,
+            eventData.program,
+            eventData.status,
+            ...(eventData.schools || [])
+        ];
+        
+        return fields.some(field => field && field.toLowerCase().includes(searchTerm));
     }
     
     scrollToNewEvents() {
@@ -379,23 +1043,10 @@ class Events {
         }
     }
     
-    initCounterAnimations() {
-        const counters = $$('.stat-number');
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    const target = parseInt(entry.target.textContent);
-                    this.animateCounter(entry.target, target, 15000);
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, { threshold: 0.6 });
-        
-        counters.forEach(counter => observer.observe(counter));
-    }
-    
     animateCounter(element, target, duration = 15000) {
         const start = parseInt(element.textContent) || 0;
+        if (start === target) return;
+        
         const increment = target > start ? 1 : -1;
         const steps = Math.abs(target - start);
         const stepDuration = duration / steps;
@@ -442,54 +1093,186 @@ class Events {
     
     // Method to add new events dynamically
     addEvent(eventData) {
+        expandEvents([eventData]).forEach(occurrence => this.appendEvent(occurrence));
+        this.classifyEvents();
+        
+        // Re-apply current filters
+        this.populateFacetOptions();
+        this.filterEvents();
+        this.updateLoadMoreButton();
+        this.refreshCalendar();
+    }
+    
+    appendEvent(eventData) {
+        eventData.status = getEventStatus(eventData);
+        const eventCard = this.createEventCard(eventData);
+        const eventsGrid = eventData.status === EVENT_STATUS.PAST ? this.pastGrid : this.upcomingGrid;
+        
+        // Add to DOM and arrays
+        if (eventsGrid) {
+            eventsGrid.appendChild(eventCard);
+            this.allEvents.push(eventCard);
+            this.eventsById.set(eventData.id, eventData);
+            this.bindEventCardEvents(eventCard);
+        }
+        
+        return eventCard;
+    }
+    
+    createEventCard(eventData) {
+        const { year, month, day } = parseDateParts(eventData.start);
+        const category = eventData.program;
+        const isPast = eventData.status === EVENT_STATUS.PAST;
+        const statusClass = eventData.status === EVENT_STATUS.UPCOMING ? '' : eventData.status;
+        
         const eventCard = document.createElement('div');
-        eventCard.className = `event-card ${eventData.past ? 'past' : ''}`;
-        eventCard.setAttribute('data-category', eventData.category);
+        eventCard.className = `event-card ${statusClass}`.trim();
+        eventCard.setAttribute('data-category', `${eventData.status} ${category}`);
+        eventCard.setAttribute('data-status', eventData.status);
+        eventCard.setAttribute('data-event-id', eventData.id);
+        
+        const venue = eventData.venue ? `
+                    <div class="meta-item">
+                        <i class="fas fa-map-marker-alt"></i>
+                        <span>${escapeHTML(eventData.venue)}</span>
+                    </div>` : '';
+        
+        const recurrence = eventData.recurrenceLabel ? `
+                    <div class="meta-item">
+                        <i class="fas fa-redo"></i>
+                        <span>${escapeHTML(eventData.recurrenceLabel)}</span>
+                    </div>` : '';
+        
+        const participants = eventData.participants ? `
+                    <div class="meta-item">
+                        <i class="fas fa-users"></i>
+                        <span>${escapeHTML(eventData.participants)}</span>
+                    </div>` : '';
+        
+        const stats = eventData.stats || [];
+        const photos = isPast ? this.renderCardPhotos(eventData) : '';
+        const results = isPast ? this.renderCardResults(eventData) : '';
+        const footer = isPast ? (stats.length === 0 ? '' : `
+                <div class="event-stats">
+                    ${stats.map(stat => `
+                        <div class="stat">
+                            <div class="stat-number" data-target="${Number(stat.value) || 0}">0</div>
+                            <div class="stat-label">${escapeHTML(stat.label)}</div>
+                        </div>
+                    `).join('')}
+                </div>`) : `
+                <div class="event-actions">
+                    <a href="#" class="btn btn--primary">${escapeHTML(eventData.registerLabel || 'Register Now')}</a>
+                    <a href="${getEventPath(eventData.id)}" class="btn btn--outline event-detail-link">${escapeHTML(eventData.detailsLabel || 'Learn More')}</a>
+                    <button type="button" class="btn btn--ghost event-add-calendar">
+                        <i class="fas fa-calendar-plus"></i> Add to Calendar
+                    </button>
+                </div>`;
         
         eventCard.innerHTML = `
-            <div class="event-date ${eventData.past ? 'past' : ''}">
-                <div class="date-day">${eventData.day}</div>
-                <div class="date-month">${eventData.month}</div>
-                <div class="date-year">${eventData.year}</div>
+            <div class="event-date ${statusClass}">
+                <div class="date-day">${String(day).padStart(2, '0')}</div>
+                <div class="date-month">${MONTH_NAMES[month - 1].slice(0, 3).toUpperCase()}</div>
+                <div class="date-year">${year}</div>
             </div>
             <div class="event-image">
-                <img src="${eventData.image}" alt="${eventData.title}">
-                <span class="event-category ${eventData.category}">${eventData.category}</span>
+                ${renderPicture({
+                    src: eventData.image,
+                    alt: eventData.imageAlt || eventData.title,
+                    responsive: eventData.imageResponsive
+                }, { sizes: EVENT_CARD_IMAGE_SIZES })}
+                <span class="event-category ${escapeHTML(category)}">${escapeHTML(category)}</span>
             </div>
-            <div class="event-content">
-                <h3>${eventData.title}</h3>
+            <div class="event-content">${isPast ? '' : `
+                <div class="event-countdown"></div>`}
+                <h3><a href="${getEventPath(eventData.id)}" class="event-title-link event-detail-link">${escapeHTML(eventData.title)}</a></h3>
                 <div class="event-meta">
                     <div class="meta-item">
                         <i class="fas fa-calendar"></i>
-                        <span>${eventData.date}</span>
-                    </div>
-                    <div class="meta-item">
-                        <i class="fas fa-map-marker-alt"></i>
-                        <span>${eventData.location}</span>
-                    </div>
-                    <div class="meta-item">
-                        <i class="fas fa-users"></i>
-                        <span>${eventData.participants}</span>
-                    </div>
-                </div>
-                <p>${eventData.description}</p>
-                <div class="event-actions">
-                    <a href="#" class="btn btn--primary">Register Now</a>
-                    <a href="#" class="btn btn--outline">Learn More</a>
+                        <span>${formatDateRange(eventData.start, eventData.end)}</span>
+                    </div>${recurrence}${venue}${participants}
                 </div>
+                <p>${escapeHTML(eventData.description)}</p>${photos}${results}${footer}
             </div>
         `;
         
-        // Add to DOM and arrays
-        const eventsGrid = $('.events-grid');
-        if (eventsGrid) {
-            eventsGrid.appendChild(eventCard);
-            this.allEvents.push(eventCard);
-            this.bindEventCardEvents(eventCard);
-        }
+        return eventCard;
+    }
+    
+    // Thumbnails of the event's photos; each opens the gallery lightbox on them
+    renderCardPhotos(eventData) {
+        const photos = eventData.photos || [];
+        if (photos.length === 0) return '';
+        
+        return `
+                <div class="event-photos">
+                    <h4 class="event-photos__title"><i class="fas fa-images"></i> Photos</h4>
+                    <ul class="event-photos__strip">
+                        ${photos.map((photo, index) => `
+                            <li>
+                                <button type="button" class="event-photos__thumb${photo.type === 'video' ? ' event-photos__thumb--video' : ''}" data-photo-index="${index}"
+                                    aria-label="${escapeHTML(`${photo.type === 'video' ? 'Video' : 'Photo'} ${index + 1} of ${photos.length}${photo.alt ? `: ${photo.alt}` : ''}`)}">
+                                    ${photo.thumbnail || photo.src ? renderPicture({ ...photo, src: photo.thumbnail || photo.src }, { sizes: EVENT_THUMB_SIZES, alt: '' }) : ''}
+                                    ${photo.type === 'video' ? '<i class="fas fa-play" aria-hidden="true"></i>' : ''}
+                                </button>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>`;
+    }
+    
+    openEventPhotos(eventData, index) {
+        const eventId = eventData.seriesId || eventData.id;
+        
+        this.gallery.openPhotos(eventData.photos.map(photo => ({
+            type: photo.type,
+            src: photo.src,
+            poster: photo.poster,
+            responsive: photo.responsive,
+            sources: photo.sources,
+            tracks: photo.tracks,
+            alt: photo.alt || '',
+            title: photo.title || eventData.title,
+            description: photo.caption || photo.alt || '',
+            category: photo.category || 'events',
+            date: photo.date,
+            credit: photo.credit,
+            eventId,
+            eventTitle: eventData.title
+        })), index);
+    }
+    
+    // Winners of each published competition and the top school, for past academics events
+    renderCardResults(eventData) {
+        const results = this.eventResults.get(eventData.id);
+        if (!results) return '';
+        
+        const [topSchool] = results.schools;
         
-        // Re-apply current filter
-        this.filterEvents(this.currentFilter);
+        return `
+                <div class="event-results">
+                    <ul class="event-results__list">
+                        ${results.competitions.map(competition => `
+                            <li class="event-results__item">
+                                <span class="event-results__label">${escapeHTML(competition.name)}</span>
+                                <span class="event-results__winner">
+                                    ${competition.winners.length > 0
+                                        ? competition.winners.map(winner => escapeHTML(winner.name)).join(' &amp; ')
+                                        : 'Results pending'}
+                                </span>
+                            </li>
+                        `).join('')}
+                    </ul>
+                    ${topSchool ? `
+                        <p class="event-results__top-school">
+                            <i class="fas fa-trophy"></i> Top school: <strong>${escapeHTML(topSchool.school)}</strong> (${topSchool.points} pts)
+                        </p>` : ''}
+                    <a href="${getEventPath(eventData.id)}" class="event-results__link event-detail-link">Full results</a>
+                </div>`;
+    }
+    
+    getEventData(card) {
+        return this.eventsById.get(card.getAttribute('data-event-id'));
     }
     
     bindEventCardEvents(card) {
@@ -497,41 +1280,34 @@ class Events {
         if (registerBtn) {
             registerBtn.addEventListener('click', (e) => this.handleRegisterClick(e));
         }
-    }
-    
-    // Method to search events
-    searchEvents(query) {
-        const searchTerm = query.toLowerCase().trim();
-        
-        if (!searchTerm) {
-            this.filterEvents(this.currentFilter);
-            return;
-        }
         
-        const filteredEvents = this.allEvents.filter(event => {
-            const title = event.querySelector('h3').textContent.toLowerCase();
-            const description = event.querySelector('p').textContent.toLowerCase();
-            const location = event.querySelector('.meta-item:nth-child(2) span').textContent.toLowerCase();
-            const category = event.getAttribute('data-category').toLowerCase();
-            
-            return title.includes(searchTerm) || 
-                   description.includes(searchTerm) || 
-                   location.includes(searchTerm) ||
-                   category.includes(searchTerm);
+        card.querySelectorAll('.event-detail-link').forEach(link => {
+            link.addEventListener('click', (e) => this.handleDetailsClick(e));
         });
         
-        // Show/hide events based on search
-        this.allEvents.forEach(event => {
-            event.style.display = 'none';
-            event.classList.remove('visible');
-        });
+        const calendarBtn = card.querySelector('.event-add-calendar');
+        if (calendarBtn) {
+            calendarBtn.addEventListener('click', (e) => this.handleAddToCalendarClick(e));
+        }
         
-        filteredEvents.slice(0, this.visibleEvents).forEach(event => {
-            event.style.display = 'block';
-            setTimeout(() => event.classList.add('visible'), 100);
+        card.querySelectorAll('.event-photos__thumb').forEach(thumb => {
+            thumb.addEventListener('click', () => {
+                this.openEventPhotos(this.getEventData(card), Number(thumb.getAttribute('data-photo-index')));
+            });
         });
         
-        this.showNoEventsMessage(filteredEvents.length === 0);
+        const countdown = card.querySelector('.event-countdown');
+        if (countdown) {
+            this.countdown.add(countdown, this.getEventData(card));
+        }
+    }
+    
+    // Method to search events
+    searchEvents(query) {
+        this.filters.query = query.trim();
+        
+        // Typing shouldn't flood the history with one entry per keystroke
+        this.applyFilters({ replaceUrl: true });
     }
     
     // Destroy method for cleanup
@@ -540,13 +1316,15 @@ class Events {
             button.removeEventListener('click', this.handleFilterClick);
         });
         
-        this.calendarDays.forEach(day => {
-            day.removeEventListener('click', this.handleCalendarDayClick);
-        });
+        if (this.calendarDaysGrid) {
+            this.calendarDaysGrid.removeEventListener('click', this.handleCalendarDayClick);
+        }
         
-        const registerButtons = $$('.event-actions .btn--primary');
-        registerButtons.forEach(button => {
-            button.removeEventListener('click', this.handleRegisterClick);
+        this.allEvents.forEach(card => {
+            const registerBtn = card.querySelector('.btn--primary');
+            if (registerBtn) {
+                registerBtn.removeEventListener('click', this.handleRegisterClick);
+            }
         });
         
         if (this.loadMoreBtn) {
@@ -554,15 +1332,9 @@ class Events {
         }
         
         window.removeEventListener('resize', this.handleResize);
+        clearTimeout(this.statusTimer);
+        this.countdown.stop();
     }
 }
 
-// Initialize events when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new Events();
-});
-
 export default Events;
-
-
-
@@ -1,36 +1,187 @@
 // ===== GALLERY COMPONENT =====
-import { $, $$, debounce, showNotification } from './utils/helpers.js';
-import { GALLERY_CATEGORIES } from './utils/constants.js';
+// Renders gallery.html from the photo manifest (data/gallery.json): every photo, filterable by
+// category, or the albums as covers that open onto their own photos. Videos in the manifest go
+// through the same filters and search and are listed in the video section. events.html uses only
+// the lightbox, for past events' photos (see openPhotos()). On gallery.html the category, view,
+// album and open photo are kept in the URL (GALLERY_PARAMS), so any of them can be shared.
+import {
+    $,
+    $$,
+    debounce,
+    showNotification,
+    escapeHTML,
+    getEventPath,
+    fetchJson,
+    getUrlParams,
+    setUrlParam,
+    removeUrlParam,
+    setUrlParams,
+    storage
+} from './utils/helpers.js';
+import { GALLERY_CATEGORIES, GALLERY_PARAMS, DATA_SOURCES, STORAGE_KEYS } from './utils/constants.js';
+import { formatDateRange } from './utils/event-dates.js';
+import { normalizeManifest } from './utils/gallery-manifest.js';
+import { getColumnCount, layoutMasonry } from './utils/masonry.js';
+import { getPictureSources, loadImageManifest, renderPicture } from './utils/responsive-images.js';
+
+const GALLERY_VIEWS = {
+    PHOTOS: 'photos',
+    ALBUMS: 'albums'
+};
+
+const PAGE_SIZE = 9;
+
+// Photos without width and height are laid out (and cropped) at 4:3
+const DEFAULT_ASPECT_RATIO = 4 / 3;
+
+// How wide grid images show (1-3 columns in the 1200px container) until the masonry layout knows
+// each tile's width, and lightbox images
+const GRID_IMAGE_SIZES = '(min-width: 1200px) 384px, (min-width: 980px) 33vw, (min-width: 640px) 50vw, 100vw';
+const LIGHTBOX_IMAGE_SIZES = '100vw';
+
+// Lightbox gestures
+const MAX_ZOOM = 4;
+const DOUBLE_TAP_ZOOM = 2.5;
+const SWIPE_DISTANCE = 50; // px to move before a swipe changes photo
+const TAP_SLOP = 10; // px a tap may wander
+const DOUBLE_TAP_DELAY = 300; // ms
+
+// Slideshow
+const DEFAULT_SLIDESHOW_INTERVAL = 5000; // ms
+
+// "1:05" for 65 seconds
+const formatDuration = (seconds) => `${Math.floor(seconds / 60)}:${String(Math.round(seconds % 60)).padStart(2, '0')}`;
+
+// "3 photos · 1 video"
+const describeItems = (items) => {
+    const videos = items.filter(item => item.type === 'video').length;
+    const photos = items.length - videos;
+    
+    return [
+        photos > 0 || videos === 0 ? `${photos} ${photos === 1 ? 'photo' : 'photos'}` : '',
+        videos > 0 ? `${videos} ${videos === 1 ? 'video' : 'videos'}` : ''
+    ].filter(Boolean).join(' · ');
+};
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+const getDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const getMidpoint = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Point an <img> at an item's resized variants, with AVIF and WebP <source>s when it sits in a
+// <picture>; items without variants use their original
+const setPictureSources = (img, image, sizes) => {
+    const picture = image.responsive ? getPictureSources(image.responsive) : null;
+    const fallback = picture && picture.fallback;
+    const parent = img.parentElement;
+    
+    if (parent && parent.tagName === 'PICTURE') {
+        parent.querySelectorAll('source').forEach(source => source.remove());
+        (fallback ? picture.sources : []).forEach(({ type, srcset }) => {
+            const source = document.createElement('source');
+            source.type = type;
+            source.srcset = srcset;
+            source.sizes = sizes;
+            parent.insertBefore(source, img);
+        });
+    }
+    
+    if (fallback) {
+        img.sizes = sizes;
+        img.srcset = fallback.srcset;
+        img.src = fallback.src;
+    } else {
+        img.removeAttribute('srcset');
+        img.removeAttribute('sizes');
+        img.src = image.src;
+    }
+};
+
+// An off-page <picture> that loads the variant the lightbox will pick
+const createPreloadImage = (image) => {
+    const picture = document.createElement('picture');
+    const img = new Image();
+    picture.appendChild(img);
+    setPictureSources(img, image, LIGHTBOX_IMAGE_SIZES);
+    return img;
+};
 
 class Gallery {
     constructor() {
         this.galleryGrid = $('.gallery-grid');
-        this.filterButtons = $$('.filter-btn');
-        this.galleryItems = $$('.gallery-item');
+        this.filterButtons = $$('.gallery-filters .filter-btn');
+        this.viewButtons = $$('.gallery-view-btn');
+        this.albumHeader = $('.gallery-album-header');
+        this.videoSection = $('.video-section');
+        this.videoGrid = $('.video-grid');
         this.lightbox = $('#lightbox');
+        this.lightboxStage = $('.lightbox-stage');
         this.lightboxImage = $('.lightbox-image');
+        this.lightboxVideo = $('.lightbox-video');
         this.lightboxTitle = $('.lightbox-title');
         this.lightboxDescription = $('.lightbox-description');
+        this.lightboxCredit = $('.lightbox-credit');
+        this.lightboxEvent = $('.lightbox-event');
         this.lightboxClose = $('.lightbox-close');
         this.lightboxPrev = $('.lightbox-prev');
         this.lightboxNext = $('.lightbox-next');
-        this.loadMoreBtn = $('.load-more-btn');
+        this.lightboxProgress = $('.lightbox-progress');
+        this.playButton = $('.lightbox-play');
+        this.intervalSelect = $('.lightbox-interval__select');
+        this.fullscreenButton = $('.lightbox-fullscreen');
+        this.shortcuts = $('.lightbox-shortcuts');
+        this.slideshowButton = $('.gallery-slideshow-btn');
+        this.loadMoreBtn = $('.gallery .load-more-btn');
         
         this.currentFilter = 'all';
+        this.currentView = GALLERY_VIEWS.PHOTOS;
+        this.currentAlbum = null;
         this.currentImageIndex = 0;
         this.images = [];
-        this.visibleItems = 9; // Initial number of items to show
+        this.visibleItems = PAGE_SIZE; // Initial number of items to show
         this.allItems = [];
+        this.filteredItems = [];
+        this.videoItems = [];
+        this.videos = [];
+        this.manifestData = { albums: [], photos: [] };
+        this.manifest = { albums: [], photos: [] };
+        this.photosById = new Map();
+        this.albumReturnImages = null;
+        this.lastFocused = null;
+        this.eventTitles = new Map();
+        this.imageObserver = null;
+        
+        // Only the gallery page records its state in the URL; events.html has its own (?event=)
+        this.syncsUrl = Boolean(this.galleryGrid);
+        // Whether opening the lightbox added the history entry that closing it should go back from
+        this.photoHistoryEntry = false;
+        
+        // Lightbox zoom and the pointers touching it
+        this.zoom = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+        this.gesture = null;
+        this.lastTap = null;
+        this.preloaded = new Map();
+        
+        // Slideshow: paused while anything holds it (the mouse over the photo, keyboard focus on a control)
+        this.slideshow = {
+            playing: false,
+            timer: null,
+            holds: new Set(),
+            interval: Number(storage.get(STORAGE_KEYS.SLIDESHOW_INTERVAL)) || DEFAULT_SLIDESHOW_INTERVAL
+        };
         
         this.init();
     }
     
     init() {
         this.bindEvents();
-        this.initLightbox();
-        this.initFiltering();
+        
+        // Pages without a grid (events.html) only use the lightbox, to show event photos
+        if (!this.galleryGrid) return;
+        
         this.initLazyLoading();
-        this.initLoadMore();
+        this.initMasonryLayout();
+        this.loadManifest();
     }
     
     bindEvents() {
@@ -39,19 +190,33 @@ class Gallery {
             button.addEventListener('click', (e) => this.handleFilterClick(e));
         });
         
-        // Gallery item clicks
-        this.galleryItems.forEach((item, index) => {
-            item.addEventListener('click', () => this.openLightbox(index));
+        // Photos / albums toggle
+        this.viewButtons.forEach(button => {
+            button.addEventListener('click', () => this.showView(button.getAttribute('data-view')));
+        });
+        
+        // Gallery items, album covers and videos are re-rendered, so their clicks are delegated
+        [this.galleryGrid, this.videoGrid].filter(Boolean).forEach(grid => {
+            grid.addEventListener('click', (e) => this.handleItemActivate(e));
             
             // Add keyboard support
-            item.addEventListener('keydown', (e) => {
+            grid.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
+                    if (e.target.closest('a')) return;
                     e.preventDefault();
-                    this.openLightbox(index);
+                    this.handleItemActivate(e);
                 }
             });
         });
         
+        if (this.albumHeader) {
+            this.albumHeader.addEventListener('click', (e) => {
+                if (e.target.closest('.gallery-album-header__back')) {
+                    this.showAlbums();
+                }
+            });
+        }
+        
         // Lightbox navigation
         if (this.lightboxClose) {
             this.lightboxClose.addEventListener('click', () => this.closeLightbox());
@@ -68,6 +233,9 @@ class Gallery {
         // Keyboard navigation for lightbox
         document.addEventListener('keydown', (e) => this.handleKeyboard(e));
         
+        this.initLightboxGestures();
+        this.initSlideshow();
+        
         // Close lightbox when clicking outside
         if (this.lightbox) {
             this.lightbox.addEventListener('click', (e) => {
@@ -84,59 +252,408 @@ class Gallery {
         
         // Handle window resize
         window.addEventListener('resize', debounce(() => this.handleResize(), 250));
+        
+        // Back and forward step through categories, albums and opening or closing a photo
+        if (this.syncsUrl) {
+            window.addEventListener('popstate', () => this.restoreFromUrl());
+        }
     }
     
-    initLightbox() {
-        // Collect all gallery items for lightbox
-        this.images = Array.from(this.galleryItems).map(item => {
-            const img = item.querySelector('img');
-            const title = item.querySelector('h3') ? item.querySelector('h3').textContent : '';
-            const description = item.querySelector('p') ? item.querySelector('p').textContent : '';
-            const category = item.getAttribute('data-category');
-            
-            return {
-                src: img.src,
-                alt: img.alt,
-                title: title,
-                description: description,
-                category: category
-            };
+    async loadManifest() {
+        this.galleryGrid.innerHTML = '<div class="gallery-loading" role="status" aria-label="Loading photos"></div>';
+        
+        try {
+            const [data, imageManifest] = await Promise.all([
+                fetchJson(DATA_SOURCES.GALLERY),
+                loadImageManifest(),
+                this.loadEventTitles()
+            ]);
+            this.imageManifest = imageManifest;
+            this.setManifest(data);
+            this.restoreFromUrl({ force: true });
+        } catch (error) {
+            console.error('Failed to load gallery:', error);
+            this.showGalleryError();
+        }
+    }
+    
+    setManifest(data) {
+        this.manifestData = data;
+        this.manifest = normalizeManifest(data, this.imageManifest);
+        this.photosById = new Map(this.manifest.photos.map(photo => [photo.id, photo]));
+        
+        // An album that has gone from the manifest can't stay open
+        if (this.currentAlbum) {
+            this.currentAlbum = this.manifest.albums.find(album => album.id === this.currentAlbum.id) || null;
+        }
+    }
+    
+    // Titles for the links from photos back to their events; the links still work without them
+    async loadEventTitles() {
+        try {
+            const data = await fetchJson(DATA_SOURCES.EVENTS);
+            (data.events || []).forEach(eventData => this.eventTitles.set(eventData.id, eventData.title));
+        } catch (error) {
+            console.error('Failed to load event titles for the gallery:', error);
+        }
+    }
+    
+    getEventTitle(eventId, fallback) {
+        return this.eventTitles.get(eventId) || fallback || 'View the event';
+    }
+    
+    showGalleryError() {
+        this.galleryGrid.innerHTML = `
+            <div class="gallery-empty">
+                <i class="fas fa-images"></i>
+                <h3>Photos Unavailable</h3>
+                <p>We couldn't load the gallery right now. Please refresh the page or try again later.</p>
+            </div>
+        `;
+        
+        if (this.loadMoreBtn) {
+            this.loadMoreBtn.style.display = 'none';
+        }
+    }
+    
+    // ===== Rendering =====
+    
+    // Draw the current view: every photo, the album covers, or one album's photos. The view's
+    // videos go in the video section.
+    render() {
+        const showCovers = this.currentView === GALLERY_VIEWS.ALBUMS && !this.currentAlbum;
+        const items = showCovers ? [] : (this.currentAlbum ? this.currentAlbum.photos : this.manifest.photos);
+        
+        if (showCovers) {
+            this.galleryGrid.innerHTML = this.manifest.albums.map(album => this.renderAlbumCover(album)).join('');
+        } else {
+            this.galleryGrid.innerHTML = items
+                .filter(item => item.type !== 'video')
+                .map(photo => this.renderGalleryItem(photo))
+                .join('');
+        }
+        
+        if (this.videoGrid) {
+            this.videoGrid.innerHTML = items
+                .filter(item => item.type === 'video')
+                .map(video => this.renderVideoItem(video))
+                .join('');
+        }
+        
+        this.galleryGrid.classList.toggle('gallery-grid--albums', showCovers);
+        this.galleryGrid.classList.toggle('gallery-grid--masonry', !showCovers);
+        this.galleryItems = Array.from(this.galleryGrid.querySelectorAll('.gallery-item'));
+        this.allItems = [
+            ...this.galleryItems,
+            ...(this.videoGrid ? Array.from(this.videoGrid.querySelectorAll('.video-item')) : [])
+        ];
+        
+        this.renderAlbumHeader();
+        this.updateViewButtons();
+        this.filterItems(this.currentFilter);
+        this.updateLoadMoreButton();
+    }
+    
+    // Known dimensions reserve the image's space before it loads
+    renderGalleryItem(photo) {
+        return `
+            <div class="gallery-item" data-photo="${escapeHTML(photo.id)}" data-category="${escapeHTML(photo.category)}" tabindex="0">
+                ${renderPicture(photo, { sizes: GRID_IMAGE_SIZES, observe: true })}
+                <div class="gallery-overlay">
+                    <div class="gallery-info">
+                        ${photo.title ? `<h3>${escapeHTML(photo.title)}</h3>` : ''}
+                        ${photo.caption ? `<p>${escapeHTML(photo.caption)}</p>` : ''}
+                        ${photo.event ? `
+                            <a class="gallery-event-link" href="${getEventPath(photo.event)}">
+                                <i class="fas fa-calendar-alt"></i> ${escapeHTML(this.getEventTitle(photo.event))}
+                            </a>` : ''}
+                    </div>
+                </div>
+            </div>`;
+    }
+    
+    // Videos show their poster frame; nothing of the video itself loads until it's played
+    renderVideoItem(video) {
+        return `
+            <div class="video-item" data-photo="${escapeHTML(video.id)}" data-category="${escapeHTML(video.category)}" tabindex="0"
+                role="button" aria-label="${escapeHTML(`Play video: ${video.title || video.alt}${video.duration ? `, ${formatDuration(video.duration)}` : ''}`)}">
+                <div class="video-placeholder">
+                    <i class="fas fa-play"></i>
+                    ${video.poster ? renderPicture({ ...video, src: video.poster }, { sizes: GRID_IMAGE_SIZES, observe: true, alt: '' }) : ''}
+                    ${video.duration ? `<span class="video-duration">${formatDuration(video.duration)}</span>` : ''}
+                </div>
+                ${video.title ? `<h3>${escapeHTML(video.title)}</h3>` : ''}
+                ${video.caption ? `<p>${escapeHTML(video.caption)}</p>` : ''}
+            </div>`;
+    }
+    
+    // Album covers carry all their photos' categories, so the category filters apply to them too
+    renderAlbumCover(album) {
+        const meta = [
+            album.date ? formatDateRange(album.date) : '',
+            describeItems(album.photos)
+        ].filter(Boolean).join(' · ');
+        
+        return `
+            <div class="gallery-item gallery-album" data-album="${escapeHTML(album.id)}" data-category="${escapeHTML(album.categories.join(' '))}"
+                tabindex="0" role="button" aria-label="${escapeHTML(`${album.title} album, ${meta}`)}">
+                ${album.cover ? renderPicture({ ...album.cover, src: album.cover.thumbnail }, { sizes: GRID_IMAGE_SIZES, observe: true, alt: '' }) : ''}
+                <div class="gallery-overlay">
+                    <div class="gallery-info">
+                        <h3>${escapeHTML(album.title)}</h3>
+                        <p>${escapeHTML(meta)}</p>
+                    </div>
+                </div>
+            </div>`;
+    }
+    
+    renderAlbumHeader() {
+        if (!this.albumHeader) return;
+        
+        const album = this.currentAlbum;
+        this.albumHeader.hidden = !album;
+        if (!album) {
+            this.albumHeader.innerHTML = '';
+            return;
+        }
+        
+        const meta = [
+            album.date ? formatDateRange(album.date) : '',
+            describeItems(album.photos)
+        ].filter(Boolean).join(' · ');
+        
+        this.albumHeader.innerHTML = `
+            <button type="button" class="gallery-album-header__back">
+                <i class="fas fa-arrow-left"></i> All albums
+            </button>
+            <h2 class="gallery-album-header__title" tabindex="-1">${escapeHTML(album.title)}</h2>
+            <p class="gallery-album-header__meta">${escapeHTML(meta)}</p>
+            ${album.description ? `<p class="gallery-album-header__description">${escapeHTML(album.description)}</p>` : ''}
+            ${album.event ? `
+                <a class="gallery-album-header__event" href="${getEventPath(album.event)}">
+                    <i class="fas fa-calendar-alt"></i> ${escapeHTML(this.getEventTitle(album.event, 'View the event'))}
+                </a>` : ''}
+        `;
+    }
+    
+    updateViewButtons() {
+        this.viewButtons.forEach(button => {
+            const isActive = button.getAttribute('data-view') === this.currentView;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', String(isActive));
         });
+    }
+    
+    // ===== Views =====
+    
+    showView(view) {
+        if (!Object.values(GALLERY_VIEWS).includes(view)) return;
+        
+        this.currentView = view;
+        this.currentAlbum = null;
+        this.visibleItems = PAGE_SIZE;
+        this.render();
+        this.syncViewToUrl();
+    }
+    
+    showAlbum(albumId) {
+        const album = this.manifest.albums.find(item => item.id === albumId);
+        if (!album) return;
+        
+        this.currentView = GALLERY_VIEWS.ALBUMS;
+        this.currentAlbum = album;
+        this.visibleItems = PAGE_SIZE;
+        this.render();
+        this.syncViewToUrl();
+        
+        this.scrollToGallery();
+        $('.gallery-album-header__title', this.albumHeader).focus({ preventScroll: true });
+    }
+    
+    // Back from an album to the album covers, with focus on the album just left
+    showAlbums() {
+        const albumId = this.currentAlbum ? this.currentAlbum.id : null;
+        this.showView(GALLERY_VIEWS.ALBUMS);
+        
+        const cover = this.allItems.find(item => item.getAttribute('data-album') === albumId);
+        if (cover && cover.style.display !== 'none') {
+            cover.focus();
+        }
+    }
+    
+    handleItemActivate(e) {
+        // Let the link back to the photo's event navigate instead
+        if (e.target.closest('a')) return;
+        
+        const item = e.target.closest('.gallery-item, .video-item');
+        if (!item) return;
+        
+        if (item.hasAttribute('data-album')) {
+            this.showAlbum(item.getAttribute('data-album'));
+        } else if (item.classList.contains('video-item')) {
+            // Videos play one after another in the lightbox, apart from the photos
+            this.openPhotos(this.videos, this.videoItems.indexOf(item));
+        } else {
+            this.openLightbox(this.filteredItems.indexOf(item));
+        }
+    }
+    
+    getImageData(item) {
+        const photo = this.photosById.get(item.getAttribute('data-photo'));
+        
+        return {
+            id: photo.id,
+            type: photo.type,
+            src: photo.src,
+            poster: photo.poster,
+            responsive: photo.responsive,
+            sources: photo.sources,
+            tracks: photo.tracks,
+            alt: photo.alt,
+            title: photo.title,
+            description: photo.caption,
+            category: photo.category,
+            date: photo.date,
+            credit: photo.credit,
+            eventId: photo.event
+        };
+    }
+    
+    // ===== URL state =====
+    // ?category= (a filter other than all), ?view=albums or ?album=<id>, and ?photo=<id> while
+    // the lightbox shows that photo or video
+    
+    // Show the state in the URL: on load, from a shared link, and on back/forward
+    restoreFromUrl({ force = false } = {}) {
+        const params = this.syncsUrl ? getUrlParams() : {};
+        const category = params[GALLERY_PARAMS.CATEGORY];
+        const filter = Object.values(GALLERY_CATEGORIES).includes(category) ? category : GALLERY_CATEGORIES.ALL;
+        const album = this.manifest.albums.find(item => item.id === params[GALLERY_PARAMS.ALBUM]) || null;
+        const view = album || params[GALLERY_PARAMS.VIEW] === GALLERY_VIEWS.ALBUMS ? GALLERY_VIEWS.ALBUMS : GALLERY_VIEWS.PHOTOS;
+        
+        if (force || filter !== this.currentFilter || view !== this.currentView || album !== this.currentAlbum) {
+            // The lightbox's photos are about to change under it
+            if (this.lightbox && this.lightbox.classList.contains('active')) {
+                this.closeLightbox({ updateUrl: false });
+            }
+            
+            this.currentFilter = filter;
+            this.currentView = view;
+            this.currentAlbum = album;
+            this.visibleItems = PAGE_SIZE;
+            this.updateFilterButtons();
+            this.render();
+        }
+        
+        // Drop anything in the URL that doesn't match a category or album
+        if (force) {
+            this.syncViewToUrl(true);
+        }
+        
+        // Back and forward only reach photo entries that opening the lightbox added
+        this.restorePhoto(params[GALLERY_PARAMS.PHOTO], { fromHistory: !force });
+    }
+    
+    // Open the lightbox on the photo or video in the URL, or close it when there's none
+    restorePhoto(photoId, { fromHistory = false } = {}) {
+        if (!this.lightbox) return;
+        
+        const isOpen = this.lightbox.classList.contains('active');
+        const position = photoId ? this.findLightboxItem(photoId) : null;
+        
+        if (!position) {
+            if (isOpen) {
+                this.closeLightbox({ updateUrl: false });
+            }
+            // A photo that has been removed, or isn't in this category or album
+            if (photoId) {
+                setUrlParams({ [GALLERY_PARAMS.PHOTO]: null }, true);
+            }
+            return;
+        }
+        
+        if (isOpen && position.images === this.images) {
+            this.showImageAt(position.index);
+            return;
+        }
+        
+        if (isOpen) {
+            this.closeLightbox({ updateUrl: false });
+        }
+        if (position.images === this.videos) {
+            this.openPhotos(this.videos, position.index, { updateUrl: false });
+        } else {
+            this.openLightbox(position.index, { updateUrl: false });
+        }
+        this.photoHistoryEntry = fromHistory;
+    }
+    
+    // Where a photo is among the gallery's photos, or among its videos
+    findLightboxItem(photoId) {
+        const photos = this.albumReturnImages || this.images;
+        const index = photos.findIndex(image => image.id === photoId);
+        if (index !== -1) return { images: photos, index };
         
-        this.allItems = Array.from(this.galleryItems);
+        const videoIndex = this.videos.findIndex(video => video.id === photoId);
+        return videoIndex !== -1 ? { images: this.videos, index: videoIndex } : null;
     }
     
-    initFiltering() {
-        // Show all items initially
-        this.filterItems('all');
+    syncViewToUrl(replace = false) {
+        if (!this.syncsUrl) return;
+        
+        setUrlParams({
+            [GALLERY_PARAMS.CATEGORY]: this.currentFilter === GALLERY_CATEGORIES.ALL ? null : this.currentFilter,
+            [GALLERY_PARAMS.VIEW]: this.currentView === GALLERY_VIEWS.ALBUMS && !this.currentAlbum ? this.currentView : null,
+            [GALLERY_PARAMS.ALBUM]: this.currentAlbum ? this.currentAlbum.id : null
+        }, replace);
     }
     
+    // Keep ?photo= on the photo showing; stepping between photos doesn't add history entries
+    syncPhotoToUrl() {
+        const image = this.images[this.currentImageIndex];
+        if (!this.syncsUrl || !this.lightbox.classList.contains('active') || !image || !image.id) return;
+        
+        setUrlParams({ [GALLERY_PARAMS.PHOTO]: image.id }, true);
+    }
+    
+    // ===== Lazy loading, filtering and load more =====
+    
     initLazyLoading() {
-        // Lazy load images that are not in viewport initially
-        const lazyImages = $$('.gallery-item img[data-src]');
-        const imageObserver = new IntersectionObserver((entries, observer) => {
+        // Images load as they come into view
+        this.imageObserver = new IntersectionObserver((entries, observer) => {
             entries.forEach(entry => {
                 if (entry.isIntersecting) {
                     const img = entry.target;
+                    const sources = img.parentElement && img.parentElement.tagName === 'PICTURE'
+                        ? Array.from(img.parentElement.querySelectorAll('source[data-srcset]'))
+                        : [];
+                    [...sources, img].forEach(element => {
+                        if (!element.hasAttribute('data-srcset')) return;
+                        element.srcset = element.getAttribute('data-srcset');
+                        element.removeAttribute('data-srcset');
+                    });
                     img.src = img.getAttribute('data-src');
                     img.removeAttribute('data-src');
                     img.classList.add('loaded');
                     observer.unobserve(img);
                 }
             });
-        });
-        
-        lazyImages.forEach(img => imageObserver.observe(img));
+        }, { rootMargin: '200px 0px' });
     }
     
-    initLoadMore() {
-        if (this.loadMoreBtn && this.allItems.length <= this.visibleItems) {
-            this.loadMoreBtn.style.display = 'none';
-        }
+    observeImages(items) {
+        if (!this.imageObserver) return;
+        
+        items.forEach(item => {
+            const img = item.querySelector('img[data-src]');
+            if (img) {
+                this.imageObserver.observe(img);
+            }
+        });
     }
     
     handleFilterClick(e) {
-        const button = e.target;
+        const button = e.target.closest('.filter-btn');
         const filter = button.getAttribute('data-filter');
         
         // Update active filter button
@@ -144,27 +661,44 @@ class Gallery {
         button.classList.add('active');
         
         // Apply filter
+        const changed = filter !== this.currentFilter;
         this.currentFilter = filter;
-        this.filterItems(filter);
         
         // Reset visible items count when filtering
-        this.visibleItems = 9;
+        this.visibleItems = PAGE_SIZE;
+        this.filterItems(filter);
         this.updateLoadMoreButton();
         
+        if (this.syncsUrl && changed) {
+            if (filter === GALLERY_CATEGORIES.ALL) {
+                removeUrlParam(GALLERY_PARAMS.CATEGORY);
+            } else {
+                setUrlParam(GALLERY_PARAMS.CATEGORY, filter);
+            }
+        }
+        
         // Scroll to gallery section
         this.scrollToGallery();
     }
     
+    updateFilterButtons() {
+        this.filterButtons.forEach(button => {
+            button.classList.toggle('active', button.getAttribute('data-filter') === this.currentFilter);
+        });
+    }
+    
     filterItems(filter) {
-        let itemsToShow;
+        const itemsToShow = filter === 'all'
+            ? this.allItems
+            : this.allItems.filter(item => item.getAttribute('data-category').split(' ').includes(filter));
         
-        if (filter === 'all') {
-            itemsToShow = this.allItems;
-        } else {
-            itemsToShow = this.allItems.filter(item => 
-                item.getAttribute('data-category') === filter
-            );
-        }
+        this.showItems(itemsToShow);
+    }
+    
+    // Show the first visibleItems of these grid items, and all these videos, and point the lightbox at them
+    showItems(itemsToShow) {
+        const gridItems = itemsToShow.filter(item => !item.classList.contains('video-item'));
+        const videoItems = itemsToShow.filter(item => item.classList.contains('video-item'));
         
         // Hide all items first
         this.allItems.forEach(item => {
@@ -173,26 +707,31 @@ class Gallery {
         });
         
         // Show filtered items (up to visibleItems count)
-        itemsToShow.slice(0, this.visibleItems).forEach(item => {
+        const visible = [...gridItems.slice(0, this.visibleItems), ...videoItems];
+        visible.forEach(item => {
             item.style.display = 'block';
             setTimeout(() => item.classList.add('visible'), 50);
         });
+        this.observeImages(visible);
         
-        // Update images array for lightbox with filtered items
-        this.images = itemsToShow.map(item => {
-            const img = item.querySelector('img');
-            const title = item.querySelector('h3') ? item.querySelector('h3').textContent : '';
-            const description = item.querySelector('p') ? item.querySelector('p').textContent : '';
-            const category = item.getAttribute('data-category');
-            
-            return {
-                src: img.src,
-                alt: img.alt,
-                title: title,
-                description: description,
-                category: category
-            };
-        });
+        // The lightbox steps through every matching photo, shown yet or not
+        this.filteredItems = gridItems;
+        this.images = gridItems
+            .filter(item => item.hasAttribute('data-photo'))
+            .map(item => this.getImageData(item));
+        this.videoItems = videoItems;
+        this.videos = videoItems.map(item => this.getImageData(item));
+        
+        if (this.videoSection) {
+            this.videoSection.hidden = videoItems.length === 0;
+        }
+        
+        // Place the tiles now shown
+        this.layoutMasonryGrid();
+        
+        if (this.slideshowButton) {
+            this.slideshowButton.disabled = this.images.length === 0;
+        }
         
         // Show message if no items found
         this.showNoResultsMessage(itemsToShow.length === 0);
@@ -211,23 +750,74 @@ class Gallery {
                     <p>Try selecting a different category.</p>
                 </div>
             `;
-            this.galleryGrid.parentNode.appendChild(message);
+            if (this.galleryGrid) {
+                this.galleryGrid.parentNode.insertBefore(message, this.galleryGrid.nextSibling);
+            }
         } else if (!show && message) {
             message.remove();
         }
     }
     
-    openLightbox(index) {
+    loadMoreItems() {
+        this.visibleItems += PAGE_SIZE;
+        this.filterItems(this.currentFilter);
+        this.updateLoadMoreButton();
+        
+        // Smooth scroll to new items
+        this.scrollToNewItems();
+    }
+    
+    updateLoadMoreButton() {
+        if (!this.loadMoreBtn) return;
+        
+        const remaining = this.filteredItems.length - this.visibleItems;
+        
+        if (remaining <= 0) {
+            this.loadMoreBtn.style.display = 'none';
+        } else {
+            this.loadMoreBtn.style.display = 'block';
+            this.loadMoreBtn.textContent = `Load More (${remaining} remaining)`;
+        }
+    }
+    
+    // ===== Lightbox =====
+    
+    // Open the lightbox on photos from elsewhere on the page, such as a past event's photos.
+    // The gallery's own photos come back when it closes.
+    openPhotos(images, index = 0, options = {}) {
+        if (!this.lightbox || images.length === 0) return;
+        
+        if (!this.albumReturnImages) {
+            this.albumReturnImages = this.images;
+        }
+        
+        this.images = images;
+        this.openLightbox(index, options);
+    }
+    
+    openLightbox(index, { updateUrl = true } = {}) {
         if (index < 0 || index >= this.images.length) return;
         
         this.currentImageIndex = index;
         const image = this.images[index];
+        const wasOpen = this.lightbox.classList.contains('active');
+        
+        if (!wasOpen) {
+            this.lastFocused = document.activeElement;
+        }
+        
+        // Opening a photo adds a history entry, so Back closes it; moving between photos only updates the URL
+        if (updateUrl && !wasOpen && this.syncsUrl && image.id) {
+            setUrlParam(GALLERY_PARAMS.PHOTO, image.id);
+            this.photoHistoryEntry = true;
+        } else if (updateUrl) {
+            this.syncPhotoToUrl();
+        }
         
         // Update lightbox content
-        this.lightboxImage.src = image.src;
-        this.lightboxImage.alt = image.alt;
-        this.lightboxTitle.textContent = image.title;
-        this.lightboxDescription.textContent = image.description;
+        this.resetZoom();
+        this.showLightboxItem(image);
+        this.preloadAdjacentImages();
         
         // Show lightbox
         this.lightbox.classList.add('active');
@@ -235,18 +825,69 @@ class Gallery {
         
         // Update navigation buttons state
         this.updateLightboxNav();
+        this.scheduleNextSlide();
         
         // Focus management for accessibility
         this.lightboxClose.focus();
     }
     
-    closeLightbox() {
+    closeLightbox({ updateUrl = true } = {}) {
+        if (updateUrl && this.syncsUrl && getUrlParams()[GALLERY_PARAMS.PHOTO]) {
+            if (this.photoHistoryEntry) {
+                // Leave the photo's history entry, so forward can reopen it
+                window.history.back();
+            } else {
+                // Opened from a shared link: there's no entry of ours to go back from
+                setUrlParams({ [GALLERY_PARAMS.PHOTO]: null }, true);
+            }
+        }
+        this.photoHistoryEntry = false;
+        
         this.lightbox.classList.remove('active');
         document.body.style.overflow = '';
+        this.slideshow.holds.clear();
+        this.stopSlideshow();
+        if (document.fullscreenElement === this.lightbox) {
+            document.exitFullscreen();
+        }
+        this.pointers.clear();
+        this.gesture = null;
+        this.resetZoom();
+        this.unloadLightboxVideo();
+        this.preloaded.clear();
+        
+        if (this.albumReturnImages) {
+            this.images = this.albumReturnImages;
+            this.albumReturnImages = null;
+        }
         
-        // Return focus to the gallery item that was clicked
-        if (this.currentImageIndex >= 0 && this.currentImageIndex < this.galleryItems.length) {
-            this.galleryItems[this.currentImageIndex].focus();
+        // Return focus to the gallery item or photo that opened the lightbox
+        if (this.lastFocused && this.lastFocused.isConnected) {
+            this.lastFocused.focus();
+        }
+        this.lastFocused = null;
+    }
+    
+    updateLightboxCaption(image) {
+        this.lightboxTitle.textContent = image.title;
+        this.lightboxDescription.textContent = image.description;
+        
+        // "December 10, 2023 · Photo: Unsplash"
+        if (this.lightboxCredit) {
+            const credit = [
+                image.date ? formatDateRange(image.date) : '',
+                image.credit ? `${image.type === 'video' ? 'Video' : 'Photo'}: ${image.credit}` : ''
+            ].filter(Boolean).join(' · ');
+            this.lightboxCredit.textContent = credit;
+            this.lightboxCredit.hidden = !credit;
+        }
+        
+        if (this.lightboxEvent) {
+            this.lightboxEvent.hidden = !image.eventId;
+            if (image.eventId) {
+                this.lightboxEvent.href = getEventPath(image.eventId);
+                this.lightboxEvent.textContent = `From ${this.getEventTitle(image.eventId, image.eventTitle)}`;
+            }
         }
     }
     
@@ -274,27 +915,323 @@ class Gallery {
     
     updateLightboxImage() {
         const image = this.images[this.currentImageIndex];
-        
-        // Add loading state
-        this.lightboxImage.classList.add('loading');
-        
-        // Load new image
-        const newImage = new Image();
-        newImage.onload = () => {
-            this.lightboxImage.src = image.src;
-            this.lightboxImage.alt = image.alt;
-            this.lightboxTitle.textContent = image.title;
-            this.lightboxDescription.textContent = image.description;
+        const showImage = () => {
+            // A quicker swipe may already have moved on
+            if (this.images[this.currentImageIndex] !== image) return;
+            
+            this.showLightboxItem(image);
             this.lightboxImage.classList.remove('loading');
+            this.fadeInSlide();
+            
+            // The next slide's time starts once this one is showing
+            this.scheduleNextSlide();
         };
         
-        newImage.src = image.src;
+        this.resetZoom();
+        this.syncPhotoToUrl();
+        
+        // Preloaded neighbours show straight away, as do videos (only their poster frame loads)
+        const preloaded = this.preloaded.get(image.src);
+        if (image.type === 'video' || (preloaded && preloaded.complete && preloaded.naturalWidth > 0)) {
+            showImage();
+        } else {
+            // Add loading state
+            this.lightboxImage.classList.add('loading');
+            const newImage = preloaded || createPreloadImage(image);
+            newImage.addEventListener('load', showImage, { once: true });
+            newImage.addEventListener('error', showImage, { once: true });
+        }
+        
+        this.preloadAdjacentImages();
         
         // Update navigation buttons state
         this.updateLightboxNav();
     }
     
+    // Show a photo, or a video ready to play, in the lightbox
+    showLightboxItem(image) {
+        const isVideo = image.type === 'video';
+        
+        this.unloadLightboxVideo();
+        this.lightboxImage.hidden = isVideo;
+        if (isVideo) {
+            this.loadLightboxVideo(image);
+        } else {
+            setPictureSources(this.lightboxImage, image, LIGHTBOX_IMAGE_SIZES);
+            this.lightboxImage.alt = image.alt;
+        }
+        this.updateLightboxCaption(image);
+    }
+    
+    // With preload="none" the browser fetches only the poster until the visitor presses play
+    loadLightboxVideo(video) {
+        if (!this.lightboxVideo) return;
+        
+        this.lightboxVideo.hidden = false;
+        this.lightboxVideo.setAttribute('aria-label', video.alt || video.title);
+        if (video.poster) {
+            this.lightboxVideo.poster = video.poster;
+        }
+        this.lightboxVideo.innerHTML = [
+            ...video.sources.map(source => `<source src="${escapeHTML(source.src)}" type="${escapeHTML(source.type)}">`),
+            ...video.tracks.map(track => `
+                <track kind="${track.kind}" src="${escapeHTML(track.src)}" srclang="${escapeHTML(track.srclang)}"
+                    label="${escapeHTML(track.label)}"${track.default ? ' default' : ''}>`)
+        ].join('');
+        this.lightboxVideo.load();
+    }
+    
+    // Stop the video and drop its sources so nothing keeps downloading
+    unloadLightboxVideo() {
+        const video = this.lightboxVideo;
+        if (!video || video.hidden) return;
+        
+        video.pause();
+        video.hidden = true;
+        video.removeAttribute('poster');
+        video.removeAttribute('aria-label');
+        video.innerHTML = '';
+        video.load();
+    }
+    
+    showImageAt(index) {
+        if (index === this.currentImageIndex || !this.images[index]) return;
+        
+        this.currentImageIndex = index;
+        this.updateLightboxImage();
+    }
+    
+    // Start loading the photos either side, so the next swipe or arrow press is instant
+    preloadAdjacentImages() {
+        if (this.images.length < 2) return;
+        
+        const count = this.images.length;
+        [this.currentImageIndex - 1, this.currentImageIndex + 1].forEach(index => {
+            const item = this.images[(index + count) % count];
+            // A video's poster, not the video
+            const src = item.type === 'video' ? item.poster : item.src;
+            if (!src || this.preloaded.has(src)) return;
+            
+            if (item.type === 'video') {
+                const img = new Image();
+                img.src = src;
+                this.preloaded.set(src, img);
+            } else {
+                this.preloaded.set(src, createPreloadImage(item));
+            }
+        });
+    }
+    
+    // ===== Lightbox gestures =====
+    // One finger swipes left/right between photos or down to close; two fingers pinch to zoom;
+    // a double tap (or double click) zooms in and out; dragging pans a zoomed photo
+    initLightboxGestures() {
+        const surface = this.lightboxStage || this.lightboxImage;
+        if (!surface) return;
+        
+        surface.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        surface.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        surface.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        surface.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+        
+        // The browser's own image dragging would take over the gesture
+        this.lightboxImage.addEventListener('dragstart', (e) => e.preventDefault());
+    }
+    
+    handlePointerDown(e) {
+        if (e.pointerType === 'mouse' && e.button !== 0) return;
+        // A video's own controls take its pointers
+        if (this.lightboxVideo && e.target === this.lightboxVideo) return;
+        
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (e.currentTarget.setPointerCapture) {
+            e.currentTarget.setPointerCapture(e.pointerId);
+        }
+        
+        this.startGesture();
+    }
+    
+    // (Re)start the gesture for the pointers now down, e.g. when a second finger joins
+    startGesture() {
+        const points = Array.from(this.pointers.values());
+        const { scale, x, y } = this.zoom;
+        const afterPinch = Boolean(this.gesture && this.gesture.type === 'pinch');
+        
+        if (points.length >= 2) {
+            const center = getMidpoint(points[0], points[1]);
+            this.gesture = {
+                type: 'pinch',
+                distance: getDistance(points[0], points[1]) || 1,
+                origin: this.getZoomOrigin(center),
+                scale,
+                x,
+                y
+            };
+        } else {
+            this.gesture = {
+                type: scale > 1 ? 'pan' : 'swipe',
+                startX: points[0].x,
+                startY: points[0].y,
+                // The finger left after a pinch isn't a tap
+                moved: afterPinch,
+                x,
+                y
+            };
+        }
+        
+        this.lightboxImage.classList.add('is-dragging');
+    }
+    
+    handlePointerMove(e) {
+        if (!this.gesture || !this.pointers.has(e.pointerId)) return;
+        
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        const gesture = this.gesture;
+        const points = Array.from(this.pointers.values());
+        
+        if (gesture.type === 'pinch') {
+            if (points.length < 2) return;
+            
+            const scale = clamp(gesture.scale * getDistance(points[0], points[1]) / gesture.distance, 1, MAX_ZOOM);
+            this.zoomAround(this.getZoomOrigin(getMidpoint(points[0], points[1])), gesture.origin, scale, gesture);
+            return;
+        }
+        
+        const dx = points[0].x - gesture.startX;
+        const dy = points[0].y - gesture.startY;
+        if (Math.abs(dx) > TAP_SLOP || Math.abs(dy) > TAP_SLOP) {
+            gesture.moved = true;
+        }
+        
+        if (gesture.type === 'pan') {
+            this.setZoom(this.zoom.scale, gesture.x + dx, gesture.y + dy);
+        } else if (gesture.moved) {
+            // Let the photo follow the finger along the swipe
+            this.lightboxImage.style.transform = Math.abs(dx) >= Math.abs(dy)
+                ? `translateX(${dx}px)`
+                : `translateY(${Math.max(dy, 0)}px)`;
+        }
+    }
+    
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        
+        const gesture = this.gesture;
+        this.pointers.delete(e.pointerId);
+        
+        // Lifting one finger of a pinch carries on as a pan (or swipe) with the other
+        if (this.pointers.size > 0) {
+            this.startGesture();
+            return;
+        }
+        
+        this.gesture = null;
+        this.lightboxImage.classList.remove('is-dragging');
+        if (!gesture) return;
+        
+        if (gesture.type === 'pinch' || gesture.type === 'pan') {
+            if (this.zoom.scale <= 1.05) this.resetZoom();
+            if (gesture.moved || gesture.type === 'pinch') return;
+        }
+        
+        if (gesture.type === 'swipe') {
+            this.lightboxImage.style.transform = '';
+        }
+        
+        if (e.type === 'pointercancel') return;
+        
+        if (!gesture.moved) {
+            this.handleTap({ x: e.clientX, y: e.clientY });
+            return;
+        }
+        
+        if (gesture.type !== 'swipe') return;
+        
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        
+        if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+            if (dx < 0) {
+                this.showNextImage();
+            } else {
+                this.showPreviousImage();
+            }
+        } else if (dy > SWIPE_DISTANCE * 2 && dy > Math.abs(dx)) {
+            this.closeLightbox();
+        }
+    }
+    
+    // Two taps close together in time and place toggle the zoom at that spot
+    handleTap(point) {
+        // Videos don't zoom
+        if (this.lightboxImage.hidden) return;
+        
+        const now = Date.now();
+        const lastTap = this.lastTap;
+        
+        if (lastTap && now - lastTap.time < DOUBLE_TAP_DELAY && getDistance(lastTap, point) < TAP_SLOP * 3) {
+            this.lastTap = null;
+            
+            if (this.zoom.scale > 1) {
+                this.resetZoom();
+            } else {
+                const origin = this.getZoomOrigin(point);
+                this.zoomAround(origin, origin, DOUBLE_TAP_ZOOM, this.zoom);
+            }
+            return;
+        }
+        
+        this.lastTap = { time: now, x: point.x, y: point.y };
+    }
+    
+    // A screen point relative to the centre of the unzoomed photo
+    getZoomOrigin(point) {
+        const rect = this.lightboxImage.getBoundingClientRect();
+        
+        return {
+            x: point.x - (rect.left + rect.width / 2 - this.zoom.x),
+            y: point.y - (rect.top + rect.height / 2 - this.zoom.y)
+        };
+    }
+    
+    // Zoom from the `from` zoom state to `scale`, keeping the photo point under `startOrigin`
+    // at `origin` (where the fingers are now)
+    zoomAround(origin, startOrigin, scale, from) {
+        const ratio = scale / from.scale;
+        
+        this.setZoom(
+            scale,
+            origin.x - (startOrigin.x - from.x) * ratio,
+            origin.y - (startOrigin.y - from.y) * ratio
+        );
+    }
+    
+    // Apply a zoom, keeping the photo's edges from being dragged inside the frame
+    setZoom(scale, x, y) {
+        const maxX = (scale - 1) * this.lightboxImage.offsetWidth / 2;
+        const maxY = (scale - 1) * this.lightboxImage.offsetHeight / 2;
+        
+        this.zoom = {
+            scale,
+            x: clamp(x, -maxX, maxX),
+            y: clamp(y, -maxY, maxY)
+        };
+        
+        this.lightboxImage.style.transform = scale > 1
+            ? `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${scale})`
+            : '';
+        this.lightbox.classList.toggle('is-zoomed', scale > 1);
+    }
+    
+    resetZoom() {
+        if (!this.lightboxImage) return;
+        
+        this.setZoom(1, 0, 0);
+    }
+    
     updateLightboxNav() {
+        this.updatePlayButton();
+        
         // Update previous button
         if (this.lightboxPrev) {
             this.lightboxPrev.disabled = this.images.length <= 1;
@@ -314,8 +1251,14 @@ class Gallery {
         }
     }
     
+    // The shortcuts listed in the lightbox's .lightbox-shortcuts; keep the two in step
     handleKeyboard(e) {
-        if (!this.lightbox.classList.contains('active')) return;
+        if (!this.lightbox || !this.lightbox.classList.contains('active')) return;
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        
+        // Keys pressed on the lightbox's own controls are theirs, apart from Escape
+        const control = typeof e.target.closest === 'function' ? e.target.closest('button, select, summary, a, video') : null;
+        if (control && e.key !== 'Escape' && (['SELECT', 'VIDEO'].includes(control.tagName) || e.key === ' ' || e.key === 'Enter')) return;
         
         switch (e.key) {
             case 'Escape':
@@ -327,36 +1270,215 @@ class Gallery {
             case 'ArrowRight':
                 this.showNextImage();
                 break;
+            case 'Home':
+                e.preventDefault();
+                this.showImageAt(0);
+                break;
+            case 'End':
+                e.preventDefault();
+                this.showImageAt(this.images.length - 1);
+                break;
             case ' ':
                 e.preventDefault(); // Prevent page scroll
+                this.toggleSlideshow();
+                break;
+            case 'f':
+            case 'F':
+                this.toggleFullscreen();
+                break;
+            case '?':
+                if (this.shortcuts) {
+                    this.shortcuts.open = !this.shortcuts.open;
+                }
                 break;
         }
     }
     
-    loadMoreItems() {
-        this.visibleItems += 9;
-        this.filterItems(this.currentFilter);
-        this.updateLoadMoreButton();
+    // ===== Slideshow =====
+    // Plays through the photos the lightbox was opened on (the current filter or album), looping
+    // back to the first. Hovering over the photo or tabbing to a control pauses it.
+    initSlideshow() {
+        if (!this.lightbox) return;
         
-        // Smooth scroll to new items
-        this.scrollToNewItems();
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.toggleSlideshow());
+        }
+        
+        if (this.slideshowButton) {
+            this.slideshowButton.addEventListener('click', () => this.startSlideshow());
+        }
+        
+        if (this.lightboxVideo) {
+            // A playing video holds the slideshow until it ends or is paused
+            this.lightboxVideo.addEventListener('play', () => this.holdSlideshow('video', true));
+            ['pause', 'ended', 'emptied'].forEach(type => {
+                this.lightboxVideo.addEventListener(type, () => this.holdSlideshow('video', false));
+            });
+        }
+        
+        if (this.intervalSelect) {
+            const interval = String(this.slideshow.interval);
+            if (Array.from(this.intervalSelect.options).some(option => option.value === interval)) {
+                this.intervalSelect.value = interval;
+            }
+            
+            this.intervalSelect.addEventListener('change', () => {
+                this.slideshow.interval = Number(this.intervalSelect.value);
+                storage.set(STORAGE_KEYS.SLIDESHOW_INTERVAL, this.slideshow.interval);
+                this.scheduleNextSlide();
+            });
+        }
+        
+        if (this.fullscreenButton) {
+            // Browsers without the Fullscreen API (notably Safari on iPhone) don't get the button
+            this.fullscreenButton.hidden = !document.fullscreenEnabled;
+            this.fullscreenButton.addEventListener('click', () => this.toggleFullscreen());
+            document.addEventListener('fullscreenchange', () => this.updateFullscreenButton());
+        }
+        
+        const content = $('.lightbox-content', this.lightbox);
+        if (content) {
+            // Only a mouse hovers; touches come and go with each tap
+            content.addEventListener('pointerenter', (e) => {
+                if (e.pointerType === 'mouse') this.holdSlideshow('hover', true);
+            });
+            content.addEventListener('pointerleave', (e) => {
+                if (e.pointerType === 'mouse') this.holdSlideshow('hover', false);
+            });
+        }
+        
+        // Keyboard focus on a control (other than play/pause itself) pauses it too
+        this.lightbox.addEventListener('focusin', (e) => {
+            this.holdSlideshow('focus', e.target !== this.playButton && this.isKeyboardFocus(e.target));
+        });
+        this.lightbox.addEventListener('focusout', (e) => {
+            if (!this.lightbox.contains(e.relatedTarget)) {
+                this.holdSlideshow('focus', false);
+            }
+        });
     }
     
-    updateLoadMoreButton() {
-        if (!this.loadMoreBtn) return;
+    isKeyboardFocus(element) {
+        try {
+            return element.matches(':focus-visible');
+        } catch {
+            return false;
+        }
+    }
+    
+    // Open the lightbox on the first photo shown and start playing
+    startSlideshow() {
+        if (this.images.length === 0) return;
         
-        const filteredItems = this.currentFilter === 'all' 
-            ? this.allItems 
-            : this.allItems.filter(item => item.getAttribute('data-category') === this.currentFilter);
+        this.openLightbox(0);
+        this.playSlideshow();
+        if (this.playButton) {
+            this.playButton.focus();
+        }
+    }
+    
+    toggleSlideshow() {
+        if (this.slideshow.playing) {
+            this.stopSlideshow();
+        } else {
+            this.playSlideshow();
+        }
+    }
+    
+    playSlideshow() {
+        if (this.images.length < 2) return;
         
-        if (this.visibleItems >= filteredItems.length) {
-            this.loadMoreBtn.style.display = 'none';
+        this.slideshow.playing = true;
+        this.updatePlayButton();
+        this.scheduleNextSlide();
+    }
+    
+    stopSlideshow() {
+        this.slideshow.playing = false;
+        this.updatePlayButton();
+        this.scheduleNextSlide();
+    }
+    
+    holdSlideshow(reason, held) {
+        if (held) {
+            this.slideshow.holds.add(reason);
         } else {
-            this.loadMoreBtn.style.display = 'block';
-            this.loadMoreBtn.textContent = `Load More (${filteredItems.length - this.visibleItems} remaining)`;
+            this.slideshow.holds.delete(reason);
+        }
+        this.scheduleNextSlide();
+    }
+    
+    // (Re)start the countdown to the next slide, or stop it if the slideshow is paused
+    scheduleNextSlide() {
+        clearTimeout(this.slideshow.timer);
+        this.slideshow.timer = null;
+        
+        const running = this.slideshow.playing && this.slideshow.holds.size === 0 &&
+            this.images.length > 1 && this.lightbox.classList.contains('active');
+        this.lightbox.classList.toggle('is-playing', running);
+        this.lightbox.classList.toggle('is-paused', this.slideshow.playing && !running);
+        
+        if (this.lightboxProgress) {
+            // Restart the progress bar's fill for the new interval
+            this.lightboxProgress.classList.remove('is-running');
+            if (running) {
+                this.lightboxProgress.style.animationDuration = `${this.slideshow.interval}ms`;
+                void this.lightboxProgress.offsetWidth;
+                this.lightboxProgress.classList.add('is-running');
+            }
+        }
+        
+        if (running) {
+            this.slideshow.timer = setTimeout(() => this.showNextImage(), this.slideshow.interval);
+        }
+    }
+    
+    updatePlayButton() {
+        if (!this.playButton) return;
+        
+        const { playing } = this.slideshow;
+        const label = playing ? 'Pause slideshow' : 'Play slideshow';
+        this.playButton.setAttribute('aria-pressed', String(playing));
+        this.playButton.title = `${label} (Space)`;
+        this.playButton.disabled = this.images.length < 2;
+        $('.lightbox-play__label', this.playButton).textContent = label;
+        
+        const icon = $('i', this.playButton);
+        icon.classList.toggle('fa-play', !playing);
+        icon.classList.toggle('fa-pause', playing);
+    }
+    
+    // Fade each new slide in, unless the visitor prefers reduced motion
+    fadeInSlide() {
+        if (!this.slideshow.playing || window.matchMedia('(prefers-reduced-motion: reduce)').matches) return;
+        
+        this.lightboxImage.classList.remove('is-entering');
+        void this.lightboxImage.offsetWidth;
+        this.lightboxImage.classList.add('is-entering');
+    }
+    
+    toggleFullscreen() {
+        if (!document.fullscreenEnabled) return;
+        
+        if (document.fullscreenElement) {
+            document.exitFullscreen();
+        } else {
+            this.lightbox.requestFullscreen().catch(error => {
+                console.error('Could not enter full screen:', error);
+            });
         }
     }
     
+    updateFullscreenButton() {
+        const isFullscreen = document.fullscreenElement === this.lightbox;
+        const icon = $('i', this.fullscreenButton);
+        
+        this.fullscreenButton.setAttribute('aria-pressed', String(isFullscreen));
+        this.fullscreenButton.title = isFullscreen ? 'Exit full screen (F)' : 'Full screen (F)';
+        icon.classList.toggle('fa-expand', !isFullscreen);
+        icon.classList.toggle('fa-compress', isFullscreen);
+    }
+    
     scrollToNewItems() {
         const newItems = $$('.gallery-item.visible');
         if (newItems.length > 0) {
@@ -366,74 +1488,87 @@ class Gallery {
     }
     
     scrollToGallery() {
-        const gallerySection = $('.gallery-section');
+        const gallerySection = $('.gallery-section') || $('.gallery');
         if (gallerySection) {
             gallerySection.scrollIntoView({ behavior: 'smooth' });
         }
     }
     
     handleResize() {
-        // Re-initialize masonry layout if needed
-        this.initMasonryLayout();
+        // Reflow the masonry layout for the new width
+        this.layoutMasonryGrid();
     }
     
+    // ===== Masonry =====
+    // The photo view lays its tiles out in columns by each photo's aspect ratio (from the manifest's
+    // width and height), so nothing moves as images load. Album covers stay a regular grid.
     initMasonryLayout() {
-        // Simple masonry layout implementation
-        if (this.galleryGrid.classList.contains('gallery-masonry')) {
-            const items = $$('.gallery-item.visible');
-            const container = this.galleryGrid;
-            
-            // Reset container height
-            container.style.height = 'auto';
-            
-            // Simple masonry calculation
-            // This is a basic implementation - consider using a library like Masonry.js for complex layouts
-            items.forEach(item => {
-                item.style.position = 'relative';
-                item.style.marginBottom = '1.5rem';
+        this.masonryWidth = 0;
+        
+        // The grid can change width without the window resizing (e.g. a scrollbar appearing)
+        if ('ResizeObserver' in window) {
+            this.resizeObserver = new ResizeObserver(() => {
+                if (this.galleryGrid.clientWidth !== this.masonryWidth) {
+                    this.layoutMasonryGrid();
+                }
             });
+            this.resizeObserver.observe(this.galleryGrid);
         }
     }
     
-    // Method to add new gallery items dynamically
-    addGalleryItem(imageData) {
-        const item = document.createElement('div');
-        item.className = 'gallery-item';
-        item.setAttribute('data-category', imageData.category || 'all');
-        item.tabIndex = 0;
-        
-        item.innerHTML = `
-            <img src="${imageData.placeholder || imageData.src}" data-src="${imageData.src}" alt="${imageData.alt}" loading="lazy">
-            <div class="gallery-overlay">
-                <div class="gallery-info">
-                    <h3>${imageData.title}</h3>
-                    <p>${imageData.description}</p>
-                </div>
-            </div>
-            <div class="gallery-category">${imageData.category}</div>
-        `;
+    layoutMasonryGrid() {
+        if (!this.galleryGrid) return;
         
-        // Add event listeners
-        item.addEventListener('click', () => {
-            const index = this.allItems.length;
-            this.openLightbox(index);
-        });
+        const items = this.galleryItems || [];
+        if (!this.galleryGrid.classList.contains('gallery-grid--masonry')) {
+            this.galleryGrid.style.height = '';
+            return;
+        }
         
-        item.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter' || e.key === ' ') {
-                e.preventDefault();
-                const index = this.allItems.length;
-                this.openLightbox(index);
-            }
+        // Nothing to measure while the grid is hidden
+        const width = this.galleryGrid.clientWidth;
+        if (!width) return;
+        
+        const gap = parseFloat(getComputedStyle(this.galleryGrid).columnGap) || 0;
+        const visible = items.filter(item => item.style.display !== 'none');
+        const { positions, height } = layoutMasonry(
+            visible.map(item => this.getAspectRatio(item)),
+            { width, columns: getColumnCount(width, { gap }), gap }
+        );
+        
+        visible.forEach((item, index) => {
+            const position = positions[index];
+            item.style.left = `${position.x}px`;
+            item.style.top = `${position.y}px`;
+            item.style.width = `${position.width}px`;
+            item.style.height = `${position.height}px`;
+            
+            // Each tile now downloads the variant for its own width (wider when cropped to fit)
+            const sizes = `${Math.max(position.width, Math.round(position.height * this.getAspectRatio(item)))}px`;
+            item.querySelectorAll('picture > *').forEach(element => element.setAttribute('sizes', sizes));
         });
         
-        // Add to DOM and arrays
-        this.galleryGrid.appendChild(item);
-        this.allItems.push(item);
-        this.images.push(imageData);
+        this.galleryGrid.style.height = `${height}px`;
+        this.masonryWidth = width;
+    }
+    
+    getAspectRatio(item) {
+        const photo = this.photosById.get(item.getAttribute('data-photo'));
+        return photo && photo.width && photo.height ? photo.width / photo.height : DEFAULT_ASPECT_RATIO;
+    }
+    
+    // Method to add a photo dynamically; takes the same fields as a photo in data/gallery.json
+    addGalleryItem(imageData) {
+        const photo = {
+            id: imageData.id || `photo-${this.manifest.photos.length + 1}`,
+            ...imageData
+        };
         
-        // Re-apply current filter
-        this.filterItems(this.currentFilter);
+        this.setManifest({
+            ...this.manifestData,
+            photos: [...(this.manifestData.photos || []), photo]
+        });
+        this.render();
     }
     
     // Method to search gallery items
@@ -450,23 +1585,12 @@ class Gallery {
             const description = item.querySelector('p') ? item.querySelector('p').textContent.toLowerCase() : '';
             const category = item.getAttribute('data-category').toLowerCase();
             
-            return title.includes(searchTerm) || 
-                   description.includes(searchTerm) || 
+            return title.includes(searchTerm) ||
+                   description.includes(searchTerm) ||
                    category.includes(searchTerm);
         });
         
-        // Show/hide items based on search
-        this.allItems.forEach(item => {
-            item.style.display = 'none';
-            item.classList.remove('visible');
-        });
-        
-        filteredItems.slice(0, this.visibleItems).forEach(item => {
-            item.style.display = 'block';
-            setTimeout(() => item.classList.add('visible'), 50);
-        });
-        
-        this.showNoResultsMessage(filteredItems.length === 0);
+        this.showItems(filteredItems);
     }
     
     // Destroy method for cleanup
@@ -475,10 +1599,6 @@ class Gallery {
             button.removeEventListener('click', this.handleFilterClick);
         });
         
-        this.galleryItems.forEach(item => {
-            item.removeEventListener('click', this.openLightbox);
-        });
-        
         if (this.lightboxClose) {
             this.lightboxClose.removeEventListener('click', this.closeLightbox);
         }
@@ -497,13 +1617,16 @@ class Gallery {
             this.loadMoreBtn.removeEventListener('click', this.loadMoreItems);
         }
         
+        if (this.imageObserver) {
+            this.imageObserver.disconnect();
+        }
+        
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        }
+        
         window.removeEventListener('resize', this.handleResize);
     }
 }
 
-// Initialize gallery when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-    new Gallery();
-});
-
-export default Gallery;
\ No newline at end of file
+export default Gallery;
@@ -0,0 +1,127 @@
+// ===== DISTRICT RECORDS BOARD =====
+// All-time best mark for every athletics discipline and category, worked out from
+// every meet in data/athletics-results.json (records.html).
+import { $, escapeHTML, debounce, fetchJson, getEventPath } from './utils/helpers.js';
+import { DATA_SOURCES } from './utils/constants.js';
+import { analyseResults, formatMark } from './utils/athletics.js';
+import { formatDateRange } from './utils/event-dates.js';
+import SortableTable from './sortable-table.js';
+
+class RecordsBoard {
+    constructor(container = $('#records-board')) {
+        this.container = container;
+        this.table = container ? $('.records-table', container) : null;
+        this.categorySelect = container ? $('.records-board__category', container) : null;
+        this.searchInput = container ? $('.records-board__search', container) : null;
+        this.records = [];
+        this.eventsById = new Map();
+        
+        if (this.table) {
+            this.init();
+        }
+    }
+    
+    init() {
+        this.bindEvents();
+        this.loadRecords();
+    }
+    
+    bindEvents() {
+        if (this.categorySelect) {
+            this.categorySelect.addEventListener('change', () => this.applyFilters());
+        }
+        
+        if (this.searchInput) {
+            this.searchInput.addEventListener('input', debounce(() => this.applyFilters(), 200));
+        }
+    }
+    
+    async loadRecords() {
+        try {
+            const [results, events] = await Promise.all([
+                fetchJson(DATA_SOURCES.ATHLETICS_RESULTS),
+                fetchJson(DATA_SOURCES.EVENTS)
+            ]);
+            
+            this.eventsById = new Map((events.events || []).map(eventData => [eventData.id, eventData]));
+            this.records = analyseResults(results.meets || []).records;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load district records:', error);
+            this.renderMessage('District records could not be loaded. Please try again later.');
+        }
+    }
+    
+    render() {
+        if (this.records.length === 0) {
+            this.renderMessage('No district records have been published yet.');
+            return;
+        }
+        
+        const categories = [...new Set(this.records.map(record => record.category).filter(Boolean))].sort();
+        if (this.categorySelect) {
+            categories.forEach(category => this.categorySelect.add(new Option(category, category)));
+        }
+        
+        this.table.tBodies[0].innerHTML = this.records.map(record => this.renderRecord(record)).join('');
+        new SortableTable(this.table);
+    }
+    
+    renderRecord(record) {
+        const eventData = this.eventsById.get(record.eventId);
+        const meetName = record.meetName || (eventData ? eventData.title : record.eventId);
+        const previous = record.history.slice(0, -1).reverse();
+        
+        return `
+            <tr class="records-table__row" data-category="${escapeHTML(record.category)}">
+                <th scope="row">${escapeHTML(record.name)}</th>
+                <td>${escapeHTML(record.category)}</td>
+                <td class="records-table__mark" data-sort-value="${record.value}">${escapeHTML(formatMark(record.mark, record.markType))}</td>
+                <td>${escapeHTML(record.athlete || record.school)}</td>
+                <td>${escapeHTML(record.athlete ? record.school : '')}</td>
+                <td>${eventData ? `<a href="${getEventPath(record.eventId)}">${escapeHTML(meetName)}</a>` : escapeHTML(meetName)}</td>
+                <td data-sort-value="${record.date}">${formatDateRange(record.date)}</td>
+                <td>
+                    ${previous.length === 0 ? '&ndash;' : `
+                        <details class="records-table__history">
+                            <summary>${previous.length} earlier ${previous.length === 1 ? 'mark' : 'marks'}</summary>
+                            <ol>
+                                ${previous.map(entry => `
+                                    <li>${escapeHTML(formatMark(entry.mark, entry.markType))} &ndash; ${escapeHTML(entry.athlete || entry.school)} (${entry.date.slice(0, 4)})</li>
+                                `).join('')}
+                            </ol>
+                        </details>`}
+                </td>
+            </tr>`;
+    }
+    
+    renderMessage(message) {
+        const columns = this.table.tHead.rows[0].cells.length;
+        this.table.tBodies[0].innerHTML = `
+            <tr>
+                <td class="records-table__message" colspan="${columns}">${escapeHTML(message)}</td>
+            </tr>`;
+    }
+    
+    applyFilters() {
+        const category = this.categorySelect ? this.categorySelect.value : '';
+        const query = this.searchInput ? this.searchInput.value.trim().toLowerCase() : '';
+        let visible = 0;
+        
+        Array.from(this.table.tBodies[0].rows).forEach(row => {
+            if (!row.classList.contains('records-table__row')) return;
+            
+            const matches = (!category || row.getAttribute('data-category') === category)
+                && (!query || row.textContent.toLowerCase().includes(query));
+            row.hidden = !matches;
+            if (matches) visible++;
+        });
+        
+        const empty = $('.records-board__empty', this.container);
+        if (empty) {
+            empty.hidden = visible > 0;
+        }
+    }
+}
+
+export default RecordsBoard;
@@ -0,0 +1,350 @@
+// ===== EVENT REGISTRATION COMPONENT =====
+import { $, $$, RequestError, debounce, downloadFile, escapeHTML, fetchJson, setLoadingState, showNotification } from './utils/helpers.js';
+import { API_ENDPOINTS, REGISTRATION_STATUS, SUCCESS_MESSAGES, ERROR_MESSAGES } from './utils/constants.js';
+import { REGISTRATION_FIELDS, validateRegistration, validateRegistrationField } from './utils/registrations.js';
+import { formatDateRange } from './utils/event-dates.js';
+import { encodeQr, getQrPath, renderQrSvg } from './utils/qr-code.js';
+
+class Registration {
+    constructor() {
+        this.modal = $('#registration-modal');
+        this.form = $('#registration-form');
+        this.eventDetails = $('.registration-modal__event');
+        this.capacityInfo = $('.registration-modal__capacity');
+        this.schoolOptions = $('#reg-school-options');
+        this.submitButton = $('.registration-form__submit');
+        this.confirmation = $('.registration-confirmation');
+        this.ticketSection = $('.registration-confirmation__ticket');
+        this.currentEvent = null;
+        this.ticket = null;
+        this.lastFocused = null;
+        
+        if (this.modal && this.form) {
+            this.init();
+        }
+    }
+    
+    init() {
+        this.bindEvents();
+    }
+    
+    bindEvents() {
+        $$('[data-registration-close]', this.modal).forEach(button => {
+            button.addEventListener('click', () => this.close());
+        });
+        
+        $('[data-registration-ticket]', this.modal).addEventListener('click', () => this.downloadTicket());
+        
+        // Close when clicking the backdrop
+        this.modal.addEventListener('click', (e) => {
+            if (e.target === this.modal) {
+                this.close();
+            }
+        });
+        
+        this.modal.addEventListener('keydown', (e) => this.handleKeyboard(e));
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+        
+        // Validate fields as they're filled in
+        this.getInputs().forEach(input => {
+            input.addEventListener('blur', () => this.validateInput(input));
+            input.addEventListener('input', debounce(() => {
+                if (input.classList.contains('form-control--error')) {
+                    this.validateInput(input);
+                }
+            }, 300));
+        });
+    }
+    
+    getInputs() {
+        return REGISTRATION_FIELDS
+            .map(field => this.form.elements[field.name])
+            .filter(Boolean);
+    }
+    
+    async open(eventData) {
+        if (!this.modal) return;
+        
+        this.currentEvent = eventData;
+        this.lastFocused = document.activeElement;
+        
+        this.eventDetails.textContent = [eventData.title, formatDateRange(eventData.start, eventData.end), eventData.venue]
+            .filter(Boolean)
+            .join(' · ');
+        this.populateSchoolOptions(eventData.schools || []);
+        this.resetForm();
+        
+        this.modal.hidden = false;
+        document.body.style.overflow = 'hidden';
+        this.form.elements.firstName.focus();
+        
+        await this.loadSummary(eventData.id);
+    }
+    
+    close() {
+        if (!this.modal || this.modal.hidden) return;
+        
+        this.modal.hidden = true;
+        document.body.style.overflow = '';
+        this.currentEvent = null;
+        
+        // Return focus to the button that opened the modal
+        if (this.lastFocused && typeof this.lastFocused.focus === 'function') {
+            this.lastFocused.focus();
+        }
+    }
+    
+    resetForm() {
+        this.form.reset();
+        this.getInputs().forEach(input => this.clearFieldError(input));
+        this.form.hidden = false;
+        this.confirmation.hidden = true;
+        this.ticketSection.hidden = true;
+        this.ticket = null;
+        this.capacityInfo.textContent = '';
+        this.capacityInfo.className = 'registration-modal__capacity';
+        this.submitButton.textContent = 'Submit Registration';
+    }
+    
+    populateSchoolOptions(schools) {
+        this.schoolOptions.innerHTML = '';
+        schools.forEach(school => {
+            const option = document.createElement('option');
+            option.value = school;
+            this.schoolOptions.appendChild(option);
+        });
+    }
+    
+    async loadSummary(eventId) {
+        try {
+            const summary = await fetchJson(`${API_ENDPOINTS.REGISTRATIONS}/summary?event=${encodeURIComponent(eventId)}`);
+            
+            // Ignore the response if the modal was closed or reopened for another event
+            if (!this.currentEvent || this.currentEvent.id !== eventId) return;
+            
+            this.updateCapacityInfo(summary);
+        } catch (error) {
+            console.error('Failed to load registration summary:', error);
+        }
+    }
+    
+    updateCapacityInfo(summary) {
+        const isFull = summary.remaining === 0;
+        
+        if (summary.capacity === null) {
+            this.capacityInfo.textContent = 'Places available';
+        } else if (isFull) {
+            this.capacityInfo.textContent = `This event is full (${summary.capacity} places). New registrations join the waitlist.`;
+        } else {
+            this.capacityInfo.textContent = `${summary.remaining} of ${summary.capacity} places left`;
+        }
+        
+        this.capacityInfo.classList.toggle('registration-modal__capacity--full', isFull);
+        this.submitButton.textContent = isFull ? 'Join Waitlist' : 'Submit Registration';
+    }
+    
+    validateInput(input) {
+        const field = REGISTRATION_FIELDS.find(item => item.name === input.name);
+        const error = validateRegistrationField(field, input.value.trim());
+        
+        this.clearFieldError(input);
+        
+        if (error) {
+            this.showFieldError(input, error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    showFieldError(input, message) {
+        this.clearFieldError(input);
+        input.classList.add('form-control--error');
+        input.setAttribute('aria-invalid', 'true');
+        
+        const errorElement = document.createElement('div');
+        errorElement.className = 'form-text form-text--error';
+        errorElement.textContent = message;
+        
+        input.parentNode.appendChild(errorElement);
+    }
+    
+    clearFieldError(input) {
+        input.classList.remove('form-control--error');
+        input.removeAttribute('aria-invalid');
+        
+        const existingError = input.parentNode.querySelector('.form-text--error');
+        if (existingError) {
+            existingError.remove();
+        }
+    }
+    
+    getFormData() {
+        return REGISTRATION_FIELDS.reduce((data, field) => {
+            const input = this.form.elements[field.name];
+            data[field.name] = input ? input.value.trim() : '';
+            return data;
+        }, {});
+    }
+    
+    showErrors(errors) {
+        this.getInputs().forEach(input => {
+            if (errors[input.name]) {
+                this.showFieldError(input, errors[input.name]);
+            } else {
+                this.clearFieldError(input);
+            }
+        });
+        
+        const firstInvalid = this.getInputs().find(input => errors[input.name]);
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (!this.currentEvent) return;
+        
+        const data = this.getFormData();
+        const errors = validateRegistration(data);
+        this.showErrors(errors);
+        
+        if (Object.keys(errors).length > 0) {
+            showNotification('Please fix the errors in the form.', 'error');
+            return;
+        }
+        
+        setLoadingState(this.submitButton, true);
+        
+        try {
+            const result = await fetchJson(API_ENDPOINTS.REGISTRATIONS, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ eventId: this.currentEvent.id, ...data })
+            });
+            
+            this.showConfirmation(result);
+        } catch (error) {
+            console.error('Registration failed:', error);
+            
+            // The server names the fields it rejected
+            if (error instanceof RequestError && error.body && error.body.errors) {
+                this.showErrors(error.body.errors);
+            }
+            showNotification(this.getErrorMessage(error), 'error');
+        } finally {
+            setLoadingState(this.submitButton, false);
+        }
+    }
+    
+    // The server says why it refused (already registered, registration closed, invalid details);
+    // a duplicate comes with the reference of the existing registration
+    getErrorMessage(error) {
+        // Anything other than an error response means the request never reached the server
+        if (!(error instanceof RequestError)) {
+            return ERROR_MESSAGES.NETWORK_ERROR;
+        }
+        
+        const { status, body } = error;
+        if (status >= 500 || !body || !body.error) {
+            return status >= 500 ? ERROR_MESSAGES.SERVER_ERROR : ERROR_MESSAGES.FORM_SUBMISSION_ERROR;
+        }
+        
+        if (status === 409 && body.reference) {
+            return `${body.error}. Your reference number is ${body.reference}.`;
+        }
+        if (status === 400) {
+            return `${body.error}. Please check the form.`;
+        }
+        return `${body.error}.`;
+    }
+    
+    showConfirmation(result) {
+        const isWaitlisted = result.status === REGISTRATION_STATUS.WAITLISTED;
+        const firstName = this.form.elements.firstName.value.trim();
+        
+        $('.registration-confirmation__title', this.confirmation).textContent = isWaitlisted
+            ? `${firstName} is on the waitlist (position ${result.waitlistPosition})`
+            : `${firstName} is registered!`;
+        $('.registration-confirmation__message', this.confirmation).textContent = isWaitlisted
+            ? SUCCESS_MESSAGES.WAITLIST
+            : SUCCESS_MESSAGES.REGISTRATION;
+        $('.registration-confirmation__reference strong', this.confirmation).textContent = result.reference;
+        this.showTicket(result, firstName);
+        
+        this.confirmation.classList.toggle('registration-confirmation--waitlisted', isWaitlisted);
+        this.form.hidden = true;
+        this.confirmation.hidden = false;
+        $('[data-registration-close]', this.confirmation).focus();
+    }
+    
+    // Confirmed places come with a signed ticket code, shown as a QR code to scan at the gate
+    showTicket(result, firstName) {
+        this.ticketSection.hidden = !result.ticket;
+        if (!result.ticket) {
+            this.ticket = null;
+            return;
+        }
+        
+        const qr = encodeQr(result.ticket);
+        this.ticket = {
+            qr,
+            reference: result.reference,
+            name: `${firstName} ${this.form.elements.lastName.value.trim()}`,
+            eventData: this.currentEvent
+        };
+        
+        $('.registration-confirmation__qr', this.ticketSection).innerHTML = renderQrSvg(qr, {
+            label: `Ticket QR code for reference ${result.reference}`
+        });
+    }
+    
+    // A printable SVG ticket with the QR code, the participant and the event
+    downloadTicket() {
+        if (!this.ticket) return;
+        
+        const { qr, reference, name, eventData } = this.ticket;
+        const qrSize = qr.size + 8;
+        const lines = [eventData.title, formatDateRange(eventData.start, eventData.end), eventData.venue].filter(Boolean);
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="360" height="560" viewBox="0 0 360 560" font-family="Arial, sans-serif" text-anchor="middle">
+    <rect x="1" y="1" width="358" height="558" rx="12" fill="#fff" stroke="#2563eb" stroke-width="2"/>
+    <text x="180" y="40" font-size="20" font-weight="bold" fill="#2563eb">FODASU Event Ticket</text>
+    ${lines.map((line, i) => `<text x="180" y="${72 + i * 22}" font-size="${i === 0 ? 16 : 13}" fill="#374151">${escapeHTML(line)}</text>`).join('')}
+    <g transform="translate(40 140) scale(${280 / qrSize})" shape-rendering="crispEdges">
+        <rect width="${qrSize}" height="${qrSize}" fill="#fff"/>
+        <path d="${getQrPath(qr)}" fill="#000"/>
+    </g>
+    <text x="180" y="460" font-size="18" font-weight="bold" fill="#111827">${escapeHTML(name)}</text>
+    <text x="180" y="492" font-size="15" font-family="monospace" fill="#111827">${escapeHTML(reference)}</text>
+    <text x="180" y="530" font-size="11" fill="#6b7280">Show this ticket at check-in, on a phone or printed out.</text>
+</svg>`;
+
+        downloadFile(`${reference}-ticket.svg`, svg, 'image/svg+xml');
+    }
+    
+    handleKeyboard(e) {
+        if (e.key === 'Escape') {
+            this.close();
+            return;
+        }
+        
+        // Keep focus inside the dialog while it's open
+        if (e.key === 'Tab') {
+            const focusable = Array.from($$('button, input, select, textarea', this.modal))
+                .filter(element => !element.disabled && !element.closest('[hidden]'));
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+}
+
+export default Registration;
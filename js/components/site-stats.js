@@ -0,0 +1,59 @@
+// ===== SITE STATISTICS COUNTERS =====
+// Fills every element with a data-stat="<key>" attribute from data/stats.json, so the same
+// figure reads the same on every page. Add data-stat-program="<program>" for one program's
+// share, and data-stat-updated (optionally "<key>") to an element that should say how
+// current the figures are. The numbers written into the HTML stay if the file can't load.
+import { $$, fetchJson } from './utils/helpers.js';
+import { DATA_SOURCES } from './utils/constants.js';
+import { formatDateRange } from './utils/event-dates.js';
+import { getStatValue, getStatUpdated, formatStatValue } from './utils/stats.js';
+
+class SiteStats {
+    constructor() {
+        this.counters = $$('[data-stat]');
+        this.updatedNotes = $$('[data-stat-updated]');
+        this.data = null;
+        
+        // Resolves once the figures are on the page, so count-up animations start from the right target
+        this.ready = this.counters.length > 0 ? this.init() : Promise.resolve();
+    }
+    
+    async init() {
+        try {
+            this.data = await fetchJson(DATA_SOURCES.STATS);
+            this.render();
+        } catch (error) {
+            console.error('Failed to load site statistics:', error);
+        }
+    }
+    
+    render() {
+        this.counters.forEach(counter => {
+            const key = counter.getAttribute('data-stat');
+            const value = getStatValue(this.data, key, counter.getAttribute('data-stat-program'));
+            if (value === null) return;
+            
+            // Animated counters count up to data-target; the rest show the figure straight away
+            if (counter.hasAttribute('data-target')) {
+                counter.setAttribute('data-target', value);
+            } else {
+                counter.textContent = formatStatValue(value);
+            }
+            
+            const updated = getStatUpdated(this.data, key);
+            if (updated) {
+                counter.title = `As of ${formatDateRange(updated)}`;
+            }
+        });
+        
+        this.updatedNotes.forEach(note => {
+            const updated = getStatUpdated(this.data, note.getAttribute('data-stat-updated'));
+            note.hidden = !updated;
+            if (updated) {
+                note.textContent = `Figures as of ${formatDateRange(updated)}`;
+            }
+        });
+    }
+}
+
+export default SiteStats;
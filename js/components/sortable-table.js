@@ -0,0 +1,59 @@
+// ===== SORTABLE TABLE =====
+// Header cells with data-sort="text" or data-sort="number" sort the table when
+// clicked; clicking again reverses the order. Body cells can set data-sort-value
+// to sort by something other than their text (e.g. seconds for a "4:32.10" time).
+import { $$, createElement } from './utils/helpers.js';
+
+class SortableTable {
+    constructor(table) {
+        this.table = table;
+        this.headers = table ? Array.from($$('th[data-sort]', table)) : [];
+        
+        if (this.headers.length > 0) {
+            this.init();
+        }
+    }
+    
+    init() {
+        this.headers.forEach(header => {
+            // A button inside the header makes sorting reachable from the keyboard
+            const button = createElement('button', { type: 'button', className: 'sortable-table__button' });
+            button.append(...header.childNodes);
+            header.appendChild(button);
+            
+            button.addEventListener('click', () => this.sortBy(header));
+        });
+    }
+    
+    sortBy(header, direction = header.getAttribute('aria-sort') === 'ascending' ? 'descending' : 'ascending') {
+        const tbody = this.table.tBodies[0];
+        const index = Array.from(header.parentNode.children).indexOf(header);
+        const isNumeric = header.getAttribute('data-sort') === 'number';
+        
+        const getValue = (row) => {
+            const cell = row.cells[index];
+            const value = cell ? (cell.getAttribute('data-sort-value') ?? cell.textContent.trim()) : '';
+            return isNumeric && value !== '' ? Number(value) : value;
+        };
+        
+        const rows = Array.from(tbody.rows).sort((a, b) => {
+            const valueA = getValue(a);
+            const valueB = getValue(b);
+            
+            // Empty cells (no place, no mark) stay at the bottom in both directions
+            if (valueA === '' || valueB === '') return (valueA === '') - (valueB === '');
+            
+            const result = isNumeric
+                ? valueA - valueB
+                : String(valueA).localeCompare(String(valueB), undefined, { numeric: true });
+            
+            return direction === 'ascending' ? result : -result;
+        });
+        
+        this.headers.forEach(item => item.removeAttribute('aria-sort'));
+        header.setAttribute('aria-sort', direction);
+        rows.forEach(row => tbody.appendChild(row));
+    }
+}
+
+export default SortableTable;
@@ -286,6 +286,9 @@ class Tabs {
             if (loadUrl) {
                 try {
                     const response = await fetch(loadUrl);
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${loadUrl}: ${response.status}`);
+                    }
                     const html = await response.text();
                     contentElement.innerHTML = html;
                     contentElement.setAttribute('data-loaded', 'true');
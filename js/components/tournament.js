@@ -0,0 +1,360 @@
+// ===== TOURNAMENT VIEW =====
+// Standings, fixtures and a knockout bracket for events that have a tournament in
+// data/tournaments.json. Rendered inside the event detail view on events.html.
+import { $$, escapeHTML, fetchJson } from './utils/helpers.js';
+import { API_ENDPOINTS, DATA_SOURCES } from './utils/constants.js';
+import { buildTournament, TOURNAMENT_FORMATS } from './utils/tournament.js';
+
+const VIEWS = {
+    STANDINGS: 'standings',
+    FIXTURES: 'fixtures',
+    BRACKET: 'bracket'
+};
+
+const VIEW_LABELS = {
+    [VIEWS.STANDINGS]: 'Standings',
+    [VIEWS.FIXTURES]: 'Fixtures',
+    [VIEWS.BRACKET]: 'Bracket'
+};
+
+const STANDINGS_COLUMNS = [
+    { key: 'played', label: 'P', title: 'Played' },
+    { key: 'won', label: 'W', title: 'Won' },
+    { key: 'drawn', label: 'D', title: 'Drawn' },
+    { key: 'lost', label: 'L', title: 'Lost' },
+    { key: 'goalsFor', label: 'GF', title: 'Goals for' },
+    { key: 'goalsAgainst', label: 'GA', title: 'Goals against' },
+    { key: 'goalDifference', label: 'GD', title: 'Goal difference' },
+    { key: 'points', label: 'Pts', title: 'Points' }
+];
+
+class Tournament {
+    constructor() {
+        this.container = null;
+        this.eventId = null;
+        this.tournament = null;
+        this.activeView = null;
+        this.highlightedTeam = null;
+    }
+    
+    // Show the tournament for an event in the given section, which stays hidden if the event has none
+    async mount(container, eventData) {
+        this.container = container;
+        this.tournament = null;
+        if (!container) return;
+        
+        container.hidden = true;
+        const config = await this.loadConfig(eventData.id);
+        
+        // The detail view may have moved on to another event while this was loading
+        if (!config || this.container !== container || !container.isConnected) return;
+        
+        this.tournament = buildTournament(config);
+        
+        // Keep the chosen view when the same event is re-rendered
+        if (this.eventId !== eventData.id || !this.getViews().includes(this.activeView)) {
+            this.eventId = eventData.id;
+            this.activeView = this.getDefaultView();
+            this.highlightedTeam = null;
+        }
+        
+        this.render();
+        this.bindEvents();
+        container.hidden = false;
+    }
+    
+    // Scores recorded through the API are only available when the site runs on server/server.js;
+    // on static hosting the results published in data/tournaments.json are shown instead
+    async loadConfig(eventId) {
+        try {
+            return await fetchJson(`${API_ENDPOINTS.TOURNAMENTS}?event=${encodeURIComponent(eventId)}`);
+        } catch (error) {
+            try {
+                const data = await fetchJson(DATA_SOURCES.TOURNAMENTS);
+                return (data.tournaments || []).find(config => config.eventId === eventId) || null;
+            } catch (fallbackError) {
+                console.error('Failed to load tournament:', fallbackError);
+                return null;
+            }
+        }
+    }
+    
+    bindEvents() {
+        // Delegated so the handlers survive switching views
+        this.container.addEventListener('click', (e) => {
+            const tab = e.target.closest('.tournament__tab');
+            const team = e.target.closest('.tournament__team');
+            
+            if (tab) {
+                this.showView(tab.getAttribute('data-view'));
+            } else if (team) {
+                this.toggleTeam(team.getAttribute('data-team'));
+            }
+        });
+        
+        this.container.addEventListener('keydown', (e) => {
+            if (e.target.closest('.tournament__tab')) {
+                this.handleTabKeydown(e);
+            }
+        });
+    }
+    
+    getViews() {
+        const { format } = this.tournament;
+        
+        return [
+            format !== TOURNAMENT_FORMATS.KNOCKOUT && VIEWS.STANDINGS,
+            format !== TOURNAMENT_FORMATS.KNOCKOUT && VIEWS.FIXTURES,
+            format !== TOURNAMENT_FORMATS.GROUPS && VIEWS.BRACKET
+        ].filter(Boolean);
+    }
+    
+    // Open on the bracket once the group stage is over
+    getDefaultView() {
+        const views = this.getViews();
+        const groupsComplete = this.tournament.groups.every(group => group.complete);
+        
+        return views.includes(VIEWS.BRACKET) && groupsComplete ? VIEWS.BRACKET : views[0];
+    }
+    
+    render() {
+        const { name, champion, teams } = this.tournament;
+        const views = this.getViews();
+        
+        this.container.innerHTML = `
+            <div class="tournament__header">
+                <h3 id="tournament-title">${escapeHTML(name || 'Tournament')}</h3>
+                ${champion ? `
+                    <p class="tournament__champion">
+                        <i class="fas fa-trophy"></i> Champions: <strong>${escapeHTML(champion)}</strong>
+                    </p>` : ''}
+            </div>
+            ${teams.length < 2 ? `
+                <p class="tournament__empty">The draw will be published here once teams have registered.</p>
+            ` : `
+                <div class="tournament__tabs" role="tablist" aria-label="Tournament views">
+                    ${views.map(view => this.renderTab(view)).join('')}
+                </div>
+                ${views.map(view => this.renderPanel(view)).join('')}
+                <p class="tournament__hint">Select a team to follow its matches.</p>
+            `}
+        `;
+        
+        if (this.highlightedTeam && teams.includes(this.highlightedTeam)) {
+            this.highlightTeam(this.highlightedTeam);
+        } else {
+            this.highlightedTeam = null;
+        }
+    }
+    
+    renderTab(view) {
+        const isActive = view === this.activeView;
+        
+        return `
+            <button type="button" class="tournament__tab${isActive ? ' active' : ''}" role="tab"
+                id="tournament-tab-${view}" aria-controls="tournament-panel-${view}"
+                aria-selected="${isActive}" tabindex="${isActive ? 0 : -1}" data-view="${view}">
+                ${VIEW_LABELS[view]}
+            </button>`;
+    }
+    
+    renderPanel(view) {
+        const content = {
+            [VIEWS.STANDINGS]: () => this.renderStandings(),
+            [VIEWS.FIXTURES]: () => this.renderFixtures(),
+            [VIEWS.BRACKET]: () => this.renderBracket()
+        }[view]();
+        
+        return `
+            <div class="tournament__panel" role="tabpanel" id="tournament-panel-${view}"
+                aria-labelledby="tournament-tab-${view}" data-view="${view}"${view === this.activeView ? '' : ' hidden'}>
+                ${content}
+            </div>`;
+    }
+    
+    renderTeam(team) {
+        return `<button type="button" class="tournament__team" data-team="${escapeHTML(team)}" aria-pressed="false">${escapeHTML(team)}</button>`;
+    }
+    
+    renderStandings() {
+        const { groups, qualifiersPerGroup } = this.tournament;
+        
+        const formatCell = (row, key) => (key === 'goalDifference' && row[key] > 0 ? `+${row[key]}` : row[key]);
+        
+        return `
+            <div class="tournament__groups">
+                ${groups.map(group => `
+                    <div class="tournament-group">
+                        <h4 class="tournament-group__title">Group ${group.name}</h4>
+                        <div class="standings-table__wrapper">
+                            <table class="standings-table">
+                                <thead>
+                                    <tr>
+                                        <th scope="col"><abbr title="Position">#</abbr></th>
+                                        <th scope="col" class="standings-table__team">Team</th>
+                                        ${STANDINGS_COLUMNS.map(column => `
+                                            <th scope="col"><abbr title="${column.title}">${column.label}</abbr></th>
+                                        `).join('')}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${group.standings.map(row => `
+                                        <tr class="standings-table__row${row.position <= qualifiersPerGroup ? ' standings-table__row--qualifies' : ''}">
+                                            <td>${row.position}</td>
+                                            <th scope="row" class="standings-table__team">${this.renderTeam(row.team)}</th>
+                                            ${STANDINGS_COLUMNS.map(column => `<td>${formatCell(row, column.key)}</td>`).join('')}
+                                        </tr>
+                                    `).join('')}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                `).join('')}
+            </div>
+            ${qualifiersPerGroup > 0 ? `
+                <p class="tournament__legend">
+                    <span class="tournament__legend-swatch"></span> Qualifies for the knockout stage
+                </p>` : ''}
+            <p class="tournament__legend">Ranked by points, then goal difference, then head-to-head results.</p>`;
+    }
+    
+    renderFixtures() {
+        return this.tournament.groups.map(group => {
+            const rounds = group.fixtures.reduce((byRound, match) => {
+                if (!byRound.has(match.round)) byRound.set(match.round, []);
+                byRound.get(match.round).push(match);
+                return byRound;
+            }, new Map());
+            
+            return `
+                <div class="tournament-group">
+                    <h4 class="tournament-group__title">Group ${group.name}</h4>
+                    ${Array.from(rounds.entries()).map(([round, matches]) => `
+                        <h5 class="tournament-group__round">Matchday ${round}</h5>
+                        <ul class="tournament-fixtures">
+                            ${matches.map(match => this.renderFixture(match)).join('')}
+                        </ul>
+                    `).join('')}
+                </div>`;
+        }).join('');
+    }
+    
+    renderFixture(match) {
+        return `
+            <li class="tournament-match${match.score ? ' tournament-match--played' : ''}">
+                <span class="tournament-match__team tournament-match__team--home">${this.renderTeam(match.home)}</span>
+                <span class="tournament-match__score">
+                    ${match.score ? `${match.score.home} &ndash; ${match.score.away}` : 'vs'}
+                </span>
+                <span class="tournament-match__team tournament-match__team--away">${this.renderTeam(match.away)}</span>
+            </li>`;
+    }
+    
+    renderBracket() {
+        return `
+            <div class="bracket" tabindex="0" role="region" aria-label="Knockout bracket">
+                ${this.tournament.knockout.map(round => `
+                    <div class="bracket__round${round.isThirdPlace ? ' bracket__round--third-place' : ''}">
+                        <h4 class="bracket__round-title">${escapeHTML(round.name)}</h4>
+                        <ol class="bracket__matches">
+                            ${round.matches.map(match => this.renderBracketMatch(match)).join('')}
+                        </ol>
+                    </div>
+                `).join('')}
+            </div>`;
+    }
+    
+    renderBracketMatch(match) {
+        return `
+            <li class="bracket__match${match.isBye ? ' bracket__match--bye' : ''}">
+                <span class="bracket__match-label">${match.isBye ? 'Bye' : `Match ${match.number}`}</span>
+                ${this.renderBracketSide(match, 'home')}
+                ${this.renderBracketSide(match, 'away')}
+            </li>`;
+    }
+    
+    renderBracketSide(match, side) {
+        const team = match[side];
+        const score = match.score ? match.score[side] : '';
+        const penalties = match.score ? match.score[`${side}Penalties`] : undefined;
+        const classes = [
+            'bracket__team',
+            team && team === match.winner ? 'bracket__team--winner' : '',
+            team ? '' : 'bracket__team--pending'
+        ].filter(Boolean).join(' ');
+        
+        return `
+            <div class="${classes}">
+                ${team ? this.renderTeam(team) : `<span class="bracket__placeholder">${escapeHTML(match[`${side}Label`])}</span>`}
+                <span class="bracket__score">
+                    ${score}${Number.isInteger(penalties) ? ` <small>(${penalties} pens)</small>` : ''}
+                </span>
+            </div>`;
+    }
+    
+    showView(view) {
+        this.activeView = view;
+        
+        $$('.tournament__tab', this.container).forEach(tab => {
+            const isActive = tab.getAttribute('data-view') === view;
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-selected', isActive);
+            tab.tabIndex = isActive ? 0 : -1;
+        });
+        
+        $$('.tournament__panel', this.container).forEach(panel => {
+            panel.hidden = panel.getAttribute('data-view') !== view;
+        });
+    }
+    
+    // Arrow keys, Home and End move between tabs
+    handleTabKeydown(e) {
+        const tabs = Array.from($$('.tournament__tab', this.container));
+        const index = tabs.indexOf(e.target.closest('.tournament__tab'));
+        let nextIndex;
+        
+        switch (e.key) {
+            case 'ArrowRight':
+                nextIndex = (index + 1) % tabs.length;
+                break;
+            case 'ArrowLeft':
+                nextIndex = (index - 1 + tabs.length) % tabs.length;
+                break;
+            case 'Home':
+                nextIndex = 0;
+                break;
+            case 'End':
+                nextIndex = tabs.length - 1;
+                break;
+            default:
+                return;
+        }
+        
+        e.preventDefault();
+        tabs[nextIndex].focus();
+        this.showView(tabs[nextIndex].getAttribute('data-view'));
+    }
+    
+    // Follow a team through the standings, fixtures and bracket; selecting it again clears it
+    toggleTeam(team) {
+        this.highlightedTeam = this.highlightedTeam === team ? null : team;
+        this.highlightTeam(this.highlightedTeam);
+    }
+    
+    highlightTeam(team) {
+        $$('.is-highlighted', this.container).forEach(element => element.classList.remove('is-highlighted'));
+        
+        $$('.tournament__team', this.container).forEach(button => {
+            const isMatch = button.getAttribute('data-team') === team;
+            button.setAttribute('aria-pressed', isMatch);
+            
+            if (isMatch) {
+                button.classList.add('is-highlighted');
+                const row = button.closest('.standings-table__row, .tournament-match, .bracket__match');
+                if (row) row.classList.add('is-highlighted');
+            }
+        });
+    }
+}
+
+export default Tournament;
@@ -0,0 +1,154 @@
+// ===== ATHLETICS RESULTS HELPERS =====
+// Placings, district records and personal bests for athletics meets in
+// data/athletics-results.json. Used by the results tables on past athletics
+// events and by the all-time records board (records.html).
+
+// Track events are timed (lower is better); jumps and throws are measured (higher is better)
+export const MARK_TYPES = {
+    TIME: 'time',
+    DISTANCE: 'distance'
+};
+
+// Results without a valid mark
+export const RESULT_STATUSES = {
+    DNS: 'Did not start',
+    DNF: 'Did not finish',
+    DQ: 'Disqualified',
+    NM: 'No mark'
+};
+
+export const ROUND_TYPES = {
+    HEAT: 'heat',
+    SEMI_FINAL: 'semi-final',
+    FINAL: 'final'
+};
+
+// "12.45" -> 12.45, "4:32.10" -> 272.1 (times); "5.42" -> 5.42 (metres).
+// Statuses such as DNF and anything unreadable give null.
+export const parseMark = (mark) => {
+    const text = String(mark ?? '').trim();
+    if (!/^\d+(:\d{1,2})*(\.\d+)?$/.test(text)) return null;
+    
+    return text.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+// Mark as shown in tables: times as recorded, distances with their unit
+export const formatMark = (mark, markType) => {
+    const text = String(mark ?? '').trim().toUpperCase();
+    if (RESULT_STATUSES[text]) return text;
+    
+    return markType === MARK_TYPES.DISTANCE ? `${String(mark).trim()} m` : String(mark).trim();
+};
+
+// Negative when mark a is better than mark b
+export const compareMarks = (a, b, markType) => (markType === MARK_TYPES.DISTANCE ? b - a : a - b);
+
+// Disciplines are identified by name and category, e.g. "100m" + "Boys U17"
+export const getDisciplineKey = (discipline) => `${discipline.name}|${discipline.category || ''}`.toLowerCase();
+
+// Athletes are matched across meets by athleteId when given, otherwise by name and school.
+// Relays are entered by school, so the school stands in for the athlete.
+const getAthleteKey = (result) => String(result.athleteId || `${result.athlete || ''}|${result.school || ''}`).trim().toLowerCase();
+
+// Sort a round's results best mark first and give places, with equal marks sharing a place.
+// Results without a valid mark (DNS, DNF, DQ, NM) follow without a place.
+export const rankResults = (results, markType) => {
+    const marked = results
+        .map(result => ({ ...result, value: parseMark(result.mark) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) return (a.value === null) - (b.value === null);
+            return compareMarks(a.value, b.value, markType);
+        });
+    
+    let place = null;
+    
+    return marked.map((result, index) => {
+        if (result.value === null) return { ...result, place: null };
+        
+        const previous = marked[index - 1];
+        if (!previous || previous.value !== result.value) {
+            place = index + 1;
+        }
+        
+        return { ...result, place };
+    });
+};
+
+// Go through every meet in date order, placing each round and flagging marks that beat
+// the district record (isRecord) or the athlete's own earlier best (isPersonalBest).
+// Returns the annotated meets and the current record for each discipline with its history.
+export const analyseResults = (meets = []) => {
+    const records = new Map();
+    const personalBests = new Map();
+    const ordered = [...meets].sort((a, b) => a.date.localeCompare(b.date));
+    
+    const annotated = ordered.map(meet => ({
+        ...meet,
+        disciplines: (meet.disciplines || []).map(discipline => {
+            const key = getDisciplineKey(discipline);
+            const markType = discipline.markType || MARK_TYPES.TIME;
+            
+            const rounds = (discipline.rounds || []).map(round => {
+                const results = rankResults(round.results || [], markType).map(result => {
+                    if (result.value === null) {
+                        return { ...result, isRecord: false, isPersonalBest: false };
+                    }
+                    
+                    const athleteKey = `${key}|${getAthleteKey(result)}`;
+                    const record = records.get(key);
+                    const personalBest = personalBests.get(athleteKey);
+                    
+                    // Only improvements count: a first mark isn't a record or a personal best
+                    const isRecord = Boolean(record) && compareMarks(result.value, record.value, markType) < 0;
+                    const isPersonalBest = personalBest !== undefined && compareMarks(result.value, personalBest, markType) < 0;
+                    
+                    if (!record || isRecord) {
+                        const entry = {
+                            key,
+                            name: discipline.name,
+                            category: discipline.category || '',
+                            markType,
+                            mark: result.mark,
+                            value: result.value,
+                            athlete: result.athlete || '',
+                            school: result.school || '',
+                            eventId: meet.eventId,
+                            meetName: meet.name || '',
+                            date: meet.date,
+                            round: round.name
+                        };
+                        records.set(key, { ...entry, history: [...(record ? record.history : []), entry] });
+                    }
+                    
+                    if (personalBest === undefined || isPersonalBest) {
+                        personalBests.set(athleteKey, result.value);
+                    }
+                    
+                    return { ...result, isRecord, isPersonalBest };
+                });
+                
+                return { ...round, results };
+            });
+            
+            return { ...discipline, key, markType, rounds };
+        })
+    }));
+    
+    return {
+        meets: annotated,
+        records: Array.from(records.values())
+            .sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }) || a.category.localeCompare(b.category))
+    };
+};
+
+export default {
+    MARK_TYPES,
+    RESULT_STATUSES,
+    ROUND_TYPES,
+    parseMark,
+    formatMark,
+    compareMarks,
+    getDisciplineKey,
+    rankResults,
+    analyseResults
+};
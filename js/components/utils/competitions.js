@@ -0,0 +1,339 @@
+// ===== ACADEMIC COMPETITION SCORING =====
+// Quiz rounds, Swiss-style debates with adjudicator ballots and spelling-bee
+// eliminations for the academics program, plus the combined school rankings.
+// Competitions are defined in data/competitions.json; only those marked
+// "published" are shown on the site.
+
+export const COMPETITION_TYPES = {
+    QUIZ: 'quiz',
+    DEBATE: 'debate',
+    SPELLING_BEE: 'spelling-bee'
+};
+
+export const DEBATE_SIDES = {
+    PROPOSITION: 'proposition',
+    OPPOSITION: 'opposition'
+};
+
+// Points a school earns for each placing (1st, 2nd, ...) in the school rankings
+export const PLACING_POINTS = [10, 8, 6, 5, 4, 3, 2, 1];
+
+// Entrants are written as a plain name (a school's team) or { name, school }
+export const normalizeEntrant = (entrant) => (typeof entrant === 'string'
+    ? { name: entrant, school: entrant }
+    : { name: entrant.name, school: entrant.school || entrant.name });
+
+const sum = (values) => values.reduce((total, value) => total + (value || 0), 0);
+
+// Give places to rows already in order. Rows that compare equal share a place.
+const assignPlaces = (rows, compare) => {
+    let place = 0;
+    
+    return rows.map((row, index) => {
+        if (index === 0 || compare(rows[index - 1], row) !== 0) {
+            place = index + 1;
+        }
+        return { ...row, place };
+    });
+};
+
+// ===== Quiz =====
+
+// Teams are ranked by total score. Equal totals are split by the last round,
+// then the round before it, and so on.
+export const scoreQuiz = (competition) => {
+    const rounds = competition.rounds || [];
+    
+    const rows = (competition.teams || []).map(normalizeEntrant).map(team => {
+        const roundScores = rounds.map(round => {
+            const score = (round.scores || {})[team.name];
+            return Number.isFinite(score) ? score : null;
+        });
+        
+        return { ...team, roundScores, total: sum(roundScores) };
+    });
+    
+    const compare = (a, b) => {
+        if (b.total !== a.total) return b.total - a.total;
+        
+        for (let i = rounds.length - 1; i >= 0; i--) {
+            const difference = (b.roundScores[i] || 0) - (a.roundScores[i] || 0);
+            if (difference !== 0) return difference;
+        }
+        
+        return 0;
+    };
+    
+    return {
+        rounds: rounds.map(round => round.name),
+        standings: assignPlaces([...rows].sort(compare), compare),
+        complete: rounds.length > 0 && rows.every(row => row.roundScores.every(score => score !== null))
+    };
+};
+
+// ===== Debate =====
+
+const average = (values) => (values.length ? sum(values) / values.length : 0);
+
+// Each adjudicator's ballot names a winning side and gives both sides speaker points.
+// The side with most ballots wins; a split even panel goes to the side with more speaker points.
+export const getDebateResult = (debate) => {
+    const ballots = debate.ballots || [];
+    if (ballots.length === 0) return null;
+    
+    const propositionBallots = ballots.filter(ballot => ballot.winner === DEBATE_SIDES.PROPOSITION).length;
+    const oppositionBallots = ballots.length - propositionBallots;
+    const speaks = {
+        proposition: average(ballots.map(ballot => ballot.propositionSpeaks)),
+        opposition: average(ballots.map(ballot => ballot.oppositionSpeaks))
+    };
+    
+    let winner;
+    if (propositionBallots !== oppositionBallots) {
+        winner = propositionBallots > oppositionBallots ? DEBATE_SIDES.PROPOSITION : DEBATE_SIDES.OPPOSITION;
+    } else {
+        winner = speaks.proposition >= speaks.opposition ? DEBATE_SIDES.PROPOSITION : DEBATE_SIDES.OPPOSITION;
+    }
+    
+    return {
+        winner,
+        ballots: { proposition: propositionBallots, opposition: oppositionBallots },
+        speaks
+    };
+};
+
+// Teams are ranked by wins, then ballots won, then total speaker points.
+// Teams still level keep their seeding order for the draw but share a place.
+const compareDebateRecords = (a, b) => b.wins - a.wins || b.ballots - a.ballots || b.speaks - a.speaks;
+
+const findPairs = (pool) => {
+    if (pool.length === 0) return [];
+    
+    const [first, ...rest] = pool;
+    for (let i = 0; i < rest.length; i++) {
+        if (first.opponents.includes(rest[i].name)) continue;
+        
+        const pairs = findPairs([...rest.slice(0, i), ...rest.slice(i + 1)]);
+        if (pairs) return [[first, rest[i]], ...pairs];
+    }
+    
+    return null;
+};
+
+// The team that has opposed more often proposes; otherwise the higher-ranked team does
+const assignSides = (a, b) => (b.sides.proposition < a.sides.proposition
+    ? { proposition: b.name, opposition: a.name }
+    : { proposition: a.name, opposition: b.name });
+
+// Swiss pairing for the next round: teams with the same record meet, working down the
+// rankings, and no two teams meet twice. With an odd number of teams the lowest-ranked
+// team that hasn't had a bye sits the round out and is given the win.
+export const pairSwissRound = (rankedTeams) => {
+    let pool = [...rankedTeams];
+    let bye = null;
+    
+    if (pool.length % 2 === 1) {
+        bye = [...pool].reverse().find(team => team.byes === 0) || pool[pool.length - 1];
+        pool = pool.filter(team => team !== bye);
+    }
+    
+    // Late in a small field every pairing may be a rematch; then pair straight down the rankings
+    const pairs = findPairs(pool) || pool.reduce((result, team, index) => {
+        if (index % 2 === 0) result.push([team, pool[index + 1]]);
+        return result;
+    }, []);
+    
+    return {
+        debates: pairs.map(([a, b]) => assignSides(a, b)),
+        bye: bye ? bye.name : null
+    };
+};
+
+export const scoreDebate = (competition) => {
+    const teams = (competition.teams || []).map(normalizeEntrant);
+    const records = new Map(teams.map((team, seed) => [team.name, {
+        ...team,
+        seed,
+        wins: 0,
+        ballots: 0,
+        speaks: 0,
+        byes: 0,
+        opponents: [],
+        sides: { proposition: 0, opposition: 0 }
+    }]));
+    
+    const rounds = (competition.rounds || []).map(round => {
+        const debates = (round.debates || []).map(debate => {
+            const proposition = records.get(debate.proposition);
+            const opposition = records.get(debate.opposition);
+            const result = getDebateResult(debate);
+            
+            if (proposition && opposition) {
+                proposition.opponents.push(opposition.name);
+                opposition.opponents.push(proposition.name);
+                proposition.sides.proposition++;
+                opposition.sides.opposition++;
+                
+                if (result) {
+                    const winner = result.winner === DEBATE_SIDES.PROPOSITION ? proposition : opposition;
+                    winner.wins++;
+                    proposition.ballots += result.ballots.proposition;
+                    opposition.ballots += result.ballots.opposition;
+                    proposition.speaks += result.speaks.proposition;
+                    opposition.speaks += result.speaks.opposition;
+                }
+            }
+            
+            return { ...debate, result };
+        });
+        
+        const byeTeam = records.get(round.bye);
+        if (byeTeam) {
+            byeTeam.byes++;
+            byeTeam.wins++;
+        }
+        
+        return { name: round.name, debates, bye: round.bye || null };
+    });
+    
+    const ranked = Array.from(records.values())
+        .sort((a, b) => compareDebateRecords(a, b) || a.seed - b.seed);
+    const roundsComplete = rounds.every(round => round.debates.every(debate => debate.result));
+    const roundsPlanned = competition.roundsPlanned || rounds.length;
+    
+    return {
+        rounds,
+        standings: assignPlaces(ranked, compareDebateRecords),
+        // The draw for the next round is published once every ballot from the last one is in
+        nextDraw: roundsComplete && rounds.length < roundsPlanned
+            ? { name: `Round ${rounds.length + 1}`, ...pairSwissRound(ranked) }
+            : null,
+        complete: rounds.length > 0 && roundsComplete && rounds.length >= roundsPlanned
+    };
+};
+
+// ===== Spelling bee =====
+
+// A speller is out after misspelling a word, unless every speller left in the round
+// misses, in which case they all stay in. Spellers knocked out in the same round share a place.
+export const scoreSpellingBee = (competition) => {
+    const spellers = new Map((competition.spellers || []).map(normalizeEntrant).map(speller => [speller.name, {
+        ...speller,
+        eliminatedIn: null,
+        eliminatedRound: null,
+        wordsCorrect: 0
+    }]));
+    
+    const rounds = (competition.rounds || []).map((round, index) => {
+        const attempts = (round.words || []).filter(attempt => {
+            const speller = spellers.get(attempt.speller);
+            return speller && speller.eliminatedIn === null;
+        });
+        const missed = attempts.filter(attempt => !attempt.correct).map(attempt => attempt.speller);
+        const everyoneMissed = attempts.length > 0 && missed.length === attempts.length;
+        
+        attempts.forEach(attempt => {
+            if (attempt.correct) spellers.get(attempt.speller).wordsCorrect++;
+        });
+        
+        if (!everyoneMissed) {
+            missed.forEach(name => {
+                const speller = spellers.get(name);
+                speller.eliminatedIn = index + 1;
+                speller.eliminatedRound = round.name;
+            });
+        }
+        
+        return { name: round.name, attempts, eliminated: everyoneMissed ? [] : missed };
+    });
+    
+    // Spellers still in come first, then the latest to go out
+    const roundOut = (speller) => (speller.eliminatedIn === null ? Infinity : speller.eliminatedIn);
+    const compare = (a, b) => roundOut(b) - roundOut(a);
+    const standings = assignPlaces(Array.from(spellers.values()).sort(compare), compare);
+    const remaining = standings.filter(speller => speller.eliminatedIn === null);
+    
+    return {
+        rounds,
+        standings,
+        complete: remaining.length === 1 && rounds.length > 0
+    };
+};
+
+// ===== Results =====
+
+const SCORERS = {
+    [COMPETITION_TYPES.QUIZ]: scoreQuiz,
+    [COMPETITION_TYPES.DEBATE]: scoreDebate,
+    [COMPETITION_TYPES.SPELLING_BEE]: scoreSpellingBee
+};
+
+export const scoreCompetition = (competition) => {
+    const scorer = SCORERS[competition.type];
+    if (!scorer) {
+        throw new Error(`Unknown competition type: ${competition.type}`);
+    }
+    
+    const result = scorer(competition);
+    const winners = result.complete ? result.standings.filter(row => row.place === 1) : [];
+    
+    return { ...competition, ...result, winners };
+};
+
+// Combined table of schools across an event's finished competitions. Each placing earns
+// PLACING_POINTS; schools level on points are split by firsts, then seconds, then thirds.
+export const rankSchools = (scoredCompetitions, placingPoints = PLACING_POINTS) => {
+    const schools = new Map();
+    
+    scoredCompetitions.filter(competition => competition.complete).forEach(competition => {
+        competition.standings.forEach(row => {
+            if (!schools.has(row.school)) {
+                schools.set(row.school, { school: row.school, points: 0, medals: [0, 0, 0] });
+            }
+            
+            const entry = schools.get(row.school);
+            entry.points += placingPoints[row.place - 1] || 0;
+            if (row.place <= 3) entry.medals[row.place - 1]++;
+        });
+    });
+    
+    const compare = (a, b) => b.points - a.points
+        || b.medals[0] - a.medals[0]
+        || b.medals[1] - a.medals[1]
+        || b.medals[2] - a.medals[2];
+    
+    return assignPlaces(
+        Array.from(schools.values()).sort((a, b) => compare(a, b) || a.school.localeCompare(b.school)),
+        compare
+    );
+};
+
+// Published competitions for each event, scored, with the event's school rankings
+export const getResultsByEvent = (competitions = []) => {
+    const byEvent = new Map();
+    
+    competitions.filter(competition => competition.published).forEach(competition => {
+        if (!byEvent.has(competition.eventId)) byEvent.set(competition.eventId, []);
+        byEvent.get(competition.eventId).push(scoreCompetition(competition));
+    });
+    
+    return new Map(Array.from(byEvent.entries()).map(([eventId, scored]) => [eventId, {
+        competitions: scored,
+        schools: rankSchools(scored)
+    }]));
+};
+
+export default {
+    COMPETITION_TYPES,
+    DEBATE_SIDES,
+    PLACING_POINTS,
+    normalizeEntrant,
+    scoreQuiz,
+    getDebateResult,
+    pairSwissRound,
+    scoreDebate,
+    scoreSpellingBee,
+    scoreCompetition,
+    rankSchools,
+    getResultsByEvent
+};
@@ -4,7 +4,55 @@
 export const API_ENDPOINTS = {
     CONTACT: '/api/contact',
     DONATION: '/api/donate',
-    NEWSLETTER: '/api/newsletter'
+    NEWSLETTER: '/api/newsletter',
+    REGISTRATIONS: '/api/registrations',
+    TOURNAMENTS: '/api/tournaments',
+    VOLUNTEERS: '/api/volunteers'
+};
+
+// Static data files (relative to the site root)
+export const DATA_SOURCES = {
+    EVENTS: 'data/events.json',
+    TOURNAMENTS: 'data/tournaments.json',
+    ATHLETICS_RESULTS: 'data/athletics-results.json',
+    COMPETITIONS: 'data/competitions.json',
+    POSTS: 'data/posts.json',
+    // Site-wide figures (schools, students...) shown by the counters on every page
+    STATS: 'data/stats.json',
+    // Venue map: places to mark, and the district base map as GeoJSON
+    PLACES: 'data/places.json',
+    BASEMAP: 'data/foya-district.geojson',
+    // Gallery photos and albums
+    GALLERY: 'data/gallery.json',
+    // Resized image variants written by `npm run optimize-images`
+    IMAGES: 'images/optimized/manifest.json'
+};
+
+// Event detail views are deep-linked as events.html?event=<event id>
+export const EVENT_PAGE = 'events.html';
+export const EVENT_DETAIL_PARAM = 'event';
+
+// Query string parameters that record the gallery's view, so it can be linked to
+// (gallery.html?album=<album id>&photo=<photo id>)
+export const GALLERY_PARAMS = {
+    CATEGORY: 'category',
+    VIEW: 'view',
+    ALBUM: 'album',
+    PHOTO: 'photo'
+};
+
+// All-time athletics records board
+export const RECORDS_PAGE = 'records.html';
+
+// Organizer page for checking in ticket holders at the gate
+export const CHECK_IN_PAGE = 'checkin.html';
+
+// Subscribable feeds served by server/server.js
+export const FEEDS = {
+    CALENDAR: '/calendar/fodasu-events.ics',
+    RSS: '/feeds/fodasu.rss',
+    ATOM: '/feeds/fodasu.atom',
+    JSON: '/feeds/fodasu.json'
 };
 
 // Animation Durations
@@ -28,7 +76,16 @@ export const BREAKPOINTS = {
 export const STORAGE_KEYS = {
     THEME: 'fodasu_theme',
     DONATION_AMOUNT: 'fodasu_donation_amount',
-    CONTACT_FORM: 'fodasu_contact_data'
+    CONTACT_FORM: 'fodasu_contact_data',
+    CHECK_IN_ROSTERS: 'fodasu_check_in_rosters',
+    CHECK_IN_QUEUE: 'fodasu_check_in_queue',
+    VOLUNTEER_SHIFTS: 'fodasu_volunteer_shifts',
+    SLIDESHOW_INTERVAL: 'fodasu_slideshow_interval'
+};
+
+// Session Storage Keys (cleared when the browser closes)
+export const SESSION_KEYS = {
+    ORGANIZER_TOKEN: 'fodasu_organizer_token'
 };
 
 // Form Validation Messages
@@ -56,6 +113,32 @@ export const PROGRAM_TYPES = {
     ACADEMICS: 'academics'
 };
 
+// Events are scheduled in Liberian local time
+export const EVENT_TIMEZONE = 'Africa/Monrovia';
+
+// Appended to event venues in calendar exports
+export const EVENT_REGION = 'Foya, Lofa County, Liberia';
+
+// Event Status (derived from event dates)
+export const EVENT_STATUS = {
+    UPCOMING: 'upcoming',
+    ONGOING: 'ongoing',
+    PAST: 'past'
+};
+
+// Registration Status (assigned by the registrations API)
+export const REGISTRATION_STATUS = {
+    CONFIRMED: 'confirmed',
+    WAITLISTED: 'waitlisted'
+};
+
+// Outcome of syncing a check-in to the registrations API
+export const CHECK_IN_STATUS = {
+    RECORDED: 'recorded',
+    ALREADY_RECORDED: 'already-recorded',
+    NOT_FOUND: 'not-found'
+};
+
 // Gallery Categories
 export const GALLERY_CATEGORIES = {
     ALL: 'all',
@@ -93,7 +176,7 @@ export const SOCIAL_LINKS = {
     LINKEDIN: 'https://linkedin.com/company/fodasu'
 };
 
-// Map Configuration (if adding maps later)
+// Venue map (contact and events pages). CENTER places the office marker unless data/places.json sets it
 export const MAP_CONFIG = {
     CENTER: {
         lat: 8.3667, // Foya, Liberia approximate coordinates
@@ -123,7 +206,10 @@ export const ERROR_MESSAGES = {
 export const SUCCESS_MESSAGES = {
     CONTACT_FORM: 'Thank you for your message! We\'ll get back to you soon.',
     DONATION: 'Thank you for your generous donation!',
-    NEWSLETTER: 'Thank you for subscribing to our newsletter!'
+    NEWSLETTER: 'Thank you for subscribing to our newsletter!',
+    REGISTRATION: 'You\'re registered! Keep your reference number for check-in.',
+    VOLUNTEER: 'Thank you for volunteering! Keep your reference number to give the organizers on the day.',
+    WAITLIST: 'The event is full, so you\'ve been added to the waitlist. We\'ll contact your guardian if a place opens up.'
 };
 
 // Currency Configuration
@@ -143,12 +229,25 @@ export const DATE_FORMATS = {
 // Export all constants as default object
 export default {
     API_ENDPOINTS,
+    DATA_SOURCES,
+    EVENT_PAGE,
+    EVENT_DETAIL_PARAM,
+    GALLERY_PARAMS,
+    RECORDS_PAGE,
+    CHECK_IN_PAGE,
+    FEEDS,
     ANIMATION_DURATIONS,
     BREAKPOINTS,
     STORAGE_KEYS,
+    SESSION_KEYS,
     VALIDATION_MESSAGES,
     DONATION_AMOUNTS,
     PROGRAM_TYPES,
+    EVENT_TIMEZONE,
+    EVENT_REGION,
+    EVENT_STATUS,
+    REGISTRATION_STATUS,
+    CHECK_IN_STATUS,
     GALLERY_CATEGORIES,
     CONTACT_SUBJECTS,
     LEADERSHIP_POSITIONS,
@@ -0,0 +1,172 @@
+// ===== EVENT DATE HELPERS =====
+// Event dates in data/events.json are wall-clock values in the FODASU timezone:
+// "2024-03-15" for all-day events or "2024-03-15T08:00" for timed ones.
+import { EVENT_TIMEZONE, EVENT_STATUS } from './constants.js';
+
+export const MONTH_NAMES = [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const pad = (value) => String(value).padStart(2, '0');
+
+// Split an ISO date ("2024-03-15") into numeric parts
+export const parseDateParts = (isoDate) => {
+    const [year, month, day] = isoDate.slice(0, 10).split('-').map(Number);
+    return { year, month, day };
+};
+
+// Date part of an event date value ("2024-03-15T08:00" -> "2024-03-15")
+export const getDateKey = (value) => value.slice(0, 10);
+
+// Time part of an event date value, or null for all-day values
+const getTimePart = (value) => (value.length > 10 ? value.slice(11, 16) : null);
+
+// Add days to an ISO date key
+export const addDays = (dateKey, days) => {
+    const { year, month, day } = parseDateParts(dateKey);
+    return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+};
+
+// Every ISO date key from start to end (inclusive)
+export const getDateKeysInRange = (start, end = start) => {
+    const keys = [];
+    const last = getDateKey(end);
+    let cursor = getDateKey(start);
+    
+    while (cursor <= last) {
+        keys.push(cursor);
+        cursor = addDays(cursor, 1);
+    }
+    
+    return keys;
+};
+
+// Wall-clock parts of an instant in a timezone
+const getZonedParts = (date, timeZone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+    
+    return parts.reduce((values, part) => {
+        if (part.type !== 'literal') {
+            values[part.type] = Number(part.value);
+        }
+        return values;
+    }, {});
+};
+
+// Offset of a timezone from UTC at the given instant, in milliseconds
+export const getTimeZoneOffset = (date, timeZone = EVENT_TIMEZONE) => {
+    const parts = getZonedParts(date, timeZone);
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - (date.getTime() - date.getMilliseconds());
+};
+
+// Instant of a wall-clock date and time in a timezone
+export const zonedTimeToDate = (dateKey, time = '00:00', timeZone = EVENT_TIMEZONE) => {
+    const { year, month, day } = parseDateParts(dateKey);
+    const [hours, minutes] = time.split(':').map(Number);
+    const guess = Date.UTC(year, month - 1, day, hours, minutes);
+    return new Date(guess - getTimeZoneOffset(new Date(guess), timeZone));
+};
+
+// ISO date key of an instant in a timezone
+export const getZonedDateKey = (date = new Date(), timeZone = EVENT_TIMEZONE) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+// Today's ISO date key in the FODASU timezone
+export const getTodayKey = (now = new Date()) => getZonedDateKey(now);
+
+// Milliseconds until the next midnight in the FODASU timezone
+export const getMsUntilMidnight = (now = new Date()) => {
+    const tomorrow = addDays(getTodayKey(now), 1);
+    return Math.max(zonedTimeToDate(tomorrow).getTime() - now.getTime(), 0);
+};
+
+// Start and end instants of an event. All-day events run until midnight after their last day.
+export const getEventWindow = (eventData) => {
+    const end = eventData.end || getDateKey(eventData.start);
+    const startTime = getTimePart(eventData.start);
+    const endTime = getTimePart(end);
+    
+    const startDate = zonedTimeToDate(getDateKey(eventData.start), startTime || '00:00');
+    const endDate = endTime
+        ? zonedTimeToDate(getDateKey(end), endTime)
+        : new Date(zonedTimeToDate(getDateKey(end)).getTime() + DAY_MS);
+    
+    return { start: startDate, end: endDate };
+};
+
+// Upcoming, ongoing or past relative to now
+export const getEventStatus = (eventData, now = new Date()) => {
+    const { start, end } = getEventWindow(eventData);
+    
+    if (now < start) return EVENT_STATUS.UPCOMING;
+    if (now < end) return EVENT_STATUS.ONGOING;
+    return EVENT_STATUS.PAST;
+};
+
+// Days, hours and minutes from now until an instant, rounding up to the whole minute
+// so a countdown never shows 0m before the moment has actually arrived
+export const getTimeUntil = (target, now = new Date()) => {
+    const totalMinutes = Math.ceil(Math.max(target.getTime() - now.getTime(), 0) / 60000);
+    
+    return {
+        days: Math.floor(totalMinutes / 1440),
+        hours: Math.floor((totalMinutes % 1440) / 60),
+        minutes: totalMinutes % 60
+    };
+};
+
+// Soonest first
+export const compareByStart = (a, b) => getEventWindow(a).start - getEventWindow(b).start;
+
+// Most recent first
+export const compareByStartDesc = (a, b) => compareByStart(b, a);
+
+// "15:00" -> "3:00 PM"
+export const formatTime = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    const suffix = hours >= 12 ? 'PM' : 'AM';
+    return `${hours % 12 || 12}:${pad(minutes)} ${suffix}`;
+};
+
+// Time range of a timed event, e.g. "8:00 AM - 5:00 PM", or an empty string for all-day events
+export const formatTimeRange = (start, end = start) => {
+    const startTime = getTimePart(start);
+    if (!startTime) return '';
+    
+    const endTime = getTimePart(end);
+    return endTime && endTime !== startTime ? `${formatTime(startTime)} - ${formatTime(endTime)}` : formatTime(startTime);
+};
+
+// Human readable date range, e.g. "March 22-25, 2024"
+export const formatDateRange = (start, end = start) => {
+    const from = parseDateParts(start);
+    const to = parseDateParts(end);
+    const fromMonth = MONTH_NAMES[from.month - 1];
+    const toMonth = MONTH_NAMES[to.month - 1];
+    
+    if (getDateKey(start) === getDateKey(end)) {
+        return `${fromMonth} ${from.day}, ${from.year}`;
+    }
+    if (from.year !== to.year) {
+        return `${fromMonth} ${from.day}, ${from.year} - ${toMonth} ${to.day}, ${to.year}`;
+    }
+    if (from.month !== to.month) {
+        return `${fromMonth} ${from.day} - ${toMonth} ${to.day}, ${to.year}`;
+    }
+    return `${fromMonth} ${from.day}-${to.day}, ${to.year}`;
+};
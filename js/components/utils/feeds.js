@@ -0,0 +1,193 @@
+// ===== SYNDICATION FEEDS =====
+// RSS 2.0, Atom and JSON Feed documents of upcoming events and news posts, built from the
+// same data as the events list. Served by server/server.js at the FEEDS paths.
+import { EVENT_STATUS } from './constants.js';
+import { formatDateRange, formatTimeRange, getDateKey, getEventStatus, compareByStart, zonedTimeToDate } from './event-dates.js';
+import { expandEvents } from './recurrence.js';
+import { getEventLocation } from './ical.js';
+import { getEventPath } from './helpers.js';
+
+export const FEED_TITLE = 'FODASU Events and News';
+export const FEED_DESCRIPTION = 'Upcoming athletics, soccer and academic events and news from the Foya District Academics Sports Union';
+const FEED_AUTHOR = 'Foya District Academics Sports Union';
+const MAX_ITEMS = 50;
+
+// Escape text for XML, dropping control characters XML 1.0 doesn't allow
+const escapeXml = (value) => String(value ?? '')
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Dates in data files are wall-clock values in the FODASU timezone ("2024-03-01" or "2024-03-01T10:00")
+const toInstant = (value) => zonedTimeToDate(getDateKey(value), value.length > 10 ? value.slice(11, 16) : '00:00');
+
+const toAbsoluteUrl = (value, siteUrl) => (value ? new URL(value, siteUrl).href : null);
+
+// "March 15, 2024 · 8:00 AM - 5:00 PM · Foya Sports Complex, Foya, Lofa County, Liberia"
+const describeEvent = (eventData) => [
+    formatDateRange(eventData.start, eventData.end || eventData.start),
+    formatTimeRange(eventData.start, eventData.end),
+    eventData.recurrenceLabel,
+    getEventLocation(eventData)
+].filter(Boolean).join(' · ');
+
+// Upcoming and ongoing events, soonest first. A recurring series is one item for its next session,
+// linked to the series so the link keeps working as sessions pass.
+const getEventItems = (events, { siteUrl, updatedAt, now }) => {
+    const seen = new Set();
+    
+    return expandEvents(events)
+        .filter(eventData => getEventStatus(eventData, now) !== EVENT_STATUS.PAST)
+        .sort(compareByStart)
+        .filter(eventData => {
+            const id = eventData.seriesId || eventData.id;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        })
+        .map(eventData => {
+            const id = eventData.seriesId || eventData.id;
+            const published = eventData.published ? toInstant(eventData.published) : updatedAt;
+            
+            return {
+                id: `urn:fodasu:event:${id}`,
+                title: eventData.title,
+                url: toAbsoluteUrl(getEventPath(id), siteUrl),
+                summary: describeEvent(eventData),
+                content: eventData.description || '',
+                image: toAbsoluteUrl(eventData.image, siteUrl),
+                tags: eventData.program ? [eventData.program] : [],
+                published,
+                updated: eventData.updated ? toInstant(eventData.updated) : published,
+                event: {
+                    start: eventData.start,
+                    end: eventData.end || null,
+                    venue: eventData.venue || null
+                }
+            };
+        });
+};
+
+const getPostItems = (posts, { siteUrl }) => posts
+    .filter(post => post.id && post.title && post.published)
+    .map(post => {
+        const published = toInstant(post.published);
+        
+        return {
+            id: `urn:fodasu:post:${post.id}`,
+            title: post.title,
+            url: toAbsoluteUrl(post.url, siteUrl),
+            summary: post.summary || '',
+            content: post.content || post.summary || '',
+            image: toAbsoluteUrl(post.image, siteUrl),
+            tags: post.program ? [post.program] : [],
+            published,
+            updated: post.updated ? toInstant(post.updated) : published,
+            event: null
+        };
+    });
+
+// Events and posts as feed items, newest first. Events without a `published` date use updatedAt
+// (when the events data last changed), so readers don't see them as new on every fetch.
+export const getFeedItems = (events, posts, { siteUrl, updatedAt = new Date(), now = new Date() }) => [
+    ...getEventItems(events, { siteUrl, updatedAt, now }),
+    ...getPostItems(posts, { siteUrl })
+]
+    .sort((a, b) => b.published - a.published)
+    .slice(0, MAX_ITEMS);
+
+const getLastUpdated = (items, fallback) => items.reduce((latest, item) => (item.updated > latest ? item.updated : latest), fallback);
+
+export const buildRssFeed = (items, { siteUrl, feedUrl, updatedAt = new Date() }) => {
+    const renderItem = (item) => [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        item.url ? `      <link>${escapeXml(item.url)}</link>` : null,
+        `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+        `      <pubDate>${item.published.toUTCString()}</pubDate>`,
+        `      <description>${escapeXml([item.summary, item.content].filter(Boolean).join('\n\n'))}</description>`,
+        ...item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+        '    </item>'
+    ].filter(Boolean).join('\n');
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escapeXml(FEED_TITLE)}</title>`,
+        `    <link>${escapeXml(siteUrl)}</link>`,
+        `    <description>${escapeXml(FEED_DESCRIPTION)}</description>`,
+        '    <language>en</language>',
+        `    <lastBuildDate>${getLastUpdated(items, updatedAt).toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml"/>`,
+        ...items.map(renderItem),
+        '  </channel>',
+        '</rss>',
+        ''
+    ].join('\n');
+};
+
+export const buildAtomFeed = (items, { siteUrl, feedUrl, updatedAt = new Date() }) => {
+    const renderEntry = (item) => [
+        '  <entry>',
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <id>${escapeXml(item.id)}</id>`,
+        item.url ? `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>` : null,
+        `    <published>${item.published.toISOString()}</published>`,
+        `    <updated>${item.updated.toISOString()}</updated>`,
+        item.summary ? `    <summary>${escapeXml(item.summary)}</summary>` : null,
+        `    <content type="text">${escapeXml(item.content || item.summary)}</content>`,
+        ...item.tags.map(tag => `    <category term="${escapeXml(tag)}"/>`),
+        '  </entry>'
+    ].filter(Boolean).join('\n');
+    
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en">',
+        `  <title>${escapeXml(FEED_TITLE)}</title>`,
+        `  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl)}"/>`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}"/>`,
+        `  <id>${escapeXml(siteUrl)}</id>`,
+        `  <updated>${getLastUpdated(items, updatedAt).toISOString()}</updated>`,
+        `  <author><name>${escapeXml(FEED_AUTHOR)}</name></author>`,
+        ...items.map(renderEntry),
+        '</feed>',
+        ''
+    ].join('\n');
+};
+
+// JSON Feed 1.1. Event items carry their dates and venue in a "_fodasu" extension.
+export const buildJsonFeed = (items, { siteUrl, feedUrl }) => JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: FEED_TITLE,
+    home_page_url: siteUrl,
+    feed_url: feedUrl,
+    description: FEED_DESCRIPTION,
+    language: 'en',
+    authors: [{ name: FEED_AUTHOR }],
+    items: items.map(item => ({
+        id: item.id,
+        ...(item.url ? { url: item.url } : {}),
+        title: item.title,
+        ...(item.summary ? { summary: item.summary } : {}),
+        content_text: item.content || item.summary,
+        ...(item.image ? { image: item.image } : {}),
+        date_published: item.published.toISOString(),
+        date_modified: item.updated.toISOString(),
+        ...(item.tags.length > 0 ? { tags: item.tags } : {}),
+        ...(item.event ? { _fodasu: { event: item.event } } : {})
+    }))
+}, null, 2);
+
+export default {
+    FEED_TITLE,
+    FEED_DESCRIPTION,
+    getFeedItems,
+    buildRssFeed,
+    buildAtomFeed,
+    buildJsonFeed
+};
@@ -0,0 +1,124 @@
+// ===== GALLERY MANIFEST =====
+// Reads data/gallery.json: photos and videos with their captions, categories, dimensions, dates
+// and credits, grouped into albums. An album's `event` is the event's id in data/events.json,
+// which is how past event cards find their photos and photos link back to their event.
+import { getResponsiveImage } from './responsive-images.js';
+
+const toDateKey = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null);
+
+const toDimension = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+const VIDEO_TYPES = {
+    mp4: 'video/mp4',
+    m4v: 'video/mp4',
+    webm: 'video/webm'
+};
+
+// Self-hosted video files; the type comes from the file extension when it isn't given
+const normalizeSources = (sources = []) => sources
+    .filter(source => source && source.src)
+    .map(source => ({
+        src: source.src,
+        type: source.type || VIDEO_TYPES[source.src.split(/[?#]/)[0].split('.').pop().toLowerCase()] || null
+    }))
+    .filter(source => source.type);
+
+// WebVTT captions or subtitles
+const normalizeTracks = (tracks = []) => tracks
+    .filter(track => track && track.src && track.srclang)
+    .map(track => ({
+        src: track.src,
+        kind: track.kind === 'subtitles' ? 'subtitles' : 'captions',
+        srclang: track.srclang,
+        label: track.label || track.srclang,
+        default: Boolean(track.default)
+    }));
+
+// A photo, or a video (`type: "video"`) with its `sources`, `poster` frame and caption `tracks`.
+// `thumbnail` is the picture shown for either in the grid, and `responsive` its resized variants.
+const normalizePhoto = (photo, albumsById, imageManifest) => {
+    const album = albumsById.get(photo.album) || null;
+    const isVideo = photo.type === 'video';
+    const media = isVideo
+        ? {
+            type: 'video',
+            src: null,
+            thumbnail: photo.poster || null,
+            poster: photo.poster || null,
+            sources: normalizeSources(photo.sources),
+            tracks: normalizeTracks(photo.tracks),
+            duration: Number.isFinite(photo.duration) && photo.duration > 0 ? photo.duration : null
+        }
+        : { type: 'photo', src: photo.src || null, thumbnail: photo.src || null };
+    const responsive = getResponsiveImage(imageManifest, media.thumbnail);
+    
+    return {
+        id: String(photo.id),
+        ...media,
+        alt: photo.alt || photo.title || '',
+        title: photo.title || '',
+        caption: photo.caption || '',
+        category: photo.category || '',
+        album: album ? album.id : null,
+        // Photos take their album's event unless they name one themselves
+        event: photo.event || (album && album.event) || null,
+        // Dimensions from the variants manifest when the gallery doesn't give them
+        width: toDimension(photo.width) || (responsive && responsive.width) || null,
+        height: toDimension(photo.height) || (responsive && responsive.height) || null,
+        responsive,
+        // The photo's own date, else the day its camera recorded, else its album's
+        date: toDateKey(photo.date) || (responsive && toDateKey(responsive.date)) || (album && toDateKey(album.date)) || null,
+        credit: photo.credit || ''
+    };
+};
+
+// Albums newest first, each with its photos and videos (in manifest order) and a cover. Items and
+// albums without an id are skipped, as are photos without a src and videos without playable sources.
+// `imageManifest` is images/optimized/manifest.json, for the variants of each thumbnail.
+export const normalizeManifest = (data = {}, imageManifest = null) => {
+    const albumsById = new Map(
+        (data.albums || [])
+            .filter(album => album.id && album.title)
+            .map(album => [album.id, album])
+    );
+    const photos = (data.photos || [])
+        .filter(photo => photo && photo.id !== undefined)
+        .map(photo => normalizePhoto(photo, albumsById, imageManifest))
+        .filter(photo => (photo.type === 'video' ? photo.sources.length > 0 : photo.src));
+    
+    const albums = Array.from(albumsById.values())
+        .map(album => {
+            const albumPhotos = photos.filter(photo => photo.album === album.id);
+            const dates = albumPhotos.map(photo => photo.date).filter(Boolean).sort();
+            
+            return {
+                id: album.id,
+                title: album.title,
+                description: album.description || '',
+                event: album.event || null,
+                date: toDateKey(album.date) || dates[dates.length - 1] || null,
+                cover: albumPhotos.find(photo => photo.id === String(album.cover) && photo.thumbnail) ||
+                    albumPhotos.find(photo => photo.thumbnail) || null,
+                photos: albumPhotos,
+                // Every category in the album, so category filters also apply to the album list
+                categories: [...new Set(albumPhotos.map(photo => photo.category).filter(Boolean))]
+            };
+        })
+        .filter(album => album.photos.length > 0)
+        .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    
+    return { albums, photos };
+};
+
+// Photos and videos for each event that has them, keyed by event id
+export const getEventPhotos = (manifest) => manifest.photos.reduce((byEvent, photo) => {
+    if (!photo.event) return byEvent;
+    if (!byEvent.has(photo.event)) byEvent.set(photo.event, []);
+    byEvent.get(photo.event).push(photo);
+    return byEvent;
+}, new Map());
+
+export default {
+    normalizeManifest,
+    getEventPhotos
+};
@@ -1,5 +1,5 @@
 // ===== UTILITY HELPER FUNCTIONS =====
-import { BREAKPOINTS, PERFORMANCE, VALIDATION_MESSAGES } from './constants.js';
+import { BREAKPOINTS, PERFORMANCE, VALIDATION_MESSAGES, EVENT_PAGE, EVENT_DETAIL_PARAM } from './constants.js';
 
 // DOM Helpers
 export const $ = (selector, context = document) => context.querySelector(selector);
@@ -122,6 +122,16 @@ export const sanitizeHTML = (str) => {
     return temp.innerHTML;
 };
 
+// Escape a string for use inside HTML templates (text and attribute values)
+export const escapeHTML = (str) => {
+    return String(str ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+};
+
 // Get current breakpoint
 export const getCurrentBreakpoint = () => {
     const width = window.innerWidth;
@@ -181,6 +191,42 @@ export const loadImage = (src, onLoad, onError) => {
     return img;
 };
 
+// Download generated text content as a file
+export const downloadFile = (filename, content, type = 'text/plain') => {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = createElement('a', { href: url, download: filename });
+    
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// An error response from the server: its HTTP status and the JSON error body it sent
+// ({ error, ...details }), or null when it sent none
+export class RequestError extends Error {
+    constructor(status, body = null) {
+        super((body && body.error) || `Request failed with status ${status}`);
+        this.name = 'RequestError';
+        this.status = status;
+        this.body = body;
+    }
+}
+
+// Fetch JSON; error statuses throw a RequestError and a failed connection throws a TypeError
+export const fetchJson = async (url, options) => {
+    const response = await fetch(url, options);
+    
+    if (!response.ok) {
+        const body = await response.json().catch(() => null);
+        throw new RequestError(response.status, body);
+    }
+    
+    return response.json();
+};
+
 // Get URL parameters
 export const getUrlParams = () => {
     const params = new URLSearchParams(window.location.search);
@@ -205,6 +251,30 @@ export const removeUrlParam = (key) => {
     window.history.pushState({}, '', url);
 };
 
+// Set or remove several URL parameters in a single history entry
+export const setUrlParams = (params, replace = false) => {
+    const url = new URL(window.location);
+    Object.keys(params).forEach(key => {
+        const value = params[key];
+        if (value === null || value === undefined || value === '') {
+            url.searchParams.delete(key);
+        } else {
+            url.searchParams.set(key, value);
+        }
+    });
+    
+    if (url.href === window.location.href) return;
+    
+    if (replace) {
+        window.history.replaceState({}, '', url);
+    } else {
+        window.history.pushState({}, '', url);
+    }
+};
+
+// Relative link to an event's detail view. Event ids double as URL slugs, so they must not change once published.
+export const getEventPath = (eventId) => `${EVENT_PAGE}?${EVENT_DETAIL_PARAM}=${encodeURIComponent(eventId)}`;
+
 // Local storage helpers
 export const storage = {
     get: (key) => {
@@ -349,15 +419,21 @@ export default {
     validateEmail,
     validatePhone,
     sanitizeHTML,
+    escapeHTML,
     getCurrentBreakpoint,
     isMobile,
     isTouchDevice,
     smoothScrollTo,
     animateNumber,
     loadImage,
+    downloadFile,
+    RequestError,
+    fetchJson,
     getUrlParams,
     setUrlParam,
     removeUrlParam,
+    setUrlParams,
+    getEventPath,
     storage,
     session,
     validateField,
@@ -0,0 +1,210 @@
+// ===== ICALENDAR (RFC 5545) HELPERS =====
+// Builds .ics documents from the same event data the Events component renders.
+// Used for the "Add to calendar" download on event cards and the subscribable
+// season feed served by server/server.js.
+import { EVENT_TIMEZONE, EVENT_REGION } from './constants.js';
+import { addDays, getDateKey, getTimeZoneOffset, pad, zonedTimeToDate } from './event-dates.js';
+import { isRecurring, moveToDate, expandSeries, validateRecurrence } from './recurrence.js';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const PRODUCT_ID = '-//FODASU//Events Calendar//EN';
+
+// Escape TEXT values (commas, semicolons, backslashes and newlines)
+export const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold a content line so no line is longer than 75 octets (continuation lines start with a space)
+export const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+    
+    for (const char of line) {
+        const octets = encoder.encode(char).length;
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+        
+        current += char;
+        currentOctets += octets;
+    }
+    
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+};
+
+// "2024-03-15" -> "20240315"
+const formatDate = (dateKey) => dateKey.replace(/-/g, '');
+
+// "2024-03-15T08:00" -> "20240315T080000" (local time, used with TZID)
+const formatLocalDateTime = (value) => `${formatDate(getDateKey(value))}T${value.slice(11, 16).replace(':', '')}00`;
+
+// Instant -> "20240315T080000Z"
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const formatOffset = (offsetMs) => {
+    const minutes = Math.round(Math.abs(offsetMs) / 60000);
+    return `${offsetMs < 0 ? '-' : '+'}${pad(Math.floor(minutes / 60))}${pad(minutes % 60)}`;
+};
+
+const isTimed = (value) => Boolean(value) && value.length > 10;
+
+// Liberia keeps GMT all year, so a single STANDARD rule describes the event timezone
+const buildTimeZone = (timeZone, now) => {
+    const offset = formatOffset(getTimeZoneOffset(now, timeZone));
+    
+    return [
+        'BEGIN:VTIMEZONE',
+        `TZID:${timeZone}`,
+        'BEGIN:STANDARD',
+        'DTSTART:19700101T000000',
+        `TZOFFSETFROM:${offset}`,
+        `TZOFFSETTO:${offset}`,
+        'TZNAME:GMT',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+};
+
+export const getEventLocation = (eventData) => (eventData.venue ? `${eventData.venue}, ${EVENT_REGION}` : EVENT_REGION);
+
+const buildDateProperty = (name, value, timeZone) => (isTimed(value)
+    ? `${name};TZID=${timeZone}:${formatLocalDateTime(value)}`
+    : `${name};VALUE=DATE:${formatDate(value)}`);
+
+// RRULE value for a recurring event, e.g. "FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20240830T235959Z"
+export const buildRecurrenceRule = (eventData, timeZone = EVENT_TIMEZONE) => {
+    const rule = eventData.recurrence;
+    const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+    
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.byDay) parts.push(`BYDAY=${rule.byDay.map(day => day.toUpperCase()).join(',')}`);
+    if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+    if (rule.count) parts.push(`COUNT=${rule.count}`);
+    
+    // UNTIL has to match DTSTART: a date for all-day events, otherwise the end of that day in UTC
+    if (rule.until) {
+        parts.push(`UNTIL=${isTimed(eventData.start)
+            ? formatUtcDateTime(new Date(zonedTimeToDate(addDays(rule.until, 1), '00:00', timeZone).getTime() - 1000))
+            : formatDate(rule.until)}`);
+    }
+    
+    return parts.join(';');
+};
+
+// RRULE and EXDATE lines for a series. Cancelled occurrences are excluded like exception dates.
+const buildRecurrenceLines = (eventData, timeZone) => {
+    const overrides = eventData.overrides || {};
+    const excluded = [
+        ...(eventData.recurrence.exceptions || []),
+        ...Object.keys(overrides).filter(dateKey => overrides[dateKey].cancelled)
+    ].sort();
+    
+    return [
+        `RRULE:${buildRecurrenceRule(eventData, timeZone)}`,
+        ...excluded.map(dateKey => buildDateProperty('EXDATE', moveToDate(eventData.start, dateKey), timeZone))
+    ];
+};
+
+// VEVENT lines for a single event, or for the rule of a recurring series.
+// recurrenceId marks the lines as a change to one occurrence of the series with the same id.
+export const buildEventLines = (eventData, { url, now = new Date(), timeZone = EVENT_TIMEZONE, recurrenceId = null } = {}) => {
+    const end = eventData.end || eventData.start;
+    const description = [eventData.description, url ? `Details: ${url}` : '']
+        .filter(Boolean)
+        .join('\n\n');
+    
+    // All-day events end on the day after their last day (DTEND is exclusive)
+    const endProperty = isTimed(end)
+        ? buildDateProperty('DTEND', end, timeZone)
+        : `DTEND;VALUE=DATE:${formatDate(addDays(getDateKey(end), 1))}`;
+    
+    return [
+        'BEGIN:VEVENT',
+        `UID:${eventData.id}@fodasu`,
+        `DTSTAMP:${formatUtcDateTime(now)}`,
+        buildDateProperty('DTSTART', eventData.start, timeZone),
+        endProperty,
+        recurrenceId ? buildDateProperty('RECURRENCE-ID', recurrenceId, timeZone) : null,
+        ...(isRecurring(eventData) ? buildRecurrenceLines(eventData, timeZone) : []),
+        `SUMMARY:${escapeText(eventData.title)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `LOCATION:${escapeText(getEventLocation(eventData))}`,
+        eventData.program ? `CATEGORIES:${escapeText(eventData.program)}` : null,
+        url ? `URL:${url}` : null,
+        'STATUS:CONFIRMED',
+        'TRANSP:OPAQUE',
+        'END:VEVENT'
+    ].filter(Boolean);
+};
+
+// Changed occurrences of a series, each as its own VEVENT sharing the series UID
+const buildOverrideLines = (eventData, options) => {
+    const changed = Object.keys(eventData.overrides || {}).sort();
+    if (changed.length === 0) return [];
+    
+    return expandSeries(eventData, { horizon: changed[changed.length - 1] })
+        .filter(occurrence => changed.includes(occurrence.occurrenceDate))
+        .flatMap(occurrence => buildEventLines({ ...occurrence, id: eventData.id }, {
+            ...options,
+            url: options.getUrl(occurrence),
+            recurrenceId: moveToDate(eventData.start, occurrence.occurrenceDate)
+        }));
+};
+
+// Complete VCALENDAR document for a list of events
+export const buildCalendar = (events, {
+    name = 'FODASU Events',
+    description = 'Athletics, soccer and academic events from the Foya District Academics Sports Union',
+    getUrl = () => null,
+    now = new Date(),
+    timeZone = EVENT_TIMEZONE
+} = {}) => {
+    // Series with a broken rule are left out, as they are on the events page
+    const published = events.filter(eventData => !isRecurring(eventData) || validateRecurrence(eventData.recurrence).length === 0);
+    const usesTimeZone = published.some(eventData => isTimed(eventData.start) || isTimed(eventData.end));
+    
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+        `X-WR-CALDESC:${escapeText(description)}`,
+        `X-WR-TIMEZONE:${timeZone}`,
+        // Ask subscribed calendar apps to check for updates twice a day
+        'REFRESH-INTERVAL;VALUE=DURATION:PT12H',
+        'X-PUBLISHED-TTL:PT12H',
+        ...(usesTimeZone ? buildTimeZone(timeZone, now) : []),
+        ...published.flatMap(eventData => [
+            ...buildEventLines(eventData, { url: getUrl(eventData), now, timeZone }),
+            ...(isRecurring(eventData) ? buildOverrideLines(eventData, { getUrl, now, timeZone }) : [])
+        ]),
+        'END:VCALENDAR'
+    ];
+    
+    return lines.map(foldLine).join(CRLF) + CRLF;
+};
+
+// File name for a single event download
+export const getCalendarFilename = (eventData) => `${eventData.id}.ics`;
+
+export default {
+    escapeText,
+    foldLine,
+    getEventLocation,
+    buildRecurrenceRule,
+    buildEventLines,
+    buildCalendar,
+    getCalendarFilename
+};
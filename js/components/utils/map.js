@@ -0,0 +1,110 @@
+// ===== MAP HELPERS =====
+// Projection and SVG path helpers for the venue map. Positions are [longitude, latitude]
+// as in GeoJSON. The district is small enough for a simple equirectangular projection,
+// corrected for latitude so distances look right east-west and north-south.
+
+// Every position in a GeoJSON geometry
+export const getGeometryPositions = (geometry) => {
+    if (!geometry) return [];
+    
+    switch (geometry.type) {
+        case 'Point':
+            return [geometry.coordinates];
+        case 'MultiPoint':
+        case 'LineString':
+            return geometry.coordinates;
+        case 'MultiLineString':
+        case 'Polygon':
+            return geometry.coordinates.flat();
+        case 'MultiPolygon':
+            return geometry.coordinates.flat(2);
+        case 'GeometryCollection':
+            return geometry.geometries.flatMap(getGeometryPositions);
+        default:
+            return [];
+    }
+};
+
+// Smallest box around the positions, at least minSpan degrees across, with a margin around it
+export const getBounds = (positions, { center, minSpan = 0.1, margin = 0.1 } = {}) => {
+    const lngs = positions.map(position => position[0]);
+    const lats = positions.map(position => position[1]);
+    
+    if (center) {
+        lngs.push(center.lng - minSpan / 2, center.lng + minSpan / 2);
+        lats.push(center.lat - minSpan / 2, center.lat + minSpan / 2);
+    }
+    
+    const bounds = {
+        minLng: Math.min(...lngs),
+        maxLng: Math.max(...lngs),
+        minLat: Math.min(...lats),
+        maxLat: Math.max(...lats)
+    };
+    const padLng = (bounds.maxLng - bounds.minLng) * margin;
+    const padLat = (bounds.maxLat - bounds.minLat) * margin;
+    
+    return {
+        minLng: bounds.minLng - padLng,
+        maxLng: bounds.maxLng + padLng,
+        minLat: bounds.minLat - padLat,
+        maxLat: bounds.maxLat + padLat
+    };
+};
+
+// Project positions in the bounds onto a drawing `width` units wide (north up)
+export const createProjection = (bounds, width) => {
+    const midLat = (bounds.minLat + bounds.maxLat) / 2;
+    const cosLat = Math.cos(midLat * Math.PI / 180);
+    const scale = width / ((bounds.maxLng - bounds.minLng) * cosLat);
+    
+    return {
+        width,
+        height: (bounds.maxLat - bounds.minLat) * scale,
+        // Kilometres per drawing unit, for the scale bar (one degree of latitude is about 111.32 km)
+        kmPerUnit: 111.32 / scale,
+        project: ([lng, lat]) => [
+            (lng - bounds.minLng) * cosLat * scale,
+            (bounds.maxLat - lat) * scale
+        ]
+    };
+};
+
+const toPathPoints = (positions, project, close) => {
+    const points = positions.map(position => project(position).map(value => value.toFixed(1)).join(' '));
+    return `M${points.join('L')}${close ? 'Z' : ''}`;
+};
+
+// SVG path data for line and polygon geometries (points are drawn as markers or labels instead)
+export const geometryToPath = (geometry, project) => {
+    if (!geometry) return '';
+    
+    switch (geometry.type) {
+        case 'LineString':
+            return toPathPoints(geometry.coordinates, project, false);
+        case 'MultiLineString':
+            return geometry.coordinates.map(line => toPathPoints(line, project, false)).join('');
+        case 'Polygon':
+            return geometry.coordinates.map(ring => toPathPoints(ring, project, true)).join('');
+        case 'MultiPolygon':
+            return geometry.coordinates.flat().map(ring => toPathPoints(ring, project, true)).join('');
+        case 'GeometryCollection':
+            return geometry.geometries.map(item => geometryToPath(item, project)).join('');
+        default:
+            return '';
+    }
+};
+
+// A round distance for a scale bar no wider than maxKm: 1, 2 or 5 times a power of ten
+export const getScaleBarKm = (maxKm) => {
+    const power = 10 ** Math.floor(Math.log10(maxKm));
+    return [5, 2, 1].map(step => step * power).find(km => km <= maxKm) || power;
+};
+
+export default {
+    getGeometryPositions,
+    getBounds,
+    createProjection,
+    geometryToPath,
+    getScaleBarKm
+};
@@ -0,0 +1,44 @@
+// ===== MASONRY LAYOUT =====
+// Positions gallery tiles in columns from their aspect ratios, so the layout is known before any
+// image loads. Each tile goes in the shortest column, leftmost first, which keeps the visual order
+// close to the DOM order that keyboard and screen reader users follow.
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Very wide or tall photos are cropped (object-fit: cover) to stay within these ratios
+const MIN_RATIO = 0.5;
+const MAX_RATIO = 2.5;
+
+// As many columns of at least minColumnWidth as fit, up to maxColumns
+export const getColumnCount = (width, { minColumnWidth = 300, maxColumns = 4, gap = 0 } = {}) =>
+    clamp(Math.floor((width + gap) / (minColumnWidth + gap)), 1, maxColumns);
+
+// Where each tile goes ({ x, y, width, height } in px, in the order given) and the total height
+export const layoutMasonry = (ratios, { width, columns, gap = 0 }) => {
+    const columnWidth = (width - gap * (columns - 1)) / columns;
+    const heights = new Array(columns).fill(0);
+    
+    const positions = ratios.map(ratio => {
+        const column = heights.indexOf(Math.min(...heights));
+        const height = Math.round(columnWidth / clamp(ratio, MIN_RATIO, MAX_RATIO));
+        const position = {
+            x: Math.round(column * (columnWidth + gap)),
+            y: heights[column],
+            width: Math.round(columnWidth),
+            height
+        };
+        
+        heights[column] += height + gap;
+        return position;
+    });
+    
+    return {
+        positions,
+        height: positions.length > 0 ? Math.max(...heights) - gap : 0
+    };
+};
+
+export default {
+    getColumnCount,
+    layoutMasonry
+};
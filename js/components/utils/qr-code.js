@@ -0,0 +1,445 @@
+// ===== QR CODE ENCODER =====
+// Encodes text (event ticket codes) as a QR code (ISO/IEC 18004, byte mode) and draws it
+// as SVG. The code tables and Reed-Solomon arithmetic are shared with the reader in
+// qr-reader.js, which the check-in page uses to decode tickets.
+
+export const ERROR_CORRECTION_LEVELS = {
+    LOW: 'L',
+    MEDIUM: 'M',
+    QUARTILE: 'Q',
+    HIGH: 'H'
+};
+
+// Two-bit level indicator written in the format information
+export const FORMAT_LEVEL_BITS = { L: 1, M: 0, Q: 3, H: 2 };
+
+// Error correction codewords per block and number of blocks, indexed by version (1-40)
+export const ECC_CODEWORDS_PER_BLOCK = {
+    L: [0, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [0, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [0, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [0, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+};
+
+export const ERROR_CORRECTION_BLOCKS = {
+    L: [0, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [0, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [0, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [0, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+};
+
+export const MIN_VERSION = 1;
+export const MAX_VERSION = 40;
+
+const MODE_BYTE = 0x4;
+const PAD_BYTES = [0xEC, 0x11];
+
+// ===== Galois field GF(256) used by Reed-Solomon (primitive polynomial x^8 + x^4 + x^3 + x^2 + 1) =====
+
+export const GF_EXP = new Uint8Array(512);
+export const GF_LOG = new Uint8Array(256);
+
+(() => {
+    let value = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = value;
+        GF_LOG[value] = i;
+        value <<= 1;
+        if (value & 0x100) value ^= 0x11D;
+    }
+    // Doubling the table saves a modulo in gfMultiply
+    for (let i = 255; i < 512; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+export const gfMultiply = (a, b) => (a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]]);
+
+// Generator polynomial with roots 2^0 ... 2^(degree - 1), highest power first, leading 1 dropped
+const getGenerator = (degree) => {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < degree) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    
+    return result;
+};
+
+// Reed-Solomon error correction codewords for a block of data codewords
+export const getErrorCorrection = (data, degree) => {
+    const generator = getGenerator(degree);
+    const result = new Array(degree).fill(0);
+    
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        generator.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    
+    return result;
+};
+
+// ===== Symbol layout =====
+
+export const getSize = (version) => version * 4 + 17;
+
+// Centre coordinates of the alignment patterns (the same list for rows and columns)
+export const getAlignmentPositions = (version) => {
+    if (version === 1) return [];
+    
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    
+    for (let position = getSize(version) - 7; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    
+    return positions;
+};
+
+// Modules left for data and error correction once the function patterns are drawn
+export const getRawModuleCount = (version) => {
+    let result = (16 * version + 128) * version + 64;
+    
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    
+    return result;
+};
+
+export const getDataCodewordCount = (version, level) => Math.floor(getRawModuleCount(version) / 8)
+    - ECC_CODEWORDS_PER_BLOCK[level][version] * ERROR_CORRECTION_BLOCKS[level][version];
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// 15-bit format information (error correction level and mask), BCH-protected and masked
+export const getFormatBits = (level, mask) => {
+    const data = (FORMAT_LEVEL_BITS[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    return ((data << 10) | remainder) ^ 0x5412;
+};
+
+// 18-bit version information, present from version 7
+export const getVersionBits = (version) => {
+    let remainder = version;
+    for (let i = 0; i < 12; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+    return (version << 12) | remainder;
+};
+
+export const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Write the format information next to the finder patterns (both copies)
+export const drawFormatBits = (symbol, level, mask) => {
+    const bits = getFormatBits(level, mask);
+    const { size } = symbol;
+    
+    for (let i = 0; i <= 5; i++) symbol.set(8, i, getBit(bits, i));
+    symbol.set(8, 7, getBit(bits, 6));
+    symbol.set(8, 8, getBit(bits, 7));
+    symbol.set(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) symbol.set(14 - i, 8, getBit(bits, i));
+    
+    for (let i = 0; i < 8; i++) symbol.set(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) symbol.set(8, size - 15 + i, getBit(bits, i));
+    // Always dark
+    symbol.set(8, size - 8, true);
+};
+
+// An empty symbol with its finder, timing and alignment patterns and reserved format areas.
+// modules[y][x] is true for dark modules; isFunction[y][x] marks modules that never hold data.
+export const createSymbol = (version) => {
+    const size = getSize(version);
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const symbol = {
+        version,
+        size,
+        modules,
+        isFunction,
+        set(x, y, isDark) {
+            modules[y][x] = isDark;
+            isFunction[y][x] = true;
+        }
+    };
+    
+    // Timing patterns
+    for (let i = 0; i < size; i++) {
+        symbol.set(6, i, i % 2 === 0);
+        symbol.set(i, 6, i % 2 === 0);
+    }
+    
+    // Finder patterns with their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([centerX, centerY]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = centerX + dx;
+                const y = centerY + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                if (x >= 0 && x < size && y >= 0 && y < size) {
+                    symbol.set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        }
+    });
+    
+    // Alignment patterns, except where they would overlap a finder pattern
+    const positions = getAlignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((centerY, i) => {
+        positions.forEach((centerX, j) => {
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    symbol.set(centerX + dx, centerY + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        });
+    });
+    
+    // Reserve the format areas; the real bits are written once the mask is chosen
+    drawFormatBits(symbol, ERROR_CORRECTION_LEVELS.MEDIUM, 0);
+    
+    if (version >= 7) {
+        const bits = getVersionBits(version);
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            symbol.set(a, b, getBit(bits, i));
+            symbol.set(b, a, getBit(bits, i));
+        }
+    }
+    
+    return symbol;
+};
+
+// Data module coordinates in placement order: upwards and downwards in two-column strips
+// from the bottom-right corner, skipping the vertical timing pattern
+export const getDataModuleOrder = (symbol) => {
+    const { size, isFunction } = symbol;
+    const order = [];
+    
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5;
+        const upward = ((right + 1) & 2) === 0;
+        
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (!isFunction[y][x]) order.push([x, y]);
+            }
+        }
+    }
+    
+    return order;
+};
+
+// Split data codewords into blocks, add error correction to each and interleave them
+const addErrorCorrection = (data, version, level) => {
+    const blockCount = ERROR_CORRECTION_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const totalCodewords = Math.floor(getRawModuleCount(version) / 8);
+    const shortBlockCount = blockCount - (totalCodewords % blockCount);
+    const shortBlockData = Math.floor(totalCodewords / blockCount) - eccLength;
+    
+    const blocks = [];
+    let offset = 0;
+    for (let i = 0; i < blockCount; i++) {
+        const length = shortBlockData + (i < shortBlockCount ? 0 : 1);
+        const blockData = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({ data: blockData, ecc: getErrorCorrection(blockData, eccLength) });
+    }
+    
+    const result = [];
+    for (let i = 0; i <= shortBlockData; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    
+    return result;
+};
+
+// Penalty score of a masked symbol; the mask with the lowest score is used
+const getPenalty = ({ size, modules }) => {
+    let penalty = 0;
+    let dark = 0;
+    const finderLike = ['10111010000', '00001011101'];
+    
+    const scanLine = (getModule) => {
+        let runColor = null;
+        let runLength = 0;
+        let line = '';
+        
+        for (let i = 0; i < size; i++) {
+            const isDark = getModule(i);
+            line += isDark ? '1' : '0';
+            
+            if (isDark === runColor) {
+                runLength++;
+                if (runLength === 5) penalty += 3;
+                else if (runLength > 5) penalty++;
+            } else {
+                runColor = isDark;
+                runLength = 1;
+            }
+        }
+        
+        // Finder-like patterns, counting the quiet zone outside the symbol as light
+        const padded = `0000${line}0000`;
+        finderLike.forEach(pattern => {
+            for (let index = padded.indexOf(pattern); index !== -1; index = padded.indexOf(pattern, index + 1)) {
+                penalty += 40;
+            }
+        });
+    };
+    
+    for (let y = 0; y < size; y++) {
+        scanLine(x => modules[y][x]);
+        scanLine(x => modules[x][y]);
+        
+        for (let x = 0; x < size; x++) {
+            if (modules[y][x]) dark++;
+            if (x < size - 1 && y < size - 1) {
+                const color = modules[y][x];
+                if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+    }
+    
+    const total = size * size;
+    penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    
+    return penalty;
+};
+
+const applyMask = (symbol, mask, order) => {
+    order.forEach(([x, y]) => {
+        if (MASKS[mask](x, y)) symbol.modules[y][x] = !symbol.modules[y][x];
+    });
+};
+
+// Smallest version that holds the given number of bytes
+const chooseVersion = (byteLength, level) => {
+    for (let version = MIN_VERSION; version <= MAX_VERSION; version++) {
+        const countBits = version <= 9 ? 8 : 16;
+        if (4 + countBits + byteLength * 8 <= getDataCodewordCount(version, level) * 8) return version;
+    }
+    throw new RangeError('Text is too long to fit in a QR code');
+};
+
+// QR code for a string: { version, size, modules } with modules[y][x] true for dark
+export const encodeQr = (text, { level = ERROR_CORRECTION_LEVELS.MEDIUM } = {}) => {
+    const bytes = new TextEncoder().encode(text);
+    const version = chooseVersion(bytes.length, level);
+    const capacityBits = getDataCodewordCount(version, level) * 8;
+    
+    // Mode, character count and data, then a terminator and padding up to the capacity
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push(getBit(value, i));
+    };
+    push(MODE_BYTE, 4);
+    push(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacityBits - bits.length));
+    push(0, (8 - (bits.length % 8)) % 8);
+    
+    const data = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        data.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | (bit ? 1 : 0), 0));
+    }
+    for (let i = 0; data.length < capacityBits / 8; i++) {
+        data.push(PAD_BYTES[i % 2]);
+    }
+    
+    const codewords = addErrorCorrection(data, version, level);
+    const symbol = createSymbol(version);
+    const order = getDataModuleOrder(symbol);
+    
+    // Any modules left over after the last codeword stay light
+    order.forEach(([x, y], i) => {
+        symbol.modules[y][x] = i < codewords.length * 8 && getBit(codewords[i >>> 3], 7 - (i & 7));
+    });
+    
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    MASKS.forEach((maskFunction, mask) => {
+        applyMask(symbol, mask, order);
+        drawFormatBits(symbol, level, mask);
+        const penalty = getPenalty(symbol);
+        if (penalty < bestPenalty) {
+            bestMask = mask;
+            bestPenalty = penalty;
+        }
+        applyMask(symbol, mask, order);
+    });
+    
+    applyMask(symbol, bestMask, order);
+    drawFormatBits(symbol, level, bestMask);
+    
+    return { version, size: symbol.size, modules: symbol.modules };
+};
+
+// SVG path data drawing every dark module as a unit square, offset by a quiet zone of `margin` modules
+export const getQrPath = (qr, margin = 4) => {
+    let path = '';
+    
+    qr.modules.forEach((row, y) => {
+        row.forEach((isDark, x) => {
+            if (isDark) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+        });
+    });
+    
+    return path;
+};
+
+// Standalone SVG markup for a QR code, scaling to whatever size it's shown at
+export const renderQrSvg = (qr, { margin = 4, label = '' } = {}) => {
+    const viewSize = qr.size + margin * 2;
+    const labelAttributes = label ? ` role="img" aria-label="${label.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"` : ' aria-hidden="true"';
+    
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${viewSize} ${viewSize}" shape-rendering="crispEdges"${labelAttributes}>`
+        + `<rect width="${viewSize}" height="${viewSize}" fill="#fff"/><path d="${getQrPath(qr, margin)}" fill="#000"/></svg>`;
+};
+
+export default {
+    ERROR_CORRECTION_LEVELS,
+    encodeQr,
+    getQrPath,
+    renderQrSvg
+};
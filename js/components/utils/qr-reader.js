@@ -0,0 +1,569 @@
+// ===== QR CODE READER =====
+// Finds and decodes a QR code in image pixels (camera frames or uploaded photos of tickets).
+// The check-in page uses the browser's BarcodeDetector where it exists and falls back to
+// this reader, which handles clear, roughly straight-on codes: no perspective correction.
+import {
+    GF_EXP,
+    GF_LOG,
+    gfMultiply,
+    ECC_CODEWORDS_PER_BLOCK,
+    ERROR_CORRECTION_BLOCKS,
+    MASKS,
+    MIN_VERSION,
+    MAX_VERSION,
+    createSymbol,
+    getDataModuleOrder,
+    getFormatBits,
+    getRawModuleCount,
+    getSize
+} from './qr-code.js';
+
+const LEVELS_BY_BITS = ['M', 'L', 'H', 'Q'];
+const ALPHANUMERIC_CHARS = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:';
+
+const MODES = {
+    TERMINATOR: 0x0,
+    NUMERIC: 0x1,
+    ALPHANUMERIC: 0x2,
+    BYTE: 0x4,
+    ECI: 0x7
+};
+
+export class QrReadError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QrReadError';
+    }
+}
+
+const countOnes = (value) => {
+    let count = 0;
+    for (let bits = value; bits; bits &= bits - 1) count++;
+    return count;
+};
+
+// ===== Reed-Solomon decoding =====
+
+const gfDivide = (a, b) => (a === 0 ? 0 : GF_EXP[(GF_LOG[a] + 255 - GF_LOG[b]) % 255]);
+const gfPower = (exponent) => GF_EXP[((exponent % 255) + 255) % 255];
+
+// Solve a square linear system over GF(256); null when it has no single solution
+const solve = (matrix, values) => {
+    const size = values.length;
+    const rows = matrix.map((row, i) => [...row, values[i]]);
+    
+    for (let column = 0; column < size; column++) {
+        const pivot = rows.findIndex((row, i) => i >= column && row[column] !== 0);
+        if (pivot === -1) return null;
+        [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+        
+        const scale = rows[column][column];
+        rows[column] = rows[column].map(value => gfDivide(value, scale));
+        
+        rows.forEach((row, i) => {
+            if (i === column || row[column] === 0) return;
+            const factor = row[column];
+            rows[i] = row.map((value, j) => value ^ gfMultiply(factor, rows[column][j]));
+        });
+    }
+    
+    return rows.map(row => row[size]);
+};
+
+// Correct a block (data then error correction codewords) in place; returns false when it
+// has more errors than the code can repair. Uses Peterson's method, which is plenty for
+// the handful of codewords per block.
+const correctBlock = (block, eccLength) => {
+    const length = block.length;
+    const evaluate = (point) => block.reduce((sum, codeword) => gfMultiply(sum, point) ^ codeword, 0);
+    const syndromes = Array.from({ length: eccLength }, (_, i) => evaluate(gfPower(i)));
+    
+    if (syndromes.every(value => value === 0)) return true;
+    
+    for (let errorCount = Math.floor(eccLength / 2); errorCount >= 1; errorCount--) {
+        // Error locator coefficients from the syndromes (Newton's identities)
+        const matrix = Array.from({ length: errorCount }, (_, i) => (
+            Array.from({ length: errorCount }, (_, j) => syndromes[i + errorCount - 1 - j])
+        ));
+        const locator = solve(matrix, syndromes.slice(errorCount, errorCount * 2));
+        if (!locator) continue;
+        
+        // Error positions are the powers whose inverse is a root of the locator
+        const powers = [];
+        for (let power = 0; power < length; power++) {
+            const inverse = gfPower(-power);
+            let value = 1;
+            let term = 1;
+            locator.forEach(coefficient => {
+                term = gfMultiply(term, inverse);
+                value ^= gfMultiply(coefficient, term);
+            });
+            if (value === 0) powers.push(power);
+        }
+        if (powers.length !== errorCount) return false;
+        
+        // Error values from the first syndromes
+        const magnitudes = solve(
+            Array.from({ length: errorCount }, (_, i) => powers.map(power => gfPower(power * i))),
+            syndromes.slice(0, errorCount)
+        );
+        if (!magnitudes) return false;
+        
+        powers.forEach((power, i) => {
+            block[length - 1 - power] ^= magnitudes[i];
+        });
+        
+        return Array.from({ length: eccLength }, (_, i) => evaluate(gfPower(i))).every(value => value === 0);
+    }
+    
+    return false;
+};
+
+// ===== Module matrix to text =====
+
+// Format information from whichever copy is closest to a valid code
+const readFormat = (modules) => {
+    const size = modules.length;
+    const bit = (x, y) => (modules[y][x] ? 1 : 0);
+    let first = 0;
+    let second = 0;
+    
+    // Read in the same order drawFormatBits writes them, most significant bit first
+    for (let i = 14; i >= 9; i--) first = (first << 1) | bit(14 - i, 8);
+    first = (first << 1) | bit(7, 8);
+    first = (first << 1) | bit(8, 8);
+    first = (first << 1) | bit(8, 7);
+    for (let i = 5; i >= 0; i--) first = (first << 1) | bit(8, i);
+    
+    for (let i = 14; i >= 8; i--) second = (second << 1) | bit(8, size - 15 + i);
+    for (let i = 7; i >= 0; i--) second = (second << 1) | bit(size - 1 - i, 8);
+    
+    let best = null;
+    LEVELS_BY_BITS.forEach(level => {
+        MASKS.forEach((_, mask) => {
+            const bits = getFormatBits(level, mask);
+            const distance = Math.min(countOnes(bits ^ first), countOnes(bits ^ second));
+            if (!best || distance < best.distance) best = { level, mask, distance };
+        });
+    });
+    
+    if (best.distance > 3) throw new QrReadError('Could not read the QR code format');
+    return best;
+};
+
+const readBits = (bytes) => {
+    let position = 0;
+    return {
+        remaining: () => bytes.length * 8 - position,
+        read(length) {
+            let value = 0;
+            for (let i = 0; i < length; i++, position++) {
+                value = (value << 1) | ((bytes[position >>> 3] >>> (7 - (position & 7))) & 1);
+            }
+            return value;
+        }
+    };
+};
+
+const getCountBits = (mode, version) => {
+    const range = version <= 9 ? 0 : version <= 26 ? 1 : 2;
+    return {
+        [MODES.NUMERIC]: [10, 12, 14],
+        [MODES.ALPHANUMERIC]: [9, 11, 13],
+        [MODES.BYTE]: [8, 16, 16]
+    }[mode][range];
+};
+
+// Decode the segments in the data codewords
+const parseData = (data, version) => {
+    const bits = readBits(data);
+    const bytes = [];
+    let text = '';
+    const flushBytes = () => {
+        text += new TextDecoder().decode(new Uint8Array(bytes.splice(0)));
+    };
+    
+    while (bits.remaining() >= 4) {
+        const mode = bits.read(4);
+        if (mode === MODES.TERMINATOR) break;
+        
+        if (mode === MODES.ECI) {
+            // Character set hints are ignored; byte segments are read as UTF-8
+            bits.read(8);
+            continue;
+        }
+        
+        if (![MODES.NUMERIC, MODES.ALPHANUMERIC, MODES.BYTE].includes(mode)) {
+            throw new QrReadError('This QR code uses an unsupported encoding');
+        }
+        
+        let count = bits.read(getCountBits(mode, version));
+        
+        if (mode === MODES.BYTE) {
+            for (; count > 0; count--) bytes.push(bits.read(8));
+            continue;
+        }
+        
+        flushBytes();
+        if (mode === MODES.NUMERIC) {
+            for (; count >= 3; count -= 3) text += String(bits.read(10)).padStart(3, '0');
+            if (count === 2) text += String(bits.read(7)).padStart(2, '0');
+            if (count === 1) text += String(bits.read(4));
+        } else {
+            for (; count >= 2; count -= 2) {
+                const pair = bits.read(11);
+                text += ALPHANUMERIC_CHARS[Math.floor(pair / 45)] + ALPHANUMERIC_CHARS[pair % 45];
+            }
+            if (count === 1) text += ALPHANUMERIC_CHARS[bits.read(6)];
+        }
+    }
+    
+    flushBytes();
+    return text;
+};
+
+// Text of a QR code from its module matrix (modules[y][x] true for dark)
+export const decodeModules = (modules) => {
+    const size = modules.length;
+    const version = (size - 17) / 4;
+    if (!Number.isInteger(version) || version < MIN_VERSION || version > MAX_VERSION) {
+        throw new QrReadError('Not a QR code size');
+    }
+    
+    const { level, mask } = readFormat(modules);
+    const order = getDataModuleOrder(createSymbol(version));
+    const totalCodewords = Math.floor(getRawModuleCount(version) / 8);
+    
+    const codewords = new Array(totalCodewords).fill(0);
+    order.slice(0, totalCodewords * 8).forEach(([x, y], i) => {
+        const isDark = modules[y][x] !== MASKS[mask](x, y);
+        if (isDark) codewords[i >>> 3] |= 1 << (7 - (i & 7));
+    });
+    
+    // Undo the block interleaving
+    const blockCount = ERROR_CORRECTION_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const shortBlockCount = blockCount - (totalCodewords % blockCount);
+    const shortBlockData = Math.floor(totalCodewords / blockCount) - eccLength;
+    const blocks = Array.from({ length: blockCount }, (_, i) => ({
+        data: [],
+        ecc: [],
+        dataLength: shortBlockData + (i < shortBlockCount ? 0 : 1)
+    }));
+    
+    let index = 0;
+    for (let i = 0; i <= shortBlockData; i++) {
+        blocks.forEach(block => {
+            if (i < block.dataLength) block.data.push(codewords[index++]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => block.ecc.push(codewords[index++]));
+    }
+    
+    const data = [];
+    blocks.forEach(block => {
+        const codewordsInBlock = [...block.data, ...block.ecc];
+        if (!correctBlock(codewordsInBlock, eccLength)) {
+            throw new QrReadError('The QR code is too damaged to read');
+        }
+        data.push(...codewordsInBlock.slice(0, block.dataLength));
+    });
+    
+    return parseData(data, version);
+};
+
+// ===== Locating the code in an image =====
+
+// Grey levels (0-255) of RGBA pixel data
+const toGrey = ({ data, width, height }) => {
+    const grey = new Uint8Array(width * height);
+    for (let i = 0; i < grey.length; i++) {
+        grey[i] = (data[i * 4] * 299 + data[i * 4 + 1] * 587 + data[i * 4 + 2] * 114) / 1000;
+    }
+    return grey;
+};
+
+// Otsu's threshold between the dark modules and the light background
+const getThreshold = (grey) => {
+    const histogram = new Array(256).fill(0);
+    grey.forEach(value => histogram[value]++);
+    
+    const total = grey.length;
+    const sum = histogram.reduce((result, count, value) => result + count * value, 0);
+    let backgroundCount = 0;
+    let backgroundSum = 0;
+    let best = 0;
+    let threshold = 128;
+    
+    histogram.forEach((count, value) => {
+        backgroundCount += count;
+        if (backgroundCount === 0 || backgroundCount === total) return;
+        backgroundSum += count * value;
+        const foregroundCount = total - backgroundCount;
+        const difference = backgroundSum / backgroundCount - (sum - backgroundSum) / foregroundCount;
+        const variance = backgroundCount * foregroundCount * difference * difference;
+        if (variance > best) {
+            best = variance;
+            threshold = value;
+        }
+    });
+    
+    return threshold;
+};
+
+// Runs of dark, light, dark, light, dark in finder pattern proportions 1:1:3:1:1
+const isFinderRatio = (runs) => {
+    const total = runs.reduce((sum, run) => sum + run, 0);
+    if (total < 7) return false;
+    
+    const module = total / 7;
+    const tolerance = module / 1.5;
+    return Math.abs(module - runs[0]) < tolerance
+        && Math.abs(module - runs[1]) < tolerance
+        && Math.abs(module * 3 - runs[2]) < tolerance * 3
+        && Math.abs(module - runs[3]) < tolerance
+        && Math.abs(module - runs[4]) < tolerance;
+};
+
+const createImage = (imageData) => {
+    const grey = toGrey(imageData);
+    const threshold = getThreshold(grey);
+    const { width, height } = imageData;
+    
+    return {
+        width,
+        height,
+        isDark(x, y) {
+            const px = Math.round(x);
+            const py = Math.round(y);
+            if (px < 0 || py < 0 || px >= width || py >= height) return false;
+            return grey[py * width + px] <= threshold;
+        }
+    };
+};
+
+// Centre of a finder pattern along a line through (x, y), and the pattern's width in pixels
+const measureCenter = (image, x, y, dx, dy) => {
+    const runs = [0, 0, 0, 0, 0];
+    const inside = (distance) => {
+        const px = x + dx * distance;
+        const py = y + dy * distance;
+        return px >= 0 && py >= 0 && px < image.width && py < image.height;
+    };
+    const isDark = (distance) => inside(distance) && image.isDark(x + dx * distance, y + dy * distance);
+    
+    if (!isDark(0)) return null;
+    
+    // Back through the centre run and the light and dark runs before it, then forwards
+    let distance = 0;
+    while (isDark(distance)) {
+        runs[2]++;
+        distance--;
+    }
+    const centerStart = distance + 1;
+    while (inside(distance) && !isDark(distance)) {
+        runs[1]++;
+        distance--;
+    }
+    while (isDark(distance)) {
+        runs[0]++;
+        distance--;
+    }
+    
+    distance = 1;
+    while (isDark(distance)) {
+        runs[2]++;
+        distance++;
+    }
+    const centerEnd = distance - 1;
+    while (inside(distance) && !isDark(distance)) {
+        runs[3]++;
+        distance++;
+    }
+    while (isDark(distance)) {
+        runs[4]++;
+        distance++;
+    }
+    
+    if (runs.includes(0) || !isFinderRatio(runs)) return null;
+    
+    return {
+        center: (dx ? x : y) + (centerStart + centerEnd) / 2,
+        total: runs.reduce((sum, run) => sum + run, 0)
+    };
+};
+
+// Finder pattern candidates, merged where several scan lines cross the same pattern
+const findFinderPatterns = (image) => {
+    const candidates = [];
+    
+    const addCandidate = (x, y, moduleSize) => {
+        const match = candidates.find(candidate => (
+            Math.abs(candidate.x - x) <= candidate.moduleSize * 2
+            && Math.abs(candidate.y - y) <= candidate.moduleSize * 2
+        ));
+        
+        if (!match) {
+            candidates.push({ x, y, moduleSize, count: 1 });
+            return;
+        }
+        
+        const count = match.count + 1;
+        match.x = (match.x * match.count + x) / count;
+        match.y = (match.y * match.count + y) / count;
+        match.moduleSize = (match.moduleSize * match.count + moduleSize) / count;
+        match.count = count;
+    };
+    
+    for (let y = 0; y < image.height; y++) {
+        const runs = [];
+        let runColor = image.isDark(0, y);
+        let runLength = 0;
+        
+        for (let x = 0; x <= image.width; x++) {
+            const isDark = x < image.width && image.isDark(x, y);
+            if (x < image.width && isDark === runColor) {
+                runLength++;
+                continue;
+            }
+            
+            runs.push({ isDark: runColor, length: runLength, end: x });
+            runColor = isDark;
+            runLength = 1;
+            
+            // The last five runs, ending on a dark one, might cross a finder pattern
+            if (runs.length < 5 || !runs[runs.length - 1].isDark) continue;
+            const last = runs.slice(-5);
+            if (!isFinderRatio(last.map(run => run.length))) continue;
+            
+            // Confirm down the middle column, then refine across the middle row
+            const centerX = last[2].end - last[2].length / 2 - 0.5;
+            const vertical = measureCenter(image, centerX, y, 0, 1);
+            if (!vertical) continue;
+            const horizontal = measureCenter(image, centerX, vertical.center, 1, 0);
+            if (!horizontal) continue;
+            
+            // A diagonal crossing rules out most lookalikes in the data area
+            if (!measureCenter(image, horizontal.center, vertical.center, 1, 1)) continue;
+            
+            addCandidate(horizontal.center, vertical.center, (vertical.total + horizontal.total) / 14);
+        }
+    }
+    
+    return candidates;
+};
+
+const distanceBetween = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Label three finder patterns as top-left, top-right and bottom-left
+const orderPatterns = (patterns) => {
+    const [a, b, c] = patterns;
+    const sides = [
+        { corner: c, ends: [a, b], length: distanceBetween(a, b) },
+        { corner: a, ends: [b, c], length: distanceBetween(b, c) },
+        { corner: b, ends: [a, c], length: distanceBetween(a, c) }
+    ].sort((x, y) => y.length - x.length);
+    
+    // The top-left pattern is opposite the longest side (the diagonal)
+    const { corner: topLeft, ends: [first, second] } = sides[0];
+    const cross = (first.x - topLeft.x) * (second.y - topLeft.y) - (first.y - topLeft.y) * (second.x - topLeft.x);
+    
+    return cross > 0
+        ? { topLeft, topRight: first, bottomLeft: second }
+        : { topLeft, topRight: second, bottomLeft: first };
+};
+
+// Width of a finder pattern measured along the line to another one
+const measureTowards = (image, from, to) => {
+    const length = distanceBetween(from, to);
+    const crossing = measureCenter(image, from.x, from.y, (to.x - from.x) / length, (to.y - from.y) / length);
+    return crossing ? crossing.total : from.moduleSize * 7;
+};
+
+// Symbol sizes to try for the distance between the finder patterns, closest first.
+// Module size is measured along the symbol's own axes, so rotated codes estimate correctly.
+const getCandidateSizes = (image, { topLeft, topRight, bottomLeft }) => {
+    const moduleSize = (measureTowards(image, topLeft, topRight) + measureTowards(image, topLeft, bottomLeft)) / 14;
+    const estimate = (distanceBetween(topLeft, topRight) + distanceBetween(topLeft, bottomLeft)) / 2 / moduleSize + 7;
+    const version = Math.round((estimate - 17) / 4);
+    
+    return [version, version - 1, version + 1]
+        .filter(candidate => candidate >= MIN_VERSION && candidate <= MAX_VERSION)
+        .map(getSize);
+};
+
+// Sample module centres on the grid spanned by the finder patterns
+const sampleModules = (image, { topLeft, topRight, bottomLeft }, size) => {
+    const span = size - 7;
+    const across = { x: (topRight.x - topLeft.x) / span, y: (topRight.y - topLeft.y) / span };
+    const down = { x: (bottomLeft.x - topLeft.x) / span, y: (bottomLeft.y - topLeft.y) / span };
+    
+    return Array.from({ length: size }, (_, row) => Array.from({ length: size }, (_, column) => {
+        // Finder pattern centres sit 3.5 modules in from the symbol's edges
+        const u = column - 3;
+        const v = row - 3;
+        return image.isDark(topLeft.x + across.x * u + down.x * v, topLeft.y + across.y * u + down.y * v);
+    }));
+};
+
+// How far three finder patterns are from the right-angled, equal-sided corner they form
+// in a real code (0 is perfect); data areas can look like stray finder patterns
+const getShapeError = ({ topLeft, topRight, bottomLeft }) => {
+    const across = distanceBetween(topLeft, topRight);
+    const down = distanceBetween(topLeft, bottomLeft);
+    const cosine = ((topRight.x - topLeft.x) * (bottomLeft.x - topLeft.x)
+        + (topRight.y - topLeft.y) * (bottomLeft.y - topLeft.y)) / (across * down);
+    
+    return Math.abs(across - down) / Math.max(across, down) + Math.abs(cosine);
+};
+
+// Likely finder pattern triples, best-shaped first
+const getPatternTriples = (candidates) => {
+    const triples = [];
+    
+    for (let i = 0; i < candidates.length; i++) {
+        for (let j = i + 1; j < candidates.length; j++) {
+            for (let k = j + 1; k < candidates.length; k++) {
+                const patterns = [candidates[i], candidates[j], candidates[k]];
+                const sizes = patterns.map(pattern => pattern.moduleSize);
+                if (Math.max(...sizes) > Math.min(...sizes) * 1.5) continue;
+                
+                const ordered = orderPatterns(patterns);
+                const error = getShapeError(ordered);
+                if (error < 0.3) triples.push({ ordered, error });
+            }
+        }
+    }
+    
+    return triples.sort((a, b) => a.error - b.error).map(triple => triple.ordered);
+};
+
+// Text of the QR code in RGBA image data ({ data, width, height }, as from a canvas)
+export const readQrCode = (imageData) => {
+    const image = createImage(imageData);
+    const found = findFinderPatterns(image);
+    // Patterns crossed by a single scan line are usually noise
+    const confirmed = found.filter(candidate => candidate.count > 1);
+    const candidates = (confirmed.length >= 3 ? confirmed : found)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 20);
+    
+    let lastError = new QrReadError('No QR code found in the image');
+    for (const ordered of getPatternTriples(candidates).slice(0, 30)) {
+        for (const size of getCandidateSizes(image, ordered)) {
+            try {
+                return decodeModules(sampleModules(image, ordered, size));
+            } catch (error) {
+                lastError = error;
+            }
+        }
+    }
+    
+    throw lastError;
+};
+
+export default {
+    decodeModules,
+    readQrCode
+};
@@ -0,0 +1,273 @@
+// ===== RECURRING EVENTS =====
+// Events in data/events.json can repeat with a "recurrence" rule (weekly or monthly,
+// on given weekdays, until a date or for a number of sessions, minus exception dates)
+// and per-occurrence "overrides" keyed by the occurrence's original date. expandEvents
+// turns each series into one event per occurrence for the events list, the calendar
+// grid and single-event .ics downloads; the season feed publishes the rule itself.
+import { MONTH_NAMES, addDays, getDateKey, getTodayKey, parseDateParts } from './event-dates.js';
+
+export const RECURRENCE_FREQUENCIES = {
+    WEEKLY: 'weekly',
+    MONTHLY: 'monthly'
+};
+
+// iCalendar weekday codes, Monday first (weeks start on Monday)
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+const ORDINAL_NAMES = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+// Occurrence ids are "<series id>--<original date>", e.g. "youth-training--2024-06-04"
+export const OCCURRENCE_SEPARATOR = '--';
+
+// Series without an end date or count are expanded this far ahead
+const DEFAULT_HORIZON_DAYS = 366;
+
+// Guard against runaway rules (e.g. a typo in "until")
+const MAX_OCCURRENCES = 500;
+
+export const isRecurring = (eventData) => Boolean(eventData && eventData.recurrence);
+
+export const getOccurrenceId = (seriesId, dateKey) => `${seriesId}${OCCURRENCE_SEPARATOR}${dateKey}`;
+
+// Monday = 0 ... Sunday = 6
+const getWeekdayIndex = (dateKey) => {
+    const { year, month, day } = parseDateParts(dateKey);
+    return (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+};
+
+const getDaysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+const toDateKey = (year, month, day) => new Date(Date.UTC(year, month - 1, day)).toISOString().slice(0, 10);
+
+// Wall-clock event date values as milliseconds, for working out how long a session lasts
+const toWallClock = (value) => Date.parse(`${getDateKey(value)}T${value.length > 10 ? value.slice(11, 16) : '00:00'}:00Z`);
+const fromWallClock = (ms, isTimed) => new Date(ms).toISOString().slice(0, isTimed ? 16 : 10);
+
+// "1SA" -> { ordinal: 1, weekday: 5 }, "TU" -> { ordinal: null, weekday: 1 }
+export const parseByDay = (value) => {
+    const match = /^([+-]?\d)?(MO|TU|WE|TH|FR|SA|SU)$/.exec(String(value).trim().toUpperCase());
+    if (!match) return null;
+    
+    return { ordinal: match[1] ? Number(match[1]) : null, weekday: WEEKDAYS.indexOf(match[2]) };
+};
+
+// Problems with a recurrence rule, as messages (an empty list means the rule is usable)
+export const validateRecurrence = (rule) => {
+    const errors = [];
+    
+    if (!Object.values(RECURRENCE_FREQUENCIES).includes(rule.frequency)) {
+        errors.push(`frequency must be "weekly" or "monthly"`);
+    }
+    if (rule.interval !== undefined && !(Number.isInteger(rule.interval) && rule.interval > 0)) {
+        errors.push('interval must be a whole number of weeks or months');
+    }
+    if (rule.count !== undefined && !(Number.isInteger(rule.count) && rule.count > 0)) {
+        errors.push('count must be a positive whole number');
+    }
+    if (rule.until !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(rule.until)) {
+        errors.push('until must be a date such as "2024-08-31"');
+    }
+    if (rule.until !== undefined && rule.count !== undefined) {
+        errors.push('use either until or count, not both');
+    }
+    (rule.byDay || []).forEach(value => {
+        const parsed = parseByDay(value);
+        if (!parsed) {
+            errors.push(`byDay "${value}" isn't a weekday code such as "TU" or "1SA"`);
+        } else if (parsed.ordinal !== null && rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+            errors.push(`byDay "${value}": numbered weekdays only apply to monthly rules`);
+        }
+    });
+    
+    return errors;
+};
+
+// Dates a weekly rule falls on in the week starting weekStart (a Monday)
+const getWeekDates = (weekStart, weekdays) => weekdays.map(weekday => addDays(weekStart, weekday));
+
+// Dates a monthly rule falls on in a month: given days of the month, numbered weekdays
+// ("1SA" = first Saturday, "-1FR" = last Friday) or every listed weekday
+const getMonthDates = (year, month, rule, startDay) => {
+    const daysInMonth = getDaysInMonth(year, month);
+    const dates = [];
+    
+    (rule.byMonthDay || []).forEach(day => {
+        const dayOfMonth = day < 0 ? daysInMonth + day + 1 : day;
+        // Months without that day (e.g. the 31st in June) are skipped, as in iCalendar
+        if (dayOfMonth >= 1 && dayOfMonth <= daysInMonth) dates.push(toDateKey(year, month, dayOfMonth));
+    });
+    
+    (rule.byDay || []).map(parseByDay).forEach(({ ordinal, weekday }) => {
+        const matching = [];
+        for (let day = 1; day <= daysInMonth; day++) {
+            const dateKey = toDateKey(year, month, day);
+            if (getWeekdayIndex(dateKey) === weekday) matching.push(dateKey);
+        }
+        
+        if (ordinal === null) {
+            dates.push(...matching);
+        } else {
+            const dateKey = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+            if (dateKey) dates.push(dateKey);
+        }
+    });
+    
+    if (!rule.byMonthDay && !rule.byDay && startDay <= daysInMonth) {
+        dates.push(toDateKey(year, month, startDay));
+    }
+    
+    return [...new Set(dates)].sort();
+};
+
+// Original dates of every occurrence of a series, in order, up to "until", "count" or the horizon.
+// As in iCalendar the event's own start date is always the first occurrence, and "count"
+// includes occurrences later removed as exceptions.
+export const getOccurrenceDates = (eventData, { horizon } = {}) => {
+    const rule = eventData.recurrence;
+    const firstDate = getDateKey(eventData.start);
+    const interval = rule.interval || 1;
+    const lastDate = rule.until || horizon || addDays(getTodayKey(), DEFAULT_HORIZON_DAYS);
+    const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const dates = [firstDate];
+    
+    const addDates = (candidates) => candidates
+        .filter(dateKey => dateKey > firstDate)
+        .forEach(dateKey => {
+            if (dates.length < limit && dateKey <= lastDate) dates.push(dateKey);
+        });
+    
+    if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+        const weekdays = rule.byDay
+            ? rule.byDay.map(value => parseByDay(value).weekday).sort((a, b) => a - b)
+            : [getWeekdayIndex(firstDate)];
+        let weekStart = addDays(firstDate, -getWeekdayIndex(firstDate));
+        
+        while (dates.length < limit && weekStart <= lastDate) {
+            addDates(getWeekDates(weekStart, weekdays));
+            weekStart = addDays(weekStart, 7 * interval);
+        }
+    } else {
+        const { year, month, day } = parseDateParts(firstDate);
+        let monthIndex = year * 12 + (month - 1);
+        
+        while (dates.length < limit && toDateKey(Math.floor(monthIndex / 12), (monthIndex % 12) + 1, 1) <= lastDate) {
+            addDates(getMonthDates(Math.floor(monthIndex / 12), (monthIndex % 12) + 1, rule, day));
+            monthIndex += interval;
+        }
+    }
+    
+    return dates;
+};
+
+// Move an event date value to another day, keeping its time ("2024-06-04T16:00" -> "2024-06-11T16:00")
+export const moveToDate = (value, dateKey) => `${dateKey}${value.slice(10)}`;
+
+// One event per occurrence of a series. Exception dates and overrides with "cancelled": true
+// are left out; other overrides replace fields (start, end, venue, description...) of that
+// occurrence. An override that only moves the start keeps the session's usual length.
+export const expandSeries = (eventData, options = {}) => {
+    const { recurrence, overrides = {}, ...series } = eventData;
+    const exceptions = new Set(recurrence.exceptions || []);
+    const duration = series.end ? toWallClock(series.end) - toWallClock(series.start) : 0;
+    const recurrenceLabel = describeRecurrence(recurrence);
+    
+    return getOccurrenceDates(eventData, options)
+        .filter(dateKey => !exceptions.has(dateKey))
+        .map(dateKey => {
+            const { cancelled, ...override } = overrides[dateKey] || {};
+            if (cancelled) return null;
+            
+            const start = override.start || moveToDate(series.start, dateKey);
+            const end = override.end || (series.end ? fromWallClock(toWallClock(start) + duration, series.end.length > 10) : undefined);
+            
+            return {
+                ...series,
+                ...override,
+                id: getOccurrenceId(series.id, dateKey),
+                seriesId: series.id,
+                occurrenceDate: dateKey,
+                recurrenceLabel,
+                start,
+                ...(end ? { end } : {})
+            };
+        })
+        .filter(Boolean);
+};
+
+// Every event with its series expanded into occurrences. A series with a broken rule is
+// left out (with a warning) rather than taking the rest of the events down with it.
+export const expandEvents = (events = [], options = {}) => events.flatMap(eventData => {
+    if (!isRecurring(eventData)) return [eventData];
+    
+    const errors = validateRecurrence(eventData.recurrence);
+    if (errors.length > 0) {
+        console.warn(`Skipping recurring event "${eventData.id}": ${errors.join('; ')}`);
+        return [];
+    }
+    
+    return expandSeries(eventData, options);
+});
+
+// The occurrence a link to a whole series should open: the next one that hasn't finished,
+// or the last one once the series is over
+export const findSeriesOccurrence = (occurrences, seriesId, isPast) => {
+    const series = occurrences.filter(eventData => eventData.seriesId === seriesId);
+    return series.find(eventData => !isPast(eventData)) || series[series.length - 1] || null;
+};
+
+const listNames = (names) => (names.length <= 1
+    ? names.join('')
+    : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`);
+
+const formatDateKey = (dateKey) => {
+    const { year, month, day } = parseDateParts(dateKey);
+    return `${MONTH_NAMES[month - 1]} ${day}, ${year}`;
+};
+
+const ordinalSuffix = (day) => {
+    if (day % 100 >= 11 && day % 100 <= 13) return `${day}th`;
+    return `${day}${{ 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th'}`;
+};
+
+// "Every Tuesday and Thursday until August 29, 2024", "Monthly on the first Saturday, 6 times"
+export const describeRecurrence = (rule) => {
+    const interval = rule.interval || 1;
+    const days = (rule.byDay || []).map(parseByDay).filter(Boolean);
+    let text;
+    
+    if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY) {
+        const every = interval === 1 ? 'Every' : `Every ${interval} weeks on`;
+        text = days.length > 0
+            ? `${every} ${listNames(days.map(({ weekday }) => WEEKDAY_NAMES[weekday]))}`
+            : (interval === 1 ? 'Weekly' : `Every ${interval} weeks`);
+    } else {
+        const on = [
+            ...(rule.byMonthDay || []).map(day => (day === -1 ? 'the last day' : `the ${ordinalSuffix(day)}`)),
+            ...days.map(({ ordinal, weekday }) => (ordinal === null
+                ? `every ${WEEKDAY_NAMES[weekday]}`
+                : `the ${ORDINAL_NAMES[ordinal] || ordinalSuffix(ordinal)} ${WEEKDAY_NAMES[weekday]}`))
+        ];
+        text = `${interval === 1 ? 'Monthly' : `Every ${interval} months`}${on.length > 0 ? ` on ${listNames(on)}` : ''}`;
+    }
+    
+    if (rule.until) return `${text} until ${formatDateKey(rule.until)}`;
+    if (rule.count) return `${text}, ${rule.count} times`;
+    return text;
+};
+
+export default {
+    RECURRENCE_FREQUENCIES,
+    WEEKDAYS,
+    OCCURRENCE_SEPARATOR,
+    isRecurring,
+    getOccurrenceId,
+    parseByDay,
+    validateRecurrence,
+    getOccurrenceDates,
+    moveToDate,
+    expandSeries,
+    expandEvents,
+    findSeriesOccurrence,
+    describeRecurrence
+};
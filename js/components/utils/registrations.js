@@ -0,0 +1,135 @@
+// ===== EVENT REGISTRATION HELPERS =====
+// Shared by the registration modal and the registrations API (server/) so both
+// validate the same fields and the roster export matches what the form collects.
+import { validateEmail, validatePhone } from './helpers.js';
+import { VALIDATION_MESSAGES } from './constants.js';
+
+// Fields collected by the registration form, in roster column order
+export const REGISTRATION_FIELDS = [
+    { name: 'firstName', label: 'First Name', required: true, maxLength: 60 },
+    { name: 'lastName', label: 'Last Name', required: true, maxLength: 60 },
+    { name: 'dateOfBirth', label: 'Date of Birth', required: true, type: 'date' },
+    { name: 'gender', label: 'Gender', required: true, options: ['Female', 'Male'] },
+    { name: 'school', label: 'School', required: true, maxLength: 120 },
+    { name: 'grade', label: 'Grade / Class', required: true, maxLength: 20 },
+    { name: 'guardianName', label: 'Guardian Name', required: true, maxLength: 120 },
+    { name: 'guardianRelationship', label: 'Relationship', required: true, maxLength: 40 },
+    { name: 'guardianPhone', label: 'Guardian Phone', required: true, type: 'phone' },
+    { name: 'guardianEmail', label: 'Guardian Email', required: false, type: 'email' },
+    { name: 'notes', label: 'Medical Notes', required: false, maxLength: 500 }
+];
+
+// Columns added by the API, shown before the form fields in the roster
+export const ROSTER_COLUMNS = [
+    { name: 'reference', label: 'Reference' },
+    { name: 'status', label: 'Status' },
+    { name: 'waitlistPosition', label: 'Waitlist Position' },
+    { name: 'registeredAt', label: 'Registered At' },
+    { name: 'checkedInAt', label: 'Checked In At' },
+    ...REGISTRATION_FIELDS
+];
+
+// Registration details cached on check-in devices: enough to greet and find people at the
+// gate, without guardian contacts or medical notes
+export const CHECK_IN_ROSTER_FIELDS = ['reference', 'status', 'firstName', 'lastName', 'school', 'grade', 'checkedInAt'];
+
+// Check-ins a device sends to the registrations API per request
+export const CHECK_IN_BATCH_SIZE = 100;
+
+// Pick the known fields from submitted data, trimmed
+export const normalizeRegistration = (data) => {
+    return REGISTRATION_FIELDS.reduce((values, field) => {
+        values[field.name] = String((data || {})[field.name] ?? '').trim();
+        return values;
+    }, {});
+};
+
+// Validate a single field value, returning an error message or null
+export const validateRegistrationField = (field, value) => {
+    if (!value) {
+        return field.required ? VALIDATION_MESSAGES.REQUIRED : null;
+    }
+    
+    if (field.maxLength && value.length > field.maxLength) {
+        return VALIDATION_MESSAGES.MAX_LENGTH.replace('{max}', field.maxLength);
+    }
+    
+    if (field.options && !field.options.includes(value)) {
+        return 'Please choose one of the options';
+    }
+    
+    switch (field.type) {
+        case 'email':
+            return validateEmail(value) ? null : VALIDATION_MESSAGES.EMAIL;
+        case 'phone':
+            return validatePhone(value) ? null : VALIDATION_MESSAGES.PHONE;
+        case 'date': {
+            const date = new Date(`${value}T00:00:00Z`);
+            const isValid = /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(date) && date < new Date();
+            return isValid ? null : 'Please enter a valid date of birth';
+        }
+        default:
+            return null;
+    }
+};
+
+// Validate submitted registration data, returning { fieldName: message } for each invalid field
+export const validateRegistration = (data) => {
+    const values = normalizeRegistration(data);
+    
+    return REGISTRATION_FIELDS.reduce((errors, field) => {
+        const error = validateRegistrationField(field, values[field.name]);
+        if (error) {
+            errors[field.name] = error;
+        }
+        return errors;
+    }, {});
+};
+
+// A check-in as { eventId, reference, checkedInAt } with an ISO timestamp, or null if invalid
+export const normalizeCheckIn = (data) => {
+    if (!data || typeof data !== 'object') return null;
+    
+    const eventId = String(data.eventId ?? '').trim();
+    const reference = String(data.reference ?? '').trim().toUpperCase();
+    const checkedInAt = new Date(data.checkedInAt);
+    
+    if (!eventId || !reference || typeof data.checkedInAt !== 'string' || isNaN(checkedInAt)) {
+        return null;
+    }
+    
+    return { eventId, reference, checkedInAt: checkedInAt.toISOString() };
+};
+
+// Escape a value for CSV. Values that spreadsheet apps would treat as formulas are prefixed with a quote.
+const toCsvCell = (value) => {
+    let text = String(value ?? '');
+    
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build a CSV document (RFC 4180, CRLF line endings) from registrations
+export const toRosterCsv = (registrations, columns = ROSTER_COLUMNS) => {
+    const rows = [
+        columns.map(column => column.label),
+        ...registrations.map(registration => columns.map(column => registration[column.name]))
+    ];
+    
+    return rows.map(row => row.map(toCsvCell).join(',')).join('\r\n') + '\r\n';
+};
+
+export default {
+    REGISTRATION_FIELDS,
+    ROSTER_COLUMNS,
+    CHECK_IN_ROSTER_FIELDS,
+    CHECK_IN_BATCH_SIZE,
+    normalizeRegistration,
+    normalizeCheckIn,
+    validateRegistrationField,
+    validateRegistration,
+    toRosterCsv
+};
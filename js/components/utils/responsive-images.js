@@ -0,0 +1,126 @@
+// ===== RESPONSIVE IMAGES =====
+// Resized copies of the photos in images/source/, written by `npm run optimize-images` along with
+// images/optimized/manifest.json. The manifest lists each source image's variants by format so
+// pages can offer them through srcset/sizes and phones only download the width they show.
+//
+// manifest.json: { "generated": "<ISO date>", "images": { "images/source/<path>": {
+//     "width": 4000, "height": 3000, "date": "2023-12-10" (when the photo was taken, if known),
+//     "formats": { "avif": [{ "src", "width", "height" }, ...], "webp": [...], "jpeg": [...] } } } }
+import { DATA_SOURCES } from './constants.js';
+import { escapeHTML } from './helpers.js';
+
+export const IMAGE_SOURCE_DIR = 'images/source';
+export const IMAGE_OUTPUT_DIR = 'images/optimized';
+
+// Variant widths in px; images narrower than the largest also get one at their own width
+export const IMAGE_WIDTHS = [320, 640, 960, 1280, 1920];
+
+// Preferred first; JPEG is the fallback, or PNG for images with transparency
+export const IMAGE_FORMATS = {
+    avif: { type: 'image/avif', extension: 'avif' },
+    webp: { type: 'image/webp', extension: 'webp' },
+    jpeg: { type: 'image/jpeg', extension: 'jpg' },
+    png: { type: 'image/png', extension: 'png' }
+};
+
+const FALLBACK_FORMATS = ['jpeg', 'png'];
+
+// The `src` for browsers without srcset support
+const FALLBACK_WIDTH = 960;
+
+// Widths to make for an image of the given width, never upscaling
+export const getVariantWidths = (originalWidth) => {
+    const widths = IMAGE_WIDTHS.filter(width => width < originalWidth);
+    if (originalWidth <= IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]) widths.push(originalWidth);
+    return widths;
+};
+
+// images/source/events/relay.jpg -> images/optimized/events/relay-640.webp
+export const getVariantPath = (source, width, format) => {
+    const relative = source.startsWith(`${IMAGE_SOURCE_DIR}/`) ? source.slice(IMAGE_SOURCE_DIR.length + 1) : source;
+    const name = relative.replace(/\.[^./]+$/, '');
+    return `${IMAGE_OUTPUT_DIR}/${name}-${width}.${IMAGE_FORMATS[format].extension}`;
+};
+
+export const toSrcset = (variants) => variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+
+// A source image's manifest entry, or null if it hasn't been optimized
+export const getResponsiveImage = (manifest, src) => {
+    if (!manifest || !manifest.images || !src) return null;
+    const entry = manifest.images[src.replace(/^\.?\//, '')];
+    return entry && entry.formats ? entry : null;
+};
+
+// The <source> types (AVIF, WebP) and the fallback format's variants for an <img>
+export const getPictureSources = (responsive) => {
+    const formats = responsive.formats;
+    const fallback = FALLBACK_FORMATS.find(format => formats[format] && formats[format].length > 0);
+    const sources = Object.keys(IMAGE_FORMATS)
+        .filter(format => !FALLBACK_FORMATS.includes(format) && formats[format] && formats[format].length > 0)
+        .map(format => ({ type: IMAGE_FORMATS[format].type, srcset: toSrcset(formats[format]) }));
+    
+    if (!fallback) return { sources, fallback: null };
+    
+    const variants = formats[fallback];
+    const src = [...variants].reverse().find(variant => variant.width <= FALLBACK_WIDTH) || variants[0];
+    return { sources, fallback: { src: src.src, srcset: toSrcset(variants) } };
+};
+
+// A <picture> for an image ({ src, alt, width, height, responsive }), or a plain <img> if it has no
+// variants. `sizes` is how wide the image is shown. With `observe`, the URLs go in data-src and
+// data-srcset for an IntersectionObserver to swap in; otherwise the browser lazy-loads it unless
+// `lazy` is false.
+export const renderPicture = (image, { sizes = '100vw', observe = false, lazy = true, className = '', alt = image.alt || '' } = {}) => {
+    const srcAttr = observe ? 'data-src' : 'src';
+    const srcsetAttr = observe ? 'data-srcset' : 'srcset';
+    const responsive = image.responsive;
+    const width = image.width || (responsive && responsive.width);
+    const height = image.height || (responsive && responsive.height);
+    const imgAttributes = [
+        className ? `class="${escapeHTML(className)}"` : '',
+        `alt="${escapeHTML(alt)}"`,
+        width && height ? `width="${width}" height="${height}"` : '',
+        !observe && lazy ? 'loading="lazy"' : '',
+        'decoding="async"'
+    ].filter(Boolean).join(' ');
+    
+    const picture = responsive ? getPictureSources(responsive) : null;
+    if (!picture || !picture.fallback) {
+        return `<img ${srcAttr}="${escapeHTML(image.src)}" ${imgAttributes}>`;
+    }
+    
+    const sources = picture.sources
+        .map(source => `<source type="${source.type}" ${srcsetAttr}="${escapeHTML(source.srcset)}" sizes="${escapeHTML(sizes)}">`)
+        .join('');
+    
+    return `<picture>${sources}<img ${srcAttr}="${escapeHTML(picture.fallback.src)}" ${srcsetAttr}="${escapeHTML(picture.fallback.srcset)}" sizes="${escapeHTML(sizes)}" ${imgAttributes}></picture>`;
+};
+
+let manifestRequest = null;
+
+// The variants manifest, fetched once per page; an empty one if it is missing
+export const loadImageManifest = () => {
+    if (!manifestRequest) {
+        manifestRequest = fetch(DATA_SOURCES.IMAGES)
+            .then(response => (response.ok ? response.json() : { images: {} }))
+            .catch(error => {
+                console.warn('Image variants unavailable, using original images:', error);
+                return { images: {} };
+            });
+    }
+    return manifestRequest;
+};
+
+export default {
+    IMAGE_SOURCE_DIR,
+    IMAGE_OUTPUT_DIR,
+    IMAGE_WIDTHS,
+    IMAGE_FORMATS,
+    getVariantWidths,
+    getVariantPath,
+    toSrcset,
+    getResponsiveImage,
+    getPictureSources,
+    renderPicture,
+    loadImageManifest
+};
@@ -0,0 +1,48 @@
+// ===== SITE STATISTICS =====
+// Lookups into data/stats.json, the one place the counters on every page read their figures
+// from. Each figure has a value, the date it was last updated and an optional per-program split:
+// { "updated": "2024-03-01", "stats": { "schools": { "value": 64, "programs": { "soccer": 40 } } } }
+
+const toDateKey = (value) => (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) ? value.slice(0, 10) : null);
+
+// Figures may be written as a bare number or as { value, updated, programs }
+const getStat = (data, key) => {
+    const stat = data && data.stats ? data.stats[key] : undefined;
+    if (stat === undefined || stat === null) return null;
+    return typeof stat === 'number' ? { value: stat } : stat;
+};
+
+// A figure, or one program's share of it. Null when the file doesn't have it.
+export const getStatValue = (data, key, program) => {
+    const stat = getStat(data, key);
+    if (!stat) return null;
+    
+    const value = program ? (stat.programs || {})[program] : stat.value;
+    return Number.isFinite(value) ? value : null;
+};
+
+// When a figure was last updated ("YYYY-MM-DD"), falling back to the file's own date.
+// Without a key, the most recent date of any figure.
+export const getStatUpdated = (data, key) => {
+    if (!data) return null;
+    
+    if (key) {
+        const stat = getStat(data, key);
+        return (stat && toDateKey(stat.updated)) || toDateKey(data.updated);
+    }
+    
+    const dates = Object.keys(data.stats || {})
+        .map(statKey => toDateKey((getStat(data, statKey) || {}).updated))
+        .concat(toDateKey(data.updated))
+        .filter(Boolean)
+        .sort();
+    return dates.length > 0 ? dates[dates.length - 1] : null;
+};
+
+export const formatStatValue = (value) => value.toLocaleString('en-US');
+
+export default {
+    getStatValue,
+    getStatUpdated,
+    formatStatValue
+};
@@ -0,0 +1,102 @@
+// ===== EVENT TICKETS =====
+// Signed ticket codes for confirmed registrations, e.g. "FODASU1.<payload>.<signature>".
+// The registrations API signs tickets with its private key; the check-in page verifies them
+// with the public key, so tickets can be checked without a connection. Uses Web Crypto,
+// which browsers only provide on HTTPS (or localhost) and Node provides as globalThis.crypto.
+
+export const TICKET_PREFIX = 'FODASU1';
+
+export const TICKET_KEY_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+export const TICKET_ERRORS = {
+    UNSUPPORTED: 'unsupported',
+    MALFORMED: 'malformed',
+    INVALID_SIGNATURE: 'invalid-signature'
+};
+
+export class TicketError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'TicketError';
+        this.code = code;
+    }
+}
+
+const getSubtle = () => {
+    const subtle = globalThis.crypto && globalThis.crypto.subtle;
+    if (!subtle) {
+        throw new TicketError('Tickets can only be checked on a secure (HTTPS) connection', TICKET_ERRORS.UNSUPPORTED);
+    }
+    return subtle;
+};
+
+const encodeBase64Url = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const decodeBase64Url = (text) => {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '=')), char => char.charCodeAt(0));
+};
+
+export const isTicketCode = (text) => String(text).trim().startsWith(`${TICKET_PREFIX}.`);
+
+// Split a ticket code into its event, reference and signature without checking the signature
+export const parseTicketCode = (code) => {
+    const parts = String(code).trim().split('.');
+    
+    if (parts.length !== 3 || parts[0] !== TICKET_PREFIX) {
+        throw new TicketError('This is not a FODASU ticket', TICKET_ERRORS.MALFORMED);
+    }
+    
+    try {
+        const { e: eventId, r: reference } = JSON.parse(new TextDecoder().decode(decodeBase64Url(parts[1])));
+        if (typeof eventId !== 'string' || typeof reference !== 'string') throw new Error('Missing fields');
+        
+        return {
+            eventId,
+            reference,
+            signed: `${parts[0]}.${parts[1]}`,
+            signature: decodeBase64Url(parts[2])
+        };
+    } catch (error) {
+        throw new TicketError('This ticket code is damaged', TICKET_ERRORS.MALFORMED);
+    }
+};
+
+// New signing key pair as JWKs: { privateKey, publicKey }
+export const generateTicketKeys = async () => {
+    const subtle = getSubtle();
+    const keys = await subtle.generateKey(TICKET_KEY_ALGORITHM, true, ['sign', 'verify']);
+    
+    return {
+        privateKey: await subtle.exportKey('jwk', keys.privateKey),
+        publicKey: await subtle.exportKey('jwk', keys.publicKey)
+    };
+};
+
+export const importPrivateKey = (jwk) => getSubtle().importKey('jwk', jwk, TICKET_KEY_ALGORITHM, false, ['sign']);
+
+export const importPublicKey = (jwk) => getSubtle().importKey('jwk', jwk, TICKET_KEY_ALGORITHM, false, ['verify']);
+
+export const createTicketCode = async ({ eventId, reference }, privateKey) => {
+    const payload = encodeBase64Url(new TextEncoder().encode(JSON.stringify({ e: eventId, r: reference })));
+    const signed = `${TICKET_PREFIX}.${payload}`;
+    const signature = await getSubtle().sign(SIGNATURE_ALGORITHM, privateKey, new TextEncoder().encode(signed));
+    
+    return `${signed}.${encodeBase64Url(signature)}`;
+};
+
+// The ticket's { eventId, reference } if it was signed with the matching private key
+export const verifyTicketCode = async (code, publicKey) => {
+    const ticket = parseTicketCode(code);
+    const isValid = await getSubtle().verify(SIGNATURE_ALGORITHM, publicKey, ticket.signature, new TextEncoder().encode(ticket.signed));
+    
+    if (!isValid) {
+        throw new TicketError('This ticket was not issued by FODASU', TICKET_ERRORS.INVALID_SIGNATURE);
+    }
+    
+    return { eventId: ticket.eventId, reference: ticket.reference };
+};
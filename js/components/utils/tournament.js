@@ -0,0 +1,469 @@
+// ===== TOURNAMENT HELPERS =====
+// Fixtures, knockout brackets and league tables for soccer tournaments.
+// Shared by the tournament view on events.html and the results API (server/),
+// so recorded scores are checked against the same fixtures visitors see.
+
+export const TOURNAMENT_FORMATS = {
+    GROUPS: 'groups',
+    KNOCKOUT: 'knockout',
+    GROUPS_KNOCKOUT: 'groups-knockout'
+};
+
+export const MATCH_STAGES = {
+    GROUP: 'group',
+    KNOCKOUT: 'knockout'
+};
+
+export const DEFAULT_POINTS = { win: 3, draw: 1, loss: 0 };
+
+const GROUP_NAMES = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const MAX_GOALS = 99;
+
+// ===== Group stage =====
+
+// Split teams into groups of about groupSize. Teams are listed in seeding order and
+// dealt out in a snake (A B C C B A ...) so the top seeds end up in different groups.
+export const drawGroups = (teams, groupSize = 4) => {
+    const count = Math.min(Math.max(1, Math.ceil(teams.length / groupSize)), GROUP_NAMES.length);
+    const groups = Array.from({ length: count }, (_, index) => ({ name: GROUP_NAMES[index], teams: [] }));
+    
+    teams.forEach((team, index) => {
+        const pass = Math.floor(index / count);
+        const position = index % count;
+        groups[pass % 2 === 0 ? position : count - 1 - position].teams.push(team);
+    });
+    
+    return groups;
+};
+
+// Everyone plays everyone once (circle method). With an odd number of teams one team rests each round.
+export const generateRoundRobin = (teams, idPrefix = 'M') => {
+    const slots = teams.length % 2 === 0 ? [...teams] : [...teams, null];
+    const fixtures = [];
+    
+    for (let round = 1; round < slots.length; round++) {
+        let number = 0;
+        
+        for (let i = 0; i < slots.length / 2; i++) {
+            const home = slots[i];
+            const away = slots[slots.length - 1 - i];
+            if (home === null || away === null) continue;
+            
+            // The first slot never rotates, so alternate its home and away matches
+            const swap = i === 0 && round % 2 === 0;
+            number++;
+            
+            fixtures.push({
+                id: `${idPrefix}-${round}-${number}`,
+                stage: MATCH_STAGES.GROUP,
+                round,
+                home: swap ? away : home,
+                away: swap ? home : away
+            });
+        }
+        
+        slots.splice(1, 0, slots.pop());
+    }
+    
+    return fixtures;
+};
+
+// ===== Standings =====
+
+const createRow = (team) => ({
+    team,
+    played: 0,
+    won: 0,
+    drawn: 0,
+    lost: 0,
+    goalsFor: 0,
+    goalsAgainst: 0,
+    goalDifference: 0,
+    points: 0
+});
+
+const recordScore = (row, scored, conceded, points) => {
+    row.played++;
+    row.goalsFor += scored;
+    row.goalsAgainst += conceded;
+    row.goalDifference = row.goalsFor - row.goalsAgainst;
+    
+    if (scored > conceded) {
+        row.won++;
+        row.points += points.win;
+    } else if (scored === conceded) {
+        row.drawn++;
+        row.points += points.draw;
+    } else {
+        row.lost++;
+        row.points += points.loss;
+    }
+};
+
+// Table rows keyed by team for the played matches between the given teams
+const tabulate = (teams, matches, points) => {
+    const rows = new Map(teams.map(team => [team, createRow(team)]));
+    
+    matches.forEach(match => {
+        const home = rows.get(match.home);
+        const away = rows.get(match.away);
+        if (!match.score || !home || !away) return;
+        
+        recordScore(home, match.score.home, match.score.away, points);
+        recordScore(away, match.score.away, match.score.home, points);
+    });
+    
+    return rows;
+};
+
+// Teams level on points and goal difference are separated by a mini-league of
+// the matches between them, then by goals scored overall, then alphabetically
+const breakTie = (tied, matches, points) => {
+    const teams = new Set(tied.map(row => row.team));
+    const headToHead = tabulate(
+        [...teams],
+        matches.filter(match => teams.has(match.home) && teams.has(match.away)),
+        points
+    );
+    
+    return [...tied].sort((a, b) => {
+        const rowA = headToHead.get(a.team);
+        const rowB = headToHead.get(b.team);
+        
+        return rowB.points - rowA.points
+            || rowB.goalDifference - rowA.goalDifference
+            || rowB.goalsFor - rowA.goalsFor
+            || b.goalsFor - a.goalsFor
+            || a.team.localeCompare(b.team);
+    });
+};
+
+// League table ordered by points, goal difference, then head-to-head
+export const computeStandings = (teams, matches, { points = DEFAULT_POINTS } = {}) => {
+    const rows = Array.from(tabulate(teams, matches, points).values())
+        .sort((a, b) => b.points - a.points || b.goalDifference - a.goalDifference);
+    const ranked = [];
+    
+    for (let start = 0; start < rows.length;) {
+        let end = start + 1;
+        while (end < rows.length
+            && rows[end].points === rows[start].points
+            && rows[end].goalDifference === rows[start].goalDifference) {
+            end++;
+        }
+        
+        const tied = rows.slice(start, end);
+        ranked.push(...(tied.length > 1 ? breakTie(tied, matches, points) : tied));
+        start = end;
+    }
+    
+    return ranked.map((row, index) => ({ ...row, position: index + 1 }));
+};
+
+// ===== Knockout =====
+
+// "Quarter-finals" for the round with 8 teams left, "Round of 16" before that
+export const getRoundName = (teamsLeft) => {
+    switch (teamsLeft) {
+        case 2: return 'Final';
+        case 4: return 'Semi-finals';
+        case 8: return 'Quarter-finals';
+        default: return `Round of ${teamsLeft}`;
+    }
+};
+
+// Bracket positions for each seed so the top seeds can only meet in the later rounds:
+// 8 places -> 1 v 8, 4 v 5, 2 v 7, 3 v 6
+export const getSeedOrder = (size) => {
+    let order = [1];
+    
+    while (order.length < size) {
+        const total = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, total - seed]);
+    }
+    
+    return order;
+};
+
+// Bracket for entrants listed in seeding order. Entrants are { team, label }, where team
+// is null until it's known (e.g. "Group A winner"). Brackets are padded to a power of
+// two with byes, which go to the top seeds.
+export const generateKnockout = (entrants, { thirdPlaceMatch = false } = {}) => {
+    if (entrants.length < 2) return [];
+    
+    const size = 2 ** Math.ceil(Math.log2(entrants.length));
+    let slots = getSeedOrder(size).map(seed => (entrants[seed - 1] ? { ...entrants[seed - 1], seed } : { bye: true }));
+    const rounds = [];
+    let matchNumber = 0;
+    
+    for (let round = 1; slots.length > 1; round++) {
+        const matches = [];
+        
+        for (let i = 0; i < slots.length; i += 2) {
+            const isBye = Boolean(slots[i].bye || slots[i + 1].bye);
+            
+            matches.push({
+                id: `KO-${round}-${i / 2 + 1}`,
+                stage: MATCH_STAGES.KNOCKOUT,
+                round,
+                number: isBye ? null : ++matchNumber,
+                isBye,
+                homeSlot: slots[i],
+                awaySlot: slots[i + 1]
+            });
+        }
+        
+        rounds.push({ name: getRoundName(slots.length), matches });
+        slots = matches.map(match => ({ winnerOf: match.id }));
+    }
+    
+    const semiFinals = rounds.length > 1 ? rounds[rounds.length - 2].matches : [];
+    if (thirdPlaceMatch && semiFinals.length === 2 && !semiFinals.some(match => match.isBye)) {
+        rounds.push({
+            name: 'Third place',
+            isThirdPlace: true,
+            matches: [{
+                id: 'KO-3RD',
+                stage: MATCH_STAGES.KNOCKOUT,
+                round: rounds.length + 1,
+                number: ++matchNumber,
+                isBye: false,
+                homeSlot: { loserOf: semiFinals[0].id },
+                awaySlot: { loserOf: semiFinals[1].id }
+            }]
+        });
+    }
+    
+    return rounds;
+};
+
+// Winner of a played knockout match. Level scores are settled on penalties.
+const getWinner = (match) => {
+    const { score } = match;
+    if (!score) return null;
+    
+    if (score.home !== score.away) {
+        return score.home > score.away ? match.home : match.away;
+    }
+    
+    if (Number.isInteger(score.homePenalties) && Number.isInteger(score.awayPenalties)
+        && score.homePenalties !== score.awayPenalties) {
+        return score.homePenalties > score.awayPenalties ? match.home : match.away;
+    }
+    
+    return null;
+};
+
+// The score recorded for a match, as long as it was recorded for the teams now in the fixture.
+// Results are stored with the team names, so a redraw or a corrected earlier round can't
+// leave a stale score attached to different teams.
+const getScore = (match, results) => {
+    const result = results[match.id];
+    if (!result || !match.home || !match.away) return null;
+    if (result.home !== match.home || result.away !== match.away) return null;
+    
+    return {
+        home: result.homeScore,
+        away: result.awayScore,
+        ...(Number.isInteger(result.homePenalties) ? { homePenalties: result.homePenalties } : {}),
+        ...(Number.isInteger(result.awayPenalties) ? { awayPenalties: result.awayPenalties } : {})
+    };
+};
+
+// Fill in teams, scores and winners from the recorded results, round by round
+export const resolveKnockout = (rounds, results = {}) => {
+    const resolved = new Map();
+    
+    const resolveSlot = (slot) => {
+        if (slot.bye) return { team: null, label: 'Bye' };
+        
+        const sourceId = slot.winnerOf || slot.loserOf;
+        if (!sourceId) return { team: slot.team || null, label: slot.label || slot.team };
+        
+        const source = resolved.get(sourceId);
+        const team = slot.winnerOf ? source.winner : source.loser;
+        const prefix = slot.winnerOf ? 'Winner' : 'Loser';
+        
+        return { team, label: team || `${prefix} of match ${source.number}` };
+    };
+    
+    return rounds.map(round => ({
+        ...round,
+        matches: round.matches.map(match => {
+            const home = resolveSlot(match.homeSlot);
+            const away = resolveSlot(match.awaySlot);
+            const resolvedMatch = {
+                id: match.id,
+                stage: match.stage,
+                round: match.round,
+                number: match.number,
+                isBye: match.isBye,
+                home: home.team,
+                away: away.team,
+                homeLabel: home.label,
+                awayLabel: away.label
+            };
+            
+            if (match.isBye) {
+                // The team without an opponent goes straight through
+                resolvedMatch.score = null;
+                resolvedMatch.winner = match.homeSlot.bye ? away.team : home.team;
+                resolvedMatch.loser = null;
+            } else {
+                resolvedMatch.score = getScore(resolvedMatch, results);
+                resolvedMatch.winner = getWinner(resolvedMatch);
+                resolvedMatch.loser = resolvedMatch.winner
+                    ? (resolvedMatch.winner === home.team ? away.team : home.team)
+                    : null;
+            }
+            
+            resolved.set(match.id, resolvedMatch);
+            return resolvedMatch;
+        })
+    }));
+};
+
+// ===== Tournament =====
+
+const QUALIFIER_LABELS = ['winner', 'runner-up'];
+
+// Knockout entrants from the group stage, seeded group winners first, then runners-up.
+// Places stay open ("Group A winner") until every match in the group has a score.
+const getGroupQualifiers = (groups, qualifiersPerGroup) => {
+    const entrants = [];
+    
+    for (let place = 0; place < qualifiersPerGroup; place++) {
+        groups.forEach(group => {
+            if (place >= group.teams.length) return;
+            
+            entrants.push({
+                team: group.complete ? group.standings[place].team : null,
+                label: `Group ${group.name} ${QUALIFIER_LABELS[place] || `#${place + 1}`}`
+            });
+        });
+    }
+    
+    return entrants;
+};
+
+// Build the whole tournament (groups, fixtures, standings, bracket) from its
+// configuration in data/tournaments.json and the recorded results
+export const buildTournament = (config) => {
+    const {
+        format = TOURNAMENT_FORMATS.GROUPS,
+        teams = [],
+        results = {},
+        groupSize = 4,
+        qualifiersPerGroup = 2,
+        thirdPlaceMatch = false,
+        points = DEFAULT_POINTS
+    } = config;
+    
+    const tournament = {
+        eventId: config.eventId,
+        name: config.name,
+        format,
+        teams,
+        qualifiersPerGroup: format === TOURNAMENT_FORMATS.GROUPS_KNOCKOUT ? qualifiersPerGroup : 0,
+        groups: [],
+        knockout: [],
+        champion: null
+    };
+    
+    if (format !== TOURNAMENT_FORMATS.KNOCKOUT) {
+        tournament.groups = drawGroups(teams, groupSize).map(group => {
+            const fixtures = generateRoundRobin(group.teams, `G${group.name}`)
+                .map(match => ({ ...match, score: getScore(match, results) }));
+            
+            return {
+                ...group,
+                fixtures,
+                standings: computeStandings(group.teams, fixtures, { points }),
+                complete: fixtures.length > 0 && fixtures.every(match => match.score)
+            };
+        });
+    }
+    
+    if (format !== TOURNAMENT_FORMATS.GROUPS) {
+        const entrants = format === TOURNAMENT_FORMATS.KNOCKOUT
+            ? teams.map(team => ({ team, label: team }))
+            : getGroupQualifiers(tournament.groups, qualifiersPerGroup);
+        
+        tournament.knockout = resolveKnockout(generateKnockout(entrants, { thirdPlaceMatch }), results);
+        
+        const final = tournament.knockout.filter(round => !round.isThirdPlace).pop();
+        tournament.champion = final ? final.matches[0].winner : null;
+    }
+    
+    return tournament;
+};
+
+// Every match in the tournament, group fixtures first
+export const getAllMatches = (tournament) => [
+    ...tournament.groups.flatMap(group => group.fixtures),
+    ...tournament.knockout.flatMap(round => round.matches)
+];
+
+export const findMatch = (tournament, matchId) => getAllMatches(tournament).find(match => match.id === matchId) || null;
+
+const isGoalCount = (value) => Number.isInteger(value) && value >= 0 && value <= MAX_GOALS;
+
+// Check that a submitted score is made of goal counts (whole numbers from 0 to MAX_GOALS),
+// before it is matched to a fixture. Returns { field: message } for each problem.
+export const validateScoreValues = (data = {}) => {
+    const errors = {};
+    
+    ['homeScore', 'awayScore'].forEach(field => {
+        if (!isGoalCount(data[field])) {
+            errors[field] = `Enter a whole number of goals between 0 and ${MAX_GOALS}`;
+        }
+    });
+    
+    if ((data.homePenalties != null && !isGoalCount(data.homePenalties))
+        || (data.awayPenalties != null && !isGoalCount(data.awayPenalties))) {
+        errors.penalties = `Enter the penalties scored as whole numbers between 0 and ${MAX_GOALS}`;
+    }
+    
+    return errors;
+};
+
+// Check a submitted score for a match, returning { field: message } for each problem
+export const validateMatchResult = (match, data = {}) => {
+    if (!match.home || !match.away || match.isBye) {
+        return { matchId: 'Both teams in this match must be known before a score is recorded' };
+    }
+    
+    const errors = validateScoreValues(data);
+    
+    const needsPenalties = match.stage === MATCH_STAGES.KNOCKOUT && data.homeScore === data.awayScore;
+    const hasPenalties = data.homePenalties != null || data.awayPenalties != null;
+    
+    if (needsPenalties && Object.keys(errors).length === 0) {
+        if (!isGoalCount(data.homePenalties) || !isGoalCount(data.awayPenalties)
+            || data.homePenalties === data.awayPenalties) {
+            errors.penalties = 'Knockout matches that finish level need a penalty shoot-out winner';
+        }
+    } else if (hasPenalties && !needsPenalties && !errors.penalties) {
+        errors.penalties = 'Penalties are only recorded for drawn knockout matches';
+    }
+    
+    return errors;
+};
+
+export default {
+    TOURNAMENT_FORMATS,
+    MATCH_STAGES,
+    DEFAULT_POINTS,
+    drawGroups,
+    generateRoundRobin,
+    computeStandings,
+    getRoundName,
+    getSeedOrder,
+    generateKnockout,
+    resolveKnockout,
+    buildTournament,
+    getAllMatches,
+    findMatch,
+    validateScoreValues,
+    validateMatchResult
+};
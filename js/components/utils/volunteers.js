@@ -0,0 +1,103 @@
+// ===== VOLUNTEER SHIFT HELPERS =====
+// Shared by the event detail view and the volunteers API (server/). Events list the help
+// they need in data/events.json as roles, each with shifts that take a set number of people:
+// "volunteers": [{ "id": "marshal", "name": "Marshal", "duties": [...],
+//                  "shifts": [{ "id": "morning", "start": "07:30", "end": "12:00", "slots": 4 }] }]
+import { validateRegistrationField } from './registrations.js';
+import { getDateKey, formatDateRange, formatTimeRange } from './event-dates.js';
+
+// Fields collected by the sign-up form, in roster column order
+export const VOLUNTEER_FIELDS = [
+    { name: 'name', label: 'Full Name', required: true, maxLength: 120 },
+    { name: 'phone', label: 'Phone', required: true, type: 'phone' },
+    { name: 'email', label: 'Email', required: false, type: 'email' },
+    { name: 'notes', label: 'Experience or Notes', required: false, maxLength: 300 }
+];
+
+// Columns added by the API, shown before the form fields in the volunteer roster
+export const VOLUNTEER_ROSTER_COLUMNS = [
+    { name: 'reference', label: 'Reference' },
+    { name: 'roleName', label: 'Role' },
+    { name: 'date', label: 'Date' },
+    { name: 'start', label: 'Start' },
+    { name: 'end', label: 'End' },
+    { name: 'signedUpAt', label: 'Signed Up At' },
+    ...VOLUNTEER_FIELDS
+];
+
+// An event's roles with defaults filled in. Shifts without a date fall on the event's first day,
+// so each session of a recurring event gets its own shifts.
+export const getVolunteerRoles = (eventData) => (eventData.volunteers || []).map(role => ({
+    id: role.id,
+    name: role.name,
+    description: role.description || '',
+    duties: role.duties || [],
+    shifts: (role.shifts || []).map(shift => ({
+        id: shift.id,
+        date: shift.date || getDateKey(eventData.start),
+        start: shift.start,
+        end: shift.end,
+        slots: Math.max(Number(shift.slots) || 0, 0)
+    }))
+}));
+
+export const findShift = (roles, roleId, shiftId) => {
+    const role = roles.find(item => item.id === roleId);
+    const shift = role && role.shifts.find(item => item.id === shiftId);
+    
+    return shift ? { role, shift } : null;
+};
+
+// Shift times are "HH:MM", so they compare as strings
+export const shiftsOverlap = (a, b) => a.date === b.date && a.start < b.end && b.start < a.end;
+
+// Roles with the places taken on each shift and across the role
+export const getVolunteerSummary = (roles, signups) => roles.map(role => {
+    const shifts = role.shifts.map(shift => {
+        const filled = signups.filter(signup => signup.roleId === role.id && signup.shiftId === shift.id).length;
+        return { ...shift, filled, remaining: Math.max(shift.slots - filled, 0) };
+    });
+    const slots = shifts.reduce((total, shift) => total + shift.slots, 0);
+    const filled = shifts.reduce((total, shift) => total + Math.min(shift.filled, shift.slots), 0);
+    
+    return { ...role, shifts, slots, filled, fillRate: slots > 0 ? filled / slots : 0 };
+});
+
+// e.g. "March 15, 2024 · 7:30 AM - 12:00 PM"
+export const formatShift = (shift) => {
+    const time = formatTimeRange(`${shift.date}T${shift.start}`, `${shift.date}T${shift.end}`);
+    return [formatDateRange(shift.date), time].filter(Boolean).join(' · ');
+};
+
+// Pick the known fields from submitted data, trimmed
+export const normalizeVolunteer = (data) => {
+    return VOLUNTEER_FIELDS.reduce((values, field) => {
+        values[field.name] = String((data || {})[field.name] ?? '').trim();
+        return values;
+    }, {});
+};
+
+// Validate submitted sign-up details, returning { fieldName: message } for each invalid field
+export const validateVolunteer = (data) => {
+    const values = normalizeVolunteer(data);
+    
+    return VOLUNTEER_FIELDS.reduce((errors, field) => {
+        const error = validateRegistrationField(field, values[field.name]);
+        if (error) {
+            errors[field.name] = error;
+        }
+        return errors;
+    }, {});
+};
+
+export default {
+    VOLUNTEER_FIELDS,
+    VOLUNTEER_ROSTER_COLUMNS,
+    getVolunteerRoles,
+    findShift,
+    shiftsOverlap,
+    getVolunteerSummary,
+    formatShift,
+    normalizeVolunteer,
+    validateVolunteer
+};
@@ -0,0 +1,604 @@
+// ===== VENUE MAP =====
+// Map of Foya District with the FODASU office, event venues and member schools, drawn as
+// SVG from files on this site (data/foya-district.geojson and data/places.json), so it
+// works without a tile server or a connection. The static list the page ships with stays
+// in place if the map can't load.
+import { $, $$, escapeHTML, fetchJson, getEventPath } from './utils/helpers.js';
+import { DATA_SOURCES, EVENT_STATUS, MAP_CONFIG } from './utils/constants.js';
+import { compareByStart, formatDateRange, getEventStatus } from './utils/event-dates.js';
+import { expandEvents } from './utils/recurrence.js';
+import { createProjection, geometryToPath, getBounds, getGeometryPositions, getScaleBarKm } from './utils/map.js';
+
+const PLACE_TYPES = {
+    OFFICE: 'office',
+    VENUE: 'venue',
+    SCHOOL: 'school'
+};
+
+const PLACE_LABELS = {
+    [PLACE_TYPES.OFFICE]: 'FODASU office',
+    [PLACE_TYPES.VENUE]: 'Event venue',
+    [PLACE_TYPES.SCHOOL]: 'Member school'
+};
+
+const GROUP_TITLES = {
+    [PLACE_TYPES.OFFICE]: 'Office',
+    [PLACE_TYPES.VENUE]: 'Event venues',
+    [PLACE_TYPES.SCHOOL]: 'Member schools'
+};
+
+const OFFICE_ADDRESS = 'Foya City, Foya Statutory District, Lofa County, Liberia';
+
+const MAP_WIDTH = 800;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 12;
+const ZOOM_STEP = 1.5;
+const PAN_STEP = 60;
+const SCALE_BAR_WIDTH = 120;
+const RECENT_EVENTS = 3;
+
+const getPlaceKey = (name) => String(name).trim().toLowerCase();
+
+const slugify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+class VenueMap {
+    constructor(container) {
+        this.container = container;
+        this.places = [];
+        this.features = [];
+        this.projection = null;
+        this.view = { scale: 1, x: 0, y: 0 };
+        this.pointers = new Map();
+        this.dragDistance = 0;
+        this.activePlace = null;
+        
+        if (this.container) {
+            this.init();
+        }
+    }
+    
+    async init() {
+        try {
+            const [eventData, placeData, basemap] = await Promise.all([
+                this.loadJson(DATA_SOURCES.EVENTS),
+                this.loadJson(DATA_SOURCES.PLACES, { places: [] }),
+                this.loadJson(DATA_SOURCES.BASEMAP, { features: [] })
+            ]);
+            
+            this.places = this.buildPlaces(expandEvents(eventData.events || []), placeData.places || []);
+            this.features = basemap.features || [];
+            
+            // Until the base map or some place besides the office has a position there is nothing
+            // to show but a dot, so the venue list already on the page stays
+            if (!this.hasMapData()) return;
+            
+            this.projection = this.createProjection();
+            
+            this.render();
+            this.bindEvents();
+            this.updateView();
+        } catch (error) {
+            // The venue list already on the page is left as it is
+            console.error('Failed to load venue map:', error);
+        }
+    }
+    
+    hasMapData() {
+        return this.features.length > 0
+            || this.places.some(place => place.type !== PLACE_TYPES.OFFICE && place.coordinates);
+    }
+    
+    // Places and the base map are optional; without a fallback a failed request is an error
+    async loadJson(source, fallback) {
+        try {
+            return await fetchJson(source);
+        } catch (error) {
+            if (fallback === undefined) throw error;
+            return fallback;
+        }
+    }
+    
+    // The office, every venue and school named in the events, and anything in data/places.json,
+    // matched by name. Places without coordinates are listed but not drawn.
+    buildPlaces(events, placeData) {
+        const places = new Map();
+        
+        const addPlace = (name, type, details = {}) => {
+            const key = getPlaceKey(name);
+            if (!places.has(key)) {
+                places.set(key, { id: slugify(name), name, type, address: '', description: '', coordinates: null, events: [] });
+            }
+            
+            const place = places.get(key);
+            Object.entries(details).forEach(([field, value]) => {
+                if (value !== undefined && value !== null && value !== '') place[field] = value;
+            });
+            return place;
+        };
+        
+        addPlace(MAP_CONFIG.MARKER_TITLE, PLACE_TYPES.OFFICE, {
+            address: OFFICE_ADDRESS,
+            coordinates: [MAP_CONFIG.CENTER.lng, MAP_CONFIG.CENTER.lat]
+        });
+        
+        events.forEach(eventData => {
+            if (eventData.venue) {
+                addPlace(eventData.venue, PLACE_TYPES.VENUE).events.push(eventData);
+            }
+            (eventData.schools || []).forEach(school => {
+                addPlace(school, PLACE_TYPES.SCHOOL).events.push(eventData);
+            });
+        });
+        
+        placeData.forEach(item => {
+            if (!item.name) return;
+            
+            const hasCoordinates = Number.isFinite(item.lat) && Number.isFinite(item.lng);
+            const type = Object.values(PLACE_TYPES).includes(item.type) ? item.type : undefined;
+            addPlace(item.name, type || PLACE_TYPES.VENUE, {
+                id: item.id,
+                type,
+                address: item.address,
+                description: item.description,
+                coordinates: hasCoordinates ? [item.lng, item.lat] : null
+            });
+        });
+        
+        return Array.from(places.values());
+    }
+    
+    // Upcoming events at a place (one per recurring series) and the most recent past ones
+    getPlaceEvents(place) {
+        const seen = new Set();
+        const sorted = [...place.events].sort(compareByStart);
+        const firstOfSeries = (eventData) => {
+            const id = eventData.seriesId || eventData.id;
+            if (seen.has(id)) return false;
+            seen.add(id);
+            return true;
+        };
+        
+        const upcoming = sorted
+            .filter(eventData => getEventStatus(eventData) !== EVENT_STATUS.PAST)
+            .filter(firstOfSeries);
+        const recent = sorted
+            .filter(eventData => getEventStatus(eventData) === EVENT_STATUS.PAST)
+            .reverse()
+            .filter(firstOfSeries)
+            .slice(0, RECENT_EVENTS);
+        
+        return { upcoming, recent };
+    }
+    
+    createProjection() {
+        const positions = [
+            ...this.features.flatMap(feature => getGeometryPositions(feature.geometry)),
+            ...this.places.filter(place => place.coordinates).map(place => place.coordinates)
+        ];
+        
+        return createProjection(getBounds(positions, { center: MAP_CONFIG.CENTER }), MAP_WIDTH);
+    }
+    
+    getMappedPlaces() {
+        return this.places.filter(place => place.coordinates);
+    }
+    
+    // ===== Rendering =====
+    
+    render() {
+        const { width, height } = this.projection;
+        
+        this.container.innerHTML = `
+            <div class="venue-map__viewport">
+                <svg class="venue-map__svg" viewBox="0 0 ${width} ${height.toFixed(1)}" tabindex="0"
+                    role="application" aria-roledescription="map"
+                    aria-label="Map of Foya District. Use the arrow keys to move, plus and minus to zoom, and Tab to reach the places.">
+                    <rect class="venue-map__background" width="${width}" height="${height.toFixed(1)}"></rect>
+                    <g class="venue-map__base">${this.renderFeatures()}</g>
+                    <g class="venue-map__labels">${this.renderLabels()}</g>
+                    <g class="venue-map__markers">${this.getMappedPlaces().map(place => this.renderMarker(place)).join('')}</g>
+                    <g class="venue-map__scale" aria-hidden="true">
+                        <line class="venue-map__scale-bar"></line>
+                        <text class="venue-map__scale-label"></text>
+                    </g>
+                </svg>
+                <div class="venue-map__controls">
+                    <button type="button" class="venue-map__control" data-map-action="zoom-in" aria-label="Zoom in"><i class="fas fa-plus"></i></button>
+                    <button type="button" class="venue-map__control" data-map-action="zoom-out" aria-label="Zoom out"><i class="fas fa-minus"></i></button>
+                    <button type="button" class="venue-map__control" data-map-action="reset" aria-label="Show the whole district"><i class="fas fa-expand"></i></button>
+                </div>
+                <div class="venue-map__popup" role="dialog" aria-labelledby="venue-map-popup-title" hidden></div>
+                <ul class="venue-map__legend" aria-label="Map key">
+                    ${Object.values(PLACE_TYPES).map(type => `
+                        <li><span class="venue-map__key venue-map__key--${type}" aria-hidden="true"></span>${PLACE_LABELS[type]}</li>
+                    `).join('')}
+                </ul>
+            </div>
+            <div class="venue-map__list">
+                ${Object.values(PLACE_TYPES).map(type => this.renderGroup(type)).join('')}
+            </div>
+        `;
+        
+        this.svg = $('.venue-map__svg', this.container);
+        this.popup = $('.venue-map__popup', this.container);
+    }
+    
+    // Roads, rivers, boundaries and other areas; each feature's `kind` property picks its style
+    renderFeatures() {
+        const { project } = this.projection;
+        
+        return this.features
+            .map(feature => {
+                const path = geometryToPath(feature.geometry, project);
+                const kind = slugify((feature.properties || {}).kind || 'area');
+                return path ? `<path class="venue-map__feature venue-map__feature--${kind}" d="${path}"></path>` : '';
+            })
+            .join('');
+    }
+    
+    // Names of towns and other point features, kept the same size at every zoom level
+    renderLabels() {
+        return this.features
+            .filter(feature => feature.geometry && feature.geometry.type === 'Point' && feature.properties && feature.properties.name)
+            .map(feature => `
+                <g class="venue-map__label" data-position="${feature.geometry.coordinates.join(',')}">
+                    <circle r="2.5"></circle>
+                    <text x="5" y="4">${escapeHTML(feature.properties.name)}</text>
+                </g>`)
+            .join('');
+    }
+    
+    renderMarker(place) {
+        const shape = place.type === PLACE_TYPES.OFFICE
+            ? '<rect x="-8" y="-8" width="16" height="16" rx="3"></rect>'
+            : `<circle r="${place.type === PLACE_TYPES.SCHOOL ? 6 : 8}"></circle>`;
+        
+        return `
+            <g class="venue-map__marker venue-map__marker--${place.type}" data-place="${escapeHTML(place.id)}"
+                tabindex="0" role="button" aria-label="${escapeHTML(`${place.name}, ${PLACE_LABELS[place.type].toLowerCase()}`)}">
+                ${shape}
+            </g>`;
+    }
+    
+    renderGroup(type) {
+        const places = this.places
+            .filter(place => place.type === type)
+            .sort((a, b) => a.name.localeCompare(b.name));
+        if (places.length === 0) return '';
+        
+        return `
+            <section class="venue-map__group">
+                <h3>${GROUP_TITLES[type]}</h3>
+                <ul>
+                    ${places.map(place => this.renderListItem(place)).join('')}
+                </ul>
+            </section>`;
+    }
+    
+    renderListItem(place) {
+        const { upcoming } = this.getPlaceEvents(place);
+        
+        return `
+            <li class="venue-map__item">
+                <div class="venue-map__item-header">
+                    <strong>${escapeHTML(place.name)}</strong>
+                    ${place.coordinates
+                        ? `<button type="button" class="venue-map__locate" data-place="${escapeHTML(place.id)}">
+                                <i class="fas fa-map-marker-alt"></i> Show on map
+                            </button>`
+                        : '<span class="venue-map__unmapped">Not on the map yet</span>'}
+                </div>
+                ${place.address ? `<p class="venue-map__address">${escapeHTML(place.address)}</p>` : ''}
+                ${upcoming.length > 0 ? this.renderEventLinks(upcoming) : ''}
+            </li>`;
+    }
+    
+    renderEventLinks(events, { showDates = true } = {}) {
+        return `
+            <ul class="venue-map__events">
+                ${events.map(eventData => `
+                    <li>
+                        <a href="${getEventPath(eventData.seriesId || eventData.id)}">${escapeHTML(eventData.title)}</a>
+                        ${showDates ? `<span>${formatDateRange(eventData.start, eventData.end || eventData.start)}</span>` : ''}
+                    </li>
+                `).join('')}
+            </ul>`;
+    }
+    
+    renderPopup(place) {
+        const { upcoming, recent } = this.getPlaceEvents(place);
+        
+        return `
+            <button type="button" class="venue-map__popup-close" aria-label="Close"><i class="fas fa-times"></i></button>
+            <h3 id="venue-map-popup-title" tabindex="-1">${escapeHTML(place.name)}</h3>
+            <p class="venue-map__popup-type">${PLACE_LABELS[place.type]}</p>
+            ${place.address ? `<p class="venue-map__address">${escapeHTML(place.address)}</p>` : ''}
+            ${place.description ? `<p>${escapeHTML(place.description)}</p>` : ''}
+            ${upcoming.length > 0 ? `<h4>Upcoming events</h4>${this.renderEventLinks(upcoming)}` : ''}
+            ${recent.length > 0 ? `<h4>Recent events</h4>${this.renderEventLinks(recent)}` : ''}
+            ${upcoming.length === 0 && recent.length === 0 && place.type !== PLACE_TYPES.OFFICE
+                ? '<p class="venue-map__popup-empty">No events listed here yet.</p>'
+                : ''}
+        `;
+    }
+    
+    // ===== Interaction =====
+    
+    bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-map-action]');
+            const marker = e.target.closest('.venue-map__marker');
+            const locate = e.target.closest('.venue-map__locate');
+            
+            if (control) {
+                this.handleControl(control.getAttribute('data-map-action'));
+            } else if (marker && this.dragDistance < 4) {
+                this.openPopup(marker.getAttribute('data-place'));
+            } else if (locate) {
+                this.openPopup(locate.getAttribute('data-place'), { center: true });
+            } else if (e.target.closest('.venue-map__popup-close')) {
+                this.closePopup();
+            }
+        });
+        
+        this.container.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Not passive, so scrolling over the map zooms it instead of the page
+        this.svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const [x, y] = this.toMapPoint(e.clientX, e.clientY);
+            this.zoomAt(Math.exp(-e.deltaY * 0.002), x, y);
+        }, { passive: false });
+        
+        this.svg.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.svg.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        ['pointerup', 'pointercancel'].forEach(type => {
+            this.svg.addEventListener(type, (e) => this.pointers.delete(e.pointerId));
+        });
+    }
+    
+    handleControl(action) {
+        const { width, height } = this.projection;
+        
+        switch (action) {
+            case 'zoom-in':
+                this.zoomAt(ZOOM_STEP, width / 2, height / 2);
+                break;
+            case 'zoom-out':
+                this.zoomAt(1 / ZOOM_STEP, width / 2, height / 2);
+                break;
+            case 'reset':
+                this.view = { scale: 1, x: 0, y: 0 };
+                this.updateView();
+                break;
+        }
+    }
+    
+    handleKeydown(e) {
+        if (e.key === 'Escape' && !this.popup.hidden) {
+            this.closePopup();
+            return;
+        }
+        
+        const marker = e.target.closest('.venue-map__marker');
+        if (marker && (e.key === 'Enter' || e.key === ' ')) {
+            e.preventDefault();
+            this.openPopup(marker.getAttribute('data-place'));
+            return;
+        }
+        
+        if (!e.target.closest('.venue-map__svg')) return;
+        
+        const { width, height } = this.projection;
+        const moves = {
+            ArrowUp: [0, PAN_STEP],
+            ArrowDown: [0, -PAN_STEP],
+            ArrowLeft: [PAN_STEP, 0],
+            ArrowRight: [-PAN_STEP, 0]
+        };
+        
+        if (moves[e.key]) {
+            this.panBy(...moves[e.key]);
+        } else if (e.key === '+' || e.key === '=') {
+            this.zoomAt(ZOOM_STEP, width / 2, height / 2);
+        } else if (e.key === '-') {
+            this.zoomAt(1 / ZOOM_STEP, width / 2, height / 2);
+        } else if (e.key === '0') {
+            this.handleControl('reset');
+        } else {
+            return;
+        }
+        
+        e.preventDefault();
+    }
+    
+    // Drag with one pointer to pan, pinch with two to zoom
+    handlePointerDown(e) {
+        if (this.pointers.size === 0) {
+            this.dragDistance = 0;
+        }
+        
+        this.pointers.set(e.pointerId, this.toMapPoint(e.clientX, e.clientY));
+    }
+    
+    handlePointerMove(e) {
+        const previous = this.pointers.get(e.pointerId);
+        if (!previous) return;
+        
+        // Capture only once the pointer moves, so a plain tap still clicks the marker under it
+        if (this.svg.setPointerCapture && !this.svg.hasPointerCapture(e.pointerId)) {
+            this.svg.setPointerCapture(e.pointerId);
+        }
+        
+        const point = this.toMapPoint(e.clientX, e.clientY);
+        const others = Array.from(this.pointers.entries()).filter(([id]) => id !== e.pointerId);
+        this.pointers.set(e.pointerId, point);
+        
+        if (others.length === 0) {
+            this.dragDistance += Math.hypot(point[0] - previous[0], point[1] - previous[1]);
+            this.panBy(point[0] - previous[0], point[1] - previous[1]);
+            return;
+        }
+        
+        // Zoom about the midpoint of the two fingers by how much further apart they've moved
+        const other = others[0][1];
+        const before = Math.hypot(previous[0] - other[0], previous[1] - other[1]);
+        const after = Math.hypot(point[0] - other[0], point[1] - other[1]);
+        this.dragDistance += Math.abs(after - before);
+        
+        if (before > 0) {
+            this.zoomAt(after / before, (point[0] + other[0]) / 2, (point[1] + other[1]) / 2);
+        }
+    }
+    
+    // Convert a position on screen to map drawing units
+    toMapPoint(clientX, clientY) {
+        const rect = this.svg.getBoundingClientRect();
+        const { width, height } = this.projection;
+        
+        return [
+            rect.width ? (clientX - rect.left) * width / rect.width : 0,
+            rect.height ? (clientY - rect.top) * height / rect.height : 0
+        ];
+    }
+    
+    zoomAt(factor, x, y) {
+        const scale = Math.min(Math.max(this.view.scale * factor, MIN_ZOOM), MAX_ZOOM);
+        const ratio = scale / this.view.scale;
+        
+        this.view = {
+            scale,
+            x: x - (x - this.view.x) * ratio,
+            y: y - (y - this.view.y) * ratio
+        };
+        this.updateView();
+    }
+    
+    panBy(dx, dy) {
+        this.view = { ...this.view, x: this.view.x + dx, y: this.view.y + dy };
+        this.updateView();
+    }
+    
+    // Keep the map covering the whole view
+    clampView() {
+        const { width, height } = this.projection;
+        const { scale } = this.view;
+        
+        this.view.x = Math.min(Math.max(this.view.x, width - width * scale), 0);
+        this.view.y = Math.min(Math.max(this.view.y, height - height * scale), 0);
+    }
+    
+    // Map drawing units to the current view
+    toViewPoint(coordinates) {
+        const [x, y] = this.projection.project(coordinates);
+        return [x * this.view.scale + this.view.x, y * this.view.scale + this.view.y];
+    }
+    
+    updateView() {
+        this.clampView();
+        const { scale, x, y } = this.view;
+        
+        $('.venue-map__base', this.svg).setAttribute('transform', `translate(${x.toFixed(1)} ${y.toFixed(1)}) scale(${scale.toFixed(3)})`);
+        
+        // Markers and labels move with the map but stay the same size
+        $$('.venue-map__marker', this.svg).forEach(marker => {
+            const place = this.findPlace(marker.getAttribute('data-place'));
+            const [px, py] = this.toViewPoint(place.coordinates);
+            marker.setAttribute('transform', `translate(${px.toFixed(1)} ${py.toFixed(1)})`);
+        });
+        $$('.venue-map__label', this.svg).forEach(label => {
+            const [px, py] = this.toViewPoint(label.getAttribute('data-position').split(',').map(Number));
+            label.setAttribute('transform', `translate(${px.toFixed(1)} ${py.toFixed(1)})`);
+        });
+        
+        this.updateScaleBar();
+        this.positionPopup();
+        
+        $('[data-map-action="zoom-in"]', this.container).disabled = scale >= MAX_ZOOM;
+        $('[data-map-action="zoom-out"]', this.container).disabled = scale <= MIN_ZOOM;
+    }
+    
+    updateScaleBar() {
+        const kmPerUnit = this.projection.kmPerUnit / this.view.scale;
+        const km = getScaleBarKm(kmPerUnit * SCALE_BAR_WIDTH);
+        const length = km / kmPerUnit;
+        const y = this.projection.height - 16;
+        
+        const bar = $('.venue-map__scale-bar', this.svg);
+        bar.setAttribute('x1', 16);
+        bar.setAttribute('x2', (16 + length).toFixed(1));
+        bar.setAttribute('y1', y);
+        bar.setAttribute('y2', y);
+        
+        const label = $('.venue-map__scale-label', this.svg);
+        label.setAttribute('x', 16);
+        label.setAttribute('y', y - 6);
+        label.textContent = km < 1 ? `${Math.round(km * 1000)} m` : `${km} km`;
+    }
+    
+    // ===== Popups =====
+    
+    findPlace(id) {
+        return this.places.find(place => place.id === id) || null;
+    }
+    
+    openPopup(id, { center = false } = {}) {
+        const place = this.findPlace(id);
+        if (!place || !place.coordinates) return;
+        
+        if (center) {
+            this.centerOn(place);
+            $('.venue-map__viewport', this.container).scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }
+        
+        this.activePlace = place;
+        this.popup.innerHTML = this.renderPopup(place);
+        this.popup.hidden = false;
+        this.positionPopup();
+        
+        $$('.venue-map__marker', this.svg).forEach(marker => {
+            marker.classList.toggle('venue-map__marker--active', marker.getAttribute('data-place') === place.id);
+        });
+        $('#venue-map-popup-title', this.popup).focus({ preventScroll: true });
+    }
+    
+    closePopup() {
+        const place = this.activePlace;
+        
+        this.popup.hidden = true;
+        this.activePlace = null;
+        $$('.venue-map__marker--active', this.svg).forEach(marker => marker.classList.remove('venue-map__marker--active'));
+        
+        // Return focus to the place the popup belonged to
+        const marker = place && Array.from($$('.venue-map__marker', this.svg))
+            .find(item => item.getAttribute('data-place') === place.id);
+        if (marker) {
+            marker.focus();
+        }
+    }
+    
+    centerOn(place) {
+        const { width, height } = this.projection;
+        const [x, y] = this.projection.project(place.coordinates);
+        const scale = Math.max(this.view.scale, 3);
+        
+        this.view = { scale, x: width / 2 - x * scale, y: height / 2 - y * scale };
+        this.updateView();
+    }
+    
+    // Pin the popup above its marker, or below it near the top edge of the map
+    positionPopup() {
+        if (!this.popup || this.popup.hidden || !this.activePlace) return;
+        
+        const { width, height } = this.projection;
+        const [x, y] = this.toViewPoint(this.activePlace.coordinates);
+        const isVisible = x >= 0 && x <= width && y >= 0 && y <= height;
+        
+        this.popup.style.left = `${(x / width) * 100}%`;
+        this.popup.style.top = `${(y / height) * 100}%`;
+        this.popup.classList.toggle('venue-map__popup--below', y < height * 0.4);
+        this.popup.classList.toggle('venue-map__popup--offscreen', !isVisible);
+    }
+}
+
+export default VenueMap;
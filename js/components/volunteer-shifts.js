@@ -0,0 +1,400 @@
+// ===== VOLUNTEER SHIFTS =====
+// Volunteer roles and shift sign-up for events that list `volunteers` in data/events.json.
+// Rendered inside the event detail view on events.html; sign-ups go to the volunteers API.
+import { $, $$, RequestError, debounce, escapeHTML, fetchJson, setLoadingState, showNotification, smoothScrollTo, storage } from './utils/helpers.js';
+import { API_ENDPOINTS, ERROR_MESSAGES, STORAGE_KEYS, SUCCESS_MESSAGES } from './utils/constants.js';
+import { validateRegistrationField } from './utils/registrations.js';
+import { VOLUNTEER_FIELDS, findShift, formatShift, getVolunteerRoles, validateVolunteer } from './utils/volunteers.js';
+
+const INPUT_TYPES = {
+    phone: 'tel',
+    email: 'email'
+};
+
+const AUTOCOMPLETE = {
+    name: 'name',
+    phone: 'tel',
+    email: 'email'
+};
+
+class VolunteerShifts {
+    constructor() {
+        this.container = null;
+        this.eventData = null;
+        this.roles = [];
+        this.canSignUp = false;
+        this.selected = null;
+        this.boundContainer = null;
+    }
+    
+    // Show the roles for an event in the given section, which stays hidden if the event needs no volunteers
+    async mount(container, eventData) {
+        this.container = container;
+        this.eventData = eventData;
+        this.selected = null;
+        if (!container) return;
+        
+        container.hidden = true;
+        if (getVolunteerRoles(eventData).length === 0) return;
+        
+        if (await this.refresh()) {
+            container.hidden = false;
+        }
+    }
+    
+    // Load the latest places left and re-render, returning false if the view has moved on
+    async refresh() {
+        const { container, eventData } = this;
+        const { roles, canSignUp } = await this.loadRoles(eventData);
+        
+        // The detail view may have moved on to another event while this was loading
+        if (this.container !== container || this.eventData !== eventData || !container.isConnected) return false;
+        
+        this.roles = roles;
+        this.canSignUp = canSignUp;
+        this.selected = null;
+        this.render();
+        this.bindEvents();
+        this.bindFormEvents();
+        return true;
+    }
+    
+    // Places left come from the volunteers API. On static hosting the roles are still
+    // shown from the event data, with a pointer to the contact form instead of sign-up.
+    async loadRoles(eventData) {
+        try {
+            const summary = await fetchJson(`${API_ENDPOINTS.VOLUNTEERS}?event=${encodeURIComponent(eventData.id)}`);
+            return { roles: summary.roles, canSignUp: true };
+        } catch (error) {
+            console.error('Failed to load volunteer shifts:', error);
+            return { roles: getVolunteerRoles(eventData), canSignUp: false };
+        }
+    }
+    
+    bindEvents() {
+        // Delegated so the handlers survive re-rendering, and only bound once per section
+        if (this.boundContainer === this.container) return;
+        this.boundContainer = this.container;
+        
+        this.container.addEventListener('click', (e) => {
+            const claimButton = e.target.closest('.volunteers__claim');
+            
+            if (claimButton) {
+                this.openForm(claimButton.getAttribute('data-role'), claimButton.getAttribute('data-shift'));
+            } else if (e.target.closest('.volunteers__cancel')) {
+                this.closeForm();
+            }
+        });
+    }
+    
+    bindFormEvents() {
+        const form = $('.volunteers__form', this.container);
+        if (!form) return;
+        
+        form.addEventListener('submit', (e) => this.handleSubmit(e));
+        this.getInputs(form).forEach(input => {
+            input.addEventListener('blur', () => this.validateInput(input));
+            input.addEventListener('input', debounce(() => {
+                if (input.classList.contains('form-control--error')) {
+                    this.validateInput(input);
+                }
+            }, 300));
+        });
+    }
+    
+    // ===== Rendering =====
+    
+    render() {
+        this.container.innerHTML = `
+            <h3 id="volunteers-title" tabindex="-1">Volunteer</h3>
+            <p class="volunteers__intro">Help run ${escapeHTML(this.eventData.title)}. Choose a role and a shift that suits you.</p>
+            ${this.renderAssignments()}
+            <div class="volunteers__roles">
+                ${this.roles.map(role => this.renderRole(role)).join('')}
+            </div>
+            ${this.canSignUp ? this.renderForm() : `
+                <p class="volunteers__unavailable">
+                    Online sign-up isn't available right now. <a href="contact.html">Contact us</a> with the subject "Volunteer Inquiry" to offer your help.
+                </p>`}
+        `;
+    }
+    
+    renderRole(role) {
+        return `
+            <article class="volunteers__role">
+                <div class="volunteers__role-header">
+                    <h4>${escapeHTML(role.name)}</h4>
+                    ${this.canSignUp ? `<span class="volunteers__fill">${role.filled} of ${role.slots} places filled</span>` : ''}
+                </div>
+                ${this.canSignUp ? `
+                    <progress class="volunteers__meter" max="${role.slots}" value="${role.filled}"
+                        aria-label="${escapeHTML(role.name)}: ${Math.round(role.fillRate * 100)}% filled"></progress>` : ''}
+                ${role.description ? `<p class="volunteers__description">${escapeHTML(role.description)}</p>` : ''}
+                ${this.renderDuties(role.duties)}
+                <ul class="volunteers__shifts">
+                    ${role.shifts.map(shift => this.renderShift(role, shift)).join('')}
+                </ul>
+            </article>`;
+    }
+    
+    renderDuties(duties = []) {
+        if (duties.length === 0) return '';
+        
+        return `
+            <ul class="volunteers__duties">
+                ${duties.map(duty => `<li>${escapeHTML(duty)}</li>`).join('')}
+            </ul>`;
+    }
+    
+    renderShift(role, shift) {
+        const isFull = this.canSignUp && shift.remaining === 0;
+        const isMine = this.getAssignments().some(item => item.role.id === role.id && item.shift.id === shift.id);
+        
+        let action = '';
+        if (isMine) {
+            action = '<span class="volunteers__mine"><i class="fas fa-check"></i> You\'re on this shift</span>';
+        } else if (this.canSignUp) {
+            action = `
+                <button type="button" class="btn btn--outline btn--small volunteers__claim"
+                    data-role="${escapeHTML(role.id)}" data-shift="${escapeHTML(shift.id)}"
+                    aria-label="Sign up as ${escapeHTML(role.name)}, ${escapeHTML(formatShift(shift))}"
+                    ${isFull ? 'disabled' : ''}>${isFull ? 'Full' : 'Sign Up'}</button>`;
+        }
+        
+        return `
+            <li class="volunteers__shift${isFull ? ' volunteers__shift--full' : ''}">
+                <span class="volunteers__shift-time">${escapeHTML(formatShift(shift))}</span>
+                ${this.canSignUp ? `<span class="volunteers__shift-places">${shift.remaining} of ${shift.slots} places left</span>` : ''}
+                ${action}
+            </li>`;
+    }
+    
+    // Shifts claimed on this device, with the duties to read up on before the day
+    renderAssignments() {
+        const assignments = this.getAssignments();
+        if (assignments.length === 0) return '';
+        
+        return `
+            <div class="volunteers__assignments" tabindex="-1">
+                <h4>Your shifts</h4>
+                <ul>
+                    ${assignments.map(({ reference, role, shift }) => `
+                        <li class="volunteers__assignment">
+                            <strong>${escapeHTML(role.name)}</strong>
+                            <span>${escapeHTML(formatShift(shift))}</span>
+                            <span>Reference <strong class="volunteers__reference">${escapeHTML(reference)}</strong></span>
+                            ${this.renderDuties(role.duties)}
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>`;
+    }
+    
+    renderForm() {
+        return `
+            <form class="volunteers__form" novalidate hidden>
+                <h4 class="volunteers__form-title" tabindex="-1"></h4>
+                ${VOLUNTEER_FIELDS.map(field => this.renderField(field)).join('')}
+                <div class="volunteers__form-actions">
+                    <button type="submit" class="btn btn--primary volunteers__submit">Confirm Shift</button>
+                    <button type="button" class="btn btn--ghost volunteers__cancel">Cancel</button>
+                </div>
+            </form>`;
+    }
+    
+    renderField(field) {
+        const id = `volunteer-${field.name}`;
+        const attributes = `class="form-control" id="${id}" name="${field.name}"${field.maxLength ? ` maxlength="${field.maxLength}"` : ''}${field.required ? ' required' : ''}`;
+        
+        return `
+            <div class="form-group">
+                <label class="form-label${field.required ? ' required' : ''}" for="${id}">${escapeHTML(field.label)}</label>
+                ${field.name === 'notes'
+                    ? `<textarea ${attributes} rows="3"></textarea>`
+                    : `<input ${attributes} type="${INPUT_TYPES[field.type] || 'text'}" autocomplete="${AUTOCOMPLETE[field.name] || 'off'}">`}
+            </div>`;
+    }
+    
+    // ===== Sign-up =====
+    
+    getAssignments() {
+        const assignments = storage.get(STORAGE_KEYS.VOLUNTEER_SHIFTS);
+        if (!Array.isArray(assignments) || !this.eventData) return [];
+        
+        return assignments.filter(item => item.eventId === this.eventData.id);
+    }
+    
+    saveAssignment(result) {
+        const assignments = storage.get(STORAGE_KEYS.VOLUNTEER_SHIFTS);
+        storage.set(STORAGE_KEYS.VOLUNTEER_SHIFTS, [...(Array.isArray(assignments) ? assignments : []), result]);
+    }
+    
+    openForm(roleId, shiftId) {
+        const match = findShift(this.roles, roleId, shiftId);
+        const form = $('.volunteers__form', this.container);
+        if (!match || !form) return;
+        
+        this.selected = match;
+        $('.volunteers__form-title', form).textContent = `${match.role.name} · ${formatShift(match.shift)}`;
+        form.hidden = false;
+        
+        smoothScrollTo(form);
+        this.getInputs(form)[0].focus();
+    }
+    
+    closeForm() {
+        const form = $('.volunteers__form', this.container);
+        const claimButton = this.selected && Array.from($$('.volunteers__claim', this.container)).find(button =>
+            button.getAttribute('data-role') === this.selected.role.id && button.getAttribute('data-shift') === this.selected.shift.id
+        );
+        
+        form.hidden = true;
+        this.selected = null;
+        
+        // Return focus to the shift the form was opened from
+        if (claimButton) {
+            claimButton.focus();
+        }
+    }
+    
+    getInputs(form) {
+        return VOLUNTEER_FIELDS
+            .map(field => form.elements[field.name])
+            .filter(Boolean);
+    }
+    
+    getFormData(form) {
+        return VOLUNTEER_FIELDS.reduce((data, field) => {
+            const input = form.elements[field.name];
+            data[field.name] = input ? input.value.trim() : '';
+            return data;
+        }, {});
+    }
+    
+    validateInput(input) {
+        const field = VOLUNTEER_FIELDS.find(item => item.name === input.name);
+        const error = validateRegistrationField(field, input.value.trim());
+        
+        this.clearFieldError(input);
+        
+        if (error) {
+            this.showFieldError(input, error);
+            return false;
+        }
+        
+        return true;
+    }
+    
+    showFieldError(input, message) {
+        this.clearFieldError(input);
+        input.classList.add('form-control--error');
+        input.setAttribute('aria-invalid', 'true');
+        
+        const errorElement = document.createElement('div');
+        errorElement.className = 'form-text form-text--error';
+        errorElement.textContent = message;
+        
+        input.parentNode.appendChild(errorElement);
+    }
+    
+    clearFieldError(input) {
+        input.classList.remove('form-control--error');
+        input.removeAttribute('aria-invalid');
+        
+        const existingError = input.parentNode.querySelector('.form-text--error');
+        if (existingError) {
+            existingError.remove();
+        }
+    }
+    
+    // Marks the invalid fields and focuses the first; returns whether there were any
+    showErrors(form, errors) {
+        this.getInputs(form).forEach(input => {
+            if (errors[input.name]) {
+                this.showFieldError(input, errors[input.name]);
+            } else {
+                this.clearFieldError(input);
+            }
+        });
+        
+        const firstInvalid = this.getInputs(form).find(input => errors[input.name]);
+        if (firstInvalid) {
+            firstInvalid.focus();
+        }
+        return Boolean(firstInvalid);
+    }
+    
+    async handleSubmit(e) {
+        e.preventDefault();
+        if (!this.selected) return;
+        
+        const form = e.currentTarget;
+        const submitButton = $('.volunteers__submit', form);
+        const data = this.getFormData(form);
+        const errors = validateVolunteer(data);
+        
+        if (this.showErrors(form, errors)) {
+            showNotification('Please fix the errors in the form.', 'error');
+            return;
+        }
+        
+        setLoadingState(submitButton, true);
+        
+        try {
+            const assignment = await fetchJson(API_ENDPOINTS.VOLUNTEERS, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    eventId: this.eventData.id,
+                    roleId: this.selected.role.id,
+                    shiftId: this.selected.shift.id,
+                    ...data
+                })
+            });
+            
+            this.saveAssignment(assignment);
+            showNotification(SUCCESS_MESSAGES.VOLUNTEER, 'success');
+            
+            await this.refresh();
+            const assignments = $('.volunteers__assignments', this.container);
+            if (assignments) {
+                assignments.focus();
+            }
+        } catch (error) {
+            console.error('Volunteer sign-up failed:', error);
+            const status = error instanceof RequestError ? error.status : null;
+            
+            // The server names the fields it rejected
+            if (status === 400 && error.body && error.body.errors) {
+                this.showErrors(form, error.body.errors);
+            }
+            showNotification(this.getErrorMessage(error), 'error');
+            setLoadingState(submitButton, false);
+            
+            // Someone else may have taken the last place, or the shift was removed, so show the latest numbers
+            if (status === 404 || status === 409) {
+                await this.refresh();
+            }
+        }
+    }
+    
+    // The server says why it refused: the shift filled up, sign-up closed, or the volunteer
+    // already has a shift at that time
+    getErrorMessage(error) {
+        // Anything other than an error response means the request never reached the server
+        if (!(error instanceof RequestError)) {
+            return ERROR_MESSAGES.NETWORK_ERROR;
+        }
+        
+        const { status, body } = error;
+        if (status === 404) {
+            return 'That shift is no longer available. Please choose another.';
+        }
+        if (status >= 500 || !body || !body.error) {
+            return status >= 500 ? ERROR_MESSAGES.SERVER_ERROR : ERROR_MESSAGES.FORM_SUBMISSION_ERROR;
+        }
+        return status === 400 ? `${body.error}. Please check the form.` : `${body.error}.`;
+    }
+}
+
+export default VolunteerShifts;
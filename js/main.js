@@ -8,6 +8,11 @@ import Gallery from './components/gallery.js';
 import Tabs from './components/tabs.js';
 import ProgramNavigation from './components/program-nav.js';
 import Events from './components/events.js'; // Added Events component import
+import RecordsBoard from './components/records-board.js';
+import EventsPreview from './components/events-preview.js';
+import CheckIn from './components/check-in.js';
+import VenueMap from './components/venue-map.js';
+import SiteStats from './components/site-stats.js';
 
 class FODASUApp {
     constructor() {
@@ -86,6 +91,9 @@ class FODASUApp {
             console.warn('Navigation initialization failed:', error);
         }
         
+        // Statistics counters on any page read their figures from data/stats.json
+        this.components.siteStats = new SiteStats();
+        
         // Initialize page-specific components
         this.initPageSpecificComponents();
         
@@ -107,17 +115,19 @@ class FODASUApp {
                         console.log('Tabs initialized on about page');
                     }
                     break;
-                    
+                
                 case 'contact':
-                    // Contact component doesn't exist - skip
-                    console.log('Contact component not available');
+                    if ($('#venue-map')) {
+                        this.components.venueMap = new VenueMap($('#venue-map'));
+                        console.log('VenueMap initialized on contact page');
+                    }
                     break;
-                    
+                
                 case 'donate':
                     // Donation component doesn't exist - skip  
                     console.log('Donation component not available');
                     break;
-                    
+                
                 case 'gallery':
                     // Only initialize if gallery elements exist
                     if ($('.gallery-grid') || $('.gallery-item')) {
@@ -125,7 +135,7 @@ class FODASUApp {
                         console.log('Gallery initialized');
                     }
                     break;
-                    
+                
                 case 'programs':
                     // Only initialize if program navigation exists
                     if ($('.programs-nav')) {
@@ -138,19 +148,42 @@ class FODASUApp {
                         console.log('Tabs initialized on programs page');
                     }
                     break;
-                    
+                
                 case 'events':
                     // Initialize Events component on events page
                     if ($('.event-card') || $('.events-section') || $('.filter-btn')) {
                         this.components.events = new Events();
                         console.log('Events initialized on events page');
                     }
+                    if ($('#venue-map')) {
+                        this.components.venueMap = new VenueMap($('#venue-map'));
+                        console.log('VenueMap initialized on events page');
+                    }
                     break;
-                    
+                
+                case 'records':
+                    if ($('#records-board')) {
+                        this.components.recordsBoard = new RecordsBoard();
+                        console.log('RecordsBoard initialized on records page');
+                    }
+                    break;
+                
+                case 'checkin':
+                    if ($('#check-in')) {
+                        this.components.checkIn = new CheckIn();
+                        console.log('CheckIn initialized on check-in page');
+                    }
+                    break;
+                
                 case 'index':
                     // Homepage specific components
                     this.initHomepageComponents();
                     
+                    if ($('.events-preview')) {
+                        this.components.eventsPreview = new EventsPreview();
+                        console.log('EventsPreview initialized on homepage');
+                    }
+                    
                     // Also check if events exist on homepage
                     if ($('.event-card') || $('.events-section')) {
                         this.components.events = new Events();
@@ -349,8 +382,9 @@ class FODASUApp {
     }
     
     handleEscapeKey() {
-        // Close any open modals, dropdowns, or lightboxes
-        const openModals = $$('.modal.open, .lightbox.active, .dropdown.open');
+        // Close any open modals or dropdowns. The gallery closes its own lightbox, which also
+        // stops the slideshow and gives back page scrolling and focus.
+        const openModals = $$('.modal.open, .dropdown.open');
         openModals.forEach(modal => {
             modal.classList.remove('open', 'active');
         });
@@ -376,7 +410,10 @@ class FODASUApp {
     }
     
     // Homepage specific methods
-    initStatsAnimation() {
+    async initStatsAnimation() {
+        // Count up to the figures from data/stats.json, not the ones written into the page
+        await this.components.siteStats.ready;
+        
         const stats = $$('.stat__number');
         const observer = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
@@ -612,13 +649,14 @@ class FODASUApp {
     
     // Error handling methods
     initAjaxErrorHandling() {
-        // Override fetch to handle errors globally
+        // Override fetch to log errors globally. Error responses are still returned, so callers
+        // can read the status and the server's error body (see fetchJson() in helpers.js).
         const originalFetch = window.fetch;
         window.fetch = async (...args) => {
             try {
                 const response = await originalFetch(...args);
                 if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
+                    this.handleNetworkError(new Error(`HTTP error! status: ${response.status}`));
                 }
                 return response;
             } catch (error) {
@@ -664,6 +702,8 @@ class FODASUApp {
         if (page === 'gallery.html') return 'gallery';
         if (page === 'programs.html') return 'programs';
         if (page === 'events.html') return 'events'; // Added events page detection
+        if (page === 'records.html') return 'records';
+        if (page === 'checkin.html') return 'checkin';
         
         return 'index';
     }
@@ -0,0 +1,202 @@
+// ===== IMAGE IMPORTER =====
+// Downloads the images that data/events.json and data/gallery.json still load from other sites
+// (event `image`s, gallery photo `src`s and video `poster`s) into images/source/, and points the
+// data at the local copies so `npm run optimize-images` can make their variants. Gallery videos'
+// `sources` and caption `tracks` are saved under videos/ the same way. A file used in several
+// places is downloaded once. Gallery items also get the `width` and `height` of their
+// picture, which the masonry layout needs to place them before they load. Run `npm run import-images`, then `npm run optimize-images`,
+// and commit the originals with the updated data files.
+//
+// Options:
+//   --dry-run   List what would be downloaded without changing anything
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { DATA_SOURCES } from '../js/components/utils/constants.js';
+import { IMAGE_SOURCE_DIR, IMAGE_WIDTHS } from '../js/components/utils/responsive-images.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+const VIDEO_DIR = 'videos';
+
+const EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/avif': 'avif'
+};
+
+const VIDEO_EXTENSIONS = {
+    'video/mp4': 'mp4',
+    'video/webm': 'webm',
+    'text/vtt': 'vtt'
+};
+
+const isRemote = (src) => typeof src === 'string' && /^https?:\/\//i.test(src);
+
+// Unsplash links in the data ask for 600px crops; fetch the photo as a JPEG at the largest variant width instead
+const getDownloadUrl = (src) => {
+    const url = new URL(src);
+    if (url.hostname !== 'images.unsplash.com') return src;
+    
+    ['auto', 'fit', 'crop', 'h', 'w', 'q', 'fm', 'ixlib'].forEach(param => url.searchParams.delete(param));
+    url.searchParams.set('w', IMAGE_WIDTHS[IMAGE_WIDTHS.length - 1]);
+    url.searchParams.set('q', 85);
+    url.searchParams.set('fm', 'jpg');
+    return url.href;
+};
+
+// Remote images in the data, each with the local name (without extension) it will be saved under
+const findRemoteImages = (events, gallery) => {
+    const images = new Map();
+    const add = (src, name) => {
+        if (isRemote(src) && !images.has(src)) images.set(src, name);
+    };
+    
+    (gallery.photos || []).forEach(photo => {
+        add(photo.src, `${IMAGE_SOURCE_DIR}/gallery/${photo.id}`);
+        add(photo.poster, `${IMAGE_SOURCE_DIR}/gallery/${photo.id}-poster`);
+    });
+    (events.events || []).forEach(eventData => {
+        add(eventData.image, `${IMAGE_SOURCE_DIR}/events/${eventData.id}`);
+        (eventData.photos || []).forEach((photo, index) => add(photo.src, `${IMAGE_SOURCE_DIR}/events/${eventData.id}-${index + 1}`));
+    });
+    
+    return images;
+};
+
+// Remote video files and captions, named after the video; captions add their language where given
+const findRemoteVideoFiles = (gallery) => {
+    const files = new Map();
+    const add = (src, name) => {
+        if (isRemote(src) && !files.has(src)) files.set(src, name);
+    };
+    
+    (gallery.photos || []).filter(photo => photo.type === 'video').forEach(video => {
+        (video.sources || []).forEach(source => add(source.src, `${VIDEO_DIR}/${video.id}`));
+        (video.tracks || []).forEach((track, index) => add(track.src, `${VIDEO_DIR}/${video.id}.${track.srclang || `track-${index + 1}`}`));
+    });
+    
+    return files;
+};
+
+// A video's sources share its name and differ by extension; `saved` numbers any that would clash
+const download = async (src, name, extensions = EXTENSIONS, saved = new Set()) => {
+    const response = await fetch(getDownloadUrl(src));
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    
+    const type = (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (!extensions[type]) throw new Error(`unexpected file type (${type || 'no content type'})`);
+    
+    let file = `${name}.${extensions[type]}`;
+    for (let copy = 2; saved.has(file); copy++) file = `${name}-${copy}.${extensions[type]}`;
+    saved.add(file);
+    
+    await fs.mkdir(path.dirname(path.join(ROOT, file)), { recursive: true });
+    await fs.writeFile(path.join(ROOT, file), Buffer.from(await response.arrayBuffer()));
+    return file;
+};
+
+// Pixel size as displayed, so photos with EXIF orientations 5-8 (a quarter turn) swap width and height
+const readSize = async (file) => {
+    const metadata = await sharp(path.join(ROOT, file)).metadata();
+    return metadata.orientation >= 5
+        ? { width: metadata.height, height: metadata.width }
+        : { width: metadata.width, height: metadata.height };
+};
+
+// Photo (or video poster) sizes for the gallery items whose picture was just downloaded,
+// placed after `src` or `poster` to keep each entry readable
+const addGallerySizes = (gallery, sizes) => ({
+    ...gallery,
+    photos: (gallery.photos || []).map(photo => {
+        const field = photo.type === 'video' ? 'poster' : 'src';
+        const size = sizes.get(photo[field]);
+        if (!size) return photo;
+        
+        const { width, height, ...rest } = photo;
+        return Object.fromEntries(Object.entries(rest).flatMap(([key, value]) => (key === field
+            ? [[key, value], ['width', size.width], ['height', size.height]]
+            : [[key, value]])));
+    })
+});
+
+// The data files are edited as text, swapping each URL for its local path, so their layout is kept
+const replaceUrls = async (file, replacements) => {
+    const filePath = path.join(ROOT, file);
+    const original = await fs.readFile(filePath, 'utf8');
+    let text = original;
+    
+    replacements.forEach((local, src) => {
+        text = text.split(JSON.stringify(src)).join(JSON.stringify(local));
+    });
+    
+    if (text !== original) await fs.writeFile(filePath, text);
+};
+
+const main = async () => {
+    const args = new Set(process.argv.slice(2));
+    const readJson = async (file) => JSON.parse(await fs.readFile(path.join(ROOT, file), 'utf8'));
+    const gallerySource = await readJson(DATA_SOURCES.GALLERY);
+    const images = findRemoteImages(await readJson(DATA_SOURCES.EVENTS), gallerySource);
+    const videoFiles = findRemoteVideoFiles(gallerySource);
+    
+    if (images.size === 0 && videoFiles.size === 0) {
+        console.log('Every image and video is already on the site');
+        return;
+    }
+    
+    if (args.has('--dry-run')) {
+        [...images, ...videoFiles].forEach(([src, name]) => console.log(`${src}\n  -> ${name}.*`));
+        return;
+    }
+    
+    const replacements = new Map();
+    const sizes = new Map();
+    let failed = 0;
+    
+    for (const [src, name] of images) {
+        try {
+            const file = await download(src, name);
+            const size = await readSize(file);
+            replacements.set(src, file);
+            sizes.set(file, size);
+            console.log(`${file} <- ${src} (${size.width}x${size.height})`);
+        } catch (error) {
+            failed++;
+            console.error(`${src}: ${error.message}`);
+        }
+    }
+    
+    const savedVideoFiles = new Set();
+    for (const [src, name] of videoFiles) {
+        try {
+            const file = await download(src, name, VIDEO_EXTENSIONS, savedVideoFiles);
+            replacements.set(src, file);
+            console.log(`${file} <- ${src}`);
+        } catch (error) {
+            failed++;
+            console.error(`${src}: ${error.message}`);
+        }
+    }
+    
+    // Only what was downloaded is repointed; anything that failed keeps its URL for the next run
+    await replaceUrls(DATA_SOURCES.EVENTS, replacements);
+    await replaceUrls(DATA_SOURCES.GALLERY, replacements);
+    
+    // gallery.json is laid out exactly as JSON.stringify writes it, so it can be rewritten whole
+    const gallery = addGallerySizes(await readJson(DATA_SOURCES.GALLERY), sizes);
+    await fs.writeFile(path.join(ROOT, DATA_SOURCES.GALLERY), `${JSON.stringify(gallery, null, 4)}\n`);
+    console.log(`${replacements.size} files saved; run npm run optimize-images next`);
+    
+    if (failed > 0) {
+        console.error(`${failed} files could not be downloaded`);
+        process.exitCode = 1;
+    }
+};
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,189 @@
+// ===== IMAGE OPTIMIZER =====
+// Writes resized AVIF, WebP and JPEG copies (PNG instead of JPEG for images with transparency) of
+// every photo under images/source/ to images/optimized/, and lists them with their dimensions in
+// images/optimized/manifest.json for the pages' srcset/sizes, with the date each photo was taken
+// when the camera recorded one. Run `npm run optimize-images` after
+// adding photos; it needs the `sharp` dev dependency (`npm install`). Variants newer than their
+// source are kept as they are. Camera metadata, GPS positions included, is not copied.
+//
+// Options:
+//   --force   Rebuild every variant
+//   --prune   Delete variants whose source image is gone
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import { DATA_SOURCES } from '../js/components/utils/constants.js';
+import {
+    IMAGE_SOURCE_DIR,
+    IMAGE_OUTPUT_DIR,
+    getVariantWidths,
+    getVariantPath
+} from '../js/components/utils/responsive-images.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const SOURCE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp', '.avif', '.tif', '.tiff']);
+const VARIANT_PATTERN = /-\d+\.(avif|webp|jpg|png)$/;
+
+const ENCODER_OPTIONS = {
+    avif: { quality: 50, effort: 4 },
+    webp: { quality: 72 },
+    jpeg: { quality: 78, progressive: true, mozjpeg: true },
+    png: { compressionLevel: 9 }
+};
+
+const toSitePath = (absolutePath) => path.relative(ROOT, absolutePath).split(path.sep).join('/');
+
+// Every file under dir, as site-relative paths
+const listFiles = async (dir) => {
+    let entries;
+    try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+    
+    const files = await Promise.all(entries.map(entry => {
+        const entryPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return listFiles(entryPath);
+        return entry.isFile() ? [toSitePath(entryPath)] : [];
+    }));
+    return files.flat().sort();
+};
+
+const isUpToDate = async (outputPath, sourceTime) => {
+    try {
+        return (await fs.stat(outputPath)).mtimeMs >= sourceTime;
+    } catch {
+        return false;
+    }
+};
+
+const EXIF_TAGS = {
+    EXIF_IFD: 0x8769,
+    DATE_TIME: 0x0132,
+    DATE_TIME_ORIGINAL: 0x9003
+};
+
+// "2023-12-10" from the EXIF block sharp returns: when the photo was taken, or else when the
+// file was last changed. Null when there's no date or the block can't be read.
+const readExifDate = (exif) => {
+    if (!exif) return null;
+    
+    try {
+        const tiff = exif.toString('ascii', 0, 6) === 'Exif\0\0' ? 6 : 0;
+        const littleEndian = exif.toString('ascii', tiff, tiff + 2) === 'II';
+        const readUint16 = (offset) => (littleEndian ? exif.readUInt16LE(offset) : exif.readUInt16BE(offset));
+        const readUint32 = (offset) => (littleEndian ? exif.readUInt32LE(offset) : exif.readUInt32BE(offset));
+        
+        // Tag number -> offset of its 12-byte directory entry
+        const readDirectory = (offset) => {
+            const entries = new Map();
+            const count = readUint16(tiff + offset);
+            for (let i = 0; i < count; i++) {
+                const entry = tiff + offset + 2 + i * 12;
+                entries.set(readUint16(entry), entry);
+            }
+            return entries;
+        };
+        // Date values are 20 characters, so they're stored away from their entry
+        const readText = (entry) => {
+            if (!entry) return '';
+            const start = tiff + readUint32(entry + 8);
+            return exif.toString('ascii', start, start + readUint32(entry + 4) - 1);
+        };
+        
+        const main = readDirectory(readUint32(tiff + 4));
+        const details = main.has(EXIF_TAGS.EXIF_IFD) ? readDirectory(readUint32(main.get(EXIF_TAGS.EXIF_IFD) + 8)) : new Map();
+        const value = readText(details.get(EXIF_TAGS.DATE_TIME_ORIGINAL)) || readText(main.get(EXIF_TAGS.DATE_TIME));
+        const match = /^(\d{4}):(\d{2}):(\d{2})/.exec(value);
+        
+        return match && match[1] !== '0000' ? `${match[1]}-${match[2]}-${match[3]}` : null;
+    } catch {
+        return null;
+    }
+};
+
+// Makes one image's variants and returns its manifest entry
+const optimizeImage = async (source, { force }) => {
+    const sourcePath = path.join(ROOT, source);
+    const sourceTime = (await fs.stat(sourcePath)).mtimeMs;
+    const metadata = await sharp(sourcePath).metadata();
+    // EXIF orientations 5-8 are rotated a quarter turn, so width and height swap once applied
+    const [width, height] = metadata.orientation >= 5
+        ? [metadata.height, metadata.width]
+        : [metadata.width, metadata.height];
+    const formats = ['avif', 'webp', metadata.hasAlpha ? 'png' : 'jpeg'];
+    const date = readExifDate(metadata.exif);
+    const entry = { width, height, ...(date ? { date } : {}), formats: {} };
+    let written = 0;
+    
+    for (const format of formats) {
+        entry.formats[format] = [];
+        
+        for (const variantWidth of getVariantWidths(width)) {
+            const src = getVariantPath(source, variantWidth, format);
+            entry.formats[format].push({ src, width: variantWidth, height: Math.round(height * variantWidth / width) });
+            
+            const outputPath = path.join(ROOT, src);
+            if (!force && await isUpToDate(outputPath, sourceTime)) continue;
+            
+            await fs.mkdir(path.dirname(outputPath), { recursive: true });
+            await sharp(sourcePath)
+                .rotate()
+                .resize({ width: variantWidth, withoutEnlargement: true })
+                .toFormat(format, ENCODER_OPTIONS[format])
+                .toFile(outputPath);
+            written++;
+        }
+    }
+    
+    return { entry, written };
+};
+
+const main = async () => {
+    const args = new Set(process.argv.slice(2));
+    const sources = (await listFiles(path.join(ROOT, IMAGE_SOURCE_DIR)))
+        .filter(file => SOURCE_EXTENSIONS.has(path.extname(file).toLowerCase()));
+    const manifest = { generated: new Date().toISOString(), images: {} };
+    let written = 0;
+    let failed = 0;
+    
+    for (const source of sources) {
+        try {
+            const result = await optimizeImage(source, { force: args.has('--force') });
+            manifest.images[source] = result.entry;
+            written += result.written;
+            if (result.written > 0) console.log(`${source}: ${result.written} variants`);
+        } catch (error) {
+            failed++;
+            console.error(`${source}: ${error.message}`);
+        }
+    }
+    
+    const variants = new Set(Object.values(manifest.images)
+        .flatMap(entry => Object.values(entry.formats).flat().map(variant => variant.src)));
+    const stale = (await listFiles(path.join(ROOT, IMAGE_OUTPUT_DIR)))
+        .filter(file => VARIANT_PATTERN.test(file) && !variants.has(file));
+    
+    if (args.has('--prune')) {
+        await Promise.all(stale.map(file => fs.unlink(path.join(ROOT, file))));
+        if (stale.length > 0) console.log(`Deleted ${stale.length} stale variants`);
+    } else if (stale.length > 0) {
+        console.log(`${stale.length} variants have no source image; run with --prune to delete them`);
+    }
+    
+    await fs.writeFile(path.join(ROOT, DATA_SOURCES.IMAGES), `${JSON.stringify(manifest, null, 2)}\n`);
+    console.log(`${Object.keys(manifest.images).length} images, ${written} variants written to ${IMAGE_OUTPUT_DIR}/`);
+    
+    if (failed > 0) {
+        console.error(`${failed} images could not be read`);
+        process.exitCode = 1;
+    }
+};
+
+main().catch(error => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,46 @@
+// ===== JSON FILE STORE =====
+// Keeps one value in a JSON file under a top-level key. Writes are queued so
+// requests arriving together update the file one after another.
+import { promises as fs } from 'fs';
+import path from 'path';
+
+class JsonFileStore {
+    constructor(file, key, createEmpty) {
+        this.file = file;
+        this.key = key;
+        this.createEmpty = createEmpty;
+        this.data = null;
+        this.queue = Promise.resolve();
+    }
+    
+    async load() {
+        if (this.data) return this.data;
+        
+        try {
+            const contents = JSON.parse(await fs.readFile(this.file, 'utf8'));
+            this.data = contents[this.key] || this.createEmpty();
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.data = this.createEmpty();
+        }
+        
+        return this.data;
+    }
+    
+    async save() {
+        // Write to a temporary file first so a crash can't leave half a file behind
+        const tempFile = `${this.file}.tmp`;
+        await fs.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.writeFile(tempFile, JSON.stringify({ [this.key]: this.data }, null, 2));
+        await fs.rename(tempFile, this.file);
+    }
+    
+    // Run a task after every task queued before it has finished
+    enqueue(task) {
+        const result = this.queue.then(task);
+        this.queue = result.catch(() => {});
+        return result;
+    }
+}
+
+export default JsonFileStore;
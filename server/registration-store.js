@@ -0,0 +1,153 @@
+// ===== REGISTRATION STORE =====
+// Registrations are kept in a single JSON file. Writes are queued so two
+// registrations arriving together can't both take the last place at an event.
+import crypto from 'crypto';
+import JsonFileStore from './json-file-store.js';
+import { CHECK_IN_STATUS, REGISTRATION_STATUS } from '../js/components/utils/constants.js';
+
+// Reference numbers avoid characters that are easy to misread (0/O, 1/I/L)
+const REFERENCE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const REFERENCE_LENGTH = 6;
+
+// A prefix and a random suffix, e.g. "ATH24-7KQ3XM", that isn't one of the existing references
+export const createReference = (prefix, existing = []) => {
+    const taken = new Set(existing);
+    let reference;
+    
+    do {
+        const suffix = Array.from({ length: REFERENCE_LENGTH }, () =>
+            REFERENCE_ALPHABET[crypto.randomInt(REFERENCE_ALPHABET.length)]
+        ).join('');
+        reference = `${prefix}-${suffix}`;
+    } while (taken.has(reference));
+    
+    return reference;
+};
+
+export class DuplicateRegistrationError extends Error {
+    constructor(registration) {
+        super('This participant is already registered for the event');
+        this.name = 'DuplicateRegistrationError';
+        this.reference = registration.reference;
+    }
+}
+
+class RegistrationStore extends JsonFileStore {
+    constructor(file) {
+        super(file, 'registrations', () => []);
+    }
+    
+    async getForEvent(eventId) {
+        const registrations = await this.load();
+        return registrations.filter(registration => registration.eventId === eventId);
+    }
+    
+    async getSummary(eventData) {
+        const registrations = await this.getForEvent(eventData.id);
+        const confirmed = registrations.filter(registration => registration.status === REGISTRATION_STATUS.CONFIRMED).length;
+        const capacity = Number.isFinite(eventData.capacity) ? eventData.capacity : null;
+        
+        return {
+            eventId: eventData.id,
+            capacity,
+            confirmed,
+            waitlisted: registrations.length - confirmed,
+            remaining: capacity === null ? null : Math.max(capacity - confirmed, 0)
+        };
+    }
+    
+    add(eventData, values) {
+        return this.enqueue(async () => {
+            const registrations = await this.load();
+            const eventRegistrations = registrations.filter(registration => registration.eventId === eventData.id);
+            
+            const duplicate = eventRegistrations.find(registration => this.isSameParticipant(registration, values));
+            if (duplicate) {
+                throw new DuplicateRegistrationError(duplicate);
+            }
+            
+            const { remaining, waitlisted } = await this.getSummary(eventData);
+            const isFull = remaining !== null && remaining <= 0;
+            
+            const registration = {
+                reference: this.createReference(eventData),
+                eventId: eventData.id,
+                status: isFull ? REGISTRATION_STATUS.WAITLISTED : REGISTRATION_STATUS.CONFIRMED,
+                waitlistPosition: isFull ? waitlisted + 1 : null,
+                registeredAt: new Date().toISOString(),
+                ...values
+            };
+            
+            registrations.push(registration);
+            
+            try {
+                await this.save();
+            } catch (error) {
+                registrations.pop();
+                throw error;
+            }
+            
+            return registration;
+        });
+    }
+    
+    // Record attendance. Check-ins can arrive late from devices that were offline at the gate,
+    // so the earliest time recorded for a registration is kept.
+    recordCheckIns(checkIns) {
+        return this.enqueue(async () => {
+            const registrations = await this.load();
+            const previous = new Map();
+            
+            const results = checkIns.map(({ eventId, reference, checkedInAt }) => {
+                const registration = registrations.find(item => item.eventId === eventId && item.reference === reference);
+                
+                if (!registration) {
+                    return { eventId, reference, status: CHECK_IN_STATUS.NOT_FOUND };
+                }
+                
+                if (registration.checkedInAt && registration.checkedInAt <= checkedInAt) {
+                    return { eventId, reference, status: CHECK_IN_STATUS.ALREADY_RECORDED, checkedInAt: registration.checkedInAt };
+                }
+                
+                if (!previous.has(registration)) {
+                    previous.set(registration, registration.checkedInAt);
+                }
+                registration.checkedInAt = checkedInAt;
+                return { eventId, reference, status: CHECK_IN_STATUS.RECORDED, checkedInAt };
+            });
+            
+            if (previous.size === 0) return results;
+            
+            try {
+                await this.save();
+            } catch (error) {
+                previous.forEach((checkedInAt, registration) => {
+                    if (checkedInAt) {
+                        registration.checkedInAt = checkedInAt;
+                    } else {
+                        delete registration.checkedInAt;
+                    }
+                });
+                throw error;
+            }
+            
+            return results;
+        });
+    }
+    
+    isSameParticipant(registration, values) {
+        const key = (data) => [data.firstName, data.lastName, data.dateOfBirth]
+            .map(value => String(value).trim().toLowerCase())
+            .join('|');
+        
+        return key(registration) === key(values);
+    }
+    
+    // e.g. "ATH24-7KQ3XM": program and event year
+    createReference(eventData) {
+        const prefix = `${eventData.program.slice(0, 3).toUpperCase()}${eventData.start.slice(2, 4)}`;
+        return createReference(prefix, this.data.map(registration => registration.reference));
+    }
+}
+
+export default RegistrationStore;
@@ -0,0 +1,581 @@
+// ===== FODASU SITE SERVER =====
+// Serves the static site and the small JSON API it talks to. No dependencies
+// beyond Node itself: `npm start`, then open http://localhost:3000.
+//
+// Environment:
+//   PORT                    Port to listen on (default 3000)
+//   FODASU_ORGANIZER_TOKEN  Token organizers send to export rosters, check in ticket holders and
+//                           record match scores (all disabled when unset)
+//   REGISTRATIONS_FILE      Where registrations are stored (default server/storage/registrations.json)
+//   TICKET_KEYS_FILE        Where the ticket signing keys are stored (default server/storage/ticket-keys.json)
+//   TOURNAMENT_RESULTS_FILE Where match scores and the team lists they were drawn from are stored (default server/storage/tournament-results.json)
+//   VOLUNTEERS_FILE         Where volunteer sign-ups are stored (default server/storage/volunteers.json)
+//   SITE_URL                Public address of the site, used for links in feeds (default: http://localhost:PORT)
+import http from 'http';
+import { promises as fs } from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import RegistrationStore, { DuplicateRegistrationError } from './registration-store.js';
+import TournamentStore from './tournament-store.js';
+import TicketSigner from './ticket-signer.js';
+import VolunteerStore, { VolunteerSignupError } from './volunteer-store.js';
+import { API_ENDPOINTS, DATA_SOURCES, EVENT_STATUS, FEEDS, REGISTRATION_STATUS } from '../js/components/utils/constants.js';
+import { getEventStatus } from '../js/components/utils/event-dates.js';
+import {
+    CHECK_IN_BATCH_SIZE,
+    CHECK_IN_ROSTER_FIELDS,
+    normalizeCheckIn,
+    normalizeRegistration,
+    validateRegistration,
+    toRosterCsv
+} from '../js/components/utils/registrations.js';
+import {
+    VOLUNTEER_ROSTER_COLUMNS,
+    findShift,
+    getVolunteerRoles,
+    normalizeVolunteer,
+    validateVolunteer
+} from '../js/components/utils/volunteers.js';
+import { buildCalendar } from '../js/components/utils/ical.js';
+import { buildAtomFeed, buildJsonFeed, buildRssFeed, getFeedItems } from '../js/components/utils/feeds.js';
+import { expandEvents } from '../js/components/utils/recurrence.js';
+import { buildTournament, findMatch, validateMatchResult, validateScoreValues } from '../js/components/utils/tournament.js';
+import { getEventPath } from '../js/components/utils/helpers.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const PORT = Number(process.env.PORT) || 3000;
+const ORGANIZER_TOKEN = process.env.FODASU_ORGANIZER_TOKEN || '';
+const SITE_URL = process.env.SITE_URL || `http://localhost:${PORT}`;
+const MAX_BODY_BYTES = 16 * 1024;
+
+const store = new RegistrationStore(
+    process.env.REGISTRATIONS_FILE || path.join(ROOT, 'server', 'storage', 'registrations.json')
+);
+const tournamentStore = new TournamentStore(
+    process.env.TOURNAMENT_RESULTS_FILE || path.join(ROOT, 'server', 'storage', 'tournament-results.json')
+);
+const ticketSigner = new TicketSigner(
+    process.env.TICKET_KEYS_FILE || path.join(ROOT, 'server', 'storage', 'ticket-keys.json')
+);
+const volunteerStore = new VolunteerStore(
+    process.env.VOLUNTEERS_FILE || path.join(ROOT, 'server', 'storage', 'volunteers.json')
+);
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.geojson': 'application/geo+json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.mp4': 'video/mp4',
+    '.webm': 'video/webm',
+    '.vtt': 'text/vtt; charset=utf-8',
+    '.woff2': 'font/woff2'
+};
+
+// Paths under the site root that must never be served
+const PRIVATE_PATHS = ['server', 'scripts', 'node_modules', 'package.json', 'package-lock.json'];
+
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+// ===== Helpers =====
+
+const sendJson = (res, status, body) => {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            reject(new HttpError(413, 'Request body is too large'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    
+    req.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+        } catch (error) {
+            reject(new HttpError(400, 'Request body must be valid JSON'));
+            return;
+        }
+        
+        // Every endpoint takes named fields, so null, arrays and bare values are refused here
+        if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+            reject(new HttpError(400, 'Request body must be a JSON object'));
+            return;
+        }
+        resolve(body);
+    });
+    
+    req.on('error', reject);
+});
+
+const loadEvents = async () => {
+    const data = JSON.parse(await fs.readFile(path.join(ROOT, DATA_SOURCES.EVENTS), 'utf8'));
+    return data.events || [];
+};
+
+// News posts are optional, so a missing file means no posts
+const loadPosts = async () => {
+    try {
+        const data = JSON.parse(await fs.readFile(path.join(ROOT, DATA_SOURCES.POSTS), 'utf8'));
+        return data.posts || [];
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+};
+
+// Each occurrence of a recurring event takes its own registrations
+const findEvent = async (eventId) => {
+    const events = expandEvents(await loadEvents());
+    const eventData = events.find(item => item.id === eventId);
+    
+    if (!eventId || !eventData) {
+        throw new HttpError(404, 'Event not found');
+    }
+    
+    return eventData;
+};
+
+// Compare tokens without leaking how much of the token matched
+const isOrganizer = (req) => {
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7) : '';
+    const digest = (value) => crypto.createHash('sha256').update(value).digest();
+    
+    return Boolean(ORGANIZER_TOKEN) && crypto.timingSafeEqual(digest(token), digest(ORGANIZER_TOKEN));
+};
+
+const requireOrganizer = (req) => {
+    if (!ORGANIZER_TOKEN) {
+        throw new HttpError(503, 'Organizer tools are disabled. Set FODASU_ORGANIZER_TOKEN to enable them.');
+    }
+    if (!isOrganizer(req)) {
+        throw new HttpError(401, 'A valid organizer token is required');
+    }
+};
+
+// Absolute URL of a page on the site, for links that leave the browser (feeds, calendar apps).
+// Always SITE_URL, never the request's Host header, which any client can set.
+const getSiteUrl = (pathname = '/') => new URL(pathname, SITE_URL.endsWith('/') ? SITE_URL : `${SITE_URL}/`).href;
+
+// ===== API =====
+
+const getRegistrationSummary = async (req, res, url) => {
+    const eventData = await findEvent(url.searchParams.get('event'));
+    sendJson(res, 200, await store.getSummary(eventData));
+};
+
+const createRegistration = async (req, res) => {
+    const body = await readJsonBody(req);
+    const eventData = await findEvent(body.eventId);
+    
+    if (getEventStatus(eventData) === EVENT_STATUS.PAST) {
+        throw new HttpError(409, 'Registration for this event has closed');
+    }
+    
+    const errors = validateRegistration(body);
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Some registration details are missing or invalid', { errors });
+    }
+    
+    try {
+        const registration = await store.add(eventData, normalizeRegistration(body));
+        
+        // Only confirmed places get a ticket to show at the gate. The place is already saved,
+        // so a signing failure leaves the reference to check in with instead of failing.
+        const ticket = registration.status === REGISTRATION_STATUS.CONFIRMED
+            ? await ticketSigner.sign(registration).catch((error) => {
+                console.error(`Could not sign a ticket for ${registration.reference}:`, error);
+                return null;
+            })
+            : null;
+        
+        sendJson(res, 201, {
+            reference: registration.reference,
+            status: registration.status,
+            waitlistPosition: registration.waitlistPosition,
+            eventId: eventData.id,
+            ticket
+        });
+    } catch (error) {
+        if (error instanceof DuplicateRegistrationError) {
+            throw new HttpError(409, error.message, { reference: error.reference });
+        }
+        throw error;
+    }
+};
+
+const exportRoster = async (req, res, url) => {
+    requireOrganizer(req);
+    
+    const eventData = await findEvent(url.searchParams.get('event'));
+    const registrations = await store.getForEvent(eventData.id);
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${eventData.id}-roster.csv"`,
+        'Cache-Control': 'no-store'
+    });
+    // Byte order mark so spreadsheet apps read names with accents correctly
+    res.end(`\uFEFF${toRosterCsv(registrations)}`);
+};
+
+// ===== Check-in =====
+
+// Everything a check-in device needs to work offline: the event's registrations (without
+// contact or medical details) and the key that verifies ticket signatures
+const getCheckInRoster = async (req, res, url) => {
+    requireOrganizer(req);
+    
+    const eventData = await findEvent(url.searchParams.get('event'));
+    const registrations = await store.getForEvent(eventData.id);
+    
+    sendJson(res, 200, {
+        eventId: eventData.id,
+        title: eventData.title,
+        generatedAt: new Date().toISOString(),
+        publicKey: await ticketSigner.getPublicKey(),
+        registrations: registrations.map(registration => CHECK_IN_ROSTER_FIELDS.reduce((row, field) => {
+            row[field] = registration[field] ?? null;
+            return row;
+        }, {}))
+    });
+};
+
+const recordCheckIns = async (req, res) => {
+    requireOrganizer(req);
+    
+    const body = await readJsonBody(req);
+    if (!Array.isArray(body.checkIns)) {
+        throw new HttpError(400, 'checkIns must be a list of check-ins');
+    }
+    
+    const checkIns = body.checkIns.map(normalizeCheckIn);
+    if (checkIns.length === 0 || checkIns.length > CHECK_IN_BATCH_SIZE) {
+        throw new HttpError(400, `Send between 1 and ${CHECK_IN_BATCH_SIZE} check-ins at a time`);
+    }
+    if (checkIns.includes(null)) {
+        throw new HttpError(400, 'Each check-in needs an eventId, a reference and a checkedInAt time');
+    }
+    
+    sendJson(res, 200, { results: await store.recordCheckIns(checkIns) });
+};
+
+// ===== Volunteers =====
+
+const getVolunteerShifts = async (req, res, url) => {
+    const eventData = await findEvent(url.searchParams.get('event'));
+    sendJson(res, 200, await volunteerStore.getSummary(eventData));
+};
+
+const claimVolunteerShift = async (req, res) => {
+    const body = await readJsonBody(req);
+    const eventData = await findEvent(body.eventId);
+    const match = findShift(getVolunteerRoles(eventData), body.roleId, body.shiftId);
+    
+    if (!match) {
+        throw new HttpError(404, 'Shift not found');
+    }
+    if (getEventStatus(eventData) === EVENT_STATUS.PAST) {
+        throw new HttpError(409, 'Volunteer sign-up for this event has closed');
+    }
+    
+    const errors = validateVolunteer(body);
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'Some volunteer details are missing or invalid', { errors });
+    }
+    
+    try {
+        const signup = await volunteerStore.claim(eventData, match.role, match.shift, normalizeVolunteer(body));
+        
+        sendJson(res, 201, {
+            reference: signup.reference,
+            eventId: eventData.id,
+            role: { id: match.role.id, name: match.role.name, duties: match.role.duties },
+            shift: match.shift
+        });
+    } catch (error) {
+        if (error instanceof VolunteerSignupError) {
+            throw new HttpError(409, error.message);
+        }
+        throw error;
+    }
+};
+
+const exportVolunteerRoster = async (req, res, url) => {
+    requireOrganizer(req);
+    
+    const eventData = await findEvent(url.searchParams.get('event'));
+    const signups = await volunteerStore.getForEvent(eventData.id);
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${eventData.id}-volunteers.csv"`,
+        'Cache-Control': 'no-store'
+    });
+    res.end(`\uFEFF${toRosterCsv(signups, VOLUNTEER_ROSTER_COLUMNS)}`);
+};
+
+// ===== Tournaments =====
+
+const findTournament = async (eventId) => {
+    const data = JSON.parse(await fs.readFile(path.join(ROOT, DATA_SOURCES.TOURNAMENTS), 'utf8'));
+    const config = (data.tournaments || []).find(item => item.eventId === eventId);
+    
+    if (!eventId || !config) {
+        throw new HttpError(404, 'Tournament not found');
+    }
+    
+    return config;
+};
+
+// The teams fixed when the first score was recorded; until then the teams listed in
+// data/tournaments.json, or else each school with a confirmed registration for the
+// event, in the order they registered
+const getTournamentTeams = async (config) => {
+    const drawnTeams = await tournamentStore.getTeams(config.eventId);
+    if (drawnTeams) return drawnTeams;
+    if (config.teams && config.teams.length > 0) return config.teams;
+    
+    const registrations = await store.getForEvent(config.eventId);
+    const schools = registrations
+        .filter(registration => registration.status === REGISTRATION_STATUS.CONFIRMED)
+        .map(registration => registration.school);
+    
+    return [...new Set(schools)];
+};
+
+// Tournament configuration with its teams and every recorded score filled in
+const getTournamentConfig = async (eventId) => {
+    const config = await findTournament(eventId);
+    
+    return {
+        ...config,
+        teams: await getTournamentTeams(config),
+        results: { ...config.results, ...(await tournamentStore.getResults(config.eventId)) }
+    };
+};
+
+const getTournament = async (req, res, url) => {
+    sendJson(res, 200, await getTournamentConfig(url.searchParams.get('event')));
+};
+
+const recordMatchResult = async (req, res) => {
+    requireOrganizer(req);
+    
+    const body = await readJsonBody(req);
+    const scoreErrors = validateScoreValues(body);
+    if (Object.keys(scoreErrors).length > 0) {
+        throw new HttpError(400, 'The score is missing or invalid', { errors: scoreErrors });
+    }
+    
+    const tournament = buildTournament(await getTournamentConfig(body.eventId));
+    const match = findMatch(tournament, body.matchId);
+    
+    if (!match) {
+        throw new HttpError(404, 'Match not found');
+    }
+    
+    const errors = validateMatchResult(match, body);
+    if (Object.keys(errors).length > 0) {
+        throw new HttpError(400, 'The score is missing or invalid', { errors });
+    }
+    
+    // Stored with the team names so the score only applies while these two teams are in the fixture
+    const result = await tournamentStore.setResult(tournament.eventId, match.id, {
+        home: match.home,
+        away: match.away,
+        homeScore: body.homeScore,
+        awayScore: body.awayScore,
+        ...(body.homePenalties != null ? { homePenalties: body.homePenalties, awayPenalties: body.awayPenalties } : {})
+    }, tournament.teams);
+    
+    sendJson(res, 200, { eventId: tournament.eventId, matchId: match.id, result });
+};
+
+// ===== Feeds =====
+
+const getCalendarFeed = async (req, res) => {
+    const events = await loadEvents();
+    const calendar = buildCalendar(events, {
+        getUrl: (eventData) => getSiteUrl(getEventPath(eventData.id))
+    });
+    
+    res.writeHead(200, {
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="fodasu-events.ics"',
+        'Cache-Control': 'public, max-age=3600'
+    });
+    res.end(req.method === 'HEAD' ? undefined : calendar);
+};
+
+const FEED_FORMATS = {
+    [FEEDS.RSS]: { type: 'application/rss+xml; charset=utf-8', build: buildRssFeed },
+    [FEEDS.ATOM]: { type: 'application/atom+xml; charset=utf-8', build: buildAtomFeed },
+    [FEEDS.JSON]: { type: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+// When the events or posts data last changed, used as the date of events that don't set `published`
+const getDataUpdatedAt = async () => {
+    const times = await Promise.all([DATA_SOURCES.EVENTS, DATA_SOURCES.POSTS].map(source =>
+        fs.stat(path.join(ROOT, source)).then(stats => stats.mtime, () => new Date(0))
+    ));
+    return new Date(Math.max(...times));
+};
+
+const getNewsFeed = async (req, res, url) => {
+    const format = FEED_FORMATS[url.pathname];
+    const [events, posts, updatedAt] = await Promise.all([loadEvents(), loadPosts(), getDataUpdatedAt()]);
+    const siteUrl = getSiteUrl();
+    const items = getFeedItems(events, posts, { siteUrl, updatedAt });
+    
+    res.writeHead(200, {
+        'Content-Type': format.type,
+        'Cache-Control': 'public, max-age=3600'
+    });
+    res.end(req.method === 'HEAD' ? undefined : format.build(items, { siteUrl, feedUrl: getSiteUrl(url.pathname), updatedAt }));
+};
+
+const routes = {
+    [`GET ${API_ENDPOINTS.REGISTRATIONS}/summary`]: getRegistrationSummary,
+    [`POST ${API_ENDPOINTS.REGISTRATIONS}`]: createRegistration,
+    [`GET ${API_ENDPOINTS.REGISTRATIONS}/roster.csv`]: exportRoster,
+    [`GET ${API_ENDPOINTS.REGISTRATIONS}/check-in-roster`]: getCheckInRoster,
+    [`POST ${API_ENDPOINTS.REGISTRATIONS}/check-ins`]: recordCheckIns,
+    [`GET ${API_ENDPOINTS.VOLUNTEERS}`]: getVolunteerShifts,
+    [`POST ${API_ENDPOINTS.VOLUNTEERS}`]: claimVolunteerShift,
+    [`GET ${API_ENDPOINTS.VOLUNTEERS}/roster.csv`]: exportVolunteerRoster,
+    [`GET ${API_ENDPOINTS.TOURNAMENTS}`]: getTournament,
+    [`POST ${API_ENDPOINTS.TOURNAMENTS}/results`]: recordMatchResult,
+    [`GET ${FEEDS.CALENDAR}`]: getCalendarFeed,
+    [`HEAD ${FEEDS.CALENDAR}`]: getCalendarFeed,
+    ...Object.fromEntries(Object.keys(FEED_FORMATS).flatMap(feedPath => [
+        [`GET ${feedPath}`, getNewsFeed],
+        [`HEAD ${feedPath}`, getNewsFeed]
+    ]))
+};
+
+// ===== Static files =====
+
+const serveStatic = async (req, res, url) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        throw new HttpError(405, 'Method not allowed');
+    }
+    
+    let pathname;
+    try {
+        pathname = decodeURIComponent(url.pathname);
+    } catch {
+        throw new HttpError(400, 'Malformed request URL');
+    }
+    
+    const relativePath = path.normalize(pathname).replace(/^([/\\])+/, '');
+    const segments = relativePath.split(/[/\\]/);
+    const isPrivate = segments.some(segment => segment.startsWith('.')) || PRIVATE_PATHS.includes(segments[0]);
+    
+    let filePath = path.join(ROOT, relativePath);
+    if (isPrivate || !filePath.startsWith(ROOT)) {
+        throw new HttpError(404, 'Not found');
+    }
+    
+    try {
+        if ((await fs.stat(filePath)).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+        
+        const content = await fs.readFile(filePath);
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream',
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(req.method === 'HEAD' ? undefined : content);
+    } catch (error) {
+        if (error.code === 'ENOENT' || error.code === 'EISDIR') {
+            throw new HttpError(404, 'Not found');
+        }
+        throw error;
+    }
+};
+
+// ===== Server =====
+
+// The request target against a fixed base: the Host header is the client's to choose, and a
+// malformed one must not take the server down
+const parseRequestUrl = (req) => {
+    try {
+        return new URL(req.url, 'http://localhost');
+    } catch {
+        throw new HttpError(400, 'Malformed request URL');
+    }
+};
+
+const handleRequest = async (req, res) => {
+    try {
+        const url = parseRequestUrl(req);
+        const route = routes[`${req.method} ${url.pathname}`];
+        
+        if (route) {
+            await route(req, res, url);
+        } else if (url.pathname.startsWith('/api/')) {
+            throw new HttpError(404, 'Unknown API endpoint');
+        } else {
+            await serveStatic(req, res, url);
+        }
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            console.error(`${req.method} ${req.url} failed:`, error);
+        }
+        
+        const status = error instanceof HttpError ? error.status : 500;
+        const message = error instanceof HttpError ? error.message : 'Something went wrong. Please try again.';
+        
+        if (!res.headersSent) {
+            sendJson(res, status, { error: message, ...(error.details || {}) });
+        } else {
+            res.end();
+        }
+    }
+};
+
+export const server = http.createServer(handleRequest);
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    server.listen(PORT, () => {
+        console.log(`FODASU site running at http://localhost:${PORT}`);
+        if (!ORGANIZER_TOKEN) {
+            console.log('Roster exports, check-in and score recording are disabled. Set FODASU_ORGANIZER_TOKEN to enable them.');
+        }
+        if (!process.env.SITE_URL) {
+            console.log(`Feed and calendar links point at ${SITE_URL}. Set SITE_URL to the public address of the site.`);
+        }
+    });
+}
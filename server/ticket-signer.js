@@ -0,0 +1,45 @@
+// ===== TICKET SIGNER =====
+// Signs ticket codes for confirmed registrations. The key pair is created the first time a
+// ticket is needed and kept in a JSON file; replacing that file invalidates every ticket
+// issued with the old key.
+import JsonFileStore from './json-file-store.js';
+import { createTicketCode, generateTicketKeys, importPrivateKey } from '../js/components/utils/tickets.js';
+
+class TicketSigner extends JsonFileStore {
+    constructor(file) {
+        super(file, 'keys', () => null);
+        this.privateKey = null;
+    }
+    
+    getKeys() {
+        return this.enqueue(async () => {
+            if (!(await this.load())) {
+                this.data = await generateTicketKeys();
+                
+                // Never sign with a key that wasn't saved: its tickets could not be checked later
+                try {
+                    await this.save();
+                } catch (error) {
+                    this.data = null;
+                    throw error;
+                }
+            }
+            
+            return this.data;
+        });
+    }
+    
+    async getPublicKey() {
+        return (await this.getKeys()).publicKey;
+    }
+    
+    async sign(registration) {
+        if (!this.privateKey) {
+            this.privateKey = importPrivateKey((await this.getKeys()).privateKey);
+        }
+        
+        return createTicketCode(registration, await this.privateKey);
+    }
+}
+
+export default TicketSigner;
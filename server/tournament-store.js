@@ -0,0 +1,50 @@
+// ===== TOURNAMENT RESULTS STORE =====
+// Match scores recorded by organizers, keyed by event and match id. They are
+// layered over any results already published in data/tournaments.json.
+// The first score recorded for a tournament also fixes its team list, so the
+// draw and the fixtures those scores belong to can't change afterwards.
+import JsonFileStore from './json-file-store.js';
+
+class TournamentStore extends JsonFileStore {
+    constructor(file) {
+        super(file, 'tournaments', () => ({}));
+    }
+    
+    async getResults(eventId) {
+        const tournaments = await this.load();
+        return (tournaments[eventId] && tournaments[eventId].results) || {};
+    }
+    
+    // The teams in seeding order when the first score was recorded, or null before then
+    async getTeams(eventId) {
+        const tournaments = await this.load();
+        return (tournaments[eventId] && tournaments[eventId].teams) || null;
+    }
+    
+    // `teams` is the list the match was drawn from; it is kept only if this is the first score
+    setResult(eventId, matchId, result, teams) {
+        return this.enqueue(async () => {
+            const tournaments = await this.load();
+            const previous = tournaments[eventId];
+            
+            tournaments[eventId] = {
+                teams: previous ? previous.teams : [...teams],
+                results: {
+                    ...(previous && previous.results),
+                    [matchId]: { ...result, recordedAt: new Date().toISOString() }
+                }
+            };
+            
+            try {
+                await this.save();
+            } catch (error) {
+                tournaments[eventId] = previous;
+                throw error;
+            }
+            
+            return tournaments[eventId].results[matchId];
+        });
+    }
+}
+
+export default TournamentStore;
@@ -0,0 +1,80 @@
+// ===== VOLUNTEER STORE =====
+// Volunteer shift sign-ups, kept in a single JSON file. Writes are queued so two
+// volunteers can't both take the last place on a shift.
+import JsonFileStore from './json-file-store.js';
+import { createReference } from './registration-store.js';
+import { getVolunteerRoles, getVolunteerSummary, shiftsOverlap } from '../js/components/utils/volunteers.js';
+
+export class VolunteerSignupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VolunteerSignupError';
+    }
+}
+
+class VolunteerStore extends JsonFileStore {
+    constructor(file) {
+        super(file, 'signups', () => []);
+    }
+    
+    async getForEvent(eventId) {
+        const signups = await this.load();
+        return signups.filter(signup => signup.eventId === eventId);
+    }
+    
+    // Places taken on each of the event's shifts, without who took them
+    async getSummary(eventData) {
+        const signups = await this.getForEvent(eventData.id);
+        return { eventId: eventData.id, roles: getVolunteerSummary(getVolunteerRoles(eventData), signups) };
+    }
+    
+    claim(eventData, role, shift, values) {
+        return this.enqueue(async () => {
+            const signups = await this.load();
+            const eventSignups = signups.filter(signup => signup.eventId === eventData.id);
+            const filled = eventSignups.filter(signup => signup.roleId === role.id && signup.shiftId === shift.id).length;
+            
+            if (filled >= shift.slots) {
+                throw new VolunteerSignupError('This shift is already full');
+            }
+            
+            // One shift at a time per volunteer, matched by phone number
+            const clash = eventSignups.find(signup => this.isSamePhone(signup.phone, values.phone) && shiftsOverlap(signup, shift));
+            if (clash) {
+                throw new VolunteerSignupError('This volunteer already has a shift at that time');
+            }
+            
+            const signup = {
+                reference: createReference(`VOL${eventData.start.slice(2, 4)}`, signups.map(item => item.reference)),
+                eventId: eventData.id,
+                roleId: role.id,
+                shiftId: shift.id,
+                // Kept with the sign-up so the roster still reads correctly if the shift is edited later
+                roleName: role.name,
+                date: shift.date,
+                start: shift.start,
+                end: shift.end,
+                signedUpAt: new Date().toISOString(),
+                ...values
+            };
+            
+            signups.push(signup);
+            
+            try {
+                await this.save();
+            } catch (error) {
+                signups.pop();
+                throw error;
+            }
+            
+            return signup;
+        });
+    }
+    
+    isSamePhone(a, b) {
+        const digits = (value) => String(value).replace(/\D/g, '');
+        return digits(a) === digits(b);
+    }
+}
+
+export default VolunteerStore;
@@ -0,0 +1,55 @@
+// ===== SERVICE WORKER =====
+// Registered by js/main.js. Pages, scripts, styles, images and data files come from the
+// network as usual and a copy is kept, so pages that have been opened before still load
+// without a connection. The check-in page relies on this at venues with no signal.
+// v2 drops any videos v1 stored
+const CACHE_NAME = 'fodasu-v2';
+
+// API requests and feeds always go to the network (see API_ENDPOINTS and FEEDS in constants.js)
+const NETWORK_ONLY_PATHS = ['/api/', '/calendar/', '/feeds/'];
+
+// Video and audio stream in byte ranges and are too big to keep, so they aren't cached either
+const isMediaRequest = (request) => request.destination === 'video' || request.destination === 'audio'
+    || request.headers.has('range');
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names.filter(name => name !== CACHE_NAME).map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    
+    if (request.method !== 'GET' || url.origin !== self.location.origin
+        || NETWORK_ONLY_PATHS.some(pathname => url.pathname.startsWith(pathname)) || isMediaRequest(request)) {
+        return;
+    }
+    
+    event.respondWith((async () => {
+        try {
+            const response = await fetch(request);
+            // Only whole responses can be cached (not a 206 partial one); the copy is stored
+            // alongside, without holding the page up
+            if (response.status === 200) {
+                const copy = response.clone();
+                event.waitUntil(caches.open(CACHE_NAME)
+                    .then(cache => cache.put(request, copy))
+                    .catch(error => console.warn('Could not cache', request.url, error)));
+            }
+            return response;
+        } catch (error) {
+            // Offline: pages are matched without their query string (checkin.html?event=...)
+            const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+            if (cached) return cached;
+            throw error;
+        }
+    })());
+});
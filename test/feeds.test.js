@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getFeedItems, buildRssFeed, buildAtomFeed, buildJsonFeed } from '../js/components/utils/feeds.js';
+
+const siteUrl = 'https://fodasu.example/';
+const feedUrl = 'https://fodasu.example/feed.xml';
+const now = new Date('2024-03-10T12:00:00Z');
+const updatedAt = new Date('2024-03-01T00:00:00Z');
+
+const events = [
+    { id: 'past-meet', title: 'Past Meet', start: '2024-02-01T09:00', end: '2024-02-01T17:00' },
+    { id: 'spelling-bee', title: 'Spelling Bee', program: 'academics', venue: 'Foya Central High School', start: '2024-04-12T10:00', published: '2024-03-05' },
+    {
+        id: 'training',
+        title: 'Training',
+        program: 'soccer',
+        start: '2024-03-05T16:00',
+        end: '2024-03-05T18:00',
+        recurrence: { frequency: 'weekly', byDay: ['TU', 'TH'], until: '2024-03-21' }
+    }
+];
+
+const posts = [
+    { id: 'results', title: 'Results <& photos>', url: '/news/results.html', summary: 'Who won', published: '2024-03-08T15:00' },
+    { id: 'draft', title: 'No date yet' }
+];
+
+const items = getFeedItems(events, posts, { siteUrl, updatedAt, now });
+
+test('feed items cover upcoming events and dated posts, newest first', () => {
+    assert.deepEqual(items.map(item => item.id), [
+        'urn:fodasu:post:results',
+        'urn:fodasu:event:spelling-bee',
+        'urn:fodasu:event:training'
+    ]);
+});
+
+test('a recurring series is one item for its next session, linked to the series', () => {
+    const training = items.find(item => item.id === 'urn:fodasu:event:training');
+    
+    assert.equal(training.event.start, '2024-03-12T16:00');
+    assert.equal(training.url, 'https://fodasu.example/events.html?event=training');
+    assert.deepEqual(training.published, updatedAt);
+});
+
+test('feed dates are read in the FODASU timezone', () => {
+    const post = items.find(item => item.id === 'urn:fodasu:post:results');
+    
+    assert.equal(post.published.toISOString(), '2024-03-08T15:00:00.000Z');
+    assert.equal(post.url, 'https://fodasu.example/news/results.html');
+});
+
+test('RSS and Atom documents escape text and date the feed by its latest item', () => {
+    const rss = buildRssFeed(items, { siteUrl, feedUrl, updatedAt });
+    const atom = buildAtomFeed(items, { siteUrl, feedUrl, updatedAt });
+    
+    assert.ok(rss.includes('<title>Results &lt;&amp; photos&gt;</title>'));
+    assert.ok(rss.includes('<lastBuildDate>Fri, 08 Mar 2024 15:00:00 GMT</lastBuildDate>'));
+    assert.ok(rss.includes('<guid isPermaLink="false">urn:fodasu:event:training</guid>'));
+    assert.ok(atom.includes('<updated>2024-03-08T15:00:00.000Z</updated>'));
+    assert.ok(atom.includes('<category term="academics"/>'));
+    assert.ok(!atom.includes('<photos>'));
+});
+
+test('JSON Feed items carry event details in the extension', () => {
+    const feed = JSON.parse(buildJsonFeed(items, { siteUrl, feedUrl }));
+    const bee = feed.items.find(item => item.id === 'urn:fodasu:event:spelling-bee');
+    
+    assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+    assert.deepEqual(bee._fodasu.event, { start: '2024-04-12T10:00', end: null, venue: 'Foya Central High School' });
+    assert.deepEqual(bee.tags, ['academics']);
+    assert.equal(feed.items[0]._fodasu, undefined);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeManifest, getEventPhotos } from '../js/components/utils/gallery-manifest.js';
+
+const imageManifest = {
+    images: {
+        'images/source/gallery/relay.jpg': {
+            width: 4000,
+            height: 3000,
+            date: '2023-12-09',
+            formats: { jpeg: [{ src: 'images/optimized/gallery/relay-320.jpg', width: 320, height: 240 }] }
+        }
+    }
+};
+
+const gallery = {
+    albums: [
+        { id: 'sports-day', title: 'Sports Day', date: '2023-12-10', event: 'youth-sports-day-2023' },
+        { id: 'olympiad', title: 'Olympiad', date: '2023-10-05' },
+        { id: 'empty', title: 'Nothing here yet' }
+    ],
+    photos: [
+        { id: 'relay', src: 'images/source/gallery/relay.jpg', album: 'sports-day' },
+        { id: 'podium', src: 'images/source/gallery/podium.jpg', width: 1200, height: 1600, date: '2023-12-11', album: 'sports-day' },
+        { id: 'quiz', src: 'https://example.org/quiz.jpg', album: 'olympiad' },
+        { id: 'highlights', type: 'video', poster: 'videos/highlights.jpg', sources: [{ src: 'videos/highlights.webm' }, { src: 'videos/highlights.mov' }] },
+        { id: 'no-file', type: 'video', sources: [] },
+        { id: 'no-src' }
+    ]
+};
+
+const { albums, photos } = normalizeManifest(gallery, imageManifest);
+const byId = Object.fromEntries(photos.map(photo => [photo.id, photo]));
+
+test('photos without a size or date take them from the image manifest, then the album', () => {
+    assert.deepEqual([byId.relay.width, byId.relay.height, byId.relay.date], [4000, 3000, '2023-12-09']);
+    assert.deepEqual([byId.podium.width, byId.podium.height, byId.podium.date], [1200, 1600, '2023-12-11']);
+    assert.deepEqual([byId.quiz.width, byId.quiz.height, byId.quiz.date], [null, null, '2023-10-05']);
+    assert.equal(byId.relay.responsive, imageManifest.images['images/source/gallery/relay.jpg']);
+    assert.equal(byId.quiz.responsive, null);
+});
+
+test('videos need a playable source, and unknown file types are dropped', () => {
+    assert.deepEqual(byId.highlights.sources, [{ src: 'videos/highlights.webm', type: 'video/webm' }]);
+    assert.equal(byId.highlights.thumbnail, 'videos/highlights.jpg');
+    assert.ok(!('no-file' in byId));
+    assert.ok(!('no-src' in byId));
+});
+
+test('albums are newest first, without empty ones, and photos find their event through them', () => {
+    assert.deepEqual(albums.map(album => album.id), ['sports-day', 'olympiad']);
+    assert.equal(albums[0].cover.id, 'relay');
+    assert.deepEqual(getEventPhotos({ photos }).get('youth-sports-day-2023').map(photo => photo.id), ['relay', 'podium']);
+});
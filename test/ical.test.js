@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeText, foldLine, buildRecurrenceRule, buildCalendar } from '../js/components/utils/ical.js';
+
+const now = new Date('2024-03-01T12:00:00Z');
+
+// Content lines of a calendar with folded lines joined back up
+const unfold = (calendar) => calendar.replace(/\r\n /g, '').split('\r\n');
+
+test('escapeText escapes backslashes, separators and newlines', () => {
+    assert.equal(escapeText('Boys; girls, all\\ages\nwelcome'), 'Boys\\; girls\\, all\\\\ages\\nwelcome');
+    assert.equal(escapeText(null), '');
+});
+
+test('foldLine keeps every line within 75 octets without splitting characters', () => {
+    const line = `DESCRIPTION:${'Foya é '.repeat(30)}`;
+    const parts = foldLine(line).split('\r\n');
+    const encoder = new TextEncoder();
+    
+    assert.ok(parts.length > 1);
+    parts.forEach((part, index) => {
+        assert.ok(encoder.encode(part).length <= 75);
+        if (index > 0) assert.equal(part[0], ' ');
+        assert.ok(!part.includes('�'));
+    });
+    assert.equal(parts.map((part, index) => (index > 0 ? part.slice(1) : part)).join(''), line);
+    assert.equal(foldLine('SUMMARY:Short'), 'SUMMARY:Short');
+});
+
+test('UNTIL is the end of the last day in UTC, on either side of a DST change', () => {
+    const series = { start: '2024-03-05T16:00', recurrence: { frequency: 'weekly', byDay: ['TU', 'TH'], until: '2024-03-07' } };
+    assert.equal(buildRecurrenceRule(series, 'America/New_York'), 'FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20240308T045959Z');
+    
+    series.recurrence.until = '2024-03-14';
+    assert.equal(buildRecurrenceRule(series, 'America/New_York'), 'FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20240315T035959Z');
+    assert.equal(buildRecurrenceRule(series, 'Africa/Monrovia'), 'FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20240314T235959Z');
+});
+
+test('all-day series use a date for UNTIL', () => {
+    const series = { start: '2024-01-31', recurrence: { frequency: 'monthly', byMonthDay: [-1], count: 6, until: '2024-12-31' } };
+    assert.equal(buildRecurrenceRule(series), 'FREQ=MONTHLY;BYMONTHDAY=-1;COUNT=6;UNTIL=20241231');
+});
+
+test('buildCalendar writes a series with its exceptions and changed sessions', () => {
+    const calendar = buildCalendar([{
+        id: 'training',
+        title: 'Youth Training, Under-16',
+        program: 'soccer',
+        venue: 'Foya Sports Complex',
+        start: '2024-03-05T16:00',
+        end: '2024-03-05T18:00',
+        description: 'Bring boots; water provided',
+        recurrence: { frequency: 'weekly', byDay: ['TU', 'TH'], until: '2024-03-21', exceptions: ['2024-03-07'] },
+        overrides: {
+            '2024-03-12': { cancelled: true },
+            '2024-03-14': { start: '2024-03-15T09:00' }
+        }
+    }], { now, getUrl: eventData => `https://fodasu.example/events/${eventData.id}` });
+    
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(calendar.split('\r\n').every(line => new TextEncoder().encode(line).length <= 75));
+    
+    const lines = unfold(calendar);
+    assert.ok(lines.includes('BEGIN:VTIMEZONE'));
+    assert.ok(lines.includes('RRULE:FREQ=WEEKLY;BYDAY=TU,TH;UNTIL=20240321T235959Z'));
+    assert.ok(lines.includes('EXDATE;TZID=Africa/Monrovia:20240307T160000'));
+    assert.ok(lines.includes('EXDATE;TZID=Africa/Monrovia:20240312T160000'));
+    assert.ok(lines.includes('SUMMARY:Youth Training\\, Under-16'));
+    
+    // The moved session is its own VEVENT with the series UID
+    assert.equal(lines.filter(line => line === 'UID:training@fodasu').length, 2);
+    assert.ok(lines.includes('RECURRENCE-ID;TZID=Africa/Monrovia:20240314T160000'));
+    assert.ok(lines.includes('DTSTART;TZID=Africa/Monrovia:20240315T090000'));
+    assert.ok(lines.includes('DTEND;TZID=Africa/Monrovia:20240315T110000'));
+});
+
+test('buildCalendar leaves out series with a broken rule', () => {
+    const calendar = buildCalendar([
+        { id: 'broken', title: 'Broken', start: '2024-03-05', recurrence: { frequency: 'daily' } },
+        { id: 'final', title: 'Final', start: '2024-03-09' }
+    ], { now });
+    
+    assert.ok(!calendar.includes('UID:broken@fodasu'));
+    assert.ok(calendar.includes('UID:final@fodasu'));
+    assert.ok(calendar.includes('DTEND;VALUE=DATE:20240310'));
+    assert.ok(!calendar.includes('BEGIN:VTIMEZONE'));
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeQr, ERROR_CORRECTION_LEVELS } from '../js/components/utils/qr-code.js';
+import { decodeModules, readQrCode, QrReadError } from '../js/components/utils/qr-reader.js';
+
+// RGBA pixels for a QR code, `scale` pixels per module with a four-module quiet zone
+const renderPixels = (qr, scale = 4) => {
+    const width = (qr.size + 8) * scale;
+    const data = new Uint8ClampedArray(width * width * 4).fill(255);
+    
+    qr.modules.forEach((row, y) => row.forEach((isDark, x) => {
+        if (!isDark) return;
+        for (let py = 0; py < scale; py++) {
+            for (let px = 0; px < scale; px++) {
+                const offset = (((y + 4) * scale + py) * width + (x + 4) * scale + px) * 4;
+                data[offset] = data[offset + 1] = data[offset + 2] = 0;
+            }
+        }
+    }));
+    
+    return { data, width, height: width };
+};
+
+test('encoded text decodes back from the module matrix at every error correction level', () => {
+    const text = 'FODASU-TICKET:annual-athletics-2026:R-7f3a9c2e';
+    
+    Object.values(ERROR_CORRECTION_LEVELS).forEach(level => {
+        const qr = encodeQr(text, { level });
+        assert.equal(qr.size, qr.version * 4 + 17);
+        assert.equal(qr.modules.length, qr.size);
+        assert.equal(decodeModules(qr.modules), text);
+    });
+});
+
+test('round trip keeps non-ASCII text and picks larger versions for longer text', () => {
+    const short = encodeQr('Foya');
+    const long = encodeQr(`Kɔlahun – Foya ${'é'.repeat(120)}`);
+    
+    assert.ok(long.version > short.version);
+    assert.equal(decodeModules(long.modules), `Kɔlahun – Foya ${'é'.repeat(120)}`);
+});
+
+test('readQrCode finds and decodes a code in image pixels', () => {
+    const text = 'https://fodasu.example/check-in?ticket=R-0042';
+    assert.equal(readQrCode(renderPixels(encodeQr(text))), text);
+});
+
+test('a few damaged modules are corrected', () => {
+    const text = 'FODASU-TICKET:youth-soccer-training:R-0001';
+    const qr = encodeQr(text, { level: ERROR_CORRECTION_LEVELS.HIGH });
+    const modules = qr.modules.map(row => [...row]);
+    
+    // Flip a handful of modules in the data area, away from the finder and timing patterns
+    [[12, 12], [13, 14], [15, 11], [16, 16]].forEach(([x, y]) => {
+        modules[y][x] = !modules[y][x];
+    });
+    
+    assert.equal(decodeModules(modules), text);
+});
+
+test('matrices and images without a QR code are refused', () => {
+    assert.throws(() => decodeModules([[true, false], [false, true]]), QrReadError);
+    
+    const blank = { data: new Uint8ClampedArray(64 * 64 * 4).fill(255), width: 64, height: 64 };
+    assert.throws(() => readQrCode(blank), QrReadError);
+});
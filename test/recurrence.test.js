@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOccurrenceDates, expandSeries, parseByDay, validateRecurrence } from '../js/components/utils/recurrence.js';
+
+const training = {
+    id: 'training',
+    title: 'Training',
+    start: '2024-03-05T16:00',
+    end: '2024-03-05T18:00',
+    recurrence: { frequency: 'weekly', byDay: ['TU', 'TH'], until: '2024-03-21' }
+};
+
+test('parseByDay reads plain and ordinal weekdays', () => {
+    assert.deepEqual(parseByDay('TU'), { ordinal: null, weekday: 1 });
+    assert.deepEqual(parseByDay('1SA'), { ordinal: 1, weekday: 5 });
+    assert.deepEqual(parseByDay('-1fr'), { ordinal: -1, weekday: 4 });
+    assert.equal(parseByDay('XX'), null);
+});
+
+test('validateRecurrence reports an unknown frequency', () => {
+    assert.equal(validateRecurrence({ frequency: 'weekly' }).length, 0);
+    assert.ok(validateRecurrence({ frequency: 'daily' }).length > 0);
+});
+
+test('weekly series repeat on each listed weekday up to "until"', () => {
+    assert.deepEqual(getOccurrenceDates(training), [
+        '2024-03-05', '2024-03-07', '2024-03-12', '2024-03-14', '2024-03-19', '2024-03-21'
+    ]);
+});
+
+test('sessions keep their wall-clock time across a DST change in the local timezone', () => {
+    const previous = process.env.TZ;
+    process.env.TZ = 'America/New_York';
+    
+    try {
+        // US clocks went forward on 2024-03-10, between the second and third sessions
+        const sessions = expandSeries(training);
+        assert.deepEqual(sessions.map(session => session.start.slice(11)), Array(6).fill('16:00'));
+        assert.deepEqual(sessions.map(session => session.end.slice(11)), Array(6).fill('18:00'));
+    } finally {
+        if (previous === undefined) delete process.env.TZ;
+        else process.env.TZ = previous;
+    }
+});
+
+test('exceptions, cancellations and overrides change single sessions', () => {
+    const sessions = expandSeries({
+        ...training,
+        recurrence: { ...training.recurrence, exceptions: ['2024-03-07'] },
+        overrides: {
+            '2024-03-12': { cancelled: true },
+            '2024-03-14': { start: '2024-03-15T09:00', venue: 'Kolahun Field' }
+        }
+    });
+    
+    assert.deepEqual(sessions.map(session => session.id), [
+        'training--2024-03-05', 'training--2024-03-14', 'training--2024-03-19', 'training--2024-03-21'
+    ]);
+    
+    // Moving only the start keeps the usual two-hour session
+    const moved = sessions[1];
+    assert.equal(moved.start, '2024-03-15T09:00');
+    assert.equal(moved.end, '2024-03-15T11:00');
+    assert.equal(moved.venue, 'Kolahun Field');
+    assert.equal(moved.occurrenceDate, '2024-03-14');
+});
+
+test('"count" includes sessions removed as exceptions', () => {
+    const series = {
+        ...training,
+        recurrence: { frequency: 'weekly', byDay: ['TU', 'TH'], count: 4, exceptions: ['2024-03-07'] }
+    };
+    
+    assert.deepEqual(getOccurrenceDates(series), ['2024-03-05', '2024-03-07', '2024-03-12', '2024-03-14']);
+    assert.equal(expandSeries(series).length, 3);
+});
+
+test('a monthly day past the end of a month is skipped', () => {
+    const dates = getOccurrenceDates({
+        id: 'meeting',
+        start: '2024-01-31',
+        recurrence: { frequency: 'monthly', byMonthDay: [31], until: '2024-08-31' }
+    });
+    
+    assert.deepEqual(dates, ['2024-01-31', '2024-03-31', '2024-05-31', '2024-07-31', '2024-08-31']);
+});
+
+test('negative month days count from the end of the month, leap years included', () => {
+    const dates = getOccurrenceDates({
+        id: 'report',
+        start: '2024-01-31',
+        recurrence: { frequency: 'monthly', byMonthDay: [-1], until: '2025-03-31' }
+    });
+    
+    assert.ok(dates.includes('2024-02-29'));
+    assert.ok(dates.includes('2024-04-30'));
+    assert.ok(dates.includes('2025-02-28'));
+    assert.equal(dates.length, 15);
+});
+
+test('ordinal weekdays pick the first or last matching day of each month', () => {
+    const dates = getOccurrenceDates({
+        id: 'meet',
+        start: '2024-01-06',
+        recurrence: { frequency: 'monthly', byDay: ['1SA', '-1FR'], until: '2024-03-31' }
+    });
+    
+    assert.deepEqual(dates, ['2024-01-06', '2024-01-26', '2024-02-03', '2024-02-23', '2024-03-02', '2024-03-29']);
+});
+
+test('a monthly series without a rule day repeats on the start day', () => {
+    const dates = getOccurrenceDates({
+        id: 'clinic',
+        start: '2024-01-15T10:00',
+        recurrence: { frequency: 'monthly', interval: 2, until: '2024-07-15' }
+    });
+    
+    assert.deepEqual(dates, ['2024-01-15', '2024-03-15', '2024-05-15', '2024-07-15']);
+});
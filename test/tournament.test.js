@@ -0,0 +1,120 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    TOURNAMENT_FORMATS,
+    drawGroups,
+    generateRoundRobin,
+    computeStandings,
+    getSeedOrder,
+    generateKnockout,
+    buildTournament,
+    findMatch,
+    validateScoreValues,
+    validateMatchResult
+} from '../js/components/utils/tournament.js';
+
+const teams = (count) => Array.from({ length: count }, (_, index) => `Team ${index + 1}`);
+
+test('drawGroups deals seeds out in a snake so top seeds are kept apart', () => {
+    const groups = drawGroups(teams(8));
+    
+    assert.deepEqual(groups.map(group => group.name), ['A', 'B']);
+    assert.deepEqual(groups[0].teams, ['Team 1', 'Team 4', 'Team 5', 'Team 8']);
+    assert.deepEqual(groups[1].teams, ['Team 2', 'Team 3', 'Team 6', 'Team 7']);
+});
+
+test('round robin pairs every team with every other exactly once', () => {
+    [4, 5].forEach(count => {
+        const fixtures = generateRoundRobin(teams(count), 'GA');
+        const pairings = new Set(fixtures.map(match => [match.home, match.away].sort().join(' v ')));
+        
+        assert.equal(fixtures.length, (count * (count - 1)) / 2);
+        assert.equal(pairings.size, fixtures.length);
+        assert.ok(fixtures.every(match => match.home && match.away));
+        
+        // Nobody plays twice in a round
+        new Set(fixtures.map(match => match.round)).forEach(round => {
+            const playing = fixtures
+                .filter(match => match.round === round)
+                .flatMap(match => [match.home, match.away]);
+            assert.equal(new Set(playing).size, playing.length);
+        });
+    });
+});
+
+test('standings separate level teams by a mini-league of their matches, then by name', () => {
+    const matches = [
+        { home: 'A', away: 'B', score: { home: 1, away: 0 } },
+        { home: 'B', away: 'C', score: { home: 2, away: 1 } },
+        { home: 'C', away: 'A', score: { home: 2, away: 1 } }
+    ];
+    const table = computeStandings(['A', 'B', 'C'], matches);
+    
+    // All on 3 points and level on goal difference: C scored the most, A and B go alphabetically
+    assert.deepEqual(table.map(row => row.team), ['C', 'A', 'B']);
+    assert.deepEqual(table.map(row => row.points), [3, 3, 3]);
+    assert.deepEqual(table.map(row => row.position), [1, 2, 3]);
+});
+
+test('knockout brackets give byes to the top seeds', () => {
+    assert.deepEqual(getSeedOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+    
+    const rounds = generateKnockout(teams(6).map(team => ({ team, label: team })));
+    assert.deepEqual(rounds.map(round => round.name), ['Quarter-finals', 'Semi-finals', 'Final']);
+    
+    const byes = rounds[0].matches.filter(match => match.isBye);
+    assert.deepEqual(byes.map(match => match.homeSlot.team), ['Team 1', 'Team 2']);
+    assert.ok(byes.every(match => match.number === null));
+    assert.deepEqual(rounds[0].matches.filter(match => !match.isBye).map(match => match.number), [1, 2]);
+});
+
+test('a knockout tournament carries winners through, settling draws on penalties', () => {
+    const results = {
+        'KO-1-1': { home: 'Team 1', away: 'Team 4', homeScore: 2, awayScore: 0 },
+        'KO-1-2': { home: 'Team 2', away: 'Team 3', homeScore: 1, awayScore: 1, homePenalties: 3, awayPenalties: 4 },
+        'KO-2-1': { home: 'Team 1', away: 'Team 3', homeScore: 0, awayScore: 1 }
+    };
+    const tournament = buildTournament({ format: TOURNAMENT_FORMATS.KNOCKOUT, teams: teams(4), results });
+    
+    assert.equal(findMatch(tournament, 'KO-2-1').away, 'Team 3');
+    assert.equal(tournament.champion, 'Team 3');
+});
+
+test('a score recorded for other teams is not attached to a redrawn fixture', () => {
+    const results = { 'KO-1-1': { home: 'Team 1', away: 'Team 9', homeScore: 2, awayScore: 0 } };
+    const tournament = buildTournament({ format: TOURNAMENT_FORMATS.KNOCKOUT, teams: teams(4), results });
+    
+    assert.equal(findMatch(tournament, 'KO-1-1').score, null);
+});
+
+test('group winners and runners-up fill the knockout once their group is complete', () => {
+    const config = { format: TOURNAMENT_FORMATS.GROUPS_KNOCKOUT, teams: teams(8) };
+    const open = buildTournament(config);
+    
+    assert.equal(open.knockout[0].matches[0].homeLabel, 'Group A winner');
+    assert.equal(open.knockout[0].matches[0].home, null);
+    
+    // Group A: the home team wins every match
+    const results = Object.fromEntries(open.groups[0].fixtures.map(match => [match.id, {
+        home: match.home, away: match.away, homeScore: 1, awayScore: 0
+    }]));
+    const played = buildTournament({ ...config, results });
+    
+    assert.ok(played.groups[0].complete);
+    assert.equal(played.knockout[0].matches[0].home, played.groups[0].standings[0].team);
+});
+
+test('scores must be whole goal counts, with penalties only for drawn knockout matches', () => {
+    assert.deepEqual(Object.keys(validateScoreValues({ homeScore: -1, awayScore: 1.5 })), ['homeScore', 'awayScore']);
+    assert.deepEqual(Object.keys(validateScoreValues({ homeScore: 1, awayScore: 1, homePenalties: 'x' })), ['penalties']);
+    
+    const knockout = { home: 'A', away: 'B', stage: 'knockout', isBye: false };
+    const group = { home: 'A', away: 'B', stage: 'group', isBye: false };
+    
+    assert.deepEqual(validateMatchResult(knockout, { homeScore: 1, awayScore: 1 }), {
+        penalties: 'Knockout matches that finish level need a penalty shoot-out winner'
+    });
+    assert.deepEqual(validateMatchResult(knockout, { homeScore: 1, awayScore: 1, homePenalties: 5, awayPenalties: 4 }), {});
+    assert.ok(validateMatchResult(group, { homeScore: 2, awayScore: 1, homePenalties: 5, awayPenalties: 4 }).penalties);
+    assert.ok(validateMatchResult({ ...knockout, away: null }, { homeScore: 1, awayScore: 0 }).matchId);
+});